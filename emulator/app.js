@@ -0,0 +1,34 @@
+const express = require("express");
+const { createIdentityRouter } = require("./identity");
+const { createGraphRouter } = require("./graph");
+const { createControlRouter } = require("./control");
+
+/**
+ * Emulator express app (state lives in ./store)
+ * @param {object} options - { publicUrl, tokenTtlSeconds, logRequests }
+ */
+function createEmulatorApp({
+  publicUrl = null,
+  tokenTtlSeconds = 3600,
+  logRequests = true,
+} = {}) {
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+
+  if (logRequests) {
+    app.use((req, res, next) => {
+      if (!req.path.startsWith("/_emulator")) {
+        console.log(`[Emulator] ${req.method} ${req.originalUrl}`);
+      }
+      next();
+    });
+  }
+
+  app.use("/_emulator", createControlRouter());
+  app.use("/v1.0", createGraphRouter({ publicUrl }));
+  app.use(createIdentityRouter({ tokenTtlSeconds }));
+
+  return app;
+}
+
+module.exports = { createEmulatorApp };
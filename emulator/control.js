@@ -0,0 +1,214 @@
+const express = require("express");
+const asyncHandler = require("../src/utils/asyncHandler");
+const store = require("./store");
+const notifier = require("./notifier");
+
+const LIFECYCLE_EVENTS = [
+  "reauthorizationRequired",
+  "subscriptionRemoved",
+  "missed",
+];
+
+const mailboxOr404 = (req, res) => {
+  const mailbox = store.getMailbox(req.params.email);
+  if (!mailbox) {
+    res.status(404).json({ success: false, message: "Mailbox not found" });
+  }
+  return mailbox;
+};
+
+/**
+ * Control API (mounted at /_emulator) used by tests and scripts to set up
+ * mailboxes, deliver mail, inject failures and fire lifecycle events
+ */
+function createControlRouter() {
+  const router = express.Router();
+
+  /**
+   * @route   GET /_emulator/state
+   * @desc    Mailboxes, subscriptions and the outbound notification log
+   */
+  router.get("/state", (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        mailboxes: [...store.mailboxes.values()].map((m) => store.summary(m)),
+        subscriptions: [...store.subscriptions.values()],
+        notifications: store.notifications,
+      },
+    });
+  });
+
+  /**
+   * @route   POST /_emulator/reset
+   * @desc    Forget everything (optionally load a scenario right after)
+   */
+  router.post("/reset", (req, res) => {
+    store.reset();
+    if (req.body?.mailboxes) store.loadScenario(req.body);
+    res.json({ success: true, message: "Emulator reset" });
+  });
+
+  /**
+   * @route   POST /_emulator/mailboxes
+   * @desc    Create a mailbox { email, displayName, folders }
+   */
+  router.post("/mailboxes", (req, res) => {
+    const mailbox = store.addMailbox(req.body || {});
+    res.status(201).json({ success: true, data: store.summary(mailbox) });
+  });
+
+  /**
+   * @route   GET /_emulator/mailboxes/:email
+   * @desc    Mailbox with its messages and the forwards it sent
+   */
+  router.get("/mailboxes/:email", (req, res) => {
+    const mailbox = mailboxOr404(req, res);
+    if (!mailbox) return;
+
+    res.json({
+      success: true,
+      data: {
+        ...store.summary(mailbox),
+        messages: [...mailbox.messages.values()].filter((m) => !m.removed),
+        sent: mailbox.sent,
+      },
+    });
+  });
+
+  /**
+   * @route   POST /_emulator/mailboxes/:email/folders
+   * @desc    Create a folder { displayName, parent }
+   */
+  router.post("/mailboxes/:email/folders", (req, res) => {
+    const mailbox = mailboxOr404(req, res);
+    if (!mailbox) return;
+
+    const folder = store.addFolder(mailbox, req.body || {});
+    res.status(201).json({ success: true, data: folder });
+  });
+
+  /**
+   * @route   POST /_emulator/mailboxes/:email/messages
+   * @desc    Deliver a message { folder, subject, from, body, attachments, ... }
+   *          and notify subscriptions (notify: false = a dropped webhook)
+   */
+  router.post(
+    "/mailboxes/:email/messages",
+    asyncHandler(async (req, res) => {
+      const mailbox = mailboxOr404(req, res);
+      if (!mailbox) return;
+
+      const { notify = true, ...data } = req.body || {};
+      const message = store.addMessage(mailbox, data);
+      const notifications = notify
+        ? await notifier.notifyCreated(mailbox, message)
+        : [];
+
+      res.status(201).json({
+        success: true,
+        data: { id: message.id, notifications },
+      });
+    }),
+  );
+
+  /**
+   * @route   DELETE /_emulator/mailboxes/:email/messages/:id
+   * @desc    Delete a message (reported as @removed by delta)
+   */
+  router.delete("/mailboxes/:email/messages/:id", (req, res) => {
+    const mailbox = mailboxOr404(req, res);
+    if (!mailbox) return;
+
+    if (!store.removeMessage(mailbox, req.params.id)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Message not found" });
+    }
+    res.json({ success: true, message: "Message deleted" });
+  });
+
+  /**
+   * @route   POST /_emulator/mailboxes/:email/failures
+   * @desc    Inject a failure { preset: 401|404|410|429|ErrorExceededMessageLimit|invalid_grant }
+   *          or { status, code, message }, plus path, method, times, retryAfter,
+   *          processed
+   */
+  router.post("/mailboxes/:email/failures", (req, res) => {
+    const mailbox = mailboxOr404(req, res);
+    if (!mailbox) return;
+
+    const failure = store.addFailure(mailbox, req.body || {});
+    res.status(201).json({ success: true, data: failure });
+  });
+
+  /**
+   * @route   DELETE /_emulator/mailboxes/:email/failures
+   * @desc    Clear injected failures
+   */
+  router.delete("/mailboxes/:email/failures", (req, res) => {
+    const mailbox = mailboxOr404(req, res);
+    if (!mailbox) return;
+
+    mailbox.failures = [];
+    res.json({ success: true, message: "Failures cleared" });
+  });
+
+  /**
+   * @route   POST /_emulator/mailboxes/:email/tokens/expire
+   * @desc    Expire access tokens { revokeRefresh: also revoke refresh tokens }
+   */
+  router.post("/mailboxes/:email/tokens/expire", (req, res) => {
+    const mailbox = mailboxOr404(req, res);
+    if (!mailbox) return;
+
+    const expired = store.expireTokens(mailbox, {
+      revokeRefresh: !!req.body?.revokeRefresh,
+    });
+    res.json({ success: true, data: { expired } });
+  });
+
+  /**
+   * @route   POST /_emulator/subscriptions/:id/lifecycle
+   * @desc    Send a lifecycle notification { lifecycleEvent }
+   *          (subscriptionRemoved also deletes the subscription)
+   */
+  router.post(
+    "/subscriptions/:id/lifecycle",
+    asyncHandler(async (req, res) => {
+      const subscription = store.subscriptions.get(req.params.id);
+      if (!subscription) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Subscription not found" });
+      }
+
+      const { lifecycleEvent } = req.body || {};
+      if (!LIFECYCLE_EVENTS.includes(lifecycleEvent)) {
+        return res.status(400).json({
+          success: false,
+          message: `lifecycleEvent must be one of: ${LIFECYCLE_EVENTS.join(", ")}`,
+        });
+      }
+
+      if (lifecycleEvent === "subscriptionRemoved") {
+        store.subscriptions.delete(subscription.id);
+      }
+      const result = await notifier.notifyLifecycle(
+        subscription,
+        lifecycleEvent,
+      );
+
+      res.json({ success: true, data: result });
+    }),
+  );
+
+  // Bad input from the caller (unknown folder, preset, ...)
+  router.use((err, req, res, next) => {
+    res.status(400).json({ success: false, message: err.message });
+  });
+
+  return router;
+}
+
+module.exports = { createControlRouter };
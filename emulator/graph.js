@@ -0,0 +1,605 @@
+const crypto = require("crypto");
+const express = require("express");
+const store = require("./store");
+const notifier = require("./notifier");
+
+// Graph's default page size for message delta
+const DELTA_PAGE_SIZE = 10;
+// Max subscription lifetime for Outlook messages (minutes)
+const MAX_SUBSCRIPTION_MINUTES = 10080;
+const DELTA_SELECT = "id,subject,from,receivedDateTime";
+
+// ---------------- Responses ----------------
+
+const ok = (body, status = 200) => ({ status, headers: {}, body });
+
+const graphError = (status, code, message, retryAfter) => ({
+  status,
+  headers: retryAfter ? { "Retry-After": String(retryAfter) } : {},
+  body: {
+    error: {
+      code,
+      message,
+      innerError: {
+        date: new Date().toISOString(),
+        "request-id": crypto.randomUUID(),
+        "client-request-id": crypto.randomUUID(),
+      },
+    },
+  },
+});
+
+const failureResponse = (failure) =>
+  graphError(
+    failure.status,
+    failure.code,
+    failure.message || failure.code,
+    failure.retryAfter,
+  );
+
+const notFound = (what = "The specified object was not found in the store.") =>
+  graphError(404, "ErrorItemNotFound", what);
+
+/**
+ * Public shape of a message ($select / $expand=attachments)
+ */
+function serializeMessage(message, query = {}) {
+  const { changeSeq, removed, attachments, ...fields } = message;
+  let result = fields;
+
+  if (query.$select) {
+    const selected = query.$select.split(",").map((f) => f.trim());
+    result = { id: message.id };
+    for (const field of selected) {
+      if (field in fields) result[field] = fields[field];
+    }
+  }
+
+  if (query.$expand === "attachments") {
+    result = { ...result, attachments };
+  }
+  return result;
+}
+
+function serializeFolder(mailbox, folder) {
+  const messages = [...mailbox.messages.values()].filter(
+    (m) => !m.removed && m.parentFolderId === folder.id,
+  );
+  return {
+    id: folder.id,
+    displayName: folder.displayName,
+    parentFolderId: folder.parentFolderId,
+    childFolderCount: mailbox.folders.filter(
+      (f) => f.parentFolderId === folder.id,
+    ).length,
+    totalItemCount: messages.length,
+    unreadItemCount: messages.filter((m) => !m.isRead).length,
+  };
+}
+
+function serializeSubscription(subscription) {
+  const { mailboxEmail, folderId, ...fields } = subscription;
+  return fields;
+}
+
+// ---------------- Handlers ----------------
+// Each gets (mailbox, request) and returns { status, headers, body }
+
+function getMe(mailbox) {
+  return ok({
+    id: mailbox.id,
+    displayName: mailbox.displayName,
+    mail: mailbox.email,
+    userPrincipalName: mailbox.email,
+  });
+}
+
+function getMessage(mailbox, { params, query }) {
+  const message = mailbox.messages.get(params[0]);
+  if (!message || message.removed) return notFound();
+  return ok(serializeMessage(message, query));
+}
+
+function getAttachments(mailbox, { params }) {
+  const message = mailbox.messages.get(params[0]);
+  if (!message || message.removed) return notFound();
+  return ok({ value: message.attachments });
+}
+
+function forwardMessage(mailbox, { params, body }) {
+  const message = mailbox.messages.get(params[0]);
+  if (!message || message.removed) return notFound();
+
+  const toRecipients = body?.toRecipients || [];
+  if (toRecipients.length === 0) {
+    return graphError(
+      400,
+      "ErrorInvalidRecipients",
+      "At least one recipient isn't valid.",
+    );
+  }
+
+  mailbox.sent.push({
+    via: "forward",
+    messageId: message.id,
+    subject: message.subject,
+    to: toRecipients.map((r) => r.emailAddress?.address),
+    comment: body.comment || "",
+    at: new Date().toISOString(),
+  });
+  return { status: 202, headers: {}, body: null };
+}
+
+const newDraftId = () => `draft-${crypto.randomBytes(12).toString("hex")}`;
+
+const addresses = (recipients) =>
+  (recipients || []).map((r) => r.emailAddress?.address);
+
+/**
+ * POST /me/messages/{id}/createForward: a draft with "FW: " subject that is
+ * edited with PATCH and sent with POST /me/messages/{draft}/send
+ */
+function createForward(mailbox, { params, body }) {
+  const message = mailbox.messages.get(params[0]);
+  if (!message || message.removed) return notFound();
+
+  const draft = {
+    id: newDraftId(),
+    isDraft: true,
+    forwardOf: message.id,
+    subject: `FW: ${message.subject}`,
+    comment: body?.comment || "",
+    toRecipients: body?.toRecipients || [],
+    body: message.body,
+  };
+  mailbox.drafts.set(draft.id, draft);
+  const { forwardOf, comment, ...fields } = draft;
+  return ok(fields, 201);
+}
+
+function updateDraft(mailbox, { params, body }) {
+  const draft = mailbox.drafts.get(params[0]);
+  if (!draft) return notFound();
+
+  for (const field of ["subject", "toRecipients", "body"]) {
+    if (body?.[field] !== undefined) draft[field] = body[field];
+  }
+  const { forwardOf, comment, ...fields } = draft;
+  return ok(fields);
+}
+
+function deleteDraft(mailbox, { params }) {
+  if (!mailbox.drafts.delete(params[0])) return notFound();
+  return { status: 204, headers: {}, body: null };
+}
+
+function sendDraft(mailbox, { params }) {
+  const draft = mailbox.drafts.get(params[0]);
+  if (!draft) return notFound();
+  if (draft.toRecipients.length === 0) {
+    return graphError(
+      400,
+      "ErrorInvalidRecipients",
+      "At least one recipient isn't valid.",
+    );
+  }
+
+  mailbox.drafts.delete(draft.id);
+  mailbox.sent.push({
+    via: "createForward",
+    messageId: draft.forwardOf,
+    subject: draft.subject,
+    to: addresses(draft.toRecipients),
+    comment: draft.comment,
+    at: new Date().toISOString(),
+  });
+  return { status: 202, headers: {}, body: null };
+}
+
+/**
+ * POST /me/sendMail: a new message (not linked to a received one)
+ */
+function sendMail(mailbox, { body }) {
+  const message = body?.message;
+  if (!message || addresses(message.toRecipients).length === 0) {
+    return graphError(
+      400,
+      "ErrorInvalidRecipients",
+      "At least one recipient isn't valid.",
+    );
+  }
+
+  mailbox.sent.push({
+    via: "sendMail",
+    messageId: null,
+    subject: message.subject || "",
+    to: addresses(message.toRecipients),
+    replyTo: addresses(message.replyTo),
+    body: message.body || null,
+    attachments: (message.attachments || []).map((a) => ({
+      name: a.name,
+      contentType: a.contentType,
+      size: Buffer.from(a.contentBytes || "", "base64").length,
+    })),
+    at: new Date().toISOString(),
+  });
+  return { status: 202, headers: {}, body: null };
+}
+
+function listFolders(mailbox) {
+  return ok({
+    value: mailbox.folders
+      .filter((f) => !f.parentFolderId)
+      .map((f) => serializeFolder(mailbox, f)),
+  });
+}
+
+function getFolder(mailbox, { params }) {
+  const folder = store.findFolder(mailbox, params[0]);
+  if (!folder) return notFound();
+  return ok(serializeFolder(mailbox, folder));
+}
+
+function listChildFolders(mailbox, { params }) {
+  const folder = store.findFolder(mailbox, params[0]);
+  if (!folder) return notFound();
+  return ok({
+    value: mailbox.folders
+      .filter((f) => f.parentFolderId === folder.id)
+      .map((f) => serializeFolder(mailbox, f)),
+  });
+}
+
+/**
+ * Message delta of one folder
+ * $deltatoken = change counter the caller has seen; $skiptoken = since.upTo.offset
+ * The first round (no token) returns every message currently in the folder.
+ */
+function messageDelta(mailbox, { params, query, baseUrl }) {
+  const folder = store.findFolder(mailbox, params[0]);
+  if (!folder) return notFound();
+
+  let since = 0;
+  let upTo = store.changeSeq;
+  let offset = 0;
+
+  if (query.$deltatoken !== undefined) {
+    since = Number(query.$deltatoken);
+    if (!Number.isInteger(since) || since > store.changeSeq) {
+      return graphError(
+        410,
+        "SyncStateNotFound",
+        "The sync state was not found or has expired.",
+      );
+    }
+  } else if (query.$skiptoken !== undefined) {
+    [since, upTo, offset] = String(query.$skiptoken).split(".").map(Number);
+  }
+
+  const pageSize = Math.min(parseInt(query.$top, 10) || DELTA_PAGE_SIZE, 1000);
+  const select = query.$select || DELTA_SELECT;
+
+  const changes = [...mailbox.messages.values()]
+    .filter(
+      (m) =>
+        m.parentFolderId === folder.id &&
+        m.changeSeq > since &&
+        m.changeSeq <= upTo &&
+        !(since === 0 && m.removed),
+    )
+    .sort((a, b) => a.changeSeq - b.changeSeq);
+
+  const page = changes.slice(offset, offset + pageSize);
+  const link = `${baseUrl}/me/mailFolders('${encodeURIComponent(params[0])}')/messages/delta`;
+
+  const body = {
+    value: page.map((m) =>
+      m.removed
+        ? { id: m.id, "@removed": { reason: "deleted" } }
+        : serializeMessage(m, { $select: select }),
+    ),
+  };
+  if (offset + pageSize < changes.length) {
+    body["@odata.nextLink"] =
+      `${link}?$skiptoken=${since}.${upTo}.${offset + pageSize}`;
+  } else {
+    body["@odata.deltaLink"] = `${link}?$deltatoken=${upTo}`;
+  }
+  return ok(body);
+}
+
+// ---------------- Subscriptions ----------------
+
+function subscriptionFolder(mailbox, resource) {
+  const match = /^\/?me\/mailFolders\('([^']+)'\)\/messages$/i.exec(resource);
+  if (match) {
+    return store.findFolder(mailbox, decodeURIComponent(match[1])) || false;
+  }
+  if (/^\/?me\/messages$/i.test(resource)) return null; // Whole mailbox
+  return false;
+}
+
+function checkExpiration(value) {
+  const expiresAt = new Date(value).getTime();
+  if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+    return graphError(
+      400,
+      "InvalidRequest",
+      "Subscription expiration can only be in the future.",
+    );
+  }
+  if (expiresAt > Date.now() + MAX_SUBSCRIPTION_MINUTES * 60 * 1000) {
+    return graphError(
+      400,
+      "InvalidRequest",
+      `Subscription expiration exceeds the maximum of ${MAX_SUBSCRIPTION_MINUTES} minutes.`,
+    );
+  }
+  return null;
+}
+
+async function createSubscription(mailbox, { body = {} }) {
+  const {
+    changeType,
+    notificationUrl,
+    lifecycleNotificationUrl,
+    resource,
+    expirationDateTime,
+    clientState,
+  } = body;
+
+  if (!changeType || !notificationUrl || !resource) {
+    return graphError(
+      400,
+      "InvalidRequest",
+      "changeType, notificationUrl and resource are required.",
+    );
+  }
+
+  const folder = subscriptionFolder(mailbox, resource);
+  if (folder === false) {
+    return graphError(
+      400,
+      "InvalidRequest",
+      `Resource '${resource}' is not supported by the emulator.`,
+    );
+  }
+
+  const invalidExpiration = checkExpiration(expirationDateTime);
+  if (invalidExpiration) return invalidExpiration;
+
+  for (const url of [notificationUrl, lifecycleNotificationUrl]) {
+    if (url && !(await notifier.validateEndpoint(url))) {
+      return graphError(
+        400,
+        "ValidationError",
+        `Subscription validation request failed. Notification endpoint must respond with 200 OK to validation request. (${url})`,
+      );
+    }
+  }
+
+  const subscription = {
+    id: crypto.randomUUID(),
+    resource,
+    changeType,
+    notificationUrl,
+    lifecycleNotificationUrl: lifecycleNotificationUrl || null,
+    clientState: clientState || null,
+    expirationDateTime: new Date(expirationDateTime).toISOString(),
+    mailboxEmail: mailbox.email,
+    folderId: folder ? folder.id : null,
+  };
+  store.subscriptions.set(subscription.id, subscription);
+
+  console.log(
+    `[Emulator] Subscription ${subscription.id} created for ${mailbox.email} (${resource})`,
+  );
+  return ok(serializeSubscription(subscription), 201);
+}
+
+function findSubscription(mailbox, id) {
+  const subscription = store.subscriptions.get(id);
+  if (
+    !subscription ||
+    subscription.mailboxEmail !== mailbox.email ||
+    new Date(subscription.expirationDateTime).getTime() <= Date.now()
+  ) {
+    return null;
+  }
+  return subscription;
+}
+
+function listSubscriptions(mailbox) {
+  return ok({
+    value: [...store.subscriptions.values()]
+      .filter((s) => s.mailboxEmail === mailbox.email)
+      .map(serializeSubscription),
+  });
+}
+
+function renewSubscription(mailbox, { params, body = {} }) {
+  const subscription = findSubscription(mailbox, params[0]);
+  if (!subscription) {
+    return graphError(
+      404,
+      "ResourceNotFound",
+      `The object was not found (subscription ${params[0]}).`,
+    );
+  }
+
+  const invalidExpiration = checkExpiration(body.expirationDateTime);
+  if (invalidExpiration) return invalidExpiration;
+
+  subscription.expirationDateTime = new Date(
+    body.expirationDateTime,
+  ).toISOString();
+  return ok(serializeSubscription(subscription));
+}
+
+function deleteSubscription(mailbox, { params }) {
+  const subscription = store.subscriptions.get(params[0]);
+  if (!subscription || subscription.mailboxEmail !== mailbox.email) {
+    return graphError(
+      404,
+      "ResourceNotFound",
+      `The object was not found (subscription ${params[0]}).`,
+    );
+  }
+  store.subscriptions.delete(subscription.id);
+  return { status: 204, headers: {}, body: null };
+}
+
+// ---------------- Dispatch ----------------
+
+// Folder in the path: /mailFolders('Inbox') or /mailFolders/inbox
+const FOLDER = "(?:\\('([^']+)'\\)|\\/([^/()]+))";
+
+const ROUTES = [
+  ["GET", /^\/me$/, getMe],
+  ["GET", /^\/me\/messages\/([^/]+)$/, getMessage],
+  ["GET", /^\/me\/messages\/([^/]+)\/attachments$/, getAttachments],
+  ["POST", /^\/me\/messages\/([^/]+)\/forward$/, forwardMessage],
+  ["POST", /^\/me\/messages\/([^/]+)\/createForward$/, createForward],
+  ["PATCH", /^\/me\/messages\/([^/]+)$/, updateDraft],
+  ["DELETE", /^\/me\/messages\/([^/]+)$/, deleteDraft],
+  ["POST", /^\/me\/messages\/([^/]+)\/send$/, sendDraft],
+  ["POST", /^\/me\/sendMail$/, sendMail],
+  ["GET", /^\/me\/mailFolders$/, listFolders],
+  ["GET", new RegExp(`^\\/me\\/mailFolders${FOLDER}$`), getFolder],
+  [
+    "GET",
+    new RegExp(`^\\/me\\/mailFolders${FOLDER}\\/childFolders$`),
+    listChildFolders,
+  ],
+  [
+    "GET",
+    new RegExp(`^\\/me\\/mailFolders${FOLDER}\\/messages\\/delta$`),
+    messageDelta,
+  ],
+  ["GET", /^\/subscriptions$/, listSubscriptions],
+  ["POST", /^\/subscriptions$/, createSubscription],
+  ["PATCH", /^\/subscriptions\/([^/]+)$/, renewSubscription],
+  ["DELETE", /^\/subscriptions\/([^/]+)$/, deleteSubscription],
+];
+
+/**
+ * Run one Graph request for a mailbox (also used for $batch items)
+ * Injected failures are applied first (after the request for "processed"
+ * failures).
+ */
+async function dispatch(mailbox, { method, path, query, body, baseUrl }) {
+  const failure = store.takeFailure(mailbox, method, path);
+  if (failure && !failure.processed) return failureResponse(failure);
+
+  for (const [routeMethod, pattern, handler] of ROUTES) {
+    if (routeMethod !== method) continue;
+    const match = pattern.exec(path);
+    if (!match) continue;
+
+    // Drop the unused alternative of FOLDER so params[0] is the folder
+    const params = match.slice(1).filter((p) => p !== undefined);
+    const response = await handler(mailbox, {
+      params: params.map(decodeURIComponent),
+      query,
+      body,
+      baseUrl,
+    });
+    return failure ? failureResponse(failure) : response;
+  }
+
+  return graphError(
+    400,
+    "BadRequest",
+    `Unsupported request in the emulator: ${method} ${path}`,
+  );
+}
+
+/**
+ * JSON batching: POST /$batch with up to 20 requests
+ */
+async function batch(mailbox, { body, baseUrl }) {
+  // Failures without a path hit the items, not the batch request itself
+  const failure = store.takeFailure(mailbox, "POST", "/$batch", {
+    requirePath: true,
+  });
+  if (failure) return failureResponse(failure);
+
+  const requests = body?.requests || [];
+  if (requests.length === 0 || requests.length > 20) {
+    return graphError(
+      400,
+      "BadRequest",
+      "A batch must contain between 1 and 20 requests.",
+    );
+  }
+
+  const responses = [];
+  for (const item of requests) {
+    const url = new URL(item.url, "http://emulator");
+    const result = await dispatch(mailbox, {
+      method: (item.method || "GET").toUpperCase(),
+      path: decodeURIComponent(url.pathname),
+      query: Object.fromEntries(url.searchParams),
+      body: item.body,
+      baseUrl,
+    });
+    responses.push({
+      id: item.id,
+      status: result.status,
+      headers: result.headers,
+      body: result.body,
+    });
+  }
+
+  return ok({ responses });
+}
+
+// ---------------- Router ----------------
+
+/**
+ * Microsoft Graph (mounted at /v1.0)
+ * Bearer tokens issued by the identity endpoints select the mailbox.
+ */
+function createGraphRouter({ publicUrl } = {}) {
+  const router = express.Router();
+
+  router.use(async (req, res) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const mailbox = store.mailboxForAccessToken(token);
+    if (!mailbox) {
+      const result = graphError(
+        401,
+        "InvalidAuthenticationToken",
+        "Access token has expired or is not yet valid.",
+      );
+      return res.status(result.status).json(result.body);
+    }
+
+    const request = {
+      method: req.method,
+      path: decodeURIComponent(req.path),
+      query: req.query,
+      body: req.body,
+      baseUrl: `${publicUrl || `${req.protocol}://${req.get("host")}`}/v1.0`,
+    };
+
+    try {
+      const result =
+        request.path === "/$batch" && request.method === "POST"
+          ? await batch(mailbox, request)
+          : await dispatch(mailbox, request);
+
+      res.status(result.status).set(result.headers);
+      if (result.body === null) return res.end();
+      return res.json(result.body);
+    } catch (error) {
+      console.error(`[Emulator] ${req.method} ${req.path} failed:`, error);
+      const result = graphError(500, "InternalServerError", error.message);
+      return res.status(result.status).json(result.body);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGraphRouter };
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const express = require("express");
+const store = require("./store");
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+/**
+ * PKCE check of a code_verifier against the challenge of the auth code
+ */
+const verifierMatches = (entry, verifier) => {
+  if (!entry.codeChallenge) return true;
+  if (!verifier) return false;
+  const expected =
+    entry.codeChallengeMethod === "S256"
+      ? crypto.createHash("sha256").update(verifier).digest("base64url")
+      : verifier;
+  return expected === entry.codeChallenge;
+};
+
+/**
+ * Codes and refresh tokens only work for the app they were issued to
+ * (not checked for ones issued without a client_id)
+ */
+const clientMatches = (entry, clientId) =>
+  !entry.clientId || entry.clientId === clientId;
+
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({
+    error,
+    error_description: description,
+    error_codes: [],
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * Microsoft identity platform (authorize + token endpoints)
+ * Any tenant segment is accepted (/common, /organizations, ...).
+ * @param {object} options - { tokenTtlSeconds }
+ */
+function createIdentityRouter({ tokenTtlSeconds }) {
+  const router = express.Router();
+
+  /**
+   * GET /:tenant/oauth2/v2.0/authorize
+   * With login_hint of a known mailbox the consent is automatic, otherwise
+   * a page lists the mailboxes to sign in as.
+   */
+  router.get("/:tenant/oauth2/v2.0/authorize", (req, res) => {
+    const {
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      state,
+      scope,
+      login_hint,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+    } = req.query;
+
+    if (!redirectUri) {
+      return res.status(400).send("redirect_uri is required");
+    }
+
+    const mailbox = login_hint ? store.getMailbox(login_hint) : null;
+    if (mailbox) {
+      const code = store.issueAuthCode(mailbox, {
+        clientId,
+        redirectUri,
+        scope,
+        codeChallenge,
+        codeChallengeMethod,
+      });
+      const target = new URL(redirectUri);
+      target.searchParams.set("code", code);
+      if (state) target.searchParams.set("state", state);
+
+      console.log(`[Emulator] Signed in as ${mailbox.email}`);
+      return res.redirect(target.toString());
+    }
+
+    const links = [...store.mailboxes.values()]
+      .map((m) => {
+        const params = new URLSearchParams({
+          ...req.query,
+          login_hint: m.email,
+        });
+        return `<li><a href="?${escapeHtml(params.toString())}">${escapeHtml(m.email)}</a></li>`;
+      })
+      .join("");
+
+    res.send(
+      `<!doctype html><html><head><title>Emulator sign-in</title></head><body>` +
+        `<h1>Pick an account</h1>` +
+        (links
+          ? `<ul>${links}</ul>`
+          : `<p>No mailboxes yet. Add one with POST /_emulator/mailboxes.</p>`) +
+        `</body></html>`,
+    );
+  });
+
+  /**
+   * POST /:tenant/oauth2/v2.0/token
+   * grant_type authorization_code or refresh_token
+   */
+  router.post(
+    "/:tenant/oauth2/v2.0/token",
+    express.urlencoded({ extended: false }),
+    (req, res) => {
+      const {
+        client_id: clientId,
+        grant_type: grantType,
+        code,
+        refresh_token: refreshToken,
+        redirect_uri: redirectUri,
+        scope,
+        code_verifier: codeVerifier,
+      } = req.body;
+
+      let email = null;
+      if (grantType === "authorization_code") {
+        const entry = store.redeemAuthCode(code);
+        if (!entry || (redirectUri && entry.redirectUri !== redirectUri)) {
+          return oauthError(
+            res,
+            400,
+            "invalid_grant",
+            "AADSTS70008: The provided authorization code is invalid or has expired.",
+          );
+        }
+        if (!verifierMatches(entry, codeVerifier)) {
+          return oauthError(
+            res,
+            400,
+            "invalid_grant",
+            "AADSTS501481: The Code_Verifier does not match the code_challenge supplied in the authorization request.",
+          );
+        }
+        if (!clientMatches(entry, clientId)) {
+          return oauthError(
+            res,
+            400,
+            "invalid_grant",
+            "AADSTS70000: The provided authorization code was issued to a different client.",
+          );
+        }
+        email = entry.email;
+      } else if (grantType === "refresh_token") {
+        const entry = store.refreshTokens.get(refreshToken);
+        if (!entry) {
+          return oauthError(
+            res,
+            400,
+            "invalid_grant",
+            "AADSTS70000: The refresh token has expired or been revoked.",
+          );
+        }
+        if (!clientMatches(entry, clientId)) {
+          return oauthError(
+            res,
+            400,
+            "invalid_grant",
+            "AADSTS70000: The refresh token was issued to a different client.",
+          );
+        }
+        email = entry.email;
+      } else {
+        return oauthError(
+          res,
+          400,
+          "unsupported_grant_type",
+          `AADSTS70003: The grant type '${grantType}' is not supported.`,
+        );
+      }
+
+      const mailbox = store.getMailbox(email);
+      if (!mailbox) {
+        return oauthError(res, 400, "invalid_grant", "Unknown user.");
+      }
+
+      const failure = store.takeFailure(mailbox, "POST", req.path, {
+        requirePath: true,
+      });
+      if (failure) {
+        return oauthError(
+          res,
+          failure.status,
+          failure.code,
+          failure.message || failure.code,
+        );
+      }
+
+      res.json(
+        store.issueTokens(mailbox, {
+          scope,
+          ttlSeconds: tokenTtlSeconds,
+          clientId: clientId || null,
+        }),
+      );
+    },
+  );
+
+  return router;
+}
+
+module.exports = { createIdentityRouter };
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const store = require("./store");
+
+// Graph gives endpoints 10 seconds to answer
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Outbound calls to the service: validation handshakes, change
+ * notifications and lifecycle notifications (same payloads as Graph)
+ */
+class Notifier {
+  /**
+   * Validation handshake: POST url?validationToken=... must echo the token
+   * as text/plain with 200 OK
+   */
+  async validateEndpoint(url) {
+    const validationToken = `Validation: ${crypto.randomBytes(8).toString("hex")}`;
+    try {
+      const response = await axios.post(url, "", {
+        params: { validationToken },
+        headers: { "Content-Type": "text/plain" },
+        timeout: REQUEST_TIMEOUT_MS,
+        responseType: "text",
+        transformResponse: (data) => data,
+      });
+      return (
+        response.status === 200 &&
+        String(response.data).trim() === validationToken
+      );
+    } catch (error) {
+      console.warn(`[Emulator] Validation of ${url} failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Send "created" notifications for a new message to every matching subscription
+   * @returns {array} - [{ subscriptionId, status } | { subscriptionId, error }]
+   */
+  async notifyCreated(mailbox, message) {
+    const results = [];
+
+    for (const subscription of store.activeSubscriptionsFor(mailbox, message)) {
+      const payload = {
+        value: [
+          {
+            subscriptionId: subscription.id,
+            subscriptionExpirationDateTime: subscription.expirationDateTime,
+            changeType: "created",
+            resource: `Users/${mailbox.id}/Messages/${message.id}`,
+            resourceData: {
+              "@odata.type": "#Microsoft.Graph.Message",
+              "@odata.id": `Users/${mailbox.id}/Messages/${message.id}`,
+              id: message.id,
+            },
+            clientState: subscription.clientState,
+            tenantId: "emulator",
+          },
+        ],
+      };
+
+      results.push(
+        await this._send(subscription.notificationUrl, payload, {
+          subscriptionId: subscription.id,
+          type: "created",
+          messageId: message.id,
+        }),
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Send a lifecycle notification (reauthorizationRequired, subscriptionRemoved, missed)
+   */
+  async notifyLifecycle(subscription, lifecycleEvent) {
+    if (!subscription.lifecycleNotificationUrl) {
+      throw new Error("Subscription has no lifecycleNotificationUrl");
+    }
+
+    const payload = {
+      value: [
+        {
+          subscriptionId: subscription.id,
+          subscriptionExpirationDateTime: subscription.expirationDateTime,
+          lifecycleEvent,
+          resource: subscription.resource,
+          clientState: subscription.clientState,
+          tenantId: "emulator",
+        },
+      ],
+    };
+
+    return this._send(subscription.lifecycleNotificationUrl, payload, {
+      subscriptionId: subscription.id,
+      type: lifecycleEvent,
+    });
+  }
+
+  async _send(url, payload, entry) {
+    try {
+      const response = await axios.post(url, payload, {
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true,
+      });
+      store.logNotification({ ...entry, url, status: response.status });
+      return { subscriptionId: entry.subscriptionId, status: response.status };
+    } catch (error) {
+      console.warn(
+        `[Emulator] Notification to ${url} failed: ${error.message}`,
+      );
+      store.logNotification({ ...entry, url, error: error.message });
+      return { subscriptionId: entry.subscriptionId, error: error.message };
+    }
+  }
+}
+
+module.exports = new Notifier();
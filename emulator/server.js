@@ -0,0 +1,55 @@
+/**
+ * Microsoft Graph + identity platform emulator
+ * Implements the subset of the Microsoft APIs this service uses so it can
+ * run end-to-end without live mailboxes.
+ *
+ * Usage:
+ *   npm run emulator
+ *   EMULATOR_SCENARIO=emulator/scenarios/basic.json npm run emulator
+ *
+ * Point the service at it (.env):
+ *   MICROSOFT_LOGIN_BASE_URL=http://localhost:4010
+ *   GRAPH_BASE_URL=http://localhost:4010/v1.0
+ *
+ * Endpoints:
+ *   /:tenant/oauth2/v2.0/authorize|token  Identity platform
+ *   /v1.0/...                             Graph: /me, messages, forward,
+ *                                         mailFolders, delta, $batch, subscriptions
+ *   /_emulator/...                        Control API (see control.js)
+ */
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const store = require("./store");
+const { createEmulatorApp } = require("./app");
+
+const PORT = parseInt(process.env.EMULATOR_PORT, 10) || 4010;
+// Base of the @odata links (defaults to the Host header of each request)
+const PUBLIC_URL = process.env.EMULATOR_PUBLIC_URL || null;
+const TOKEN_TTL_SECONDS =
+  parseInt(process.env.EMULATOR_TOKEN_TTL_SECONDS, 10) || 3600;
+const SCENARIO = process.env.EMULATOR_SCENARIO || null;
+
+const app = createEmulatorApp({
+  publicUrl: PUBLIC_URL,
+  tokenTtlSeconds: TOKEN_TTL_SECONDS,
+});
+
+if (SCENARIO) {
+  const file = path.resolve(SCENARIO);
+  store.loadScenario(JSON.parse(fs.readFileSync(file, "utf8")));
+  console.log(
+    `[Emulator] Loaded scenario ${file} (${store.mailboxes.size} mailboxes)`,
+  );
+}
+
+const server = app.listen(PORT, () => {
+  console.log(`\n🧪 Microsoft emulator running on port ${PORT}`);
+  console.log(`   MICROSOFT_LOGIN_BASE_URL=http://localhost:${PORT}`);
+  console.log(`   GRAPH_BASE_URL=http://localhost:${PORT}/v1.0\n`);
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,396 @@
+const crypto = require("crypto");
+
+// Folders every emulated mailbox starts with (Graph well-known names)
+const WELL_KNOWN_FOLDERS = [
+  { wellKnownName: "inbox", displayName: "Inbox" },
+  { wellKnownName: "junkemail", displayName: "Junk Email" },
+  { wellKnownName: "archive", displayName: "Archive" },
+  { wellKnownName: "sentitems", displayName: "Sent Items" },
+  { wellKnownName: "deleteditems", displayName: "Deleted Items" },
+];
+
+// Injectable failures by preset name (anything else needs status + code)
+const FAILURE_PRESETS = {
+  401: {
+    status: 401,
+    code: "InvalidAuthenticationToken",
+    message: "Access token has expired or is not yet valid.",
+  },
+  404: {
+    status: 404,
+    code: "ErrorItemNotFound",
+    message: "The specified object was not found in the store.",
+  },
+  410: {
+    status: 410,
+    code: "SyncStateNotFound",
+    message: "The sync state was not found or has expired.",
+  },
+  429: {
+    status: 429,
+    code: "ApplicationThrottled",
+    message: "Application is over its MailboxConcurrency limit.",
+    retryAfter: 2,
+  },
+  ErrorExceededMessageLimit: {
+    status: 403,
+    code: "ErrorExceededMessageLimit",
+    message: "Cannot send mail. Sending limit exceeded.",
+  },
+  invalid_grant: {
+    status: 400,
+    code: "invalid_grant",
+    message: "AADSTS70000: The refresh token has expired or been revoked.",
+    path: "/oauth2/",
+  },
+};
+
+// Kept for GET /_emulator/state
+const MAX_NOTIFICATION_LOG = 200;
+
+const newId = (prefix) => `${prefix}-${crypto.randomBytes(12).toString("hex")}`;
+
+const recipients = (addresses = []) =>
+  addresses.map((address) => ({ emailAddress: { address, name: address } }));
+
+/**
+ * Emulator state (in memory)
+ * Mailboxes with folders and messages, issued tokens, subscriptions and
+ * injected failures. Every message change bumps a global change counter,
+ * which is what delta tokens point at.
+ */
+class EmulatorStore {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.mailboxes = new Map(); // lowercase email => mailbox
+    this.authCodes = new Map(); // code => { email, clientId, redirectUri, scope }
+    this.accessTokens = new Map(); // token => { email, clientId, expiresAt }
+    this.refreshTokens = new Map(); // token => { email, clientId }
+    this.subscriptions = new Map(); // id => subscription
+    this.notifications = []; // Outbound notification log
+    this.changeSeq = 0;
+  }
+
+  // ---------------- Mailboxes ----------------
+
+  addMailbox({ email, displayName, folders = [] }) {
+    if (!email) throw new Error("email is required");
+
+    const existing = this.getMailbox(email);
+    if (existing) return existing;
+
+    const mailbox = {
+      id: newId("user"),
+      email,
+      displayName: displayName || email.split("@")[0],
+      folders: WELL_KNOWN_FOLDERS.map((f) => ({
+        id: newId("folder"),
+        parentFolderId: null,
+        ...f,
+      })),
+      messages: new Map(),
+      // Mail sent by the app: /forward, createForward drafts and sendMail
+      // ({ via, messageId, subject, to, comment, body, attachments, at })
+      sent: [],
+      drafts: new Map(), // createForward drafts until they are sent
+      failures: [],
+    };
+    this.mailboxes.set(email.toLowerCase(), mailbox);
+
+    for (const folder of folders) {
+      this.addFolder(
+        mailbox,
+        typeof folder === "string" ? { displayName: folder } : folder,
+      );
+    }
+
+    return mailbox;
+  }
+
+  getMailbox(email) {
+    return this.mailboxes.get(String(email || "").toLowerCase()) || null;
+  }
+
+  addFolder(mailbox, { displayName, parent }) {
+    if (!displayName) throw new Error("displayName is required");
+
+    const parentFolder = parent ? this.findFolder(mailbox, parent) : null;
+    if (parent && !parentFolder) throw new Error(`Unknown folder: ${parent}`);
+
+    const folder = {
+      id: newId("folder"),
+      wellKnownName: null,
+      displayName,
+      parentFolderId: parentFolder ? parentFolder.id : null,
+    };
+    mailbox.folders.push(folder);
+    return folder;
+  }
+
+  /**
+   * Folder by Graph ID or well-known name (case-insensitive, like Graph)
+   */
+  findFolder(mailbox, ref) {
+    const value = String(ref || "");
+    return (
+      mailbox.folders.find(
+        (f) =>
+          f.id === value ||
+          (f.wellKnownName && f.wellKnownName === value.toLowerCase()),
+      ) || null
+    );
+  }
+
+  // ---------------- Messages ----------------
+
+  addMessage(mailbox, data = {}) {
+    const folder = this.findFolder(mailbox, data.folder || "Inbox");
+    if (!folder) throw new Error(`Unknown folder: ${data.folder}`);
+
+    const from = data.from || "sender@example.com";
+    const attachments = (data.attachments || []).map((a) => {
+      const contentBytes =
+        a.contentBytes || Buffer.from(a.content || "").toString("base64");
+      return {
+        "@odata.type": "#microsoft.graph.fileAttachment",
+        id: newId("att"),
+        name: a.name || "attachment.txt",
+        contentType: a.contentType || "application/octet-stream",
+        size: Buffer.from(contentBytes, "base64").length,
+        isInline: false,
+        contentBytes,
+      };
+    });
+
+    const message = {
+      id: newId("msg"),
+      parentFolderId: folder.id,
+      subject: data.subject || "(No subject)",
+      from: { emailAddress: { address: from, name: data.fromName || from } },
+      toRecipients: recipients(data.to || [mailbox.email]),
+      ccRecipients: recipients(data.cc),
+      body: {
+        contentType: data.contentType || "text",
+        content: data.body || "",
+      },
+      receivedDateTime: data.receivedDateTime || new Date().toISOString(),
+      // Set it to deliver the same mail to several mailboxes
+      internetMessageId:
+        data.internetMessageId ||
+        `<${crypto.randomBytes(8).toString("hex")}@emulator.local>`,
+      hasAttachments: attachments.length > 0,
+      isRead: false,
+      attachments,
+      changeSeq: ++this.changeSeq,
+      removed: false,
+    };
+
+    mailbox.messages.set(message.id, message);
+    return message;
+  }
+
+  /**
+   * Delete a message (kept as a tombstone so delta can report @removed)
+   */
+  removeMessage(mailbox, messageId) {
+    const message = mailbox.messages.get(messageId);
+    if (!message || message.removed) return false;
+
+    message.removed = true;
+    message.changeSeq = ++this.changeSeq;
+    return true;
+  }
+
+  // ---------------- Tokens ----------------
+
+  /**
+   * @param {object} options - { clientId, redirectUri, scope, codeChallenge, codeChallengeMethod } (PKCE optional)
+   */
+  issueAuthCode(
+    mailbox,
+    { clientId, redirectUri, scope, codeChallenge, codeChallengeMethod },
+  ) {
+    const code = newId("code");
+    this.authCodes.set(code, {
+      email: mailbox.email,
+      clientId: clientId || null,
+      redirectUri,
+      scope,
+      codeChallenge: codeChallenge || null,
+      codeChallengeMethod: codeChallengeMethod || "plain",
+    });
+    return code;
+  }
+
+  /**
+   * One-time use, like the real authorization code
+   */
+  redeemAuthCode(code) {
+    const entry = this.authCodes.get(code);
+    this.authCodes.delete(code);
+    return entry || null;
+  }
+
+  /**
+   * @param {object} options - { scope, ttlSeconds, clientId } (clientId:
+   *   app the tokens are issued to; refreshes must come from the same app)
+   */
+  issueTokens(mailbox, { scope, ttlSeconds, clientId = null }) {
+    const accessToken = newId("at");
+    const refreshToken = newId("rt");
+
+    this.accessTokens.set(accessToken, {
+      email: mailbox.email,
+      clientId,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+    this.refreshTokens.set(refreshToken, { email: mailbox.email, clientId });
+
+    return {
+      token_type: "Bearer",
+      scope: scope || "offline_access User.Read Mail.Read Mail.Send",
+      expires_in: ttlSeconds,
+      ext_expires_in: ttlSeconds,
+      access_token: accessToken,
+      refresh_token: refreshToken,
+    };
+  }
+
+  /**
+   * Mailbox of a bearer token (null when unknown or expired)
+   */
+  mailboxForAccessToken(token) {
+    const entry = this.accessTokens.get(token);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return this.getMailbox(entry.email);
+  }
+
+  /**
+   * Expire every access token of a mailbox (and optionally revoke refresh tokens)
+   */
+  expireTokens(mailbox, { revokeRefresh = false } = {}) {
+    let expired = 0;
+    for (const entry of this.accessTokens.values()) {
+      if (entry.email === mailbox.email) {
+        entry.expiresAt = 0;
+        expired++;
+      }
+    }
+    if (revokeRefresh) {
+      for (const [token, { email }] of this.refreshTokens) {
+        if (email === mailbox.email) this.refreshTokens.delete(token);
+      }
+    }
+    return expired;
+  }
+
+  // ---------------- Failures ----------------
+
+  /**
+   * Inject a failure for requests of this mailbox
+   * @param {object} spec - { preset } or { status, code, message }, plus
+   *   path (substring of the request path), method, times (default 1,
+   *   0 = until cleared), retryAfter (seconds) and processed (the request
+   *   is carried out before the error is returned, like a gateway timeout)
+   */
+  addFailure(mailbox, spec = {}) {
+    const preset = spec.preset ? FAILURE_PRESETS[spec.preset] : null;
+    if (spec.preset && !preset) {
+      throw new Error(
+        `Unknown preset ${spec.preset} (expected: ${Object.keys(FAILURE_PRESETS).join(", ")})`,
+      );
+    }
+
+    const failure = { ...preset, ...spec, id: newId("fail") };
+    delete failure.preset;
+    if (!failure.status || !failure.code) {
+      throw new Error("A failure needs a preset or a status and a code");
+    }
+    failure.times = failure.times === undefined ? 1 : failure.times;
+
+    mailbox.failures.push(failure);
+    return failure;
+  }
+
+  /**
+   * First failure matching the request (consumes one of its "times")
+   * @param {object} options - { requirePath: only failures with a path match }
+   */
+  takeFailure(mailbox, method, path, { requirePath = false } = {}) {
+    const index = mailbox.failures.findIndex(
+      (f) =>
+        (!f.method || f.method.toUpperCase() === method.toUpperCase()) &&
+        (f.path ? path.includes(f.path) : !requirePath),
+    );
+    if (index === -1) return null;
+
+    const failure = mailbox.failures[index];
+    if (failure.times > 0) {
+      failure.times--;
+      if (failure.times === 0) mailbox.failures.splice(index, 1);
+    }
+    return failure;
+  }
+
+  // ---------------- Subscriptions ----------------
+
+  activeSubscriptionsFor(mailbox, message) {
+    const now = Date.now();
+    return [...this.subscriptions.values()].filter(
+      (s) =>
+        s.mailboxEmail === mailbox.email &&
+        new Date(s.expirationDateTime).getTime() > now &&
+        s.changeType.split(",").includes("created") &&
+        (!s.folderId || s.folderId === message.parentFolderId),
+    );
+  }
+
+  logNotification(entry) {
+    this.notifications.push({ at: new Date().toISOString(), ...entry });
+    if (this.notifications.length > MAX_NOTIFICATION_LOG) {
+      this.notifications.shift();
+    }
+  }
+
+  // ---------------- Scenarios ----------------
+
+  /**
+   * Load a scenario: { mailboxes: [{ email, displayName, folders, messages, failures }] }
+   * Scenario messages are already in the mailbox (no notifications).
+   */
+  loadScenario(scenario) {
+    for (const entry of scenario.mailboxes || []) {
+      const mailbox = this.addMailbox(entry);
+      for (const message of entry.messages || []) {
+        this.addMessage(mailbox, message);
+      }
+      for (const failure of entry.failures || []) {
+        this.addFailure(mailbox, failure);
+      }
+    }
+  }
+
+  summary(mailbox) {
+    const messages = [...mailbox.messages.values()];
+    return {
+      id: mailbox.id,
+      email: mailbox.email,
+      displayName: mailbox.displayName,
+      folders: mailbox.folders.map((f) => ({
+        id: f.id,
+        displayName: f.displayName,
+        wellKnownName: f.wellKnownName,
+        messages: messages.filter(
+          (m) => !m.removed && m.parentFolderId === f.id,
+        ).length,
+      })),
+      sent: mailbox.sent.length,
+      failures: mailbox.failures,
+    };
+  }
+}
+
+module.exports = new EmulatorStore();
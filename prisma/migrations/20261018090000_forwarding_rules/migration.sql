@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `forwarding_rules` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `priority` INTEGER NOT NULL DEFAULT 100,
+    `isEnabled` BOOLEAN NOT NULL DEFAULT true,
+    `fromAddress` VARCHAR(191) NULL,
+    `fromDomain` VARCHAR(191) NULL,
+    `subjectPattern` TEXT NULL,
+    `toAddress` VARCHAR(191) NULL,
+    `accountId` VARCHAR(191) NULL,
+    `bodyContains` TEXT NULL,
+    `action` ENUM('SKIP', 'FORWARD', 'API', 'SMTP') NOT NULL DEFAULT 'SKIP',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `forwarding_rules_isEnabled_priority_idx`(`isEnabled`, `priority`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `forwarding_rules` ADD CONSTRAINT `forwarding_rules_accountId_fkey` FOREIGN KEY (`accountId`) REFERENCES `mail_accounts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed default rules (previous hard-coded Steam + Microsoft security behaviour)
+INSERT INTO `forwarding_rules` (`id`, `name`, `priority`, `isEnabled`, `fromDomain`, `subjectPattern`, `action`, `updatedAt`)
+VALUES (UUID(), 'Steam Guard (new computer)', 10, true, 'steampowered.com', 'from new computer', 'API', CURRENT_TIMESTAMP(3));
+
+INSERT INTO `forwarding_rules` (`id`, `name`, `priority`, `isEnabled`, `fromAddress`, `action`, `updatedAt`)
+VALUES (UUID(), 'Microsoft account security', 20, true, 'account-security-noreply@accountprotection.microsoft.com', 'SMTP', CURRENT_TIMESTAMP(3));
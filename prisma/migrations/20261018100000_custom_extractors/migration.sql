@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `custom_extractors` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `priority` INTEGER NOT NULL DEFAULT 100,
+    `isEnabled` BOOLEAN NOT NULL DEFAULT true,
+    `fromPattern` TEXT NULL,
+    `subjectPattern` TEXT NULL,
+    `fieldPatterns` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `custom_extractors_name_key`(`name`),
+    INDEX `custom_extractors_isEnabled_priority_idx`(`isEnabled`, `priority`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE `api_destinations` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `url` TEXT NOT NULL,
+    `secret` TEXT NULL,
+    `timeoutMs` INTEGER NOT NULL DEFAULT 5000,
+    `headers` JSON NULL,
+    `payloadTemplate` JSON NULL,
+    `extractorNames` VARCHAR(191) NULL,
+    `isEnabled` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `api_destinations_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `message_deliveries` (
+    `id` VARCHAR(191) NOT NULL,
+    `messageLogId` VARCHAR(191) NOT NULL,
+    `destinationId` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'DELIVERED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `responseStatus` INTEGER NULL,
+    `error` TEXT NULL,
+    `lastAttemptAt` DATETIME(3) NULL,
+    `deliveredAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `message_deliveries_status_idx`(`status`),
+    UNIQUE INDEX `message_deliveries_messageLogId_destinationId_key`(`messageLogId`, `destinationId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `_ApiDestinationToForwardingRule` (
+    `A` VARCHAR(191) NOT NULL,
+    `B` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `_ApiDestinationToForwardingRule_AB_unique`(`A`, `B`),
+    INDEX `_ApiDestinationToForwardingRule_B_index`(`B`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `message_deliveries` ADD CONSTRAINT `message_deliveries_messageLogId_fkey` FOREIGN KEY (`messageLogId`) REFERENCES `mail_message_log`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `message_deliveries` ADD CONSTRAINT `message_deliveries_destinationId_fkey` FOREIGN KEY (`destinationId`) REFERENCES `api_destinations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_ApiDestinationToForwardingRule` ADD CONSTRAINT `_ApiDestinationToForwardingRule_A_fkey` FOREIGN KEY (`A`) REFERENCES `api_destinations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_ApiDestinationToForwardingRule` ADD CONSTRAINT `_ApiDestinationToForwardingRule_B_fkey` FOREIGN KEY (`B`) REFERENCES `forwarding_rules`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- DropForeignKey
+ALTER TABLE `message_deliveries` DROP FOREIGN KEY `message_deliveries_destinationId_fkey`;
+
+-- AlterTable
+ALTER TABLE `message_deliveries` ADD COLUMN `deadLetterReason` TEXT NULL,
+    ADD COLUMN `deadLetteredAt` DATETIME(3) NULL,
+    ADD COLUMN `payload` JSON NULL,
+    MODIFY `destinationId` VARCHAR(191) NULL,
+    MODIFY `status` ENUM('PENDING', 'DELIVERED', 'FAILED', 'DEAD_LETTER', 'DISCARDED') NOT NULL DEFAULT 'PENDING';
+
+-- AddForeignKey
+ALTER TABLE `message_deliveries` ADD CONSTRAINT `message_deliveries_destinationId_fkey` FOREIGN KEY (`destinationId`) REFERENCES `api_destinations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- DropForeignKey
+ALTER TABLE `mail_sync_state` DROP FOREIGN KEY `mail_sync_state_accountId_fkey`;
+
+-- DropIndex
+DROP INDEX `mail_sync_state_accountId_key` ON `mail_sync_state`;
+
+-- DropIndex
+DROP INDEX `webhook_subscriptions_accountId_key` ON `webhook_subscriptions`;
+
+-- AlterTable
+ALTER TABLE `mail_sync_state` ADD COLUMN `folderId` VARCHAR(191) NOT NULL DEFAULT 'Inbox',
+    ADD COLUMN `folderName` VARCHAR(191) NULL,
+    ADD COLUMN `isEnabled` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `lastError` TEXT NULL,
+    ADD COLUMN `lastErrorAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `webhook_subscriptions` ADD COLUMN `folderId` VARCHAR(191) NOT NULL DEFAULT 'Inbox';
+
+-- CreateIndex
+CREATE UNIQUE INDEX `mail_sync_state_accountId_folderId_key` ON `mail_sync_state`(`accountId`, `folderId`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `webhook_subscriptions_accountId_folderId_key` ON `webhook_subscriptions`(`accountId`, `folderId`);
+
+-- AddForeignKey
+ALTER TABLE `mail_sync_state` ADD CONSTRAINT `mail_sync_state_accountId_fkey` FOREIGN KEY (`accountId`) REFERENCES `mail_accounts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing rows become the Inbox folder; watch Junk Email by default too
+UPDATE `mail_sync_state` SET `folderName` = 'Inbox' WHERE `folderId` = 'Inbox';
+
+INSERT INTO `mail_sync_state` (`id`, `accountId`, `folderId`, `folderName`, `isEnabled`, `createdAt`, `updatedAt`)
+SELECT UUID(), `accountId`, 'JunkEmail', 'Junk Email', true, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM `mail_sync_state` WHERE `folderId` = 'Inbox';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `admin_users` ALTER COLUMN `role` SET DEFAULT 'viewer';
+
+-- Every existing user had full access: keep it as owner
+UPDATE `admin_users` SET `role` = 'owner' WHERE `role` NOT IN ('owner', 'operator', 'viewer');
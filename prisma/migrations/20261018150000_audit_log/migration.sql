@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `audit_logs` (
+    `id` VARCHAR(191) NOT NULL,
+    `actorId` VARCHAR(191) NULL,
+    `actorEmail` VARCHAR(191) NULL,
+    `action` VARCHAR(191) NOT NULL,
+    `targetType` VARCHAR(191) NULL,
+    `targetId` VARCHAR(191) NULL,
+    `targetLabel` VARCHAR(191) NULL,
+    `changes` JSON NULL,
+    `metadata` JSON NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(512) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `audit_logs_actorId_idx`(`actorId`),
+    INDEX `audit_logs_action_idx`(`action`),
+    INDEX `audit_logs_targetType_targetId_idx`(`targetType`, `targetId`),
+    INDEX `audit_logs_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `admin_users` ADD COLUMN `twoFactorSecret` TEXT NULL,
+    ADD COLUMN `twoFactorEnabledAt` DATETIME(3) NULL,
+    ADD COLUMN `twoFactorRecoveryCodes` JSON NULL,
+    ADD COLUMN `twoFactorLastStep` INTEGER NULL,
+    ADD COLUMN `twoFactorFailures` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `twoFactorLockedUntil` DATETIME(3) NULL;
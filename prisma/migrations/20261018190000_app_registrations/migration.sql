@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE `mail_accounts` ADD COLUMN `appRegistrationId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `mail_tokens` ADD COLUMN `appRegistrationId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `app_registrations` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `clientId` VARCHAR(191) NOT NULL,
+    `clientSecret` TEXT NOT NULL,
+    `tenant` VARCHAR(191) NOT NULL DEFAULT 'common',
+    `redirectUri` TEXT NULL,
+    `scopes` TEXT NULL,
+    `isEnabled` BOOLEAN NOT NULL DEFAULT true,
+    `isDefault` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `app_registrations_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `mail_accounts_appRegistrationId_idx` ON `mail_accounts`(`appRegistrationId`);
+
+-- CreateIndex
+CREATE INDEX `mail_tokens_appRegistrationId_idx` ON `mail_tokens`(`appRegistrationId`);
+
+-- AddForeignKey
+ALTER TABLE `mail_accounts` ADD CONSTRAINT `mail_accounts_appRegistrationId_fkey` FOREIGN KEY (`appRegistrationId`) REFERENCES `app_registrations`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `mail_tokens` ADD CONSTRAINT `mail_tokens_appRegistrationId_fkey` FOREIGN KEY (`appRegistrationId`) REFERENCES `app_registrations`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `mail_accounts` ADD COLUMN `label` VARCHAR(191) NULL,
+    ADD COLUMN `importId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `account_imports` (
+    `id` VARCHAR(191) NOT NULL,
+    `actorId` VARCHAR(191) NULL,
+    `actorEmail` VARCHAR(191) NULL,
+    `total` INTEGER NOT NULL DEFAULT 0,
+    `createdCount` INTEGER NOT NULL DEFAULT 0,
+    `skipped` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `account_imports_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `mail_accounts_importId_idx` ON `mail_accounts`(`importId`);
+
+-- AddForeignKey
+ALTER TABLE `mail_accounts` ADD CONSTRAINT `mail_accounts_importId_fkey` FOREIGN KEY (`importId`) REFERENCES `account_imports`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE `forwarding_rules` ADD COLUMN `groupId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `account_groups` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `color` VARCHAR(191) NULL,
+    `description` TEXT NULL,
+    `priority` INTEGER NOT NULL DEFAULT 100,
+    `forwardToEmail` VARCHAR(191) NULL,
+    `notifyEmails` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `account_groups_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `account_group_members` (
+    `id` VARCHAR(191) NOT NULL,
+    `groupId` VARCHAR(191) NOT NULL,
+    `accountId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `account_group_members_accountId_idx`(`accountId`),
+    UNIQUE INDEX `account_group_members_groupId_accountId_key`(`groupId`, `accountId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `forwarding_rules` ADD CONSTRAINT `forwarding_rules_groupId_fkey` FOREIGN KEY (`groupId`) REFERENCES `account_groups`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `account_group_members` ADD CONSTRAINT `account_group_members_groupId_fkey` FOREIGN KEY (`groupId`) REFERENCES `account_groups`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `account_group_members` ADD CONSTRAINT `account_group_members_accountId_fkey` FOREIGN KEY (`accountId`) REFERENCES `mail_accounts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `mail_accounts` ADD COLUMN `forwardToEmail` VARCHAR(191) NULL,
+    ADD COLUMN `notifyEmails` TEXT NULL,
+    ADD COLUMN `apiDestinationId` VARCHAR(191) NULL;
+
+-- AddForeignKey
+ALTER TABLE `mail_accounts` ADD CONSTRAINT `mail_accounts_apiDestinationId_fkey` FOREIGN KEY (`apiDestinationId`) REFERENCES `api_destinations`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `forwarding_rules` ADD COLUMN `forwardMode` ENUM('FORWARD', 'CREATE_FORWARD', 'RESEND') NOT NULL DEFAULT 'FORWARD',
+    ADD COLUMN `forwardComment` TEXT NULL,
+    ADD COLUMN `forwardSubject` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `mail_message_log` ADD COLUMN `forwardMode` ENUM('FORWARD', 'CREATE_FORWARD', 'RESEND') NULL;
@@ -29,7 +29,7 @@ async function main() {
       email: defaultEmail,
       password: hashedPassword,
       name: "Administrator",
-      role: "SUPER_ADMIN",
+      role: "owner",
       isActive: true,
     },
   });
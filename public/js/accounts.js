@@ -9,6 +9,7 @@
     pages: 1,
     q: "",
     health: "all", // all | working | not_working
+    groupId: new URLSearchParams(window.location.search).get("groupId") || "",
   };
 
   var searchDebounceTimer = null;
@@ -58,14 +59,26 @@
       });
     }
 
+    // Group filter dropdown
+    var groupSelect = document.getElementById("accounts-group-filter");
+    if (groupSelect) {
+      loadGroupOptions(groupSelect);
+      groupSelect.addEventListener("change", function () {
+        state.groupId = this.value || "";
+        loadAccounts(1);
+      });
+    }
+
     // Clear button
     if (clearBtn) {
       clearBtn.addEventListener("click", function () {
         state.q = "";
         state.health = "all";
+        state.groupId = "";
 
         if (searchInput) searchInput.value = "";
         if (healthSelect) healthSelect.value = "all";
+        if (groupSelect) groupSelect.value = "";
 
         loadAccounts(1);
       });
@@ -137,6 +150,33 @@
       });
   }
 
+  async function loadGroupOptions(select) {
+    try {
+      var response = await Api.get("/groups");
+      (response.data || []).forEach(function (group) {
+        var option = document.createElement("option");
+        option.value = group.id;
+        option.textContent = group.name + " (" + group.accounts.total + ")";
+        select.appendChild(option);
+      });
+      select.value = state.groupId;
+    } catch (error) {
+      console.error("Failed to load groups:", error);
+    }
+  }
+
+  function groupBadge(group) {
+    return (
+      ' <span class="badge badge-gray"' +
+      (group.color
+        ? ' style="background: ' + group.color + '; color: #fff;"'
+        : "") +
+      ">" +
+      escapeHtml(group.name) +
+      "</span>"
+    );
+  }
+
   function buildQueryString(params) {
     var parts = [];
     Object.keys(params).forEach(function (key) {
@@ -269,6 +309,7 @@
         limit: state.limit,
         q: state.q,
         health: state.health, // NEW
+        groupId: state.groupId,
       });
 
       var response = await Api.get("/accounts" + qs);
@@ -323,6 +364,12 @@
               "</div>" +
               '<div class="text-sm text-gray-500">' +
               (account.displayName || "") +
+              (account.label
+                ? ' <span class="badge badge-gray">' +
+                  escapeHtml(account.label) +
+                  "</span>"
+                : "") +
+              (account.groups || []).map(groupBadge).join("") +
               "</div>" +
               "</div>" +
               "</div>" +
@@ -349,7 +396,7 @@
               "</td>" +
               "<td>" +
               '<label class="toggle">' +
-              '<input type="checkbox" class="account-toggle" data-id="' +
+              '<input type="checkbox" class="account-toggle" data-permission="accounts:write" data-id="' +
               account.id +
               '" ' +
               (account.isEnabled ? "checked" : "") +
@@ -359,7 +406,20 @@
               "</td>" +
               "<td>" +
               '<div class="actions" style="justify-content: flex-end;">' +
-              '<button class="btn btn-danger btn-sm delete-btn" data-id="' +
+              '<button class="btn btn-outline btn-sm folders-btn" data-id="' +
+              account.id +
+              '" data-email="' +
+              (account.email || "") +
+              '" title="Folders & sync health">📂</button>' +
+              '<button class="btn btn-outline btn-sm routing-btn" data-permission="settings:write" data-id="' +
+              account.id +
+              '" data-email="' +
+              (account.email || "") +
+              '" title="Routing">🧭</button>' +
+              '<a class="btn btn-outline btn-sm" data-permission="audit:read" href="/audit.html?targetType=account&targetId=' +
+              account.id +
+              '" title="History">🕘</a>' +
+              '<button class="btn btn-danger btn-sm delete-btn" data-permission="accounts:delete" data-id="' +
               account.id +
               '" data-email="' +
               (account.email || "") +
@@ -371,6 +431,7 @@
           })
           .join("");
 
+        Auth.applyPermissions(tbody);
         setupAccountEventListeners();
 
         // Top stats + footer
@@ -397,6 +458,7 @@
           .addEventListener("click", function () {
             state.q = "";
             state.health = "all";
+            state.groupId = "";
 
             var searchInput = document.getElementById("accounts-search");
             var healthSelect = document.getElementById(
@@ -404,6 +466,8 @@
             );
             if (searchInput) searchInput.value = "";
             if (healthSelect) healthSelect.value = "all";
+            var groupSelect = document.getElementById("accounts-group-filter");
+            if (groupSelect) groupSelect.value = "";
 
             loadAccounts(1);
           });
@@ -426,6 +490,18 @@
   }
 
   function setupAccountEventListeners() {
+    document.querySelectorAll(".folders-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        openFoldersModal(this.dataset.id, this.dataset.email);
+      });
+    });
+
+    document.querySelectorAll(".routing-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        openRoutingModal(this.dataset.id, this.dataset.email);
+      });
+    });
+
     document.querySelectorAll(".delete-btn").forEach(function (btn) {
       btn.addEventListener("click", function () {
         deleteAccount(this.dataset.id, this.dataset.email);
@@ -504,6 +580,339 @@
     );
   }
 
+  function escapeHtml(value) {
+    return String(value == null ? "" : value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  var FOLDER_HEALTH_BADGES = {
+    ok: ["badge-success", "OK"],
+    stale: ["badge-warning", "Stale"],
+    no_subscription: ["badge-warning", "No subscription"],
+    error: ["badge-danger", "Error"],
+    disabled: ["badge-info", "Disabled"],
+  };
+
+  function folderUrl(accountId, folderId) {
+    return (
+      "/accounts/" +
+      accountId +
+      "/folders" +
+      (folderId ? "/" + encodeURIComponent(folderId) : "")
+    );
+  }
+
+  function renderFolderRows(accountId, folders) {
+    var tbody = document.getElementById("folders-table");
+    if (!tbody) return;
+
+    if (folders.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="5" class="text-center text-gray-500">No folders watched</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = folders
+      .map(function (f) {
+        var badge = FOLDER_HEALTH_BADGES[f.health] || ["badge-info", f.health];
+        return (
+          "<tr>" +
+          "<td>" +
+          '<div class="font-medium">' +
+          escapeHtml(f.folderName) +
+          "</div>" +
+          (f.lastError
+            ? '<div class="text-xs text-gray-500 mt-1">' +
+              escapeHtml(f.lastError) +
+              "</div>"
+            : "") +
+          "</td>" +
+          '<td><span class="badge ' +
+          badge[0] +
+          '">' +
+          badge[1] +
+          "</span></td>" +
+          '<td class="text-sm text-gray-500">' +
+          (f.lastDeltaAt ? new Date(f.lastDeltaAt).toLocaleString() : "Never") +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          (f.subscription
+            ? new Date(f.subscription.expiresAt).toLocaleString()
+            : "—") +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          '<label class="toggle">' +
+          '<input type="checkbox" class="folder-toggle" data-permission="accounts:write" data-folder="' +
+          escapeHtml(f.folderId) +
+          '" ' +
+          (f.isEnabled ? "checked" : "") +
+          ">" +
+          '<span class="toggle-slider"></span>' +
+          "</label>" +
+          '<button class="btn btn-danger btn-sm folder-remove-btn" data-permission="accounts:write" data-folder="' +
+          escapeHtml(f.folderId) +
+          '" title="Stop watching">🗑️</button>' +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    Auth.applyPermissions(tbody);
+    tbody.querySelectorAll(".folder-toggle").forEach(function (toggle) {
+      toggle.addEventListener("change", function () {
+        updateFolder(accountId, this.dataset.folder, this.checked);
+      });
+    });
+
+    tbody.querySelectorAll(".folder-remove-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        removeFolder(accountId, this.dataset.folder);
+      });
+    });
+  }
+
+  async function loadFolders(accountId) {
+    try {
+      var response = await Api.get(folderUrl(accountId));
+      renderFolderRows(accountId, response.data || []);
+    } catch (error) {
+      var tbody = document.getElementById("folders-table");
+      if (tbody) {
+        tbody.innerHTML =
+          '<tr><td colspan="5" class="text-center text-gray-500">Failed to load folders: ' +
+          escapeHtml(error.message) +
+          "</td></tr>";
+      }
+    }
+  }
+
+  async function loadAvailableFolders(accountId) {
+    var select = document.getElementById("folder-picker");
+    if (!select) return;
+
+    try {
+      var response = await Api.get(folderUrl(accountId) + "/available");
+      select.innerHTML =
+        '<option value="">Select a folder…</option>' +
+        (response.data || [])
+          .map(function (f) {
+            return (
+              '<option value="' +
+              escapeHtml(f.id) +
+              '">' +
+              escapeHtml(f.displayName) +
+              (typeof f.totalItemCount === "number"
+                ? " (" + f.totalItemCount + ")"
+                : "") +
+              "</option>"
+            );
+          })
+          .join("");
+    } catch (error) {
+      select.innerHTML =
+        '<option value="">Could not list folders: ' +
+        escapeHtml(error.message) +
+        "</option>";
+    }
+  }
+
+  function openFoldersModal(accountId, email) {
+    var content =
+      '<p class="text-sm text-gray-500 mb-4">' +
+      "Every watched folder has its own delta sync and webhook subscription." +
+      "</p>" +
+      '<div class="table-container">' +
+      '<table class="table">' +
+      "<thead><tr>" +
+      "<th>Folder</th><th>Health</th><th>Last Sync</th><th>Subscription Expires</th><th></th>" +
+      "</tr></thead>" +
+      '<tbody id="folders-table">' +
+      '<tr><td colspan="5" class="text-center text-gray-500">Loading...</td></tr>' +
+      "</tbody>" +
+      "</table>" +
+      "</div>" +
+      '<div class="flex items-center gap-2 mt-4" data-permission="accounts:write">' +
+      '<select id="folder-picker" class="form-input">' +
+      '<option value="">Loading folders…</option>' +
+      "</select>" +
+      '<button id="folder-add-btn" class="btn btn-primary btn-sm">Watch</button>' +
+      "</div>";
+
+    Modal.create({
+      title: "Folders – " + escapeHtml(email),
+      content: content,
+      closable: true,
+      buttons: [{ text: "Close", class: "btn-outline" }],
+    });
+    Auth.applyPermissions();
+
+    document
+      .getElementById("folder-add-btn")
+      .addEventListener("click", function () {
+        addFolder(accountId);
+      });
+
+    loadFolders(accountId);
+    loadAvailableFolders(accountId);
+  }
+
+  // Where an effective routing value comes from
+  var ROUTING_SOURCES = {
+    account: "this account",
+    group: "a group",
+    default: "global setting",
+  };
+
+  async function openRoutingModal(accountId, email) {
+    var loadingModal = Modal.loading("Loading routing...");
+    try {
+      var results = await Promise.all([
+        Api.get("/accounts/" + accountId + "/routing"),
+        Api.get("/destinations"),
+      ]);
+      Modal.close(loadingModal);
+
+      var routing = results[0].data;
+      var destinations = results[1].data || [];
+      var overrides = routing.overrides;
+      var effective = routing.effective;
+
+      function hint(text, source) {
+        return (
+          '<div class="text-sm text-gray-500 mt-1">Now: ' +
+          escapeHtml(text) +
+          " (" +
+          ROUTING_SOURCES[source] +
+          ")</div>"
+        );
+      }
+
+      var content =
+        '<form id="routing-form" style="text-align: left;">' +
+        '<p class="text-sm text-gray-500 mb-4">' +
+        "Empty fields use the account's groups, then the global settings." +
+        "</p>" +
+        '<div class="form-group">' +
+        '<label class="form-label" for="routing-forward">Forward to</label>' +
+        '<input type="email" id="routing-forward" class="form-input" value="' +
+        escapeHtml(overrides.forwardToEmail) +
+        '" placeholder="customer@example.com" />' +
+        hint(effective.forwardTo, routing.sources.forwardTo) +
+        "</div>" +
+        '<div class="form-group">' +
+        '<label class="form-label" for="routing-notify">Notify on reconnect / security mails</label>' +
+        '<input type="text" id="routing-notify" class="form-input" value="' +
+        escapeHtml(overrides.notifyEmails) +
+        '" placeholder="owner@example.com, it@example.com" />' +
+        hint(effective.notifyEmails.join(", "), routing.sources.notifyEmails) +
+        "</div>" +
+        '<div class="form-group">' +
+        '<label class="form-label" for="routing-destination">API destination</label>' +
+        '<select id="routing-destination" class="form-select">' +
+        '<option value="">Rule destinations</option>' +
+        destinations
+          .map(function (d) {
+            return (
+              '<option value="' +
+              d.id +
+              '"' +
+              (overrides.apiDestinationId === d.id ? " selected" : "") +
+              ">" +
+              escapeHtml(d.name) +
+              (d.isEnabled ? "" : " (disabled)") +
+              "</option>"
+            );
+          })
+          .join("") +
+        "</select>" +
+        '<div class="text-sm text-gray-500 mt-1">When set, API events of this mailbox go only there.</div>' +
+        "</div>" +
+        "</form>";
+
+      var modal = Modal.create({
+        title: "Routing – " + escapeHtml(email),
+        content: content,
+        closable: true,
+        buttons: [
+          { text: "Cancel", class: "btn-outline" },
+          {
+            text: "Save",
+            class: "btn-primary",
+            closeOnClick: false,
+            onClick: function () {
+              saveRouting(modal, accountId);
+            },
+          },
+        ],
+      });
+    } catch (error) {
+      Modal.close(loadingModal);
+      Modal.error("Failed to Load Routing", error.message);
+    }
+  }
+
+  async function saveRouting(modal, accountId) {
+    try {
+      await Api.patch("/accounts/" + accountId + "/routing", {
+        forwardToEmail: document.getElementById("routing-forward").value,
+        notifyEmails: document.getElementById("routing-notify").value,
+        apiDestinationId:
+          document.getElementById("routing-destination").value || null,
+      });
+      Modal.close(modal);
+      Modal.success("Routing Saved", "New messages use the new routing.");
+    } catch (error) {
+      Modal.error("Save Failed", error.message);
+    }
+  }
+
+  async function addFolder(accountId) {
+    var select = document.getElementById("folder-picker");
+    if (!select || !select.value) return;
+
+    var option = select.options[select.selectedIndex];
+    try {
+      var response = await Api.post(folderUrl(accountId), {
+        folderId: select.value,
+        folderName: option.text.replace(/ \(\d+\)$/, ""),
+      });
+      renderFolderRows(accountId, response.data || []);
+      select.value = "";
+      if (response.warning) {
+        Modal.warning("Folder Added", escapeHtml(response.warning));
+      }
+    } catch (error) {
+      Modal.error("Add Failed", "Failed to watch folder: " + error.message);
+    }
+  }
+
+  async function updateFolder(accountId, folderId, enabled) {
+    try {
+      var response = await Api.patch(folderUrl(accountId, folderId), {
+        isEnabled: enabled,
+      });
+      renderFolderRows(accountId, response.data || []);
+    } catch (error) {
+      Modal.error("Update Failed", "Failed to update folder: " + error.message);
+      loadFolders(accountId);
+    }
+  }
+
+  async function removeFolder(accountId, folderId) {
+    try {
+      await Api.delete(folderUrl(accountId, folderId));
+      loadFolders(accountId);
+    } catch (error) {
+      Modal.error("Remove Failed", "Failed to remove folder: " + error.message);
+    }
+  }
+
   function logout() {
     Auth.logout();
     window.location.href = "/";
@@ -21,7 +21,7 @@ const Api = {
   /**
    * Make API request
    */
-  async request(method, endpoint, data = null) {
+  async request(method, endpoint, data = null, retried = false) {
     const options = {
       method,
       headers: this.getHeaders(),
@@ -35,15 +35,25 @@ const Api = {
       const response = await fetch(this.baseUrl + endpoint, options);
       const json = await response.json();
 
+      // Access token expired: renew it with the refresh cookie and retry once
+      if (
+        response.status === 401 &&
+        !retried &&
+        Auth.getToken() &&
+        (await Auth.refreshSession())
+      ) {
+        return this.request(method, endpoint, data, true);
+      }
+
       if (response.status === 401) {
-        // Token expired or invalid
+        // Session ended or revoked
         Auth.logout();
         window.location.href = "/";
         throw new Error("Session expired. Please login again.");
       }
 
       if (!response.ok) {
-        throw new Error(json.message || "API request failed");
+        throw new Error(json.message || json.error || "API request failed");
       }
 
       return json;
@@ -70,7 +80,7 @@ const Api = {
     return this.request("PATCH", endpoint, data);
   },
 
-  delete(endpoint) {
-    return this.request("DELETE", endpoint);
+  delete(endpoint, data) {
+    return this.request("DELETE", endpoint, data);
   },
 };
@@ -0,0 +1,417 @@
+// App registrations page script
+var appsList = [];
+
+// The built-in app (MICROSOFT_CLIENT_ID) has no ID
+var BUILTIN = "builtin";
+
+document.addEventListener("DOMContentLoaded", function () {
+  // Require authentication
+  if (!Auth.requireAuth()) {
+    window.location.href = "/";
+    return;
+  }
+
+  // Setup event listeners
+  document.getElementById("logout-btn").addEventListener("click", function (e) {
+    e.preventDefault();
+    logout();
+  });
+
+  document.getElementById("add-app-btn").addEventListener("click", function () {
+    openAppModal(null);
+  });
+
+  loadApps();
+});
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function appKey(app) {
+  return app.id || BUILTIN;
+}
+
+function findApp(key) {
+  return appsList.find(function (a) {
+    return appKey(a) === key;
+  });
+}
+
+function formatRate(graph) {
+  if (!graph.requests) return '<span class="text-gray-500">No requests</span>';
+  var rate = Math.round(graph.errorRate * 1000) / 10;
+  var badge =
+    rate >= 10 ? "badge-danger" : rate >= 2 ? "badge-warning" : "badge-success";
+  return (
+    '<span class="badge ' +
+    badge +
+    '" title="' +
+    graph.errors +
+    " failed of " +
+    graph.requests +
+    '">' +
+    rate +
+    "% errors</span>" +
+    (graph.throttled
+      ? ' <span class="badge badge-warning" title="429/503 responses">' +
+        graph.throttled +
+        " throttled</span>"
+      : "") +
+    '<div class="text-sm text-gray-500">' +
+    graph.requests +
+    " requests</div>"
+  );
+}
+
+async function loadApps() {
+  var tbody = document.getElementById("apps-table");
+
+  try {
+    var response = await Api.get("/apps");
+    appsList = response.data || [];
+
+    tbody.innerHTML = appsList
+      .map(function (app) {
+        var key = appKey(app);
+        var accounts = app.accounts;
+        return (
+          "<tr>" +
+          '<td class="font-medium">' +
+          escapeHtml(app.name) +
+          (app.isDefault
+            ? ' <span class="badge badge-info">Default</span>'
+            : "") +
+          '<div class="text-sm text-gray-500">' +
+          escapeHtml(app.clientId || "not configured") +
+          "</div>" +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          escapeHtml(app.tenant) +
+          "</td>" +
+          '<td class="text-sm">' +
+          '<span class="badge badge-success" title="Connected">' +
+          accounts.connected +
+          "</span> " +
+          '<span class="badge badge-danger" title="Needs reauth / error">' +
+          accounts.failing +
+          "</span> " +
+          '<span class="text-gray-500">of ' +
+          accounts.total +
+          "</span>" +
+          (accounts.pendingMove
+            ? '<div class="text-sm text-gray-500" title="Moved here, still using tokens of their old app">' +
+              accounts.pendingMove +
+              " to reconnect</div>"
+            : "") +
+          "</td>" +
+          '<td class="text-sm">' +
+          formatRate(app.graph) +
+          "</td>" +
+          "<td>" +
+          (app.builtIn
+            ? '<span class="badge badge-gray">' +
+              (app.isEnabled ? "Environment" : "Off") +
+              "</span>"
+            : '<label class="toggle">' +
+              '<input type="checkbox" class="app-toggle" data-permission="settings:write" data-id="' +
+              key +
+              '" ' +
+              (app.isEnabled ? "checked" : "") +
+              ">" +
+              '<span class="toggle-slider"></span>' +
+              "</label>") +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          (app.isEnabled
+            ? '<button class="btn btn-outline btn-sm app-connect-btn" data-permission="accounts:write" data-id="' +
+              key +
+              '" title="Connect a mailbox with this app">🔗</button>'
+            : "") +
+          '<button class="btn btn-outline btn-sm app-move-btn" data-permission="settings:write" data-id="' +
+          key +
+          '" title="Move accounts to another app">⇄</button>' +
+          (app.builtIn
+            ? ""
+            : '<button class="btn btn-outline btn-sm app-edit-btn" data-permission="settings:write" data-id="' +
+              key +
+              '" title="Edit">✏️</button>' +
+              '<button class="btn btn-danger btn-sm app-delete-btn" data-permission="settings:write" data-id="' +
+              key +
+              '" title="Delete">🗑️</button>') +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    Auth.applyPermissions(tbody);
+    setupAppEventListeners();
+  } catch (error) {
+    console.error("Failed to load apps:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="6" class="text-center text-gray-500">Failed to load apps: ' +
+      escapeHtml(error.message) +
+      "</td></tr>";
+  }
+}
+
+function setupAppEventListeners() {
+  document.querySelectorAll(".app-toggle").forEach(function (toggle) {
+    toggle.addEventListener("change", async function () {
+      try {
+        await Api.patch("/apps/" + this.dataset.id, {
+          isEnabled: this.checked,
+        });
+      } catch (error) {
+        Modal.error("Update Failed", error.message);
+      }
+      loadApps();
+    });
+  });
+
+  document.querySelectorAll(".app-connect-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      connectWithApp(this.dataset.id);
+    });
+  });
+
+  document.querySelectorAll(".app-move-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      openMoveModal(findApp(this.dataset.id));
+    });
+  });
+
+  document.querySelectorAll(".app-edit-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      openAppModal(findApp(this.dataset.id));
+    });
+  });
+
+  document.querySelectorAll(".app-delete-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      deleteApp(findApp(this.dataset.id));
+    });
+  });
+}
+
+async function connectWithApp(key) {
+  var loadingModal = Modal.loading("Redirecting to Microsoft login...");
+  try {
+    var response = await Api.get(
+      "/accounts/oauth/url?appId=" + encodeURIComponent(key),
+    );
+    if (response.success && response.data.url) {
+      window.location.href = response.data.url;
+    }
+  } catch (error) {
+    Modal.close(loadingModal);
+    Modal.error("Connection Failed", error.message);
+  }
+}
+
+function openAppModal(app) {
+  var a = app || { tenant: "common" };
+
+  function field(id, label, value, placeholder, type) {
+    return (
+      '<div class="form-group">' +
+      '<label class="form-label" for="' +
+      id +
+      '">' +
+      label +
+      "</label>" +
+      '<input type="' +
+      (type || "text") +
+      '" id="' +
+      id +
+      '" class="form-input" value="' +
+      escapeHtml(value) +
+      '" placeholder="' +
+      escapeHtml(placeholder) +
+      '" />' +
+      "</div>"
+    );
+  }
+
+  var content =
+    '<form id="app-form" style="text-align: left;">' +
+    field("app-name", "Name", a.name, "Pool B") +
+    field(
+      "app-client-id",
+      "Application (client) ID",
+      a.clientId,
+      "00000000-0000-0000-0000-000000000000",
+    ) +
+    field(
+      "app-client-secret",
+      "Client secret",
+      "",
+      app ? "•••••• (leave empty to keep)" : "client secret value",
+      "password",
+    ) +
+    field(
+      "app-tenant",
+      "Tenant",
+      a.tenant,
+      "common, organizations or a tenant ID",
+    ) +
+    field(
+      "app-redirect-uri",
+      "Redirect URI (empty = MICROSOFT_REDIRECT_URI)",
+      a.redirectUri,
+      "https://collector.example.com/api/auth/microsoft/callback",
+    ) +
+    field(
+      "app-scopes",
+      "Scopes (empty = MICROSOFT_SCOPES)",
+      a.scopes,
+      "offline_access User.Read Mail.Read Mail.Send",
+    ) +
+    '<div class="form-group">' +
+    '<label class="form-label"><input type="checkbox" id="app-default" ' +
+    (a.isDefault ? "checked" : "") +
+    " /> Use for new mailboxes by default</label>" +
+    "</div>" +
+    "</form>";
+
+  var modal = Modal.create({
+    title: app ? "Edit App" : "Add App",
+    content: content,
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Save App",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: function () {
+          saveApp(modal, app);
+        },
+      },
+    ],
+  });
+}
+
+async function saveApp(modal, app) {
+  var data = {
+    name: document.getElementById("app-name").value,
+    clientId: document.getElementById("app-client-id").value,
+    tenant: document.getElementById("app-tenant").value,
+    redirectUri: document.getElementById("app-redirect-uri").value,
+    scopes: document.getElementById("app-scopes").value,
+    isDefault: document.getElementById("app-default").checked,
+  };
+
+  var secret = document.getElementById("app-client-secret").value;
+  if (secret || !app) data.clientSecret = secret;
+
+  try {
+    if (app) {
+      await Api.patch("/apps/" + app.id, data);
+    } else {
+      await Api.post("/apps", data);
+    }
+    Modal.close(modal);
+    loadApps();
+  } catch (error) {
+    Modal.error("Save Failed", error.message);
+  }
+}
+
+function openMoveModal(app) {
+  var targets = appsList.filter(function (a) {
+    return a !== app && a.isEnabled;
+  });
+  if (targets.length === 0) {
+    Modal.warning("No Other App", "Add or enable another app first.");
+    return;
+  }
+
+  var content =
+    '<form id="move-form" style="text-align: left;">' +
+    '<p class="text-sm text-gray-500 mb-4">Moved accounts keep working on <strong>' +
+    escapeHtml(app.name) +
+    "</strong> until they are reconnected, which signs them in with the new app.</p>" +
+    '<div class="form-group">' +
+    '<label class="form-label" for="move-target">Move to</label>' +
+    '<select id="move-target" class="form-input">' +
+    targets
+      .map(function (a) {
+        return (
+          '<option value="' +
+          appKey(a) +
+          '">' +
+          escapeHtml(a.name) +
+          " (" +
+          a.accounts.total +
+          " accounts)</option>"
+        );
+      })
+      .join("") +
+    "</select>" +
+    "</div>" +
+    '<div class="form-group">' +
+    '<label class="form-label" for="move-limit">Number of accounts (empty = all ' +
+    app.accounts.total +
+    ")</label>" +
+    '<input type="number" min="1" id="move-limit" class="form-input" />' +
+    "</div>" +
+    "</form>";
+
+  var modal = Modal.create({
+    title: "Move Accounts",
+    content: content,
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Move",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: async function () {
+          try {
+            var response = await Api.post("/apps/move", {
+              from: appKey(app),
+              to: document.getElementById("move-target").value,
+              limit: document.getElementById("move-limit").value || undefined,
+            });
+            Modal.close(modal);
+            Modal.success("Accounts Moved", escapeHtml(response.message));
+            loadApps();
+          } catch (error) {
+            Modal.error("Move Failed", error.message);
+          }
+        },
+      },
+    ],
+  });
+}
+
+function deleteApp(app) {
+  Modal.confirm(
+    "Delete App",
+    "Are you sure you want to delete <strong>" +
+      escapeHtml(app.name) +
+      "</strong>?",
+    async function () {
+      try {
+        await Api.delete("/apps/" + app.id);
+        loadApps();
+      } catch (error) {
+        Modal.error("Delete Failed", error.message);
+      }
+    },
+  );
+}
+
+function logout() {
+  Auth.logout();
+  window.location.href = "/";
+}
@@ -0,0 +1,220 @@
+// Audit page script
+var currentPage = 1;
+var pageSize = 50;
+
+document.addEventListener("DOMContentLoaded", function () {
+  // Require authentication
+  if (!Auth.requireAuth()) {
+    window.location.href = "/";
+    return;
+  }
+
+  // Setup event listeners
+  document.getElementById("logout-btn").addEventListener("click", function (e) {
+    e.preventDefault();
+    logout();
+  });
+
+  // Open the history of one mailbox, e.g. /audit.html?targetType=account&targetId=...
+  var params = new URLSearchParams(window.location.search);
+  if (params.get("targetType")) {
+    document.getElementById("filter-target-type").value =
+      params.get("targetType");
+  }
+
+  document
+    .getElementById("audit-filters")
+    .addEventListener("submit", function (e) {
+      e.preventDefault();
+      currentPage = 1;
+      loadAudit();
+    });
+  document
+    .getElementById("filter-reset-btn")
+    .addEventListener("click", function () {
+      document.getElementById("audit-filters").reset();
+      window.history.replaceState(null, "", window.location.pathname);
+      currentPage = 1;
+      loadAudit();
+    });
+  document
+    .getElementById("export-audit-btn")
+    .addEventListener("click", exportAudit);
+  document.getElementById("prev-btn").addEventListener("click", prevPage);
+  document.getElementById("next-btn").addEventListener("click", nextPage);
+
+  loadAudit();
+});
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Query string for the current filters (dates are whole local days)
+ */
+function filterQuery() {
+  var params = new URLSearchParams(window.location.search);
+  var query = new URLSearchParams();
+
+  var actor = document.getElementById("filter-actor").value.trim();
+  var action = document.getElementById("filter-action").value.trim();
+  var targetType = document.getElementById("filter-target-type").value;
+  var from = document.getElementById("filter-from").value;
+  var to = document.getElementById("filter-to").value;
+
+  if (actor) query.set("actor", actor);
+  if (action) query.set("action", action);
+  if (targetType) query.set("targetType", targetType);
+  if (params.get("targetId")) query.set("targetId", params.get("targetId"));
+  if (from) query.set("from", new Date(from + "T00:00:00").toISOString());
+  if (to) query.set("to", new Date(to + "T23:59:59.999").toISOString());
+
+  return query;
+}
+
+function describeChanges(log) {
+  var changes = log.changes || {};
+  var lines = Object.keys(changes).map(function (field) {
+    var change = changes[field];
+    return (
+      "<strong>" +
+      escapeHtml(field) +
+      "</strong>: " +
+      escapeHtml(JSON.stringify(change.from)) +
+      " → " +
+      escapeHtml(JSON.stringify(change.to))
+    );
+  });
+
+  if (log.metadata) {
+    lines.push(
+      '<span class="text-gray-500">' +
+        escapeHtml(JSON.stringify(log.metadata)) +
+        "</span>",
+    );
+  }
+
+  return lines.length ? lines.join("<br>") : "—";
+}
+
+async function loadAudit() {
+  var tbody = document.getElementById("audit-table");
+  var query = filterQuery();
+  query.set("page", currentPage);
+  query.set("limit", pageSize);
+
+  try {
+    var response = await Api.get("/audit?" + query.toString());
+    var logs = response.data.logs || [];
+    var pagination = response.data.pagination || {};
+
+    if (logs.length === 0) {
+      tbody.innerHTML =
+        "<tr>" +
+        '<td colspan="6">' +
+        '<div class="empty-state">' +
+        '<div class="empty-state-icon">🛡️</div>' +
+        '<div class="empty-state-title">No audit entries found</div>' +
+        "</div>" +
+        "</td>" +
+        "</tr>";
+    } else {
+      tbody.innerHTML = logs
+        .map(function (log) {
+          return (
+            "<tr>" +
+            '<td class="text-sm text-gray-500">' +
+            new Date(log.createdAt).toLocaleString() +
+            "</td>" +
+            '<td class="font-medium">' +
+            escapeHtml(log.actorEmail || "system") +
+            "</td>" +
+            '<td><span class="badge badge-info">' +
+            escapeHtml(log.action) +
+            "</span></td>" +
+            '<td class="text-sm">' +
+            escapeHtml(
+              log.targetLabel || log.targetId || log.targetType || "—",
+            ) +
+            "</td>" +
+            '<td class="text-sm" style="max-width: 360px;">' +
+            describeChanges(log) +
+            "</td>" +
+            '<td class="text-sm text-gray-500" title="' +
+            escapeHtml(log.userAgent || "") +
+            '">' +
+            escapeHtml(log.ipAddress || "—") +
+            "</td>" +
+            "</tr>"
+          );
+        })
+        .join("");
+    }
+
+    document.getElementById("pagination-info").textContent =
+      "Page " + currentPage + " of " + (pagination.totalPages || 1);
+    document.getElementById("prev-btn").disabled = currentPage === 1;
+    document.getElementById("next-btn").disabled =
+      currentPage >= (pagination.totalPages || 1);
+  } catch (error) {
+    console.error("Failed to load audit log:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="6" class="text-center" style="color: var(--danger);">Failed to load audit log: ' +
+      escapeHtml(error.message) +
+      "</td></tr>";
+  }
+}
+
+/**
+ * Download the filtered entries as CSV (the API needs the auth header,
+ * so this cannot be a plain link)
+ */
+async function exportAudit() {
+  try {
+    var url = Api.baseUrl + "/audit/export?" + filterQuery().toString();
+    var response = await fetch(url, { headers: Api.getHeaders() });
+    // Access token expired since the page loaded
+    if (response.status === 401 && (await Auth.refreshSession())) {
+      response = await fetch(url, { headers: Api.getHeaders() });
+    }
+    if (!response.ok) {
+      var json = await response.json().catch(function () {
+        return {};
+      });
+      throw new Error(json.error || json.message || "Export failed");
+    }
+
+    var blobUrl = URL.createObjectURL(await response.blob());
+    var link = document.createElement("a");
+    link.href = blobUrl;
+    link.download = "audit-" + new Date().toISOString().slice(0, 10) + ".csv";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(blobUrl);
+  } catch (error) {
+    Modal.error("Export Failed", error.message);
+  }
+}
+
+function prevPage() {
+  if (currentPage > 1) {
+    currentPage--;
+    loadAudit();
+  }
+}
+
+function nextPage() {
+  currentPage++;
+  loadAudit();
+}
+
+function logout() {
+  Auth.logout();
+  window.location.href = "/";
+}
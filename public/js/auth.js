@@ -27,7 +27,8 @@ const Auth = {
   },
 
   /**
-   * Login - save token and user
+   * Login - save access token and user
+   * (the refresh token is an httpOnly cookie set by the server)
    */
   login(token, user) {
     localStorage.setItem("token", token);
@@ -35,13 +36,78 @@ const Auth = {
   },
 
   /**
-   * Logout - clear storage
+   * Logout - end the session on the server and clear storage
    */
   logout() {
+    // keepalive: the page usually navigates away right after
+    fetch("/api/auth/logout", { method: "POST", keepalive: true }).catch(
+      () => {},
+    );
     localStorage.removeItem("token");
     localStorage.removeItem("user");
   },
 
+  /**
+   * Get a new access token with the refresh cookie
+   * (concurrent callers share one request: the cookie rotates on use)
+   * @returns {Promise<boolean>} - false when the session has ended
+   */
+  refreshSession() {
+    if (!this._refreshing) {
+      this._refreshing = fetch("/api/auth/refresh", { method: "POST" })
+        .then(async (response) => {
+          if (!response.ok) return false;
+          const json = await response.json();
+          this.login(json.data.token, json.data.user);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          this._refreshing = null;
+        });
+    }
+    return this._refreshing;
+  },
+
+  /**
+   * Check if the current user's role has a permission
+   */
+  can(permission) {
+    const user = this.getUser();
+    return !!(
+      user &&
+      user.permissions &&
+      user.permissions.includes(permission)
+    );
+  },
+
+  /**
+   * Reload the current user (role may have changed since login)
+   */
+  async refreshUser() {
+    const response = await Api.get("/auth/me");
+    if (response.success) {
+      localStorage.setItem("user", JSON.stringify(response.data));
+    }
+    this.applyPermissions();
+    return this.getUser();
+  },
+
+  /**
+   * Hide elements marked with data-permission the user does not have
+   * (inputs are disabled instead)
+   */
+  applyPermissions(root = document) {
+    root.querySelectorAll("[data-permission]").forEach((el) => {
+      const allowed = this.can(el.dataset.permission);
+      if (el.tagName === "INPUT" || el.tagName === "SELECT") {
+        el.disabled = !allowed;
+      } else {
+        el.classList.toggle("hidden", !allowed);
+      }
+    });
+  },
+
   /**
    * Require authentication - redirect to login if not logged in
    */
@@ -50,6 +116,8 @@ const Auth = {
       window.location.href = "/";
       return false;
     }
+    this.applyPermissions();
+    this.refreshUser().catch(() => {});
     return true;
   },
 };
@@ -14,9 +14,35 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // document.getElementById("sync-all-btn").addEventListener("click", syncAll);
 
+  document
+    .getElementById("dead-letter-select-all")
+    .addEventListener("change", function () {
+      var checked = this.checked;
+      document.querySelectorAll(".dead-letter-check").forEach(function (box) {
+        box.checked = checked;
+      });
+      updateDeadLetterButtons();
+    });
+  document
+    .getElementById("replay-selected-btn")
+    .addEventListener("click", function () {
+      replayDeliveries(getSelectedDeadLetters());
+    });
+  document
+    .getElementById("discard-selected-btn")
+    .addEventListener("click", function () {
+      discardDeliveries(getSelectedDeadLetters());
+    });
+
+  document
+    .getElementById("refresh-rate-limits-btn")
+    .addEventListener("click", loadRateLimits);
+
   // Load dashboard data
   loadDashboard();
   loadRecentLogs();
+  loadRateLimits();
+  loadDeadLetters();
 });
 
 async function loadDashboard() {
@@ -113,6 +139,263 @@ async function syncAll() {
   }
 }
 
+function escapeHtml(value) {
+  var div = document.createElement("div");
+  div.textContent = value == null ? "" : String(value);
+  return div.innerHTML;
+}
+
+// ---------------- Graph API rate limiter ----------------
+
+var MAX_MAILBOX_BUCKETS = 15;
+
+async function loadRateLimits() {
+  var tbody = document.getElementById("rate-limits");
+
+  try {
+    var response = await Api.get("/dashboard/rate-limits");
+    var apps = response.data.apps || [];
+    var mailboxes = response.data.mailboxes || [];
+    var buckets = apps.concat(mailboxes.slice(0, MAX_MAILBOX_BUCKETS));
+
+    if (buckets.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="4" class="text-center text-gray-500">No Graph calls yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML =
+      buckets
+        .map(function (b) {
+          var percent = Math.round((b.tokens / b.capacity) * 100);
+          return (
+            "<tr>" +
+            "<td>" +
+            '<span class="badge badge-info">' +
+            (b.type === "app" ? "App" : "Mailbox") +
+            "</span> " +
+            escapeHtml(b.label) +
+            "</td>" +
+            "<td>" +
+            '<div style="display: flex; align-items: center; gap: 8px;">' +
+            '<div style="width: 120px; height: 8px; background: #e5e7eb; border-radius: 4px; overflow: hidden;">' +
+            '<div style="height: 100%; width: ' +
+            percent +
+            "%; background: " +
+            (percent < 20 ? "#ef4444" : percent < 50 ? "#f59e0b" : "#10b981") +
+            ';"></div>' +
+            "</div>" +
+            '<span class="text-sm">' +
+            b.tokens +
+            " / " +
+            b.capacity +
+            "</span>" +
+            "</div>" +
+            "</td>" +
+            '<td class="text-sm text-gray-500">' +
+            b.refillPerSec +
+            "/s</td>" +
+            "<td>" +
+            (b.blockedForMs > 0
+              ? '<span class="badge badge-danger">Throttled ' +
+                Math.ceil(b.blockedForMs / 1000) +
+                "s</span>"
+              : '<span class="badge badge-success">OK</span>') +
+            "</td>" +
+            "</tr>"
+          );
+        })
+        .join("") +
+      (mailboxes.length > MAX_MAILBOX_BUCKETS
+        ? '<tr><td colspan="4" class="text-center text-gray-500 text-sm">+' +
+          (mailboxes.length - MAX_MAILBOX_BUCKETS) +
+          " more mailboxes</td></tr>"
+        : "");
+  } catch (error) {
+    console.error("Failed to load rate limits:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="4" class="text-center text-gray-500">Rate limiter unavailable</td></tr>';
+  }
+}
+
+// ---------------- Dead-lettered API deliveries ----------------
+
+async function loadDeadLetters() {
+  var tbody = document.getElementById("dead-letters");
+  document.getElementById("dead-letter-select-all").checked = false;
+
+  try {
+    var response = await Api.get("/deliveries?status=DEAD_LETTER&limit=50");
+    var deliveries = response.data.deliveries || [];
+    document.getElementById("dead-letter-count").textContent =
+      response.data.pagination.total;
+
+    if (deliveries.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="7" class="text-center text-gray-500">No dead-lettered deliveries</td></tr>';
+      updateDeadLetterButtons();
+      return;
+    }
+
+    tbody.innerHTML = deliveries
+      .map(function (d) {
+        return (
+          "<tr>" +
+          '<td><input type="checkbox" class="dead-letter-check" value="' +
+          d.id +
+          '" /></td>' +
+          "<td>" +
+          new Date(d.deadLetteredAt || d.createdAt).toLocaleString() +
+          "</td>" +
+          "<td>" +
+          escapeHtml(d.destination) +
+          "</td>" +
+          "<td>" +
+          escapeHtml(d.account || "Unknown") +
+          "</td>" +
+          '<td class="truncate" style="max-width: 220px;">' +
+          escapeHtml(d.subject || "(No subject)") +
+          "</td>" +
+          '<td class="text-sm text-gray-500 truncate" style="max-width: 260px;" title="' +
+          escapeHtml(d.error || "") +
+          '">' +
+          escapeHtml(d.deadLetterReason) +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          '<button class="btn btn-outline btn-sm dead-letter-view-btn" data-id="' +
+          d.id +
+          '" title="Inspect">🔍</button>' +
+          '<button class="btn btn-outline btn-sm dead-letter-replay-btn" data-permission="jobs:run" data-id="' +
+          d.id +
+          '" title="Replay">🔁</button>' +
+          '<button class="btn btn-danger btn-sm dead-letter-discard-btn" data-permission="jobs:run" data-id="' +
+          d.id +
+          '" title="Discard">🗑️</button>' +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    Auth.applyPermissions(tbody);
+    tbody.querySelectorAll(".dead-letter-check").forEach(function (box) {
+      box.addEventListener("change", updateDeadLetterButtons);
+    });
+    tbody.querySelectorAll(".dead-letter-view-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        viewDelivery(this.dataset.id);
+      });
+    });
+    tbody.querySelectorAll(".dead-letter-replay-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        replayDeliveries([this.dataset.id]);
+      });
+    });
+    tbody.querySelectorAll(".dead-letter-discard-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        discardDeliveries([this.dataset.id]);
+      });
+    });
+    updateDeadLetterButtons();
+  } catch (error) {
+    console.error("Failed to load dead letters:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="7" class="text-center text-gray-500">Failed to load dead-lettered deliveries</td></tr>';
+  }
+}
+
+function getSelectedDeadLetters() {
+  return Array.prototype.map.call(
+    document.querySelectorAll(".dead-letter-check:checked"),
+    function (box) {
+      return box.value;
+    },
+  );
+}
+
+function updateDeadLetterButtons() {
+  var none = getSelectedDeadLetters().length === 0;
+  document.getElementById("replay-selected-btn").disabled = none;
+  document.getElementById("discard-selected-btn").disabled = none;
+}
+
+async function viewDelivery(id) {
+  try {
+    var response = await Api.get("/deliveries/" + id);
+    var d = response.data;
+    Modal.create({
+      title: "Delivery to " + escapeHtml(d.destination),
+      content:
+        '<div style="text-align: left;">' +
+        "<p><strong>Subject:</strong> " +
+        escapeHtml(d.subject || "(No subject)") +
+        "</p>" +
+        "<p><strong>Attempts:</strong> " +
+        d.attempts +
+        (d.responseStatus ? " (last HTTP " + d.responseStatus + ")" : "") +
+        "</p>" +
+        "<p><strong>Reason:</strong> " +
+        escapeHtml(d.deadLetterReason) +
+        "</p>" +
+        (d.error
+          ? "<p><strong>Last error:</strong> " + escapeHtml(d.error) + "</p>"
+          : "") +
+        '<pre style="max-height: 300px; overflow: auto; font-size: 12px;">' +
+        escapeHtml(JSON.stringify(d.payload, null, 2)) +
+        "</pre>" +
+        "</div>",
+      closable: true,
+      buttons: [
+        { text: "Close", class: "btn-outline" },
+        {
+          text: "Replay",
+          class: "btn-primary",
+          onClick: function () {
+            replayDeliveries([d.id]);
+          },
+        },
+      ],
+    });
+  } catch (error) {
+    Modal.error("Load Failed", error.message);
+  }
+}
+
+async function replayDeliveries(ids) {
+  if (ids.length === 0) return;
+  try {
+    var response = await Api.post("/deliveries/replay", { ids: ids });
+    Modal.success("Replay Queued", escapeHtml(response.message));
+    loadDeadLetters();
+    loadRecentLogs();
+  } catch (error) {
+    Modal.error("Replay Failed", error.message);
+  }
+}
+
+function discardDeliveries(ids) {
+  if (ids.length === 0) return;
+  Modal.confirm(
+    "Discard Deliveries",
+    "Discard <strong>" +
+      ids.length +
+      "</strong> dead-lettered " +
+      (ids.length === 1 ? "delivery" : "deliveries") +
+      "? They will not be sent.",
+    async function () {
+      try {
+        await Api.post("/deliveries/discard", { ids: ids });
+        loadDeadLetters();
+        loadRecentLogs();
+      } catch (error) {
+        Modal.error("Discard Failed", error.message);
+      }
+    },
+  );
+}
+
 function logout() {
   Auth.logout();
   window.location.href = "/";
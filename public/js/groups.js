@@ -0,0 +1,460 @@
+// Groups page script
+var groupsList = [];
+
+// Bulk actions: label, permission, confirmation text
+var GROUP_ACTIONS = {
+  enable: {
+    label: "Enable all",
+    permission: "accounts:write",
+    confirm: "Enable every mailbox of",
+  },
+  disable: {
+    label: "Disable all",
+    permission: "accounts:write",
+    confirm: "Disable every mailbox of",
+  },
+  resync: {
+    label: "Resync",
+    permission: "jobs:run",
+    confirm: "Queue a catch-up sync for the connected mailboxes of",
+  },
+  reconnect: {
+    label: "Send reconnect links",
+    permission: "accounts:write",
+    confirm: "Email reconnect links for the failing mailboxes of",
+  },
+};
+
+document.addEventListener("DOMContentLoaded", function () {
+  // Require authentication
+  if (!Auth.requireAuth()) {
+    window.location.href = "/";
+    return;
+  }
+
+  // Setup event listeners
+  document.getElementById("logout-btn").addEventListener("click", function (e) {
+    e.preventDefault();
+    logout();
+  });
+
+  document
+    .getElementById("add-group-btn")
+    .addEventListener("click", function () {
+      openGroupModal(null);
+    });
+
+  loadGroups();
+});
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function findGroup(id) {
+  return groupsList.find(function (g) {
+    return g.id === id;
+  });
+}
+
+function groupBadge(group) {
+  return (
+    '<span class="badge badge-gray"' +
+    (group.color
+      ? ' style="background: ' + group.color + '; color: #fff;"'
+      : "") +
+    ">" +
+    escapeHtml(group.name) +
+    "</span>"
+  );
+}
+
+function formatOverrides(group) {
+  var parts = [];
+  if (group.forwardToEmail) {
+    parts.push("Forward to " + escapeHtml(group.forwardToEmail));
+  }
+  if (group.notifyEmails) {
+    parts.push("Notify " + escapeHtml(group.notifyEmails));
+  }
+  if (parts.length === 0) {
+    return '<span class="text-gray-500">Global settings</span>';
+  }
+  return parts.join("<br>");
+}
+
+async function loadGroups() {
+  var tbody = document.getElementById("groups-table");
+
+  try {
+    var response = await Api.get("/groups");
+    groupsList = response.data || [];
+
+    if (groupsList.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="5" class="text-center text-gray-500">No groups yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = groupsList
+      .map(function (group) {
+        var accounts = group.accounts;
+        return (
+          "<tr>" +
+          '<td class="font-medium">' +
+          groupBadge(group) +
+          (group.description
+            ? '<div class="text-sm text-gray-500">' +
+              escapeHtml(group.description) +
+              "</div>"
+            : "") +
+          "</td>" +
+          '<td class="text-sm">' +
+          group.priority +
+          "</td>" +
+          '<td class="text-sm">' +
+          '<a href="/accounts.html?groupId=' +
+          encodeURIComponent(group.id) +
+          '" title="Show mailboxes">' +
+          '<span class="badge badge-success" title="Connected">' +
+          accounts.connected +
+          "</span> " +
+          '<span class="badge badge-danger" title="Needs reauth / error">' +
+          accounts.failing +
+          "</span> " +
+          '<span class="text-gray-500">of ' +
+          accounts.total +
+          "</span></a>" +
+          (accounts.disabled
+            ? '<div class="text-sm text-gray-500">' +
+              accounts.disabled +
+              " disabled</div>"
+            : "") +
+          "</td>" +
+          '<td class="text-sm">' +
+          formatOverrides(group) +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          '<button class="btn btn-outline btn-sm group-members-btn" data-permission="accounts:write" data-id="' +
+          group.id +
+          '" title="Add or remove mailboxes">👥</button>' +
+          '<button class="btn btn-outline btn-sm group-actions-btn" data-permission="accounts:write" data-id="' +
+          group.id +
+          '" title="Bulk actions">⚡</button>' +
+          '<button class="btn btn-outline btn-sm group-edit-btn" data-permission="accounts:write" data-id="' +
+          group.id +
+          '" title="Edit">✏️</button>' +
+          '<button class="btn btn-danger btn-sm group-delete-btn" data-permission="accounts:write" data-id="' +
+          group.id +
+          '" title="Delete">🗑️</button>' +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    Auth.applyPermissions(tbody);
+    setupGroupEventListeners();
+  } catch (error) {
+    console.error("Failed to load groups:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="5" class="text-center text-gray-500">Failed to load groups: ' +
+      escapeHtml(error.message) +
+      "</td></tr>";
+  }
+}
+
+function setupGroupEventListeners() {
+  document.querySelectorAll(".group-members-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      openMembersModal(findGroup(this.dataset.id));
+    });
+  });
+
+  document.querySelectorAll(".group-actions-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      openActionsModal(findGroup(this.dataset.id));
+    });
+  });
+
+  document.querySelectorAll(".group-edit-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      openGroupModal(findGroup(this.dataset.id));
+    });
+  });
+
+  document.querySelectorAll(".group-delete-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      deleteGroup(findGroup(this.dataset.id));
+    });
+  });
+}
+
+function openGroupModal(group) {
+  var g = group || { priority: 100 };
+  // Overrides replace global settings, so only owners see them
+  var canOverride = Auth.can("settings:write");
+
+  function field(id, label, value, placeholder, type) {
+    return (
+      '<div class="form-group">' +
+      '<label class="form-label" for="' +
+      id +
+      '">' +
+      label +
+      "</label>" +
+      '<input type="' +
+      (type || "text") +
+      '" id="' +
+      id +
+      '" class="form-input" value="' +
+      escapeHtml(value) +
+      '" placeholder="' +
+      escapeHtml(placeholder) +
+      '" />' +
+      "</div>"
+    );
+  }
+
+  var content =
+    '<form id="group-form" style="text-align: left;">' +
+    field("group-name", "Name", g.name, "Store A") +
+    field(
+      "group-description",
+      "Description",
+      g.description,
+      "Mailboxes of the Berlin store",
+    ) +
+    field("group-color", "Color", g.color, "#2563eb") +
+    field(
+      "group-priority",
+      "Priority (lower wins when groups override the same setting)",
+      g.priority,
+      "100",
+      "number",
+    ) +
+    (canOverride
+      ? field(
+          "group-forward",
+          "Forward to (empty = global setting)",
+          g.forwardToEmail,
+          "store-a@example.com",
+          "email",
+        ) +
+        field(
+          "group-notify",
+          "Notify on reconnect (empty = forward address)",
+          g.notifyEmails,
+          "ops@example.com, it@example.com",
+        )
+      : "") +
+    "</form>";
+
+  var modal = Modal.create({
+    title: group ? "Edit Group" : "Add Group",
+    content: content,
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Save Group",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: function () {
+          saveGroup(modal, group, canOverride);
+        },
+      },
+    ],
+  });
+}
+
+async function saveGroup(modal, group, canOverride) {
+  var data = {
+    name: document.getElementById("group-name").value,
+    description: document.getElementById("group-description").value,
+    color: document.getElementById("group-color").value,
+    priority: document.getElementById("group-priority").value || 100,
+  };
+  if (canOverride) {
+    data.forwardToEmail = document.getElementById("group-forward").value;
+    data.notifyEmails = document.getElementById("group-notify").value;
+  }
+
+  try {
+    if (group) {
+      await Api.patch("/groups/" + group.id, data);
+    } else {
+      await Api.post("/groups", data);
+    }
+    Modal.close(modal);
+    loadGroups();
+  } catch (error) {
+    Modal.error("Save Failed", error.message);
+  }
+}
+
+function openMembersModal(group) {
+  var content =
+    '<form id="members-form" style="text-align: left;">' +
+    '<p class="text-sm text-gray-500 mb-4">' +
+    "Mailboxes of <strong>" +
+    escapeHtml(group.name) +
+    '</strong> are listed on the <a href="/accounts.html?groupId=' +
+    encodeURIComponent(group.id) +
+    '">accounts page</a>.</p>' +
+    '<div class="form-group">' +
+    '<label class="form-label" for="members-emails">Mailbox addresses (one per line or comma separated)</label>' +
+    '<textarea id="members-emails" class="form-input" rows="6" placeholder="alice@example.com&#10;bob@example.com"></textarea>' +
+    "</div>" +
+    "</form>";
+
+  var modal = Modal.create({
+    title: "Group Members",
+    content: content,
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Remove",
+        class: "btn-danger",
+        closeOnClick: false,
+        onClick: function () {
+          updateMembers(modal, group, "delete");
+        },
+      },
+      {
+        text: "Add",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: function () {
+          updateMembers(modal, group, "post");
+        },
+      },
+    ],
+  });
+}
+
+async function updateMembers(modal, group, method) {
+  var emails = document.getElementById("members-emails").value;
+  if (!emails.trim()) return;
+
+  try {
+    var response = await Api[method]("/groups/" + group.id + "/members", {
+      emails: emails,
+    });
+    Modal.close(modal);
+    var notFound = (response.data && response.data.notFound) || [];
+    if (notFound.length) {
+      Modal.warning(
+        "Some Mailboxes Not Found",
+        escapeHtml(response.message) +
+          "<br>Not connected: " +
+          escapeHtml(notFound.join(", ")),
+      );
+    } else {
+      Modal.success("Members Updated", escapeHtml(response.message));
+    }
+    loadGroups();
+  } catch (error) {
+    Modal.error("Update Failed", error.message);
+  }
+}
+
+function openActionsModal(group) {
+  var content =
+    '<div style="text-align: left;">' +
+    '<p class="text-sm text-gray-500 mb-4">Applies to the ' +
+    group.accounts.total +
+    " mailbox(es) of <strong>" +
+    escapeHtml(group.name) +
+    "</strong>.</p>" +
+    '<div class="actions">' +
+    Object.keys(GROUP_ACTIONS)
+      .map(function (action) {
+        return (
+          '<button class="btn btn-outline btn-sm group-action" data-permission="' +
+          GROUP_ACTIONS[action].permission +
+          '" data-action="' +
+          action +
+          '">' +
+          GROUP_ACTIONS[action].label +
+          "</button>"
+        );
+      })
+      .join("") +
+    "</div>" +
+    "</div>";
+
+  var modal = Modal.create({
+    title: "Bulk Actions",
+    content: content,
+    closable: true,
+    buttons: [{ text: "Close", class: "btn-outline" }],
+  });
+
+  var root = document.getElementById("modal-container");
+  Auth.applyPermissions(root);
+  root.querySelectorAll(".group-action").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      Modal.close(modal);
+      runAction(group, this.dataset.action);
+    });
+  });
+}
+
+function runAction(group, action) {
+  Modal.confirm(
+    GROUP_ACTIONS[action].label,
+    GROUP_ACTIONS[action].confirm +
+      " <strong>" +
+      escapeHtml(group.name) +
+      "</strong>?",
+    async function () {
+      try {
+        var response = await Api.post("/groups/" + group.id + "/actions", {
+          action: action,
+        });
+        var result = response.data || {};
+        Modal.success(
+          GROUP_ACTIONS[action].label,
+          Object.keys(result)
+            .map(function (key) {
+              return escapeHtml(key) + ": " + result[key];
+            })
+            .join("<br>"),
+        );
+        loadGroups();
+      } catch (error) {
+        Modal.error("Action Failed", error.message);
+      }
+    },
+  );
+}
+
+function deleteGroup(group) {
+  Modal.confirm(
+    "Delete Group",
+    "Are you sure you want to delete <strong>" +
+      escapeHtml(group.name) +
+      "</strong>? Its mailboxes are kept.",
+    async function () {
+      try {
+        await Api.delete("/groups/" + group.id);
+        loadGroups();
+      } catch (error) {
+        Modal.error("Delete Failed", error.message);
+      }
+    },
+  );
+}
+
+function logout() {
+  Auth.logout();
+  window.location.href = "/";
+}
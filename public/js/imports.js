@@ -0,0 +1,401 @@
+// Bulk import page script
+var currentImport = null;
+
+// Connect links issued on this page, by account ID (the API only returns
+// them once)
+var issuedLinks = {};
+
+// Refresh the progress while mailboxes are still connecting
+var POLL_MS = 15000;
+var pollTimer = null;
+
+var SKIP_REASONS = {
+  invalid_email: "Not a valid email address",
+  duplicate_in_list: "Listed more than once",
+  already_exists: "Account already exists",
+};
+
+document.addEventListener("DOMContentLoaded", function () {
+  // Require authentication
+  if (!Auth.requireAuth()) {
+    window.location.href = "/";
+    return;
+  }
+
+  // Setup event listeners
+  document.getElementById("logout-btn").addEventListener("click", function (e) {
+    e.preventDefault();
+    logout();
+  });
+
+  document
+    .getElementById("import-form")
+    .addEventListener("submit", function (e) {
+      e.preventDefault();
+      runImport();
+    });
+
+  document
+    .getElementById("import-file")
+    .addEventListener("change", function () {
+      var file = this.files[0];
+      if (!file) return;
+      var reader = new FileReader();
+      reader.onload = function () {
+        document.getElementById("import-csv").value = reader.result;
+      };
+      reader.readAsText(file);
+    });
+
+  document
+    .getElementById("import-links-btn")
+    .addEventListener("click", issueNewLinks);
+
+  document
+    .getElementById("import-download-btn")
+    .addEventListener("click", downloadLinks);
+
+  loadAppOptions();
+  loadImports();
+
+  var id = new URLSearchParams(window.location.search).get("id");
+  if (id) showImport(id);
+});
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function statusBadge(status) {
+  var badge =
+    status === "CONNECTED"
+      ? "badge-success"
+      : status === "ERROR"
+        ? "badge-danger"
+        : status === "NEEDS_REAUTH"
+          ? "badge-warning"
+          : "badge-info";
+  return '<span class="badge ' + badge + '">' + escapeHtml(status) + "</span>";
+}
+
+async function loadAppOptions() {
+  // Picking an app needs settings:read; others import with the default app
+  if (!Auth.can("settings:read")) return;
+
+  try {
+    var response = await Api.get("/apps");
+    var apps = (response.data || []).filter(function (app) {
+      return app.isEnabled;
+    });
+    if (apps.length < 2) return;
+
+    var select = document.getElementById("import-app");
+    select.innerHTML += apps
+      .map(function (app) {
+        return (
+          '<option value="' +
+          escapeHtml(app.id || "builtin") +
+          '">' +
+          escapeHtml(app.name) +
+          "</option>"
+        );
+      })
+      .join("");
+    select.classList.remove("hidden");
+  } catch (error) {
+    console.error("Failed to load apps:", error);
+  }
+}
+
+async function loadImports() {
+  var tbody = document.getElementById("imports-table");
+
+  try {
+    var response = await Api.get("/accounts/imports");
+    var imports = response.data || [];
+
+    if (imports.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="6" class="text-center text-gray-500">No imports yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = imports
+      .map(function (batch) {
+        var skipped = batch.skipped || [];
+        return (
+          "<tr>" +
+          '<td class="text-sm">' +
+          new Date(batch.createdAt).toLocaleString() +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          escapeHtml(batch.actorEmail || "—") +
+          "</td>" +
+          "<td>" +
+          batch.createdCount +
+          '<span class="text-sm text-gray-500"> of ' +
+          batch.total +
+          "</span></td>" +
+          "<td>" +
+          batch.progress.connected +
+          '<span class="text-sm text-gray-500"> of ' +
+          batch.progress.total +
+          "</span></td>" +
+          "<td>" +
+          skipped.length +
+          "</td>" +
+          '<td style="text-align: right">' +
+          '<button class="btn btn-outline btn-sm import-view-btn" data-id="' +
+          batch.id +
+          '">View</button>' +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    tbody.querySelectorAll(".import-view-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        showImport(this.dataset.id);
+      });
+    });
+  } catch (error) {
+    console.error("Failed to load imports:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="6" class="text-center text-gray-500">Failed to load imports: ' +
+      escapeHtml(error.message) +
+      "</td></tr>";
+  }
+}
+
+async function runImport() {
+  var csv = document.getElementById("import-csv").value;
+  if (!csv.trim()) {
+    Modal.warning("Nothing to Import", "Paste a list or choose a CSV file.");
+    return;
+  }
+
+  var loadingModal = Modal.loading("Importing mailboxes...");
+  try {
+    var response = await Api.post("/accounts/import", {
+      csv: csv,
+      appId: document.getElementById("import-app").value || undefined,
+    });
+    Modal.close(loadingModal);
+
+    var result = response.data;
+    result.accounts.forEach(function (account) {
+      issuedLinks[account.id] = account;
+    });
+
+    document.getElementById("import-form").reset();
+    showSkipped(response.message, result.skipped);
+    showImport(result.import.id);
+    loadImports();
+  } catch (error) {
+    Modal.close(loadingModal);
+    Modal.error("Import Failed", error.message);
+  }
+}
+
+function showSkipped(message, skipped) {
+  if (skipped.length === 0) {
+    Modal.success("Import Complete", escapeHtml(message));
+    return;
+  }
+
+  Modal.warning(
+    "Import Complete",
+    "<p>" +
+      escapeHtml(message) +
+      ". Skipped:</p>" +
+      '<ul class="text-sm" style="text-align: left; max-height: 240px; overflow: auto;">' +
+      skipped
+        .map(function (row) {
+          return (
+            "<li>Line " +
+            row.line +
+            ": <strong>" +
+            escapeHtml(row.email || "(empty)") +
+            "</strong> — " +
+            escapeHtml(SKIP_REASONS[row.reason] || row.reason) +
+            "</li>"
+          );
+        })
+        .join("") +
+      "</ul>",
+  );
+}
+
+async function showImport(id) {
+  if (pollTimer) clearTimeout(pollTimer);
+
+  try {
+    var response = await Api.get("/accounts/imports/" + id);
+    currentImport = response.data;
+  } catch (error) {
+    Modal.error("Import Not Found", error.message);
+    return;
+  }
+
+  if (window.location.search !== "?id=" + id) {
+    history.replaceState(null, "", "/imports?id=" + encodeURIComponent(id));
+  }
+
+  renderProgress();
+
+  if (currentImport.progress.connected < currentImport.progress.total) {
+    pollTimer = setTimeout(function () {
+      showImport(id);
+    }, POLL_MS);
+  }
+}
+
+function renderProgress() {
+  var progress = currentImport.progress;
+  document.getElementById("import-progress").classList.remove("hidden");
+  document.getElementById("import-summary").textContent =
+    progress.connected +
+    " of " +
+    progress.total +
+    " connected, " +
+    progress.pending +
+    " waiting" +
+    (progress.failing ? ", " + progress.failing + " failing" : "") +
+    " · imported " +
+    new Date(currentImport.createdAt).toLocaleString();
+
+  var tbody = document.getElementById("import-accounts-table");
+  if (currentImport.accounts.length === 0) {
+    tbody.innerHTML =
+      '<tr><td colspan="3" class="text-center text-gray-500">No accounts were created by this import</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = currentImport.accounts
+    .map(function (account) {
+      var link = issuedLinks[account.id];
+      return (
+        "<tr>" +
+        "<td>" +
+        '<div class="font-medium">' +
+        escapeHtml(account.email) +
+        "</div>" +
+        '<div class="text-sm text-gray-500">' +
+        escapeHtml(account.displayName || "") +
+        (account.label
+          ? ' <span class="badge badge-gray">' +
+            escapeHtml(account.label) +
+            "</span>"
+          : "") +
+        "</div>" +
+        "</td>" +
+        "<td>" +
+        statusBadge(account.status) +
+        (account.lastError
+          ? '<div class="text-xs text-gray-500 mt-1">' +
+            escapeHtml(account.lastError) +
+            "</div>"
+          : "") +
+        "</td>" +
+        '<td class="text-sm">' +
+        (account.status === "CONNECTED"
+          ? '<span class="text-gray-500">Done</span>'
+          : link
+            ? '<button class="btn btn-outline btn-sm link-copy-btn" data-id="' +
+              account.id +
+              '">Copy link</button>' +
+              '<div class="text-xs text-gray-500 mt-1">Expires ' +
+              new Date(link.expiresAt).toLocaleString() +
+              "</div>"
+            : '<span class="text-gray-500">Issued earlier</span>') +
+        "</td>" +
+        "</tr>"
+      );
+    })
+    .join("");
+
+  tbody.querySelectorAll(".link-copy-btn").forEach(function (btn) {
+    btn.addEventListener("click", async function () {
+      try {
+        await navigator.clipboard.writeText(
+          issuedLinks[this.dataset.id].connectUrl,
+        );
+        this.textContent = "Copied";
+      } catch (error) {
+        window.prompt(
+          "Copy the link:",
+          issuedLinks[this.dataset.id].connectUrl,
+        );
+      }
+    });
+  });
+}
+
+async function issueNewLinks() {
+  if (!currentImport) return;
+
+  Modal.confirm(
+    "New Connect Links",
+    "Issue new links for the mailboxes of this import that are not connected yet? Links sent earlier stay valid until they expire.",
+    async function () {
+      try {
+        var response = await Api.post(
+          "/accounts/imports/" + currentImport.id + "/links",
+        );
+        response.data.forEach(function (account) {
+          issuedLinks[account.id] = account;
+        });
+        renderProgress();
+      } catch (error) {
+        Modal.error("Failed", error.message);
+      }
+    },
+  );
+}
+
+function csvCell(value) {
+  var text = String(value == null ? "" : value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function downloadLinks() {
+  if (!currentImport) return;
+
+  var rows = currentImport.accounts.filter(function (account) {
+    return issuedLinks[account.id] && account.status !== "CONNECTED";
+  });
+  if (rows.length === 0) {
+    Modal.info(
+      "No Links",
+      "Links are only shown when they are issued. Use New links for unconnected to issue fresh ones.",
+    );
+    return;
+  }
+
+  var csv =
+    "email,label,connect_url,expires_at\n" +
+    rows
+      .map(function (account) {
+        var link = issuedLinks[account.id];
+        return [account.email, account.label, link.connectUrl, link.expiresAt]
+          .map(csvCell)
+          .join(",");
+      })
+      .join("\n");
+
+  var a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  a.download = "connect-links-" + currentImport.id + ".csv";
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+function logout() {
+  Auth.logout();
+  window.location.href = "/";
+}
@@ -7,12 +7,38 @@ document.addEventListener("DOMContentLoaded", function () {
   }
 
   const form = document.getElementById("login-form");
+  const twoFactorForm = document.getElementById("twofa-form");
+  const setupForm = document.getElementById("twofa-setup-form");
+  const recoveryStep = document.getElementById("recovery-codes-step");
   const errorAlert = document.getElementById("error-alert");
   const errorText = document.getElementById("error-text");
   const loginBtn = document.getElementById("login-btn");
   const btnText = document.getElementById("btn-text");
   const btnSpinner = document.getElementById("btn-spinner");
 
+  // Short-lived token between the password and the 2FA step
+  let challengeToken = null;
+  let pendingSession = null;
+
+  function showStep(step) {
+    [form, twoFactorForm, setupForm, recoveryStep].forEach(function (el) {
+      el.classList.toggle("hidden", el !== step);
+    });
+    errorAlert.classList.add("hidden");
+    const input = step.querySelector("input");
+    if (input) input.focus();
+  }
+
+  function showError(message) {
+    errorText.textContent = message;
+    errorAlert.classList.remove("hidden");
+  }
+
+  function finishLogin(session) {
+    Auth.login(session.token, session.user);
+    window.location.href = "/dashboard.html";
+  }
+
   form.addEventListener("submit", async function (e) {
     e.preventDefault();
 
@@ -28,19 +54,88 @@ document.addEventListener("DOMContentLoaded", function () {
     try {
       const response = await Api.post("/auth/login", { email, password });
 
-      if (response.success) {
-        Auth.login(response.data.token, response.data.user);
-        window.location.href = "/dashboard.html";
-      } else {
+      if (!response.success) {
         throw new Error(response.message || "Login failed");
       }
+
+      const data = response.data;
+      if (data.twoFactorRequired) {
+        challengeToken = data.challengeToken;
+        showStep(twoFactorForm);
+      } else if (data.twoFactorSetupRequired) {
+        challengeToken = data.challengeToken;
+        await startSetup();
+      } else {
+        finishLogin(data);
+      }
     } catch (error) {
-      errorText.textContent = error.message || "Invalid email or password";
-      errorAlert.classList.remove("hidden");
+      showError(error.message || "Invalid email or password");
     } finally {
       loginBtn.disabled = false;
       btnText.textContent = "Sign In";
       btnSpinner.classList.add("hidden");
     }
   });
+
+  twoFactorForm.addEventListener("submit", async function (e) {
+    e.preventDefault();
+
+    try {
+      const response = await Api.post("/auth/login/2fa", {
+        challengeToken,
+        code: document.getElementById("twofa-code").value.trim(),
+      });
+
+      if (response.data.recoveryCodesLeft === 0) {
+        alert(
+          "You used your last recovery code. Generate new ones in Settings.",
+        );
+      }
+      finishLogin(response.data);
+    } catch (error) {
+      showError(error.message || "Invalid verification code");
+    }
+  });
+
+  async function startSetup() {
+    const response = await Api.post("/auth/2fa/setup", { challengeToken });
+
+    document.getElementById("twofa-secret").textContent = response.data.secret
+      .replace(/(.{4})/g, "$1 ")
+      .trim();
+    document.getElementById("twofa-uri").href = response.data.otpauthUrl;
+    showStep(setupForm);
+  }
+
+  setupForm.addEventListener("submit", async function (e) {
+    e.preventDefault();
+
+    try {
+      const response = await Api.post("/auth/2fa/enable", {
+        challengeToken,
+        code: document.getElementById("twofa-setup-code").value.trim(),
+      });
+
+      pendingSession = response.data;
+      document.getElementById("recovery-codes").textContent =
+        response.data.recoveryCodes.join("\n");
+      showStep(recoveryStep);
+    } catch (error) {
+      showError(error.message || "Invalid verification code");
+    }
+  });
+
+  document
+    .getElementById("recovery-codes-done-btn")
+    .addEventListener("click", function () {
+      finishLogin(pendingSession);
+    });
+
+  document.querySelectorAll(".twofa-back-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      challengeToken = null;
+      document.getElementById("password").value = "";
+      showStep(form);
+    });
+  });
 });
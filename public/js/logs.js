@@ -2,6 +2,13 @@
 var currentPage = 1;
 var pageSize = 20;
 
+// How FORWARD rules sent a message
+var FORWARD_MODE_LABELS = {
+  FORWARD: "Forwarded",
+  CREATE_FORWARD: "Forwarded (new subject)",
+  RESEND: "Re-sent",
+};
+
 document.addEventListener("DOMContentLoaded", function () {
   // Require authentication
   if (!Auth.requireAuth()) {
@@ -20,6 +27,13 @@ document.addEventListener("DOMContentLoaded", function () {
     loadLogs();
   });
 
+  var groupSelect = document.getElementById("log-group");
+  groupSelect.addEventListener("change", function () {
+    currentPage = 1;
+    loadLogs();
+  });
+  loadGroupOptions(groupSelect);
+
   document
     .getElementById("refresh-logs-btn")
     .addEventListener("click", loadLogs);
@@ -30,14 +44,30 @@ document.addEventListener("DOMContentLoaded", function () {
   loadLogs();
 });
 
+async function loadGroupOptions(select) {
+  try {
+    var response = await Api.get("/groups");
+    (response.data || []).forEach(function (group) {
+      var option = document.createElement("option");
+      option.value = group.id;
+      option.textContent = group.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error("Failed to load groups:", error);
+  }
+}
+
 async function loadLogs() {
   var logType = document.getElementById("log-type").value;
+  var groupId = document.getElementById("log-group").value;
   var tbody = document.getElementById("logs-table");
   var tableHeader = document.getElementById("table-header");
 
   try {
     // Both message and system logs use the same endpoint now
     var endpoint = "/logs?page=" + currentPage + "&limit=" + pageSize;
+    if (groupId) endpoint += "&groupId=" + encodeURIComponent(groupId);
 
     var response = await Api.get(endpoint);
 
@@ -99,7 +129,15 @@ async function loadLogs() {
               statusClass +
               '">' +
               status +
-              "</span></td>" +
+              "</span>" +
+              (log.forwardedTo && status === "FORWARDED"
+                ? '<div class="text-xs text-gray-500 mt-1">' +
+                  (FORWARD_MODE_LABELS[log.forwardMode] || "Sent") +
+                  " to " +
+                  log.forwardedTo +
+                  "</div>"
+                : "") +
+              "</td>" +
               "</tr>"
             );
           })
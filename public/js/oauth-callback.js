@@ -9,6 +9,8 @@ async function handleCallback() {
   var code = urlParams.get("code");
   var error = urlParams.get("error");
   var errorDescription = urlParams.get("error_description");
+  // "state": the sign-in could not be matched to one started here
+  var reason = urlParams.get("reason");
 
   // Check for success redirect (from server after OAuth complete)
   var success = urlParams.get("success");
@@ -32,6 +34,10 @@ async function handleCallback() {
     // OAuth error
     loadingState.classList.add("hidden");
     errorState.classList.remove("hidden");
+    if (reason === "state") {
+      document.getElementById("error-title").textContent =
+        "Sign-in Not Verified";
+    }
     document.getElementById("error-message").textContent =
       errorDescription || error;
     return;
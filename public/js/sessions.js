@@ -0,0 +1,146 @@
+// Sessions page script
+var sessionsList = [];
+
+document.addEventListener("DOMContentLoaded", function () {
+  // Require authentication
+  if (!Auth.requireAuth()) {
+    window.location.href = "/";
+    return;
+  }
+
+  // Setup event listeners
+  document.getElementById("logout-btn").addEventListener("click", function (e) {
+    e.preventDefault();
+    logout();
+  });
+
+  document
+    .getElementById("revoke-all-btn")
+    .addEventListener("click", revokeAllSessions);
+
+  loadSessions();
+});
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function findSession(id) {
+  return sessionsList.find(function (s) {
+    return s.id === id;
+  });
+}
+
+async function loadSessions() {
+  var tbody = document.getElementById("sessions-table");
+
+  try {
+    var response = await Api.get("/auth/sessions");
+    sessionsList = response.data || [];
+
+    if (sessionsList.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="5" class="text-center text-gray-500">No active sessions</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = sessionsList
+      .map(function (session) {
+        return (
+          "<tr>" +
+          '<td class="font-medium" title="' +
+          escapeHtml(session.userAgent) +
+          '">' +
+          escapeHtml(session.device) +
+          (session.current
+            ? ' <span class="badge badge-info">This browser</span>'
+            : "") +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          escapeHtml(session.ipAddress || "—") +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          new Date(session.createdAt).toLocaleString() +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          new Date(session.lastUsedAt).toLocaleString() +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          '<button class="btn btn-outline btn-sm session-revoke-btn" data-id="' +
+          session.id +
+          '">Sign Out</button>' +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    document.querySelectorAll(".session-revoke-btn").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        revokeSession(btn.dataset.id);
+      });
+    });
+  } catch (error) {
+    console.error("Failed to load sessions:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="5" class="text-center text-gray-500">Failed to load sessions: ' +
+      escapeHtml(error.message) +
+      "</td></tr>";
+  }
+}
+
+function revokeSession(id) {
+  var session = findSession(id);
+  var current = session && session.current;
+
+  Modal.confirm(
+    "Sign Out Session",
+    current
+      ? "Sign out of <strong>this browser</strong>?"
+      : "Sign out <strong>" +
+          escapeHtml(session ? session.device : "this session") +
+          "</strong>" +
+          (session && session.ipAddress
+            ? " (" + escapeHtml(session.ipAddress) + ")"
+            : "") +
+          "?",
+    async function () {
+      try {
+        await Api.delete("/auth/sessions/" + id);
+        if (current) {
+          logout();
+          return;
+        }
+        loadSessions();
+      } catch (error) {
+        Modal.error("Sign Out Failed", error.message);
+      }
+    },
+  );
+}
+
+function revokeAllSessions() {
+  Modal.confirm(
+    "Sign Out Everywhere",
+    "Sign out of <strong>every</strong> browser and device, including this one? You will need to sign in again.",
+    async function () {
+      try {
+        await Api.post("/auth/sessions/revoke-all");
+        logout();
+      } catch (error) {
+        Modal.error("Sign Out Failed", error.message);
+      }
+    },
+  );
+}
+
+function logout() {
+  Auth.logout();
+  window.location.href = "/";
+}
@@ -21,6 +21,28 @@ document.addEventListener("DOMContentLoaded", function () {
   document
     .getElementById("test-forward-btn")
     .addEventListener("click", testForward);
+  document
+    .getElementById("twofa-enable-btn")
+    .addEventListener("click", startTwoFactorSetup);
+  document
+    .getElementById("twofa-disable-btn")
+    .addEventListener("click", disableTwoFactor);
+  document
+    .getElementById("twofa-recovery-btn")
+    .addEventListener("click", regenerateRecoveryCodes);
+  document
+    .getElementById("require-2fa-toggle")
+    .addEventListener("change", handleRequireTwoFactorChange);
+  document
+    .getElementById("add-rule-btn")
+    .addEventListener("click", function () {
+      openRuleModal(null);
+    });
+  document
+    .getElementById("add-destination-btn")
+    .addEventListener("click", function () {
+      openDestinationModal(null);
+    });
 
   // Load user info
   var user = Auth.getUser();
@@ -34,6 +56,9 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // Load system config
   loadConfig();
+  loadTwoFactorStatus();
+  loadRules();
+  loadDestinations();
   // loadWorkerStatus();
 });
 
@@ -50,6 +75,8 @@ async function loadConfig() {
       //   forwardEmail;
       document.getElementById("forward-to-email").value =
         forwardEmail !== "Not configured" ? forwardEmail : "";
+      document.getElementById("require-2fa-toggle").checked =
+        !!response.data.require2fa;
       // document.getElementById("forward-method-display").textContent =
       //   response.data.forwardMethod || "Graph API";
       // document.getElementById("sync-interval-display").textContent = response
@@ -182,7 +209,7 @@ async function handlePasswordChange(e) {
     if (response.success) {
       Modal.success(
         "Password Updated",
-        "Your password has been changed successfully.",
+        "Your password has been changed. Other browsers and devices were signed out.",
         function () {
           document.getElementById("password-form").reset();
         },
@@ -196,6 +223,993 @@ async function handlePasswordChange(e) {
   }
 }
 
+// ---------------- Two-Factor Authentication ----------------
+
+var twoFactorStatus = null;
+
+async function loadTwoFactorStatus() {
+  try {
+    var response = await Api.get("/auth/2fa");
+    twoFactorStatus = response.data;
+
+    var statusEl = document.getElementById("twofa-status");
+    var description = document.getElementById("twofa-description");
+    if (twoFactorStatus.enabled) {
+      statusEl.textContent = "On";
+      statusEl.className = "badge badge-success";
+      description.textContent =
+        "Enabled " +
+        new Date(twoFactorStatus.enabledAt).toLocaleDateString() +
+        " · " +
+        twoFactorStatus.recoveryCodesLeft +
+        " recovery codes left.";
+    } else {
+      statusEl.textContent = "Off";
+      statusEl.className = "badge badge-warning";
+      description.textContent =
+        "Require a code from an authenticator app when you sign in.";
+    }
+
+    document
+      .getElementById("twofa-enable-btn")
+      .classList.toggle("hidden", twoFactorStatus.enabled);
+    document
+      .getElementById("twofa-recovery-btn")
+      .classList.toggle("hidden", !twoFactorStatus.enabled);
+    // Cannot be turned off while the admin setting makes it mandatory
+    document
+      .getElementById("twofa-disable-btn")
+      .classList.toggle(
+        "hidden",
+        !twoFactorStatus.enabled || twoFactorStatus.required,
+      );
+  } catch (error) {
+    console.error("Failed to load 2FA status:", error);
+  }
+}
+
+function codeField(id, label) {
+  return (
+    '<div class="form-group">' +
+    '<label class="form-label" for="' +
+    id +
+    '">' +
+    label +
+    "</label>" +
+    '<input type="text" id="' +
+    id +
+    '" class="form-input" autocomplete="one-time-code" placeholder="123456" />' +
+    "</div>"
+  );
+}
+
+function showRecoveryCodes(codes) {
+  Modal.create({
+    title: "Recovery Codes",
+    content:
+      '<div style="text-align: left;">' +
+      '<p class="text-sm text-gray-500 mb-4">Save these codes somewhere safe. Each one signs you in once if you lose your phone. They are not shown again.</p>' +
+      '<pre class="form-input" style="font-family: monospace;">' +
+      escapeHtml(codes.join("\n")) +
+      "</pre>" +
+      "</div>",
+    closable: false,
+    buttons: [{ text: "I saved them", class: "btn-primary" }],
+  });
+}
+
+async function startTwoFactorSetup() {
+  try {
+    var response = await Api.post("/auth/2fa/setup");
+    var setup = response.data;
+
+    var modal = Modal.create({
+      title: "Enable Two-Factor Authentication",
+      content:
+        '<div style="text-align: left;">' +
+        '<p class="text-sm text-gray-500 mb-4">Add this key to your authenticator app (Google Authenticator, 1Password, ...), then enter the code it shows.</p>' +
+        '<div class="form-group">' +
+        '<label class="form-label">Setup Key</label>' +
+        '<div class="form-input font-medium" style="font-family: monospace;">' +
+        escapeHtml(setup.secret.replace(/(.{4})/g, "$1 ").trim()) +
+        "</div>" +
+        '<a class="text-sm" href="' +
+        escapeHtml(setup.otpauthUrl) +
+        '">Open in authenticator app</a>' +
+        "</div>" +
+        codeField("twofa-setup-code", "Verification Code") +
+        "</div>",
+      closable: true,
+      buttons: [
+        { text: "Cancel", class: "btn-outline" },
+        {
+          text: "Enable",
+          class: "btn-primary",
+          closeOnClick: false,
+          onClick: async function () {
+            try {
+              var result = await Api.post("/auth/2fa/enable", {
+                code: document.getElementById("twofa-setup-code").value.trim(),
+              });
+              Modal.close(modal);
+              loadTwoFactorStatus();
+              showRecoveryCodes(result.data.recoveryCodes);
+            } catch (error) {
+              Modal.error("Enable Failed", error.message);
+            }
+          },
+        },
+      ],
+    });
+  } catch (error) {
+    Modal.error("Setup Failed", error.message);
+  }
+}
+
+function disableTwoFactor() {
+  var modal = Modal.create({
+    title: "Disable Two-Factor Authentication",
+    content:
+      '<div style="text-align: left;">' +
+      '<div class="form-group">' +
+      '<label class="form-label" for="twofa-disable-password">Password</label>' +
+      '<input type="password" id="twofa-disable-password" class="form-input" placeholder="••••••••" />' +
+      "</div>" +
+      codeField("twofa-disable-code", "Code or recovery code") +
+      "</div>",
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Disable",
+        class: "btn-danger",
+        closeOnClick: false,
+        onClick: async function () {
+          try {
+            await Api.post("/auth/2fa/disable", {
+              password: document.getElementById("twofa-disable-password").value,
+              code: document.getElementById("twofa-disable-code").value.trim(),
+            });
+            Modal.close(modal);
+            loadTwoFactorStatus();
+            Modal.success(
+              "2FA Disabled",
+              "Two-factor authentication is now off for your account.",
+            );
+          } catch (error) {
+            Modal.error("Disable Failed", error.message);
+          }
+        },
+      },
+    ],
+  });
+}
+
+function regenerateRecoveryCodes() {
+  var modal = Modal.create({
+    title: "New Recovery Codes",
+    content:
+      '<div style="text-align: left;">' +
+      '<p class="text-sm text-gray-500 mb-4">Your old recovery codes stop working.</p>' +
+      codeField("twofa-recovery-code", "Current code") +
+      "</div>",
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Generate",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: async function () {
+          try {
+            var result = await Api.post("/auth/2fa/recovery-codes", {
+              code: document.getElementById("twofa-recovery-code").value.trim(),
+            });
+            Modal.close(modal);
+            loadTwoFactorStatus();
+            showRecoveryCodes(result.data.recoveryCodes);
+          } catch (error) {
+            Modal.error("Failed", error.message);
+          }
+        },
+      },
+    ],
+  });
+}
+
+async function handleRequireTwoFactorChange(e) {
+  var toggle = e.target;
+
+  try {
+    var response = await Api.post("/dashboard/config/security", {
+      require2fa: toggle.checked,
+    });
+    Modal.success("Security Updated", response.message);
+    loadTwoFactorStatus();
+  } catch (error) {
+    toggle.checked = !toggle.checked;
+    Modal.error("Update Failed", error.message);
+  }
+}
+
+// ---------------- Forwarding Rules ----------------
+
+var RULE_ACTION_LABELS = {
+  SKIP: "Skip",
+  FORWARD: "Forward (Graph)",
+  API: "Send to API",
+  SMTP: "SMTP relay",
+};
+
+var FORWARD_MODE_LABELS = {
+  FORWARD: "Graph forward with comment",
+  CREATE_FORWARD: "Forward with rewritten subject",
+  RESEND: "Re-send copy with attachments",
+};
+
+var rulesList = [];
+var ruleAccounts = null;
+var ruleGroups = null;
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function describeRuleConditions(rule) {
+  var parts = [];
+  if (rule.fromAddress) parts.push("from: " + rule.fromAddress);
+  if (rule.fromDomain) parts.push("domain: " + rule.fromDomain);
+  if (rule.subjectPattern)
+    parts.push("subject ~ /" + rule.subjectPattern + "/");
+  if (rule.toAddress) parts.push("to: " + rule.toAddress);
+  if (rule.account) parts.push("mailbox: " + rule.account.email);
+  if (rule.group) parts.push("group: " + rule.group.name);
+  if (rule.bodyContains)
+    parts.push('body contains "' + rule.bodyContains + '"');
+  return parts.length ? parts.map(escapeHtml).join("<br>") : "Any message";
+}
+
+async function loadRules() {
+  var tbody = document.getElementById("rules-table");
+
+  try {
+    var response = await Api.get("/rules");
+    rulesList = response.data || [];
+
+    if (rulesList.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="6" class="text-center text-gray-500">No rules yet. All messages are skipped.</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = rulesList
+      .map(function (rule, i) {
+        return (
+          "<tr>" +
+          '<td><div class="flex gap-2" data-permission="rules:write">' +
+          '<button class="btn btn-outline btn-sm rule-move-btn" data-index="' +
+          i +
+          '" data-dir="-1" title="Move up"' +
+          (i === 0 ? " disabled" : "") +
+          ">↑</button>" +
+          '<button class="btn btn-outline btn-sm rule-move-btn" data-index="' +
+          i +
+          '" data-dir="1" title="Move down"' +
+          (i === rulesList.length - 1 ? " disabled" : "") +
+          ">↓</button>" +
+          "</div></td>" +
+          '<td class="font-medium">' +
+          escapeHtml(rule.name) +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          describeRuleConditions(rule) +
+          "</td>" +
+          '<td><span class="badge ' +
+          (rule.action === "SKIP" ? "badge-gray" : "badge-info") +
+          '">' +
+          (RULE_ACTION_LABELS[rule.action] || rule.action) +
+          "</span>" +
+          (rule.action === "FORWARD"
+            ? '<div class="text-xs text-gray-500 mt-1">' +
+              (FORWARD_MODE_LABELS[rule.forwardMode] || "") +
+              "</div>"
+            : "") +
+          (rule.action === "API" &&
+          rule.destinations &&
+          rule.destinations.length
+            ? '<div class="text-xs text-gray-500 mt-1">→ ' +
+              rule.destinations
+                .map(function (d) {
+                  return escapeHtml(d.name);
+                })
+                .join(", ") +
+              "</div>"
+            : "") +
+          "</td>" +
+          "<td>" +
+          '<label class="toggle">' +
+          '<input type="checkbox" class="rule-toggle" data-permission="rules:write" data-id="' +
+          rule.id +
+          '" ' +
+          (rule.isEnabled ? "checked" : "") +
+          ">" +
+          '<span class="toggle-slider"></span>' +
+          "</label>" +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          '<button class="btn btn-outline btn-sm rule-edit-btn" data-permission="rules:write" data-id="' +
+          rule.id +
+          '" title="Edit">✏️</button>' +
+          '<button class="btn btn-danger btn-sm rule-delete-btn" data-permission="rules:write" data-id="' +
+          rule.id +
+          '" title="Delete">🗑️</button>' +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    Auth.applyPermissions(tbody);
+    setupRuleEventListeners();
+  } catch (error) {
+    console.error("Failed to load rules:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="6" class="text-center text-gray-500">Failed to load rules.</td></tr>';
+  }
+}
+
+function setupRuleEventListeners() {
+  document.querySelectorAll(".rule-move-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      moveRule(
+        parseInt(this.dataset.index, 10),
+        parseInt(this.dataset.dir, 10),
+      );
+    });
+  });
+
+  document.querySelectorAll(".rule-toggle").forEach(function (toggle) {
+    toggle.addEventListener("change", async function () {
+      try {
+        await Api.patch("/rules/" + this.dataset.id, {
+          isEnabled: this.checked,
+        });
+      } catch (error) {
+        Modal.error("Update Failed", error.message);
+      }
+      loadRules();
+    });
+  });
+
+  document.querySelectorAll(".rule-edit-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      var id = this.dataset.id;
+      openRuleModal(
+        rulesList.find(function (r) {
+          return r.id === id;
+        }),
+      );
+    });
+  });
+
+  document.querySelectorAll(".rule-delete-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      deleteRule(this.dataset.id);
+    });
+  });
+}
+
+async function moveRule(index, dir) {
+  var target = index + dir;
+  if (target < 0 || target >= rulesList.length) return;
+
+  var ids = rulesList.map(function (r) {
+    return r.id;
+  });
+  var moved = ids.splice(index, 1)[0];
+  ids.splice(target, 0, moved);
+
+  try {
+    await Api.post("/rules/reorder", { ids: ids });
+  } catch (error) {
+    Modal.error("Reorder Failed", error.message);
+  }
+  loadRules();
+}
+
+async function loadRuleAccounts() {
+  if (ruleAccounts) return ruleAccounts;
+  try {
+    var response = await Api.get("/accounts?limit=200");
+    ruleAccounts = response.data?.accounts || [];
+  } catch (error) {
+    console.error("Failed to load accounts:", error);
+    ruleAccounts = [];
+  }
+  return ruleAccounts;
+}
+
+async function loadRuleGroups() {
+  if (ruleGroups) return ruleGroups;
+  try {
+    var response = await Api.get("/groups");
+    ruleGroups = response.data || [];
+  } catch (error) {
+    console.error("Failed to load groups:", error);
+    ruleGroups = [];
+  }
+  return ruleGroups;
+}
+
+async function openRuleModal(rule) {
+  var r = rule || { action: "API", isEnabled: true };
+  var accounts = await loadRuleAccounts();
+  var groups = await loadRuleGroups();
+  var selectedDestinations = (r.destinations || []).map(function (d) {
+    return d.id;
+  });
+
+  var destinationOptions = destinationsList.length
+    ? destinationsList
+        .map(function (d) {
+          return (
+            '<label class="flex items-center gap-2 text-sm">' +
+            '<input type="checkbox" class="rule-destination" value="' +
+            d.id +
+            '"' +
+            (selectedDestinations.indexOf(d.id) !== -1 ? " checked" : "") +
+            " /> " +
+            escapeHtml(d.name) +
+            "</label>"
+          );
+        })
+        .join("")
+    : '<p class="text-sm text-gray-500">No destinations yet (uses the default STEAM_API_URL).</p>';
+
+  var actionOptions = Object.keys(RULE_ACTION_LABELS)
+    .map(function (key) {
+      return (
+        '<option value="' +
+        key +
+        '"' +
+        (r.action === key ? " selected" : "") +
+        ">" +
+        RULE_ACTION_LABELS[key] +
+        "</option>"
+      );
+    })
+    .join("");
+
+  var forwardModeOptions = Object.keys(FORWARD_MODE_LABELS)
+    .map(function (key) {
+      return (
+        '<option value="' +
+        key +
+        '"' +
+        ((r.forwardMode || "FORWARD") === key ? " selected" : "") +
+        ">" +
+        FORWARD_MODE_LABELS[key] +
+        "</option>"
+      );
+    })
+    .join("");
+
+  var accountOptions =
+    '<option value="">All mailboxes</option>' +
+    accounts
+      .map(function (a) {
+        return (
+          '<option value="' +
+          a.id +
+          '"' +
+          (r.accountId === a.id ? " selected" : "") +
+          ">" +
+          escapeHtml(a.email) +
+          "</option>"
+        );
+      })
+      .join("");
+
+  var groupOptions =
+    '<option value="">All groups</option>' +
+    groups
+      .map(function (g) {
+        return (
+          '<option value="' +
+          g.id +
+          '"' +
+          (r.groupId === g.id ? " selected" : "") +
+          ">" +
+          escapeHtml(g.name) +
+          "</option>"
+        );
+      })
+      .join("");
+
+  function textField(id, label, value, placeholder) {
+    return (
+      '<div class="form-group">' +
+      '<label class="form-label" for="' +
+      id +
+      '">' +
+      label +
+      "</label>" +
+      '<input type="text" id="' +
+      id +
+      '" class="form-input" value="' +
+      escapeHtml(value) +
+      '" placeholder="' +
+      placeholder +
+      '" />' +
+      "</div>"
+    );
+  }
+
+  var content =
+    '<form id="rule-form" style="text-align: left;">' +
+    textField("rule-name", "Name", r.name, "Steam Guard codes") +
+    textField(
+      "rule-from-address",
+      "Sender address(es)",
+      r.fromAddress,
+      "noreply@steampowered.com, ...",
+    ) +
+    textField(
+      "rule-from-domain",
+      "Sender domain(s)",
+      r.fromDomain,
+      "steampowered.com, ...",
+    ) +
+    textField(
+      "rule-subject-pattern",
+      "Subject regex",
+      r.subjectPattern,
+      "from new computer",
+    ) +
+    textField(
+      "rule-to-address",
+      "Recipient address(es)",
+      r.toAddress,
+      "user@outlook.com, ...",
+    ) +
+    textField(
+      "rule-body-contains",
+      "Body contains",
+      r.bodyContains,
+      "verification code",
+    ) +
+    '<div class="form-group">' +
+    '<label class="form-label" for="rule-account">Mailbox</label>' +
+    '<select id="rule-account" class="form-select">' +
+    accountOptions +
+    "</select>" +
+    "</div>" +
+    '<div class="form-group">' +
+    '<label class="form-label" for="rule-group">Group</label>' +
+    '<select id="rule-group" class="form-select">' +
+    groupOptions +
+    "</select>" +
+    "</div>" +
+    '<div class="form-group">' +
+    '<label class="form-label" for="rule-action">Action</label>' +
+    '<select id="rule-action" class="form-select">' +
+    actionOptions +
+    "</select>" +
+    "</div>" +
+    '<div id="rule-forward-options">' +
+    '<div class="form-group">' +
+    '<label class="form-label" for="rule-forward-mode">Forward mode</label>' +
+    '<select id="rule-forward-mode" class="form-select">' +
+    forwardModeOptions +
+    "</select>" +
+    "</div>" +
+    textField(
+      "rule-forward-comment",
+      "Comment (placeholders: {{subject}}, {{from}}, {{mailbox}})",
+      r.forwardComment,
+      "Received by {{mailbox}}",
+    ) +
+    textField(
+      "rule-forward-subject",
+      "Subject (rewritten subject and re-send modes)",
+      r.forwardSubject,
+      "[{{mailbox}}] {{subject}}",
+    ) +
+    "</div>" +
+    '<div class="form-group">' +
+    '<label class="form-label">API destinations</label>' +
+    destinationOptions +
+    "</div>" +
+    "</form>";
+
+  var modal = Modal.create({
+    title: rule ? "Edit Rule" : "Add Rule",
+    content: content,
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Save Rule",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: function () {
+          saveRule(modal, rule);
+        },
+      },
+    ],
+  });
+
+  // Forward options only apply to FORWARD rules
+  var actionSelect = document.getElementById("rule-action");
+  function toggleForwardOptions() {
+    document.getElementById("rule-forward-options").style.display =
+      actionSelect.value === "FORWARD" ? "" : "none";
+  }
+  actionSelect.addEventListener("change", toggleForwardOptions);
+  toggleForwardOptions();
+}
+
+async function saveRule(modal, rule) {
+  var data = {
+    name: document.getElementById("rule-name").value,
+    fromAddress: document.getElementById("rule-from-address").value,
+    fromDomain: document.getElementById("rule-from-domain").value,
+    subjectPattern: document.getElementById("rule-subject-pattern").value,
+    toAddress: document.getElementById("rule-to-address").value,
+    bodyContains: document.getElementById("rule-body-contains").value,
+    accountId: document.getElementById("rule-account").value || null,
+    groupId: document.getElementById("rule-group").value || null,
+    action: document.getElementById("rule-action").value,
+    forwardMode: document.getElementById("rule-forward-mode").value,
+    forwardComment: document.getElementById("rule-forward-comment").value,
+    forwardSubject: document.getElementById("rule-forward-subject").value,
+    destinationIds: Array.prototype.map.call(
+      document.querySelectorAll(".rule-destination:checked"),
+      function (el) {
+        return el.value;
+      },
+    ),
+  };
+
+  if (!data.name.trim()) {
+    Modal.warning("Validation Error", "Please enter a rule name.");
+    return;
+  }
+
+  try {
+    if (rule) {
+      await Api.patch("/rules/" + rule.id, data);
+    } else {
+      await Api.post("/rules", data);
+    }
+    Modal.close(modal);
+    loadRules();
+  } catch (error) {
+    Modal.error("Save Failed", error.message);
+  }
+}
+
+function deleteRule(id) {
+  var rule = rulesList.find(function (r) {
+    return r.id === id;
+  });
+
+  Modal.confirm(
+    "Delete Rule",
+    "Are you sure you want to delete <strong>" +
+      escapeHtml(rule ? rule.name : "this rule") +
+      "</strong>?",
+    async function () {
+      try {
+        await Api.delete("/rules/" + id);
+        loadRules();
+      } catch (error) {
+        Modal.error("Delete Failed", error.message);
+      }
+    },
+  );
+}
+
+// ---------------- API Destinations ----------------
+
+var destinationsList = [];
+
+async function loadDestinations() {
+  var tbody = document.getElementById("destinations-table");
+
+  try {
+    var response = await Api.get("/destinations");
+    destinationsList = response.data || [];
+
+    if (destinationsList.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="5" class="text-center text-gray-500">No destinations. API rules use the default STEAM_API_URL.</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = destinationsList
+      .map(function (d) {
+        return (
+          "<tr>" +
+          '<td class="font-medium">' +
+          escapeHtml(d.name) +
+          (d.hasSecret
+            ? ""
+            : ' <span class="badge badge-warning">unsigned</span>') +
+          "</td>" +
+          '<td class="text-sm text-gray-500 truncate" style="max-width: 260px;">' +
+          escapeHtml(d.url) +
+          "</td>" +
+          '<td class="text-sm">' +
+          '<span class="badge badge-success" title="Delivered">' +
+          d.stats.delivered +
+          "</span> " +
+          '<span class="badge badge-warning" title="Pending / retrying">' +
+          (d.stats.pending + d.stats.failed) +
+          "</span> " +
+          '<span class="badge badge-danger" title="Dead-lettered">' +
+          d.stats.deadLetter +
+          "</span>" +
+          "</td>" +
+          "<td>" +
+          '<label class="toggle">' +
+          '<input type="checkbox" class="destination-toggle" data-permission="settings:write" data-id="' +
+          d.id +
+          '" ' +
+          (d.isEnabled ? "checked" : "") +
+          ">" +
+          '<span class="toggle-slider"></span>' +
+          "</label>" +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          '<button class="btn btn-outline btn-sm destination-test-btn" data-permission="jobs:run" data-id="' +
+          d.id +
+          '" title="Send test event">🧪</button>' +
+          '<button class="btn btn-outline btn-sm destination-edit-btn" data-permission="settings:write" data-id="' +
+          d.id +
+          '" title="Edit">✏️</button>' +
+          '<button class="btn btn-danger btn-sm destination-delete-btn" data-permission="settings:write" data-id="' +
+          d.id +
+          '" title="Delete">🗑️</button>' +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    Auth.applyPermissions(tbody);
+    setupDestinationEventListeners();
+  } catch (error) {
+    console.error("Failed to load destinations:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="5" class="text-center text-gray-500">Failed to load destinations.</td></tr>';
+  }
+}
+
+function findDestination(id) {
+  return destinationsList.find(function (d) {
+    return d.id === id;
+  });
+}
+
+function setupDestinationEventListeners() {
+  document.querySelectorAll(".destination-toggle").forEach(function (toggle) {
+    toggle.addEventListener("change", async function () {
+      try {
+        await Api.patch("/destinations/" + this.dataset.id, {
+          isEnabled: this.checked,
+        });
+      } catch (error) {
+        Modal.error("Update Failed", error.message);
+      }
+      loadDestinations();
+    });
+  });
+
+  document.querySelectorAll(".destination-test-btn").forEach(function (btn) {
+    btn.addEventListener("click", async function () {
+      var loadingModal = Modal.loading("Sending test event...");
+      try {
+        var response = await Api.post(
+          "/destinations/" + this.dataset.id + "/test",
+        );
+        Modal.close(loadingModal);
+        if (response.success) {
+          Modal.success("Test Delivered", escapeHtml(response.message));
+        } else {
+          Modal.error("Test Failed", escapeHtml(response.message));
+        }
+      } catch (error) {
+        Modal.close(loadingModal);
+        Modal.error("Test Failed", error.message);
+      }
+      loadDestinations();
+    });
+  });
+
+  document.querySelectorAll(".destination-edit-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      openDestinationModal(findDestination(this.dataset.id));
+    });
+  });
+
+  document.querySelectorAll(".destination-delete-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      var destination = findDestination(this.dataset.id);
+      var id = this.dataset.id;
+      Modal.confirm(
+        "Delete Destination",
+        "Are you sure you want to delete <strong>" +
+          escapeHtml(destination ? destination.name : "this destination") +
+          "</strong>? Its delivery history will be removed.",
+        async function () {
+          try {
+            await Api.delete("/destinations/" + id);
+            loadDestinations();
+            loadRules();
+          } catch (error) {
+            Modal.error("Delete Failed", error.message);
+          }
+        },
+      );
+    });
+  });
+}
+
+function openDestinationModal(destination) {
+  var d = destination || { timeoutMs: 5000 };
+
+  function field(id, label, value, placeholder, type) {
+    return (
+      '<div class="form-group">' +
+      '<label class="form-label" for="' +
+      id +
+      '">' +
+      label +
+      "</label>" +
+      '<input type="' +
+      (type || "text") +
+      '" id="' +
+      id +
+      '" class="form-input" value="' +
+      escapeHtml(value) +
+      '" placeholder="' +
+      placeholder +
+      '" />' +
+      "</div>"
+    );
+  }
+
+  function jsonField(id, label, value, placeholder) {
+    return (
+      '<div class="form-group">' +
+      '<label class="form-label" for="' +
+      id +
+      '">' +
+      label +
+      "</label>" +
+      '<textarea id="' +
+      id +
+      '" class="form-input" rows="3" placeholder="' +
+      escapeHtml(placeholder) +
+      '">' +
+      (value ? escapeHtml(JSON.stringify(value, null, 2)) : "") +
+      "</textarea>" +
+      "</div>"
+    );
+  }
+
+  var content =
+    '<form id="destination-form" style="text-align: left;">' +
+    field("destination-name", "Name", d.name, "orders-service") +
+    field("destination-url", "URL", d.url, "https://example.com/inbound") +
+    field(
+      "destination-secret",
+      "Signing secret",
+      "",
+      destination && destination.hasSecret
+        ? "•••••• (leave empty to keep)"
+        : "shared HMAC secret",
+      "password",
+    ) +
+    field(
+      "destination-timeout",
+      "Timeout (ms)",
+      d.timeoutMs,
+      "5000",
+      "number",
+    ) +
+    field(
+      "destination-extractors",
+      "Also receive events from extractors",
+      d.extractorNames,
+      "steam, epic",
+    ) +
+    jsonField(
+      "destination-headers",
+      "Extra headers (JSON)",
+      d.headers,
+      '{"X-Api-Key": "..."}',
+    ) +
+    jsonField(
+      "destination-template",
+      "Payload template (JSON, empty = default)",
+      d.payloadTemplate,
+      '{"user": "{{username}}", "otp": "{{fields.code}}"}',
+    ) +
+    "</form>";
+
+  var modal = Modal.create({
+    title: destination ? "Edit Destination" : "Add Destination",
+    content: content,
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Save Destination",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: function () {
+          saveDestination(modal, destination);
+        },
+      },
+    ],
+  });
+}
+
+function parseJsonField(id, label) {
+  var raw = document.getElementById(id).value.trim();
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(label + " must be valid JSON");
+  }
+}
+
+async function saveDestination(modal, destination) {
+  var data;
+  try {
+    data = {
+      name: document.getElementById("destination-name").value,
+      url: document.getElementById("destination-url").value,
+      timeoutMs: document.getElementById("destination-timeout").value,
+      extractorNames: document.getElementById("destination-extractors").value,
+      headers: parseJsonField("destination-headers", "Headers"),
+      payloadTemplate: parseJsonField(
+        "destination-template",
+        "Payload template",
+      ),
+    };
+  } catch (error) {
+    Modal.warning("Validation Error", error.message);
+    return;
+  }
+
+  var secret = document.getElementById("destination-secret").value;
+  if (secret || !destination) data.secret = secret;
+
+  try {
+    if (destination) {
+      await Api.patch("/destinations/" + destination.id, data);
+    } else {
+      await Api.post("/destinations", data);
+    }
+    Modal.close(modal);
+    loadDestinations();
+  } catch (error) {
+    Modal.error("Save Failed", error.message);
+  }
+}
+
 function logout() {
   Auth.logout();
   window.location.href = "/";
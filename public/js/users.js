@@ -0,0 +1,295 @@
+// Users page script
+var usersList = [];
+
+var ROLE_LABELS = {
+  owner: "Owner",
+  operator: "Operator",
+  viewer: "Viewer",
+};
+
+document.addEventListener("DOMContentLoaded", function () {
+  // Require authentication
+  if (!Auth.requireAuth()) {
+    window.location.href = "/";
+    return;
+  }
+
+  // Setup event listeners
+  document.getElementById("logout-btn").addEventListener("click", function (e) {
+    e.preventDefault();
+    logout();
+  });
+
+  document
+    .getElementById("add-user-btn")
+    .addEventListener("click", function () {
+      openUserModal(null);
+    });
+
+  loadUsers();
+});
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function findUser(id) {
+  return usersList.find(function (u) {
+    return u.id === id;
+  });
+}
+
+async function loadUsers() {
+  var tbody = document.getElementById("users-table");
+  var me = Auth.getUser() || {};
+
+  try {
+    var response = await Api.get("/users");
+    usersList = response.data || [];
+
+    tbody.innerHTML = usersList
+      .map(function (user) {
+        var isMe = user.id === me.id;
+        return (
+          "<tr>" +
+          '<td class="font-medium">' +
+          escapeHtml(user.email) +
+          (isMe ? ' <span class="badge badge-info">You</span>' : "") +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          escapeHtml(user.name || "—") +
+          "</td>" +
+          '<td><span class="badge ' +
+          (user.role === "owner" ? "badge-success" : "badge-gray") +
+          '">' +
+          (ROLE_LABELS[user.role] || escapeHtml(user.role)) +
+          "</span></td>" +
+          "<td>" +
+          (user.twoFactorEnabledAt
+            ? '<span class="badge badge-success">On</span>'
+            : '<span class="badge badge-gray">Off</span>') +
+          "</td>" +
+          "<td>" +
+          '<label class="toggle">' +
+          '<input type="checkbox" class="user-toggle" data-id="' +
+          user.id +
+          '" ' +
+          (user.isActive ? "checked" : "") +
+          (isMe ? " disabled" : "") +
+          ">" +
+          '<span class="toggle-slider"></span>' +
+          "</label>" +
+          "</td>" +
+          '<td class="text-sm text-gray-500">' +
+          new Date(user.createdAt).toLocaleString() +
+          "</td>" +
+          "<td>" +
+          '<div class="actions" style="justify-content: flex-end;">' +
+          '<button class="btn btn-outline btn-sm user-edit-btn" data-id="' +
+          user.id +
+          '" title="Edit">✏️</button>' +
+          (user.twoFactorEnabledAt && !isMe
+            ? '<button class="btn btn-outline btn-sm user-2fa-reset-btn" data-id="' +
+              user.id +
+              '" title="Reset 2FA">🔑</button>'
+            : "") +
+          (isMe
+            ? ""
+            : '<button class="btn btn-danger btn-sm user-delete-btn" data-id="' +
+              user.id +
+              '" title="Delete">🗑️</button>') +
+          "</div>" +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("");
+
+    setupUserEventListeners();
+  } catch (error) {
+    console.error("Failed to load users:", error);
+    tbody.innerHTML =
+      '<tr><td colspan="7" class="text-center text-gray-500">Failed to load users: ' +
+      escapeHtml(error.message) +
+      "</td></tr>";
+  }
+}
+
+function setupUserEventListeners() {
+  document.querySelectorAll(".user-toggle").forEach(function (toggle) {
+    toggle.addEventListener("change", async function () {
+      try {
+        await Api.patch("/users/" + this.dataset.id, {
+          isActive: this.checked,
+        });
+      } catch (error) {
+        Modal.error("Update Failed", error.message);
+      }
+      loadUsers();
+    });
+  });
+
+  document.querySelectorAll(".user-edit-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      openUserModal(findUser(this.dataset.id));
+    });
+  });
+
+  document.querySelectorAll(".user-2fa-reset-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      resetTwoFactor(this.dataset.id);
+    });
+  });
+
+  document.querySelectorAll(".user-delete-btn").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      deleteUser(this.dataset.id);
+    });
+  });
+}
+
+function openUserModal(user) {
+  var u = user || { role: "viewer" };
+  var isMe = user && user.id === (Auth.getUser() || {}).id;
+
+  var roleOptions = Object.keys(ROLE_LABELS)
+    .map(function (role) {
+      return (
+        '<option value="' +
+        role +
+        '"' +
+        (u.role === role ? " selected" : "") +
+        ">" +
+        ROLE_LABELS[role] +
+        "</option>"
+      );
+    })
+    .join("");
+
+  var content =
+    '<form id="user-form">' +
+    '<div class="form-group">' +
+    '<label class="form-label" for="user-email">Email</label>' +
+    '<input type="email" id="user-email" class="form-input" value="' +
+    escapeHtml(u.email) +
+    '"' +
+    (user ? " disabled" : "") +
+    ">" +
+    "</div>" +
+    '<div class="form-group">' +
+    '<label class="form-label" for="user-name">Name</label>' +
+    '<input type="text" id="user-name" class="form-input" value="' +
+    escapeHtml(u.name) +
+    '">' +
+    "</div>" +
+    '<div class="form-group">' +
+    '<label class="form-label" for="user-role">Role</label>' +
+    '<select id="user-role" class="form-select"' +
+    (isMe ? " disabled" : "") +
+    ">" +
+    roleOptions +
+    "</select>" +
+    "</div>" +
+    '<div class="form-group">' +
+    '<label class="form-label" for="user-password">' +
+    (user ? "New password (leave empty to keep)" : "Password") +
+    "</label>" +
+    '<input type="password" id="user-password" class="form-input" placeholder="At least 8 characters">' +
+    "</div>" +
+    "</form>";
+
+  var modal = Modal.create({
+    title: user ? "Edit User" : "Add User",
+    content: content,
+    closable: true,
+    buttons: [
+      { text: "Cancel", class: "btn-outline" },
+      {
+        text: "Save User",
+        class: "btn-primary",
+        closeOnClick: false,
+        onClick: function () {
+          saveUser(modal, user);
+        },
+      },
+    ],
+  });
+}
+
+async function saveUser(modal, user) {
+  var data = {
+    name: document.getElementById("user-name").value,
+  };
+  var password = document.getElementById("user-password").value;
+  var roleSelect = document.getElementById("user-role");
+
+  if (!roleSelect.disabled) data.role = roleSelect.value;
+  if (password) data.password = password;
+
+  if (!user) {
+    data.email = document.getElementById("user-email").value;
+    if (!data.email.trim() || !password) {
+      Modal.warning("Validation Error", "Email and password are required.");
+      return;
+    }
+  }
+
+  try {
+    if (user) {
+      await Api.patch("/users/" + user.id, data);
+    } else {
+      await Api.post("/users", data);
+    }
+    Modal.close(modal);
+    loadUsers();
+  } catch (error) {
+    Modal.error("Save Failed", error.message);
+  }
+}
+
+function deleteUser(id) {
+  var user = findUser(id);
+
+  Modal.confirm(
+    "Delete User",
+    "Are you sure you want to delete <strong>" +
+      escapeHtml(user ? user.email : "this user") +
+      "</strong>? They will no longer be able to sign in.",
+    async function () {
+      try {
+        await Api.delete("/users/" + id);
+        loadUsers();
+      } catch (error) {
+        Modal.error("Delete Failed", error.message);
+      }
+    },
+  );
+}
+
+function resetTwoFactor(id) {
+  var user = findUser(id);
+
+  Modal.confirm(
+    "Reset Two-Factor Authentication",
+    "Turn off 2FA for <strong>" +
+      escapeHtml(user ? user.email : "this user") +
+      "</strong>? Use this when they lost their phone and recovery codes.",
+    async function () {
+      try {
+        await Api.post("/users/" + id + "/2fa/reset");
+        loadUsers();
+      } catch (error) {
+        Modal.error("Reset Failed", error.message);
+      }
+    },
+  );
+}
+
+function logout() {
+  Auth.logout();
+  window.location.href = "/";
+}
@@ -0,0 +1,106 @@
+const express = require("express");
+const { SignatureVerifier } = require("../src/sdk");
+
+// Same user + code within this window is not saved twice
+const DEFAULT_DEDUP_WINDOW_SECONDS = 60;
+
+/**
+ * Reference receiver for Steam Guard events (stands in for steam_inbound.php)
+ * Codes are kept in memory (app.locals.codes) instead of IncomingCodes.
+ * @param {object} options - { secret, nonceStore, dedupWindowSeconds, log }
+ */
+function createReceiverApp({
+  secret,
+  nonceStore,
+  dedupWindowSeconds = DEFAULT_DEDUP_WINDOW_SECONDS,
+  log = (entry) => console.log(`[Receiver] ${JSON.stringify(entry)}`),
+} = {}) {
+  const verifier = new SignatureVerifier({ secret, nonceStore });
+  const codes = [];
+
+  const app = express();
+  app.locals.codes = codes;
+
+  const reply = (res, data) => {
+    log(data);
+    res.json(data);
+  };
+
+  const handler = (req, res) => {
+    const event = req.mailEvent;
+    const subject = event.subject.toLowerCase();
+
+    log({
+      ok: true,
+      stage: "RECEIVED",
+      fromAccount: event.fromAccount,
+      from: event.from,
+      subject: subject.slice(0, 160),
+      graphMessageId: event.graphMessageId,
+      deliveryId: req.deliveryId,
+    });
+
+    if (
+      !event.from.includes("steampowered.com") &&
+      !subject.includes("steam")
+    ) {
+      return reply(res, { ok: true, ignored: true, reason: "NOT_STEAM" });
+    }
+    if (!subject.includes("from new computer")) {
+      return reply(res, {
+        ok: true,
+        ignored: true,
+        reason: "SUBJECT_NOT_MATCH",
+      });
+    }
+    if (!event.username || !event.code) {
+      return reply(res, {
+        ok: true,
+        ignored: true,
+        reason: "MISSING_USERNAME_OR_CODE",
+      });
+    }
+
+    const receivedAt = event.receivedDateTime || new Date();
+    const duplicate = codes.some(
+      (c) =>
+        c.username.toLowerCase() === event.username.toLowerCase() &&
+        c.code === event.code &&
+        c.receivedAt >= receivedAt - dedupWindowSeconds * 1000,
+    );
+    if (duplicate) {
+      return reply(res, { ok: true, saved: false, reason: "DUPLICATE_RECENT" });
+    }
+
+    codes.push({
+      receivedAt,
+      to: event.to,
+      username: event.username,
+      code: event.code,
+      graphMessageId: event.graphMessageId,
+    });
+    reply(res, {
+      ok: true,
+      saved: true,
+      user: event.username,
+      code: event.code,
+    });
+  };
+
+  // Same path as the PHP endpoint, so only the host of STEAM_API_URL changes
+  app.post(
+    ["/", "/steam_inbound.php"],
+    express.raw({ type: "*/*", limit: "1mb" }),
+    verifier.middleware(),
+    handler,
+  );
+
+  // Saved codes, newest first (development only)
+  app.get("/codes", (req, res) => {
+    res.json({ ok: true, codes: [...codes].reverse() });
+  });
+
+  return app;
+}
+
+module.exports = { createReceiverApp };
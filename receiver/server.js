@@ -0,0 +1,37 @@
+/**
+ * Reference receiver for the signed Steam API payload
+ * Node stand-in for steam_inbound.php, built on the receiver SDK (src/sdk).
+ *
+ * Usage:
+ *   STEAM_API_SECRET=... npm run receiver
+ *
+ * Point the service at it (.env):
+ *   STEAM_API_URL=http://localhost:4020/steam_inbound.php
+ *
+ * Endpoints:
+ *   POST /steam_inbound.php   Verify, filter and save a code (same answers as PHP)
+ *   GET  /codes               Saved codes
+ */
+require("dotenv").config();
+
+const { createReceiverApp } = require("./app");
+
+const PORT = parseInt(process.env.RECEIVER_PORT, 10) || 4020;
+const SECRET = process.env.STEAM_API_SECRET || "";
+
+// Same minimum as the PHP receiver
+if (SECRET.length < 16) {
+  console.error("[Receiver] STEAM_API_SECRET must be at least 16 characters");
+  process.exit(1);
+}
+
+const app = createReceiverApp({ secret: SECRET });
+
+const server = app.listen(PORT, () => {
+  console.log(`\n📥 Steam receiver running on port ${PORT}`);
+  console.log(`   STEAM_API_URL=http://localhost:${PORT}/steam_inbound.php\n`);
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
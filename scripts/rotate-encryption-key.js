@@ -0,0 +1,68 @@
+/**
+ * Encryption Key Rotation
+ * Re-encrypts stored tokens and secrets with the current encryption key.
+ *
+ * 1. Add the new key in front of ENCRYPTION_KEYS ("new:secret,old:secret")
+ *    or point ENCRYPTION_KEY_ID at it, and restart the server and workers
+ * 2. npm run encryption:rotate
+ * 3. Once --status shows only the new key, remove the old one
+ *
+ * Options: --status (counts only), --dry-run, --batch-size=N
+ */
+
+require("dotenv").config();
+
+const prisma = require("../src/config/database");
+const keyRotationService = require("../src/services/keyRotation.service");
+
+function option(name) {
+  const arg = process.argv.find(
+    (a) => a === `--${name}` || a.startsWith(`--${name}=`),
+  );
+  if (!arg) return null;
+  return arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : true;
+}
+
+async function main() {
+  if (option("status")) {
+    const { currentKeyId, keys } = await keyRotationService.status();
+    console.log(`\n🔑 Current key: ${currentKeyId}\n`);
+    for (const [keyId, count] of Object.entries(keys)) {
+      const marker = keyId === currentKeyId ? "✅" : "⏳";
+      console.log(`   ${marker} ${keyId}: ${count}`);
+    }
+    console.log("");
+    return 0;
+  }
+
+  const dryRun = !!option("dry-run");
+  const batchSize = parseInt(option("batch-size")) || 100;
+
+  console.log(
+    `\n🔄 Re-encrypting with the current key${dryRun ? " (dry run)" : ""}...`,
+  );
+  const result = await keyRotationService.rotateAll({ batchSize, dryRun });
+
+  console.log(`   Scanned: ${result.scanned}`);
+  console.log(`   ${dryRun ? "Would rotate" : "Rotated"}: ${result.rotated}`);
+  if (result.skipped) {
+    console.log(`   Changed meanwhile (run again): ${result.skipped}`);
+  }
+  if (result.failed) {
+    console.log(`   ❌ Failed: ${result.failed}`);
+  }
+  console.log("");
+
+  return result.failed ? 1 : 0;
+}
+
+main()
+  .then(async (code) => {
+    await prisma.$disconnect();
+    process.exit(code);
+  })
+  .catch(async (err) => {
+    console.error("Fatal error:", err);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
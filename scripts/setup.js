@@ -90,7 +90,7 @@ async function setup() {
           email: adminEmail,
           password: hashedPassword,
           name: "Admin",
-          role: "admin",
+          role: "owner",
         },
       });
 
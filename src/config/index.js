@@ -1,5 +1,11 @@
 require("dotenv").config();
 
+// Point these at the bundled emulator (npm run emulator) to run offline
+const microsoftLoginBaseUrl = (
+  process.env.MICROSOFT_LOGIN_BASE_URL || "https://login.microsoftonline.com"
+).replace(/\/$/, "");
+const microsoftTenant = process.env.MICROSOFT_TENANT || "common";
+
 module.exports = {
   // Server
   nodeEnv: process.env.NODE_ENV || "development",
@@ -10,6 +16,23 @@ module.exports = {
   // Webhook
   webhook: {
     url: process.env.WEBHOOK_URL || process.env.API_URL + "/api/webhooks/mail",
+    // Subscription lifecycle events (reauthorizationRequired, subscriptionRemoved, missed)
+    lifecycleUrl:
+      process.env.WEBHOOK_LIFECYCLE_URL ||
+      process.env.API_URL + "/api/webhooks/lifecycle",
+  },
+
+  // Reauth links emailed when a mailbox needs to be reconnected
+  reauthLinks: {
+    ttlHours: parseInt(process.env.REAUTH_LINK_TTL_HOURS, 10) || 72,
+  },
+
+  // Mail folders watched for new accounts (well-known names or Graph folder IDs)
+  mailFolders: {
+    defaults: (process.env.DEFAULT_MAIL_FOLDERS || "Inbox,JunkEmail")
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean),
   },
 
   // Developer Email (for error notifications)
@@ -18,14 +41,43 @@ module.exports = {
   // JWT
   jwt: {
     secret: process.env.JWT_SECRET || "default-secret-change-me",
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+    isDefaultSecret: !process.env.JWT_SECRET,
   },
 
-  // Encryption
+  // Dashboard sessions: short-lived access JWT + rotating refresh token cookie
+  sessions: {
+    accessExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
+    // A session ends after this many days without a refresh
+    refreshTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 14,
+    // Secure cookies need HTTPS; on by default in production
+    secureCookies: process.env.SECURE_COOKIES
+      ? process.env.SECURE_COOKIES === "true"
+      : process.env.NODE_ENV === "production",
+  },
+
+  // Encryption (src/utils/encryption.js)
+  // ENCRYPTION_KEY: original single key, still reads CryptoJS ciphertexts
   encryptionKey: process.env.ENCRYPTION_KEY,
+  encryption: {
+    // Versioned keys "id:secret,id:secret" - keep old ones until
+    // `npm run encryption:rotate` has moved everything to the current key
+    keys: (process.env.ENCRYPTION_KEYS || "")
+      .split(",")
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => [
+        pair.slice(0, pair.indexOf(":")),
+        pair.slice(pair.indexOf(":") + 1),
+      ]),
+    // Key for new ciphertexts (default: first of ENCRYPTION_KEYS)
+    currentKeyId: process.env.ENCRYPTION_KEY_ID || null,
+  },
 
-  // Microsoft OAuth
+  // Microsoft OAuth (the built-in app registration; more can be added in
+  // the dashboard, see src/services/appRegistration.service.js)
   microsoft: {
+    loginBaseUrl: microsoftLoginBaseUrl,
+    tenant: microsoftTenant,
     clientId: process.env.MICROSOFT_CLIENT_ID,
     clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
     redirectUri: process.env.MICROSOFT_REDIRECT_URI,
@@ -33,10 +85,29 @@ module.exports = {
       process.env.MICROSOFT_SCOPES ||
       "offline_access User.Read Mail.Read Mail.Send"
     ).split(" "),
-    authorizeUrl:
-      "https://login.microsoftonline.com/common/oauth2/v2.0/authorize",
-    tokenUrl: "https://login.microsoftonline.com/common/oauth2/v2.0/token",
-    graphBaseUrl: "https://graph.microsoft.com/v1.0",
+    authorizeUrl: `${microsoftLoginBaseUrl}/${microsoftTenant}/oauth2/v2.0/authorize`,
+    tokenUrl: `${microsoftLoginBaseUrl}/${microsoftTenant}/oauth2/v2.0/token`,
+    graphBaseUrl: (
+      process.env.GRAPH_BASE_URL || "https://graph.microsoft.com/v1.0"
+    ).replace(/\/$/, ""),
+    // Time to finish the Microsoft sign-in after the URL was generated
+    stateTtlSeconds: parseInt(process.env.OAUTH_STATE_TTL_SECONDS, 10) || 600,
+  },
+
+  // Graph API token buckets (Redis), shared by every worker and server
+  graphRateLimit: {
+    // Per mailbox (Graph throttles each mailbox separately)
+    mailboxCapacity: parseInt(process.env.GRAPH_MAILBOX_BUCKET_SIZE, 10) || 10,
+    mailboxRefillPerSec:
+      parseFloat(process.env.GRAPH_MAILBOX_REFILL_PER_SEC) || 4,
+    // Per app registration (all mailboxes together)
+    appCapacity: parseInt(process.env.GRAPH_APP_BUCKET_SIZE, 10) || 100,
+    appRefillPerSec: parseFloat(process.env.GRAPH_APP_REFILL_PER_SEC) || 40,
+    // Give up waiting for a token after this long
+    maxWaitMs: parseInt(process.env.GRAPH_LIMIT_MAX_WAIT_MS, 10) || 120000,
+    // Used on 429/503 responses without a Retry-After header
+    defaultRetryAfterMs:
+      parseInt(process.env.GRAPH_DEFAULT_RETRY_AFTER_MS, 10) || 60000,
   },
 
   // Email Forwarding
@@ -67,6 +138,63 @@ module.exports = {
     concurrency: parseInt(process.env.WORKER_CONCURRENCY, 10) || 5,
     maxRetries: parseInt(process.env.MAX_RETRIES, 10) || 1,
     retryDelayMs: parseInt(process.env.RETRY_DELAY_MS, 10) || 5000,
+    // Roles this worker process runs: maintenance, forward, delivery, reconcile
+    // (overridden by `node src/worker.js --roles=forward`)
+    roles: (
+      process.env.WORKER_ROLES || "maintenance,forward,delivery,reconcile"
+    )
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean),
+    // Max time to wait for active jobs on SIGTERM before exiting
+    shutdownTimeoutMs:
+      parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS, 10) || 30000,
+  },
+
+  // Role "forward": webhook notifications (Bull "webhook-forward" queue)
+  forward: {
+    concurrency: parseInt(process.env.FORWARD_CONCURRENCY, 10) || 1,
+    // Optional pause after each job; Graph throttling is handled by graphRateLimit
+    delayMs: parseInt(process.env.FORWARD_DELAY_MS, 10) || 0,
+    // Max jobs per rateDurationMs across all workers (0 = unlimited)
+    rateMax: parseInt(process.env.FORWARD_RATE_MAX, 10) || 0,
+    rateDurationMs: parseInt(process.env.FORWARD_RATE_DURATION_MS, 10) || 1000,
+  },
+
+  // Role "maintenance": webhook subscription create/renew (Bull "mail-sync")
+  maintenance: {
+    createConcurrency:
+      parseInt(process.env.MAINTENANCE_CREATE_CONCURRENCY, 10) || 2,
+    renewConcurrency:
+      parseInt(process.env.MAINTENANCE_RENEW_CONCURRENCY, 10) || 2,
+    createStaggerMs:
+      parseInt(process.env.MAINTENANCE_CREATE_STAGGER_MS, 10) || 300,
+    renewStaggerMs:
+      parseInt(process.env.MAINTENANCE_RENEW_STAGGER_MS, 10) || 200,
+  },
+
+  // Role "reconcile": periodic delta sweep for messages missed by webhooks
+  reconcile: {
+    // 0 disables the sweep
+    intervalMs: process.env.RECONCILE_INTERVAL_MS
+      ? parseInt(process.env.RECONCILE_INTERVAL_MS, 10)
+      : 15 * 60 * 1000,
+    // Only messages received this recently (and after the account was
+    // connected) are recovered; older ones showing up in a delta were
+    // just modified (read, moved, ...)
+    lookbackMs:
+      parseInt(process.env.RECONCILE_LOOKBACK_MS, 10) || 24 * 60 * 60 * 1000,
+  },
+
+  // Role "delivery": outbound API deliveries (Bull "api-delivery" queue)
+  delivery: {
+    attempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS, 10) || 8,
+    backoffMs: parseInt(process.env.DELIVERY_BACKOFF_MS, 10) || 5000,
+    // Codes older than this (since the mail was received) are dead-lettered
+    maxAgeMs: parseInt(process.env.DELIVERY_MAX_AGE_MS, 10) || 15 * 60 * 1000,
+    concurrency: parseInt(process.env.DELIVERY_CONCURRENCY, 10) || 5,
+    rateMax: parseInt(process.env.DELIVERY_RATE_MAX, 10) || 0,
+    rateDurationMs: parseInt(process.env.DELIVERY_RATE_DURATION_MS, 10) || 1000,
   },
 
   // Admin
@@ -75,6 +203,16 @@ module.exports = {
     password: process.env.ADMIN_PASSWORD || "admin123",
   },
 
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || "Mail Collector",
+    // Wrong codes in a row before the account is locked for lockMinutes
+    maxFailures: parseInt(process.env.TWO_FACTOR_MAX_FAILURES, 10) || 5,
+    lockMinutes: parseInt(process.env.TWO_FACTOR_LOCK_MINUTES, 10) || 15,
+    // Time to enter the code after the password was accepted
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+  },
+
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || "info",
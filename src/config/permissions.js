@@ -0,0 +1,49 @@
+/**
+ * Admin roles and the permission matrix
+ * owner:    everything, including users, settings and destructive actions
+ * operator: day-to-day work (connect/sync mailboxes, retries, rules)
+ * viewer:   read-only (support staff)
+ */
+const ROLES = ["owner", "operator", "viewer"];
+
+const ALL = ROLES;
+const STAFF = ["owner", "operator"];
+const OWNER = ["owner"];
+
+// permission => roles that have it
+const PERMISSIONS = {
+  "dashboard:read": ALL,
+  "accounts:read": ALL,
+  // Connect, reconnect, enable/disable, folders
+  "accounts:write": STAFF,
+  "accounts:delete": OWNER,
+  // Syncs, retries, delivery replays, test sends
+  "jobs:run": STAFF,
+  "logs:read": ALL,
+  "logs:delete": OWNER,
+  // Forwarding rules and extractors
+  "rules:read": ALL,
+  "rules:write": STAFF,
+  // Forward-to address and API destinations (endpoints and secrets)
+  "settings:read": ALL,
+  "settings:write": OWNER,
+  "users:manage": OWNER,
+  // Who did what (includes IP addresses)
+  "audit:read": OWNER,
+};
+
+/**
+ * Whether a role has a permission
+ */
+function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Every permission of a role (sent to the dashboard to hide actions)
+ */
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((p) => can(role, p));
+}
+
+module.exports = { ROLES, PERMISSIONS, can, permissionsFor };
@@ -0,0 +1,18 @@
+const Redis = require("ioredis");
+const config = require("./index");
+
+// Shared Redis client for non-queue state (rate limiter buckets, ...)
+// Bull queues open their own connections.
+const redis = new Redis({
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+  maxRetriesPerRequest: 1,
+  lazyConnect: true,
+});
+
+redis.on("error", (error) => {
+  console.error(`[Redis] ${error.message}`);
+});
+
+module.exports = redis;
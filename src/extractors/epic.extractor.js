@@ -0,0 +1,27 @@
+/**
+ * Epic Games extractor
+ * Security codes are 6 digits/letters, greeting is "Hi <name>," / "Hello <name>,"
+ */
+module.exports = {
+  name: "epic",
+  label: "Epic Games",
+  builtIn: true,
+
+  appliesTo({ from }) {
+    const domain = from.split("@")[1] || "";
+    return domain === "epicgames.com" || domain.endsWith(".epicgames.com");
+  },
+
+  extract({ text }) {
+    const codeMatch =
+      text.match(
+        /(?:security|verification)\s+code[^A-Z0-9]{0,40}\b([A-Z0-9]{6})\b/i,
+      ) || text.match(/\b(\d{6})\b/);
+    const usernameMatch = text.match(/\b(?:Hi|Hello|Hey)\s+([^\s,!]+)\s*[,!]/i);
+
+    return {
+      code: codeMatch ? codeMatch[1].toUpperCase() : null,
+      username: usernameMatch ? usernameMatch[1] : null,
+    };
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * Built-in extractors, in evaluation order (generic fallback last)
+ *
+ * Each extractor exports:
+ * - name: unique key sent in the API payload
+ * - label: human readable name
+ * - appliesTo(context): whether the extractor handles this message
+ * - extract(context): object of extracted fields (null for missing values)
+ *
+ * context = { from, subject, text, html, receivedDateTime, message }
+ */
+module.exports = [
+  require("./steam.extractor"),
+  require("./epic.extractor"),
+  require("./microsoft.extractor"),
+  require("./otp.extractor"),
+];
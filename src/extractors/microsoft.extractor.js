@@ -0,0 +1,25 @@
+/**
+ * Microsoft account security code extractor
+ * "Security code: 1234567" plus the (masked) account the code is for
+ */
+module.exports = {
+  name: "microsoft",
+  label: "Microsoft security code",
+  builtIn: true,
+
+  appliesTo({ from }) {
+    return from.endsWith("@accountprotection.microsoft.com");
+  },
+
+  extract({ text }) {
+    const codeMatch = text.match(/(?:security\s+)?code[:\s]+(\d{4,8})\b/i);
+    const accountMatch = text.match(
+      /(?:account|compte|cuenta|konto)\s+([A-Za-z0-9*._%+-]+@[A-Za-z0-9*-]+(?:\.[A-Za-z0-9*-]+)+)/i,
+    );
+
+    return {
+      code: codeMatch ? codeMatch[1] : null,
+      account: accountMatch ? accountMatch[1] : null,
+    };
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Generic OTP / magic-link extractor (fallback for any sender)
+ * Finds a numeric one-time code near a keyword, a sign-in/verify link
+ * and an "expires in N minutes" hint.
+ */
+const CODE_PATTERN =
+  /(?:code|otp|passcode|password|pin|verification|رمز|código|codice)\D{0,30}\b(\d{4,8})\b/i;
+const LINK_PATTERN =
+  /https?:\/\/[^\s"'<>]*(?:verify|confirm|login|signin|sign-in|magic|token|auth)[^\s"'<>]*/i;
+const EXPIRY_PATTERN = /expires?\s+in\s+(\d+)\s*(minute|min|hour|hr)/i;
+
+module.exports = {
+  name: "otp",
+  label: "Generic OTP / magic link",
+  builtIn: true,
+
+  appliesTo() {
+    return true;
+  },
+
+  extract({ text, html, receivedDateTime }) {
+    const codeMatch = text.match(CODE_PATTERN);
+    const linkMatch = (html || text).match(LINK_PATTERN);
+
+    let expiresAt = null;
+    const expiryMatch = text.match(EXPIRY_PATTERN);
+    if (expiryMatch) {
+      const amount = parseInt(expiryMatch[1], 10);
+      const unitMs = /^h/i.test(expiryMatch[2]) ? 3600000 : 60000;
+      const base = receivedDateTime ? new Date(receivedDateTime) : new Date();
+      if (!isNaN(base.getTime())) {
+        expiresAt = new Date(base.getTime() + amount * unitMs).toISOString();
+      }
+    }
+
+    return {
+      code: codeMatch ? codeMatch[1] : null,
+      link: linkMatch ? linkMatch[0].replace(/&amp;/g, "&") : null,
+      expiresAt,
+    };
+  },
+};
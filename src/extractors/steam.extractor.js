@@ -0,0 +1,56 @@
+/**
+ * Steam Guard extractor
+ * Code: 5 chars A-Z0-9, username from the localized greeting
+ */
+
+// Username extraction (same patterns used in the PHP receiver)
+const USERNAME_PATTERNS = [
+  /(\w+),\s+It looks like you/i,
+  /(\w+),\s+يبدو أنك/i,
+  /(\w+),\s+Il semblerait que vous/i,
+  /(\w+),\s+Parece que estás/i,
+  /(\w+),\s+Sembra che tu stia/i,
+  /(\w+),\s+Parece que você está/i,
+  /(\w+),\s+Es sieht so aus, als/i,
+  /(\w+),\s+Похоже, вы/i,
+  /(\w+),\s+あなたが/i,
+  /(\w+),\s+당신이/i,
+  /(\w+),\s+看起来您/i,
+  /(\w+),\s+ดูเหมือนว่าคุณ/i,
+  /(\w+),\s+आप/i,
+  /(\w+),\s+Wygląda na to, że/i,
+  /(\w+),\s+Görünüşe göre/i,
+  /(\w+),\s+נראה שאתה/i,
+  /Dear\s+(\w+)/i,
+];
+
+module.exports = {
+  name: "steam",
+  label: "Steam Guard",
+  builtIn: true,
+  USERNAME_PATTERNS,
+
+  appliesTo({ from }) {
+    const domain = from.split("@")[1] || "";
+    return (
+      domain === "steampowered.com" || domain.endsWith(".steampowered.com")
+    );
+  },
+
+  extract({ text }) {
+    let code = null;
+    const codeMatch = text.match(/\b([A-Z0-9]{5})\b/);
+    if (codeMatch) code = codeMatch[1];
+
+    let username = null;
+    for (const re of USERNAME_PATTERNS) {
+      const m = text.match(re);
+      if (m && m[1]) {
+        username = m[1];
+        break;
+      }
+    }
+
+    return { code, username };
+  },
+};
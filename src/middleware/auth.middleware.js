@@ -2,10 +2,12 @@ const jwt = require("jsonwebtoken");
 const config = require("../config");
 const ApiError = require("../utils/ApiError");
 const prisma = require("../config/database");
+const { PERMISSIONS, can } = require("../config/permissions");
+const sessionService = require("../services/session.service");
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies the access token and its session, attaches user to request
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -29,6 +31,17 @@ const authenticate = async (req, res, next) => {
       throw ApiError.unauthorized("Invalid token");
     }
 
+    // Login challenge tokens (2FA step) are not sessions
+    if (decoded.purpose || !decoded.sid) {
+      throw ApiError.unauthorized("Invalid token");
+    }
+
+    // Signed out, signed out everywhere, or revoked
+    const session = await sessionService.findActive(decoded.sid);
+    if (!session || session.userId !== decoded.userId) {
+      throw ApiError.unauthorized("Session ended");
+    }
+
     // Get user from database
     const user = await prisma.adminUser.findUnique({
       where: { id: decoded.userId },
@@ -45,6 +58,7 @@ const authenticate = async (req, res, next) => {
       name: user.name,
       role: user.role,
     };
+    req.sessionId = session.id;
 
     next();
   } catch (error) {
@@ -53,16 +67,25 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Admin-only middleware
+ * Permission middleware (use after authenticate)
+ * @param {string} permission - Key of PERMISSIONS in config/permissions.js
  */
-const adminOnly = (req, res, next) => {
-  if (req.user?.role !== "admin") {
-    return next(ApiError.forbidden("Admin access required"));
+const authorize = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
   }
-  next();
+
+  return (req, res, next) => {
+    if (!can(req.user?.role, permission)) {
+      return next(
+        ApiError.forbidden(`Your role does not allow this (${permission})`),
+      );
+    }
+    next();
+  };
 };
 
 module.exports = {
   authenticate,
-  adminOnly,
+  authorize,
 };
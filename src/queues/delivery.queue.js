@@ -0,0 +1,41 @@
+const Bull = require("bull");
+const config = require("../config");
+
+/**
+ * Outbound API delivery queue
+ * One job per MessageDelivery row. Jobs only carry the delivery ID: the
+ * payload, destination and status live in the database so that the
+ * dashboard can inspect and replay dead letters.
+ *
+ * Processed by src/worker.js (see destinationService.processDelivery).
+ */
+const deliveryQueue = new Bull("api-delivery", {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password,
+  },
+  ...(config.delivery.rateMax > 0 && {
+    limiter: {
+      max: config.delivery.rateMax,
+      duration: config.delivery.rateDurationMs,
+    },
+  }),
+  defaultJobOptions: {
+    attempts: config.delivery.attempts,
+    backoff: { type: "exponential", delay: config.delivery.backoffMs },
+    removeOnComplete: 200,
+    removeOnFail: 200,
+  },
+});
+
+/**
+ * Queue a delivery attempt
+ * @param {string} deliveryId - MessageDelivery ID
+ * @param {object} options - { replay: skip the max-age check }
+ */
+async function enqueueDelivery(deliveryId, { replay = false } = {}) {
+  return deliveryQueue.add({ deliveryId, replay });
+}
+
+module.exports = { deliveryQueue, enqueueDelivery };
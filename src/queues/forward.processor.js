@@ -0,0 +1,218 @@
+const prisma = require("../config/database");
+const config = require("../config");
+const graphService = require("../services/graph.service");
+const forwarderService = require("../services/forwarder.service");
+
+// ---------------- Helpers ----------------
+
+// Auth error codes that mean the account needs re-auth or is suspended
+const AUTH_ERROR_CODES = [
+  "ErrorAccountSuspend",
+  "ErrorExceededMessageLimit",
+  "InvalidAuthenticationToken",
+  "CompactToken.Validation",
+  "InvalidSubscription",
+];
+
+// Sleep helper for delay between forwards
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isAuthOrSuspendError(error) {
+  const status = error?.response?.status;
+  const code = error?.response?.data?.error?.code || "";
+  return (
+    status === 401 ||
+    status === 403 ||
+    status === 429 ||
+    AUTH_ERROR_CODES.some((c) => code.includes(c))
+  );
+}
+
+/**
+ * Build full error details for logging
+ */
+function buildErrorDetails(error, context = {}) {
+  return {
+    timestamp: new Date().toISOString(),
+    api: context.api || "unknown",
+    endpoint: context.endpoint || "unknown",
+    accountId: context.accountId || "unknown",
+    accountEmail: context.accountEmail || "unknown",
+    messageId: context.messageId || "unknown",
+    status: error?.response?.status || null,
+    statusText: error?.response?.statusText || null,
+    errorCode: error?.response?.data?.error?.code || null,
+    errorMessage: error?.response?.data?.error?.message || error.message,
+    requestId: error?.response?.headers?.["request-id"] || null,
+    clientRequestId: error?.response?.headers?.["client-request-id"] || null,
+    stack: error.stack,
+  };
+}
+
+/**
+ * Process one "webhook-forward" job
+ * Fetches the message, applies the forwarding rules and records failures
+ * (marking the account for re-auth when Graph rejects its token).
+ * Optionally waits config.forward.delayMs afterwards.
+ */
+async function processForwardJob(job) {
+  const { accountId, accountEmail, messageId } = job.data;
+
+  try {
+    const account = await prisma.mailAccount.findUnique({
+      where: { id: accountId },
+      select: { status: true, isEnabled: true },
+    });
+
+    if (!account || account.status !== "CONNECTED" || !account.isEnabled) {
+      console.log(
+        `[Queue] Account ${accountEmail} not active (status: ${account?.status}), skipping job`,
+      );
+      return { status: "ACCOUNT_INACTIVE" };
+    }
+
+    // ✅ Single API call — reads body (no attachments) for both filtering & forwarding
+    const message = await graphService.getMessageForWebhook(
+      accountId,
+      messageId,
+    );
+    if (!message) {
+      console.log(`[Queue] Message ${messageId} not found or deleted`);
+      return { status: "NOT_FOUND" };
+    }
+
+    const subject = message.subject || "(No Subject)";
+    const from = message.from?.emailAddress?.address || "unknown";
+
+    const startTime = new Date();
+    console.log(
+      `[Queue] [${startTime.toLocaleTimeString()}.${startTime
+        .getMilliseconds()
+        .toString()
+        .padStart(3, "0")}] 📤 Starting forward: "${subject}" from ${from}`,
+    );
+
+    // Apply forwarding rules (message already has body for parsing)
+    const forwardResult = await forwarderService.forwardGraphMessage(
+      message,
+      [],
+      accountEmail,
+      accountId,
+    );
+
+    if (forwardResult.mode === "SKIP") {
+      return { status: "SKIPPED" };
+    }
+
+    // API messages are counted when their deliveries finish
+    const queued = forwardResult.mode === "API";
+
+    const endTime = new Date();
+    const forwardDuration = endTime - startTime;
+    console.log(
+      `[Queue] [${endTime.toLocaleTimeString()}.${endTime
+        .getMilliseconds()
+        .toString()
+        .padStart(
+          3,
+          "0",
+        )}] ✓ ${queued ? "Queued" : "Forwarded"} in ${forwardDuration}ms`,
+    );
+
+    await prisma.mailAccount.update({
+      where: { id: accountId },
+      data: {
+        ...(!queued && { forwardedCount: { increment: 1 } }),
+        lastSyncAt: new Date(),
+        lastMessageAt: message.receivedDateTime
+          ? new Date(message.receivedDateTime)
+          : new Date(),
+      },
+    });
+
+    // Optional spacing between jobs (Graph throttling is handled by the rate limiter)
+    if (config.forward.delayMs > 0) {
+      const delayStart = new Date();
+      console.log(
+        `[Queue] [${delayStart.toLocaleTimeString()}.${delayStart
+          .getMilliseconds()
+          .toString()
+          .padStart(3, "0")}] ⏳ Waiting ${config.forward.delayMs}ms...`,
+      );
+      await sleep(config.forward.delayMs);
+
+      const delayEnd = new Date();
+      console.log(
+        `[Queue] [${delayEnd.toLocaleTimeString()}.${delayEnd
+          .getMilliseconds()
+          .toString()
+          .padStart(3, "0")}] ✓ Ready for next`,
+      );
+    }
+
+    return { status: queued ? "QUEUED" : "FORWARDED" };
+  } catch (error) {
+    const errorDetails = buildErrorDetails(error, {
+      api: "Microsoft Graph API",
+      endpoint: "Forwarding rules (API/SMTP/Graph)",
+      accountId,
+      accountEmail,
+      messageId,
+    });
+
+    console.error("[Queue] ========== ERROR DETAILS ==========");
+    console.error(JSON.stringify(errorDetails, null, 2));
+    console.error("[Queue] ====================================");
+
+    await prisma.mailMessageLog.upsert({
+      where: {
+        accountId_graphMessageId: { accountId, graphMessageId: messageId },
+      },
+      create: {
+        accountId,
+        graphMessageId: messageId,
+        forwardStatus: "FAILED",
+        error: JSON.stringify(errorDetails),
+        attempts: 1,
+        lastAttemptAt: new Date(),
+      },
+      update: {
+        forwardStatus: "FAILED",
+        error: JSON.stringify(errorDetails),
+        attempts: { increment: 1 },
+        lastAttemptAt: new Date(),
+      },
+    });
+
+    await prisma.mailAccount.update({
+      where: { id: accountId },
+      data: { failedForwardCount: { increment: 1 } },
+    });
+
+    if (isAuthOrSuspendError(error)) {
+      console.log(
+        `[Queue] Account ${accountEmail} needs re-auth, marking as ERROR`,
+      );
+      await prisma.mailAccount.update({
+        where: { id: accountId },
+        data: { status: "ERROR" },
+      });
+
+      await forwarderService.sendReauthNotification(
+        accountEmail,
+        accountId,
+        JSON.stringify(errorDetails, null, 2),
+      );
+    } else {
+      await forwarderService.sendErrorNotificationToDev(
+        accountEmail,
+        accountId,
+        errorDetails,
+      );
+    }
+
+    throw error;
+  }
+}
+
+module.exports = { processForwardJob };
@@ -0,0 +1,52 @@
+const Bull = require("bull");
+const config = require("../config");
+
+/**
+ * Webhook forward queue
+ * The HTTP tier only validates notifications and adds jobs here;
+ * src/worker.js (role "forward") processes them (see forward.processor.js).
+ */
+const forwardQueue = new Bull("webhook-forward", {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password,
+  },
+  ...(config.forward.rateMax > 0 && {
+    limiter: {
+      max: config.forward.rateMax,
+      duration: config.forward.rateDurationMs,
+    },
+  }),
+  defaultJobOptions: {
+    attempts: 1, // No retry (API deliveries have their own retrying queue)
+    removeOnComplete: true, // Remove immediately after success
+    removeOnFail: 100, // Keep some failed jobs for debugging
+  },
+});
+
+/**
+ * Queue a new message notification
+ * @param {object} data - { accountId, accountEmail, messageId }
+ */
+async function enqueueForward({ accountId, accountEmail, messageId }) {
+  return forwardQueue.add(
+    { accountId, accountEmail, messageId },
+    { jobId: `${accountId}:${messageId}` }, // Prevent duplicate jobs
+  );
+}
+
+/**
+ * Queue a message found by the reconciliation sweep, unless a job for it
+ * is still in the queue (e.g. its webhook notification is being processed)
+ * @returns {boolean} - true when a new job was added
+ */
+async function enqueueMissedForward({ accountId, accountEmail, messageId }) {
+  const existing = await forwardQueue.getJob(`${accountId}:${messageId}`);
+  if (existing) return false;
+
+  await enqueueForward({ accountId, accountEmail, messageId });
+  return true;
+}
+
+module.exports = { forwardQueue, enqueueForward, enqueueMissedForward };
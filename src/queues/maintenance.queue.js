@@ -0,0 +1,55 @@
+const Bull = require("bull");
+const config = require("../config");
+
+/**
+ * Webhook subscription maintenance queue
+ * Jobs: "webhook:plan-maintenance" (hourly planner),
+ * "webhook:create-subscription" and "webhook:renew-subscription".
+ * Processed by src/worker.js (role "maintenance").
+ */
+const maintenanceQueue = new Bull("mail-sync", {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password || undefined,
+  },
+  defaultJobOptions: {
+    removeOnComplete: 200,
+    removeOnFail: 200,
+    attempts: 5,
+    backoff: { type: "exponential", delay: 10_000 },
+  },
+});
+
+/**
+ * Job options of a create / renew job: one pending job per folder, shared by
+ * the planner and lifecycle notifications. Finished jobs are removed so the
+ * ID is free for the next one (Bull ignores an add with a kept ID).
+ * @param {string} action - "renew" | "create"
+ */
+function subscriptionJobOptions(action, accountId, folderId) {
+  return {
+    jobId: `webhook:${action}:${accountId}:${folderId}`,
+    removeOnComplete: true,
+    removeOnFail: true,
+  };
+}
+
+/**
+ * Renew or recreate a folder subscription right away (lifecycle notifications)
+ * @param {string} action - "renew" | "create"
+ * @param {object} data - { accountId, email, folderId }
+ */
+async function enqueueSubscriptionJob(action, { accountId, email, folderId }) {
+  return maintenanceQueue.add(
+    `webhook:${action}-subscription`,
+    { accountId, email, folderId },
+    subscriptionJobOptions(action, accountId, folderId),
+  );
+}
+
+module.exports = {
+  maintenanceQueue,
+  enqueueSubscriptionJob,
+  subscriptionJobOptions,
+};
@@ -0,0 +1,44 @@
+const Bull = require("bull");
+const config = require("../config");
+
+/**
+ * Reconciliation queue
+ * Jobs: "mail:reconcile" (repeatable sweep of every account) and
+ * "mail:reconcile-account" (delta catch-up of one account).
+ * Processed by src/worker.js (role "reconcile", see reconcile.processor.js);
+ * kept apart from the maintenance queue so a maintenance-only worker never
+ * picks these up.
+ */
+const reconcileQueue = new Bull("mail-reconcile", {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password || undefined,
+  },
+  defaultJobOptions: {
+    removeOnComplete: 50,
+    removeOnFail: 50,
+    attempts: 1, // The next run picks up whatever this one missed
+  },
+});
+
+/**
+ * Queue a delta catch-up of one account (e.g. after a "missed" lifecycle event)
+ * @param {string} accountId - MailAccount ID
+ * @param {string} reason - Shown in the worker log
+ */
+async function enqueueAccountReconcile(accountId, reason) {
+  return reconcileQueue.add(
+    "mail:reconcile-account",
+    { accountId, reason },
+    {
+      // One pending catch-up per account; finished jobs are removed so the
+      // ID is free for the next one (Bull ignores an add with a kept ID)
+      jobId: `mail:reconcile-account:${accountId}`,
+      removeOnComplete: true,
+      removeOnFail: true,
+    },
+  );
+}
+
+module.exports = { reconcileQueue, enqueueAccountReconcile };
@@ -1,58 +1,167 @@
 const express = require("express");
+const config = require("../config");
 const prisma = require("../config/database");
 const asyncHandler = require("../utils/asyncHandler");
 const ApiError = require("../utils/ApiError");
-const { authenticate } = require("../middleware/auth.middleware");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
 const microsoftAuthService = require("../services/microsoftAuth.service");
 const graphService = require("../services/graph.service");
 const syncService = require("../services/sync.service");
+const folderService = require("../services/folder.service");
+const webhookService = require("../services/webhook.service");
+const auditService = require("../services/audit.service");
+const reauthLinkService = require("../services/reauthLink.service");
+const appRegistrationService = require("../services/appRegistration.service");
+const accountImportService = require("../services/accountImport.service");
+const groupService = require("../services/group.service");
+const forwarderService = require("../services/forwarder.service");
+const { oauthBrowserKey } = require("../utils/oauthBrowser");
+const { isEmail, splitEmails } = require("../utils/emails");
+const { escapeHtml } = require("../utils/html");
 
 const router = express.Router();
 
+// Shown for links that cannot be used (reauthLinkService.check errors)
+const REAUTH_LINK_ERRORS = {
+  invalid: {
+    title: "Invalid Link",
+    message:
+      "This reconnect link is not valid. Check that it was copied completely.",
+  },
+  expired: {
+    title: "Link Expired",
+    message: "This reconnect link has expired.",
+  },
+  used: {
+    title: "Link Already Used",
+    message: "This reconnect link has already been used.",
+  },
+  account_missing: {
+    title: "Account Not Found",
+    message: "This account may have been deleted.",
+  },
+};
+
+const reauthPage = (res, status, { icon, title, body }) =>
+  res.status(status).send(`
+    <html>
+      <head><title>${title}</title></head>
+      <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+        <h1>${icon} ${title}</h1>
+        ${body}
+      </body>
+    </html>
+  `);
+
+const reauthLinkError = (res, error) => {
+  const { title, message } = REAUTH_LINK_ERRORS[error];
+  return reauthPage(res, error === "account_missing" ? 404 : 410, {
+    icon: "❌",
+    title,
+    body: `<p>${message}</p>
+        <p>Ask an administrator to reconnect the mailbox from the dashboard or to send a new link.</p>`,
+  });
+};
+
 /**
- * @route   GET /api/accounts/reauth/:id
- * @desc    Re-authenticate an account (no auth required - accessed via email link)
+ * @route   GET /api/accounts/reauth/:token
+ * @desc    Landing page of an emailed reauth link (no auth required).
+ *          Only a click on its button uses the link, so mail scanners that
+ *          open links do not burn it.
  */
 router.get(
-  "/reauth/:id",
+  "/reauth/:token",
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
+    const { account, error } = await reauthLinkService.check(req.params.token);
+    if (error) return reauthLinkError(res, error);
 
-    const account = await prisma.mailAccount.findUnique({
-      where: { id },
+    // The form posts here and is redirected to the Microsoft sign-in page
+    const loginOrigin = new URL(config.microsoft.authorizeUrl).origin;
+    res.set(
+      "Content-Security-Policy",
+      `default-src 'self'; style-src 'unsafe-inline'; form-action 'self' ${loginOrigin}`,
+    );
+
+    // Imported mailboxes get the same links before their first sign-in
+    const firstConnect = account.status === "PENDING";
+    reauthPage(res, 200, {
+      icon: "🔐",
+      title: firstConnect ? "Connect Mailbox" : "Reconnect Mailbox",
+      body: `<p>Sign in to Microsoft as <strong>${escapeHtml(account.email)}</strong> to ${firstConnect ? "connect" : "reconnect"} this mailbox.</p>
+        <form method="POST" action="/api/accounts/reauth/${encodeURIComponent(req.params.token)}">
+          <button type="submit" style="background: #2563eb; color: white; padding: 14px 28px; border: 0; border-radius: 8px; font-weight: 600; font-size: 16px; cursor: pointer;">
+            Continue to Microsoft sign-in
+          </button>
+        </form>`,
     });
+  }),
+);
 
-    if (!account) {
-      return res.status(404).send(`
-        <html>
-          <head><title>Account Not Found</title></head>
-          <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
-            <h1>❌ Account Not Found</h1>
-            <p>This account may have been deleted.</p>
-          </body>
-        </html>
-      `);
-    }
-
-    // Generate OAuth URL and redirect
-    const { url } = microsoftAuthService.generateAuthUrl(id);
-    res.redirect(url);
+/**
+ * @route   POST /api/accounts/reauth/:token
+ * @desc    Use a reauth link and redirect into the OAuth flow
+ */
+router.post(
+  "/reauth/:token",
+  asyncHandler(async (req, res) => {
+    const { account, error } = await reauthLinkService.consume(
+      req.params.token,
+    );
+    if (error) return reauthLinkError(res, error);
+
+    // No admin session here: the signed link stands in for it
+    const { url } = await microsoftAuthService.generateAuthUrl(account.id, {
+      loginHint: account.email,
+      browserKey: oauthBrowserKey(req, res),
+    });
+    res.redirect(303, url);
   }),
 );
 
 // All routes below require authentication
 router.use(authenticate);
 
+/**
+ * App registration a new mailbox signs in with: the one picked in the
+ * request ("builtin" for MICROSOFT_CLIENT_ID), otherwise the default
+ * @returns {string|null} - AppRegistration ID (null = built-in)
+ */
+async function appIdForNewAccount(appId) {
+  if (!appId) return appRegistrationService.pickForNewAccount();
+  if (appId === "builtin") {
+    if (!appRegistrationService.builtIn().isEnabled) {
+      throw ApiError.badRequest("MICROSOFT_CLIENT_ID is not configured");
+    }
+    return null;
+  }
+
+  const app = await prisma.appRegistration.findUnique({
+    where: { id: String(appId) },
+  });
+  if (!app) {
+    throw ApiError.badRequest("App registration not found");
+  }
+  if (!app.isEnabled) {
+    throw ApiError.badRequest(`${app.name} is disabled`);
+  }
+  return app.id;
+}
+
 /**
  * @route   GET /api/accounts/oauth/url
  * @desc    Generate OAuth URL for connecting a new account
  */
 router.get(
   "/oauth/url",
+  authorize("accounts:write"),
   asyncHandler(async (req, res) => {
     // Create a temporary account ID for the OAuth flow
     // This will be updated when the OAuth completes
-    const { url, state } = microsoftAuthService.generateAuthUrl();
+    const { url, state } = await microsoftAuthService.generateAuthUrl(null, {
+      sessionId: req.sessionId,
+      browserKey: oauthBrowserKey(req, res),
+      appId: await appIdForNewAccount(req.query.appId),
+    });
 
     res.json({
       success: true,
@@ -66,12 +175,13 @@ router.get(
 
 /**
  * @route   GET /api/accounts
- * @desc    Get all mail accounts
+ * @desc    Get all mail accounts (filters: status, health, q, groupId)
  */
 router.get(
   "/",
+  authorize("accounts:read"),
   asyncHandler(async (req, res) => {
-    const { status, q, health } = req.query;
+    const { status, q, health, groupId } = req.query;
     const page = Math.max(parseInt(req.query.page ?? "1", 10) || 1, 1);
     const limit = Math.min(
       Math.max(parseInt(req.query.limit ?? "50", 10) || 50, 1),
@@ -88,10 +198,14 @@ router.get(
     } else if (health === "not_working") {
       where.status = { not: "CONNECTED" };
     }
+    if (groupId) {
+      where.id = { in: await groupService.accountIdsOf(String(groupId)) };
+    }
     if (q && q.trim() !== "") {
-      where.email = {
-        contains: q.trim(),
-      };
+      where.OR = [
+        { email: { contains: q.trim() } },
+        { label: { contains: q.trim() } },
+      ];
     }
 
     const [accounts, total] = await Promise.all([
@@ -101,10 +215,12 @@ router.get(
         skip,
         take: parseInt(limit),
         include: {
-          syncState: {
+          syncStates: {
             select: {
+              folderId: true,
               lastDeltaAt: true,
               lastMessageDateTime: true,
+              lastError: true,
             },
           },
         },
@@ -112,10 +228,12 @@ router.get(
       prisma.mailAccount.count({ where }),
     ]);
 
+    const tags = await groupService.tagsFor(accounts.map((a) => a.id));
+
     res.json({
       success: true,
       data: {
-        accounts,
+        accounts: accounts.map((a) => ({ ...a, groups: tags.get(a.id) })),
         pagination: {
           page,
           limit,
@@ -133,6 +251,7 @@ router.get(
  */
 router.post(
   "/sync-all",
+  authorize("jobs:run"),
   asyncHandler(async (req, res) => {
     const results = await syncService.syncAllMailboxes();
 
@@ -151,23 +270,138 @@ router.post(
   }),
 );
 
+/**
+ * @route   POST /api/accounts/import
+ * @desc    Bulk onboarding: create PENDING accounts from { csv } (email and
+ *          optional label columns) or { accounts: [email | { email, label }] },
+ *          each with a signed connect link. Invalid rows and existing
+ *          mailboxes are reported in skipped instead of failing the batch.
+ */
+router.post(
+  "/import",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const rows = accountImportService.parseRows(req.body);
+    if (!rows) {
+      throw ApiError.badRequest("Send csv text or an accounts list");
+    }
+    if (rows.length === 0) {
+      throw ApiError.badRequest("The list has no mailboxes");
+    }
+    if (rows.length > accountImportService.maxRows) {
+      throw ApiError.badRequest(
+        `At most ${accountImportService.maxRows} mailboxes per import`,
+      );
+    }
+
+    const appId = await appIdForNewAccount(req.body.appId);
+    const result = await accountImportService.run(rows, {
+      appId,
+      actor: req.user,
+    });
+
+    await auditService.record(req, {
+      action: "account.import",
+      targetType: "import",
+      targetId: result.import.id,
+      metadata: {
+        total: rows.length,
+        created: result.accounts.length,
+        skipped: result.skipped.length,
+        appId,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${result.accounts.length} of ${rows.length} mailbox(es) imported`,
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/accounts/imports
+ * @desc    Recent bulk imports with how many mailboxes completed OAuth
+ */
+router.get(
+  "/imports",
+  authorize("accounts:read"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await accountImportService.list(),
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/accounts/imports/:id
+ * @desc    Progress of an import: status of each of its accounts
+ */
+router.get(
+  "/imports/:id",
+  authorize("accounts:read"),
+  asyncHandler(async (req, res) => {
+    const batch = await accountImportService.get(req.params.id);
+    if (!batch) {
+      throw ApiError.notFound("Import not found");
+    }
+
+    res.json({
+      success: true,
+      data: batch,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/accounts/imports/:id/links
+ * @desc    New connect links for the accounts of an import that are not
+ *          connected yet (links are only shown when issued)
+ */
+router.post(
+  "/imports/:id/links",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const links = await accountImportService.newLinks(req.params.id);
+    if (!links) {
+      throw ApiError.notFound("Import not found");
+    }
+
+    await auditService.record(req, {
+      action: "account.import_links",
+      targetType: "import",
+      targetId: req.params.id,
+      metadata: { links: links.length },
+    });
+
+    res.json({
+      success: true,
+      data: links,
+    });
+  }),
+);
+
 /**
  * @route   GET /api/accounts/:id
  * @desc    Get a single mail account
  */
 router.get(
   "/:id",
+  authorize("accounts:read"),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
     const account = await prisma.mailAccount.findUnique({
       where: { id },
       include: {
-        syncState: true,
+        syncStates: true,
         tokens: {
           select: {
             expiresAt: true,
             scope: true,
+            appRegistrationId: true,
             updatedAt: true,
           },
         },
@@ -180,7 +414,10 @@ router.get(
 
     res.json({
       success: true,
-      data: account,
+      data: {
+        ...account,
+        groups: (await groupService.tagsFor([account.id])).get(account.id),
+      },
     });
   }),
 );
@@ -191,6 +428,7 @@ router.get(
  */
 router.post(
   "/",
+  authorize("accounts:write"),
   asyncHandler(async (req, res) => {
     const { email } = req.body;
 
@@ -205,7 +443,10 @@ router.post(
 
     if (existing) {
       // Generate reconnect URL
-      const { url } = microsoftAuthService.generateAuthUrl(existing.id);
+      const { url } = await microsoftAuthService.generateAuthUrl(existing.id, {
+        sessionId: req.sessionId,
+        browserKey: oauthBrowserKey(req, res),
+      });
 
       return res.json({
         success: true,
@@ -223,11 +464,15 @@ router.post(
       data: {
         email,
         status: "PENDING",
+        appRegistrationId: await appIdForNewAccount(req.body.appId),
       },
     });
 
     // Generate OAuth URL
-    const { url } = microsoftAuthService.generateAuthUrl(account.id);
+    const { url } = await microsoftAuthService.generateAuthUrl(account.id, {
+      sessionId: req.sessionId,
+      browserKey: oauthBrowserKey(req, res),
+    });
 
     // Log creation
     await prisma.systemLog.create({
@@ -240,6 +485,14 @@ router.post(
       },
     });
 
+    await auditService.record(req, {
+      action: "account.create",
+      targetType: "account",
+      targetId: account.id,
+      targetLabel: account.email,
+      after: { email: account.email, status: account.status },
+    });
+
     res.status(201).json({
       success: true,
       data: {
@@ -256,6 +509,7 @@ router.post(
  */
 router.post(
   "/:id/reconnect",
+  authorize("accounts:write"),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -267,7 +521,18 @@ router.post(
       throw ApiError.notFound("Account not found");
     }
 
-    const { url } = microsoftAuthService.generateAuthUrl(id);
+    const { url } = await microsoftAuthService.generateAuthUrl(id, {
+      sessionId: req.sessionId,
+      browserKey: oauthBrowserKey(req, res),
+    });
+
+    await auditService.record(req, {
+      action: "account.reconnect",
+      targetType: "account",
+      targetId: id,
+      targetLabel: account.email,
+      metadata: { status: account.status },
+    });
 
     res.json({
       success: true,
@@ -284,6 +549,7 @@ router.post(
  */
 router.post(
   "/:id/sync",
+  authorize("jobs:run"),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -324,6 +590,7 @@ router.post(
  */
 router.post(
   "/:id/test",
+  authorize("jobs:run"),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -352,17 +619,38 @@ router.post(
  */
 router.patch(
   "/:id",
+  authorize("accounts:write"),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { isEnabled } = req.body;
+    const { isEnabled, label } = req.body;
+
+    const before = await prisma.mailAccount.findUnique({ where: { id } });
+    if (!before) {
+      throw ApiError.notFound("Account not found");
+    }
 
     const account = await prisma.mailAccount.update({
       where: { id },
       data: {
         isEnabled: isEnabled !== undefined ? isEnabled : undefined,
+        label:
+          label !== undefined
+            ? String(label ?? "")
+                .trim()
+                .slice(0, 191) || null
+            : undefined,
       },
     });
 
+    await auditService.record(req, {
+      action: "account.update",
+      targetType: "account",
+      targetId: id,
+      targetLabel: account.email,
+      before: { isEnabled: before.isEnabled, label: before.label },
+      after: { isEnabled: account.isEnabled, label: account.label },
+    });
+
     res.json({
       success: true,
       data: account,
@@ -370,12 +658,133 @@ router.patch(
   }),
 );
 
+// Per-account routing overrides
+const ROUTING_FIELDS = ["forwardToEmail", "notifyEmails", "apiDestinationId"];
+
+/**
+ * Routing overrides of an account and the values they resolve to
+ */
+async function describeRouting(account) {
+  const routing = await forwarderService.resolveRouting(account.id);
+  const destination = routing.apiDestination;
+  return {
+    overrides: auditService.snapshot(account, ROUTING_FIELDS),
+    effective: {
+      forwardTo: routing.forwardTo,
+      notifyEmails: routing.notifyEmails,
+      apiDestination: destination && {
+        id: destination.id,
+        name: destination.name,
+        url: destination.url,
+        isEnabled: destination.isEnabled,
+      },
+    },
+    sources: routing.sources,
+  };
+}
+
+/**
+ * @route   GET /api/accounts/:id/routing
+ * @desc    Get where an account's mail goes: its own overrides and the
+ *          effective values after group and global defaults
+ */
+router.get(
+  "/:id/routing",
+  authorize("accounts:read"),
+  asyncHandler(async (req, res) => {
+    const account = await prisma.mailAccount.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!account) {
+      throw ApiError.notFound("Account not found");
+    }
+
+    res.json({
+      success: true,
+      data: await describeRouting(account),
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/accounts/:id/routing
+ * @desc    Override the forward address, notification recipients or API
+ *          destination of an account (empty = inherit from its groups and
+ *          the global settings)
+ */
+router.patch(
+  "/:id/routing",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const { forwardToEmail, notifyEmails, apiDestinationId } = req.body;
+    const data = {};
+
+    if (forwardToEmail !== undefined) {
+      const email = String(forwardToEmail || "").trim();
+      if (email && !isEmail(email)) {
+        throw ApiError.badRequest("Forward address must be a valid email");
+      }
+      data.forwardToEmail = email || null;
+    }
+
+    if (notifyEmails !== undefined) {
+      const emails = splitEmails(notifyEmails);
+      const invalid = emails.find((e) => !isEmail(e));
+      if (invalid) {
+        throw ApiError.badRequest(`Invalid notification recipient: ${invalid}`);
+      }
+      data.notifyEmails = emails.join(", ") || null;
+    }
+
+    if (apiDestinationId !== undefined) {
+      if (apiDestinationId) {
+        const destination = await prisma.apiDestination.findUnique({
+          where: { id: String(apiDestinationId) },
+          select: { id: true },
+        });
+        if (!destination) {
+          throw ApiError.badRequest("API destination not found");
+        }
+      }
+      data.apiDestinationId = apiDestinationId || null;
+    }
+
+    const before = await prisma.mailAccount.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!before) {
+      throw ApiError.notFound("Account not found");
+    }
+
+    const account = await prisma.mailAccount.update({
+      where: { id: before.id },
+      data,
+    });
+
+    const fields = ROUTING_FIELDS.filter((f) => f in data);
+    await auditService.record(req, {
+      action: "account.routing",
+      targetType: "account",
+      targetId: account.id,
+      targetLabel: account.email,
+      before: auditService.snapshot(before, fields),
+      after: auditService.snapshot(account, fields),
+    });
+
+    res.json({
+      success: true,
+      data: await describeRouting(account),
+    });
+  }),
+);
+
 /**
  * @route   DELETE /api/accounts/:id
  * @desc    Delete a mail account
  */
 router.delete(
   "/:id",
+  authorize("accounts:delete"),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -402,6 +811,18 @@ router.delete(
       },
     });
 
+    await auditService.record(req, {
+      action: "account.delete",
+      targetType: "account",
+      targetId: id,
+      targetLabel: account.email,
+      before: {
+        email: account.email,
+        status: account.status,
+        isEnabled: account.isEnabled,
+      },
+    });
+
     res.json({
       success: true,
       message: "Account deleted successfully",
@@ -415,6 +836,7 @@ router.delete(
  */
 router.get(
   "/:id/messages",
+  authorize("accounts:read"),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { status, page = 1, limit = 50 } = req.query;
@@ -449,4 +871,217 @@ router.get(
   }),
 );
 
+/**
+ * @route   GET /api/accounts/:id/folders
+ * @desc    Watched folders with folder-level sync health
+ */
+router.get(
+  "/:id/folders",
+  authorize("accounts:read"),
+  asyncHandler(async (req, res) => {
+    const account = await prisma.mailAccount.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
+    });
+
+    if (!account) {
+      throw ApiError.notFound("Account not found");
+    }
+
+    res.json({
+      success: true,
+      data: await folderService.getFolderHealth(account.id),
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/accounts/:id/folders/available
+ * @desc    List the mailbox folders (to pick one to watch)
+ */
+router.get(
+  "/:id/folders/available",
+  authorize("accounts:read"),
+  asyncHandler(async (req, res) => {
+    const folders = await graphService.listMailFolders(req.params.id);
+
+    res.json({
+      success: true,
+      data: folders,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/accounts/:id/folders
+ * @desc    Watch another folder (own delta link + webhook subscription)
+ */
+router.post(
+  "/:id/folders",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const folderId = (req.body.folderId || "").trim();
+    const folderName = (req.body.folderName || "").trim();
+
+    if (!folderId) {
+      throw ApiError.badRequest("folderId is required");
+    }
+    if (!folderService.isValidFolderId(folderId)) {
+      throw ApiError.badRequest(
+        "folderId must be a well-known folder name (Inbox, JunkEmail, ...) or a Graph folder ID",
+      );
+    }
+
+    const account = await prisma.mailAccount.findUnique({ where: { id } });
+    if (!account) {
+      throw ApiError.notFound("Account not found");
+    }
+
+    const existing = await prisma.mailSyncState.findUnique({
+      where: { accountId_folderId: { accountId: id, folderId } },
+    });
+    if (existing) {
+      throw ApiError.conflict("This folder is already watched");
+    }
+
+    await prisma.mailSyncState.create({
+      data: {
+        accountId: id,
+        folderId,
+        folderName: folderName || folderService.getFolderName(folderId),
+      },
+    });
+
+    // Subscribe now; on failure the maintenance planner retries later
+    let subscriptionError = null;
+    if (account.status === "CONNECTED" && account.isEnabled) {
+      try {
+        await webhookService.createSubscription(id, folderId);
+      } catch (error) {
+        subscriptionError =
+          error.response?.data?.error?.message || error.message;
+        await folderService.recordError(
+          id,
+          folderId,
+          `Subscription: ${subscriptionError}`,
+        );
+      }
+    }
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Folder ${folderId} watched for ${account.email}`,
+        metadata: { accountId: id, folderId },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "folder.add",
+      targetType: "account",
+      targetId: id,
+      targetLabel: account.email,
+      metadata: { folderId, folderName },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Folder added",
+      warning: subscriptionError
+        ? `The webhook subscription failed and will be retried: ${subscriptionError}`
+        : undefined,
+      data: await folderService.getFolderHealth(id),
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/accounts/:id/folders/:folderId
+ * @desc    Enable or disable a watched folder
+ */
+router.patch(
+  "/:id/folders/:folderId",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const { id, folderId } = req.params;
+    const { isEnabled } = req.body;
+
+    const folder = await prisma.mailSyncState.findUnique({
+      where: { accountId_folderId: { accountId: id, folderId } },
+    });
+    if (!folder) {
+      throw ApiError.notFound("Folder not found");
+    }
+
+    await prisma.mailSyncState.update({
+      where: { id: folder.id },
+      data: { isEnabled: !!isEnabled },
+    });
+
+    await auditService.record(req, {
+      action: "folder.update",
+      targetType: "account",
+      targetId: id,
+      before: { isEnabled: folder.isEnabled },
+      after: { isEnabled: !!isEnabled },
+      metadata: { folderId, folderName: folder.folderName },
+    });
+
+    // Disabled folders get no notifications; the planner re-subscribes enabled ones
+    if (!isEnabled) {
+      await webhookService.deleteSubscription(id, folderId);
+    }
+
+    res.json({
+      success: true,
+      data: await folderService.getFolderHealth(id),
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/accounts/:id/folders/:folderId
+ * @desc    Stop watching a folder
+ */
+router.delete(
+  "/:id/folders/:folderId",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const { id, folderId } = req.params;
+
+    const folder = await prisma.mailSyncState.findUnique({
+      where: { accountId_folderId: { accountId: id, folderId } },
+    });
+    if (!folder) {
+      throw ApiError.notFound("Folder not found");
+    }
+
+    await webhookService.deleteSubscription(id, folderId);
+    await prisma.mailSyncState.delete({ where: { id: folder.id } });
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Folder ${folderId} no longer watched`,
+        metadata: { accountId: id, folderId },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "folder.remove",
+      targetType: "account",
+      targetId: id,
+      metadata: { folderId, folderName: folder.folderName },
+    });
+
+    res.json({
+      success: true,
+      message: "Folder removed",
+    });
+  }),
+);
+
 module.exports = router;
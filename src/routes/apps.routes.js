@@ -0,0 +1,326 @@
+const express = require("express");
+const prisma = require("../config/database");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const encryption = require("../utils/encryption");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const appRegistrationService = require("../services/appRegistration.service");
+const auditService = require("../services/audit.service");
+
+const router = express.Router();
+
+/**
+ * Validate request body and build Prisma data for an app registration
+ * @param {object} body - Request body
+ * @param {boolean} partial - true for PATCH (only validate provided fields)
+ */
+function buildAppData(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      throw ApiError.badRequest("App name is required");
+    }
+    data.name = String(body.name).trim();
+  }
+
+  if (body.clientId !== undefined || !partial) {
+    if (!body.clientId || !String(body.clientId).trim()) {
+      throw ApiError.badRequest("Client ID is required");
+    }
+    data.clientId = String(body.clientId).trim();
+  }
+
+  // Undefined or empty keeps the stored secret on PATCH
+  if (body.clientSecret || !partial) {
+    if (!body.clientSecret) {
+      throw ApiError.badRequest("Client secret is required");
+    }
+    data.clientSecret = encryption.encrypt(String(body.clientSecret));
+  }
+
+  if (body.tenant !== undefined) {
+    const tenant = String(body.tenant || "").trim() || "common";
+    if (!/^[\w.-]+$/.test(tenant)) {
+      throw ApiError.badRequest(
+        "Tenant must be a tenant ID, a domain, common or organizations",
+      );
+    }
+    data.tenant = tenant;
+  }
+
+  // Empty string = MICROSOFT_REDIRECT_URI
+  if (body.redirectUri !== undefined) {
+    if (body.redirectUri) {
+      let url;
+      try {
+        url = new URL(body.redirectUri);
+      } catch {
+        throw ApiError.badRequest("Redirect URI must be a valid URL");
+      }
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw ApiError.badRequest("Redirect URI must use http or https");
+      }
+      data.redirectUri = url.toString();
+    } else {
+      data.redirectUri = null;
+    }
+  }
+
+  // Empty = MICROSOFT_SCOPES
+  if (body.scopes !== undefined) {
+    const scopes = String(
+      Array.isArray(body.scopes) ? body.scopes.join(" ") : body.scopes || "",
+    )
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    if (scopes.length && !scopes.includes("offline_access")) {
+      throw ApiError.badRequest(
+        "Scopes must include offline_access (needed for refresh tokens)",
+      );
+    }
+    data.scopes = scopes.join(" ") || null;
+  }
+
+  if (body.isEnabled !== undefined) {
+    data.isEnabled = !!body.isEnabled;
+  }
+
+  if (body.isDefault !== undefined) {
+    data.isDefault = !!body.isDefault;
+  }
+
+  return data;
+}
+
+// Fields compared in audit snapshots (the secret only shows as changed)
+const AUDIT_FIELDS = [
+  "name",
+  "clientId",
+  "clientSecret",
+  "tenant",
+  "redirectUri",
+  "scopes",
+  "isEnabled",
+  "isDefault",
+];
+
+/**
+ * Only one app can be the default for new mailboxes
+ */
+async function clearOtherDefaults(app) {
+  if (app.isDefault) {
+    await prisma.appRegistration.updateMany({
+      where: { isDefault: true, id: { not: app.id } },
+      data: { isDefault: false },
+    });
+  }
+}
+
+/**
+ * Target of a move: an app ID, or null / "builtin" for the built-in app
+ */
+async function findTarget(appId) {
+  if (!appId || appId === "builtin") {
+    if (!appRegistrationService.builtIn().isEnabled) {
+      throw ApiError.badRequest("MICROSOFT_CLIENT_ID is not configured");
+    }
+    return { id: null, name: appRegistrationService.builtIn().name };
+  }
+  const app = await prisma.appRegistration.findUnique({
+    where: { id: appId },
+  });
+  if (!app) {
+    throw ApiError.notFound("App registration not found");
+  }
+  if (!app.isEnabled) {
+    throw ApiError.badRequest(`${app.name} is disabled`);
+  }
+  return app;
+}
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/apps
+ * @desc    Get all app registrations (built-in first) with account counts
+ *          and Graph error rates of the last 24 hours
+ */
+router.get(
+  "/",
+  authorize("settings:read"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await appRegistrationService.list(),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/apps
+ * @desc    Add an app registration
+ */
+router.post(
+  "/",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildAppData(req.body);
+    const app = await prisma.appRegistration.create({ data });
+    await clearOtherDefaults(app);
+
+    await auditService.record(req, {
+      action: "app.create",
+      targetType: "app",
+      targetId: app.id,
+      targetLabel: app.name,
+      after: auditService.snapshot(app, AUDIT_FIELDS),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: appRegistrationService.toPublic(app),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/apps/move
+ * @desc    Bind accounts to another app. Body: { to, accountIds } or
+ *          { to, from, limit } (limit accounts of app "from", all if unset).
+ *          Moved accounts keep their tokens until they are reconnected.
+ */
+router.post(
+  "/move",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const { accountIds, from, limit } = req.body;
+    const target = await findTarget(req.body.to);
+
+    let ids;
+    if (Array.isArray(accountIds)) {
+      ids = accountIds.map(String);
+    } else if (from !== undefined) {
+      const take = limit ? parseInt(limit, 10) : undefined;
+      if (take !== undefined && !(take > 0)) {
+        throw ApiError.badRequest("limit must be a positive number");
+      }
+      const accounts = await prisma.mailAccount.findMany({
+        where: {
+          appRegistrationId: !from || from === "builtin" ? null : from,
+        },
+        select: { id: true },
+        orderBy: { createdAt: "asc" },
+        take,
+      });
+      ids = accounts.map((a) => a.id);
+    } else {
+      throw ApiError.badRequest("accountIds or from is required");
+    }
+
+    const result = await appRegistrationService.moveAccounts(ids, target.id);
+
+    await auditService.record(req, {
+      action: "app.move_accounts",
+      targetType: "app",
+      targetId: target.id,
+      targetLabel: target.name,
+      metadata: { ...result, from: from ?? null },
+    });
+
+    res.json({
+      success: true,
+      message:
+        `${result.moved} account(s) moved to ${target.name}` +
+        (result.needsReconnect
+          ? `. ${result.needsReconnect} keep using their current app until reconnected.`
+          : ""),
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/apps/:id
+ * @desc    Update an app registration
+ */
+router.patch(
+  "/:id",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildAppData(req.body, true);
+    const before = await prisma.appRegistration.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!before) {
+      throw ApiError.notFound("App registration not found");
+    }
+
+    const app = await prisma.appRegistration.update({
+      where: { id: req.params.id },
+      data,
+    });
+    await clearOtherDefaults(app);
+    appRegistrationService.clearCache(app.id);
+
+    const fields = AUDIT_FIELDS.filter((f) => f in data);
+    await auditService.record(req, {
+      action: "app.update",
+      targetType: "app",
+      targetId: app.id,
+      targetLabel: app.name,
+      before: auditService.snapshot(before, fields),
+      after: auditService.snapshot(app, fields),
+    });
+
+    res.json({
+      success: true,
+      data: appRegistrationService.toPublic(app),
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/apps/:id
+ * @desc    Delete an app registration nothing uses any more
+ */
+router.delete(
+  "/:id",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const app = await prisma.appRegistration.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!app) {
+      throw ApiError.notFound("App registration not found");
+    }
+
+    const [accounts, tokens] = await Promise.all([
+      prisma.mailAccount.count({ where: { appRegistrationId: app.id } }),
+      prisma.mailToken.count({ where: { appRegistrationId: app.id } }),
+    ]);
+    if (accounts || tokens) {
+      throw ApiError.conflict(
+        `${app.name} is still used by ${Math.max(accounts, tokens)} account(s). Move them to another app and reconnect them first.`,
+      );
+    }
+
+    await prisma.appRegistration.delete({ where: { id: app.id } });
+    appRegistrationService.clearCache(app.id);
+
+    await auditService.record(req, {
+      action: "app.delete",
+      targetType: "app",
+      targetId: app.id,
+      targetLabel: app.name,
+      before: { name: app.name, clientId: app.clientId },
+    });
+
+    res.json({
+      success: true,
+      message: "App registration deleted successfully",
+    });
+  }),
+);
+
+module.exports = router;
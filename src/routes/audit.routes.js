@@ -0,0 +1,50 @@
+const express = require("express");
+const asyncHandler = require("../utils/asyncHandler");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const auditService = require("../services/audit.service");
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize("audit:read"));
+
+/**
+ * @route   GET /api/audit
+ * @desc    Get dashboard audit entries
+ *          (filters: actor, action, targetType, targetId, from, to)
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const data = await auditService.list(req.query, { page, limit });
+
+    res.json({
+      success: true,
+      data,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Download audit entries matching the filters as CSV
+ */
+router.get(
+  "/export",
+  asyncHandler(async (req, res) => {
+    const csv = await auditService.exportCsv(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-${date}.csv"`,
+    );
+    res.send(csv);
+  }),
+);
+
+module.exports = router;
@@ -5,11 +5,126 @@ const config = require("../config");
 const prisma = require("../config/database");
 const asyncHandler = require("../utils/asyncHandler");
 const ApiError = require("../utils/ApiError");
-const { authenticate } = require("../middleware/auth.middleware");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const { permissionsFor } = require("../config/permissions");
 const microsoftAuthService = require("../services/microsoftAuth.service");
+const appRegistrationService = require("../services/appRegistration.service");
+const auditService = require("../services/audit.service");
+const twoFactorService = require("../services/twoFactor.service");
+const sessionService = require("../services/session.service");
+const {
+  oauthBrowserKey,
+  readOAuthBrowserKey,
+} = require("../utils/oauthBrowser");
 
 const router = express.Router();
 
+// Purpose claim of the short-lived token between password and 2FA step
+const CHALLENGE = {
+  verify: "2fa", // enter a code
+  setup: "2fa-setup", // 2FA is mandatory: enroll before the first session
+};
+
+// httpOnly cookie with the refresh token, only sent to /api/auth
+const REFRESH_COOKIE = "mc_refresh";
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: config.sessions.secureCookies,
+  sameSite: "strict",
+  path: "/api/auth",
+});
+
+const setRefreshCookie = (res, refreshToken) =>
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: config.sessions.refreshTtlDays * 24 * 60 * 60 * 1000,
+  });
+
+const clearRefreshCookie = (res) =>
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
+const userInfo = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  permissions: permissionsFor(user.role),
+});
+
+/**
+ * Start a session after a complete login: sets the refresh cookie and
+ * returns the access token + user info
+ */
+async function createSession(req, res, user) {
+  const { accessToken, refreshToken } = await sessionService.create(user, req);
+  setRefreshCookie(res, refreshToken);
+  return { token: accessToken, user: userInfo(user) };
+}
+
+const createChallenge = (user, purpose) =>
+  jwt.sign({ userId: user.id, purpose }, config.jwt.secret, {
+    expiresIn: config.twoFactor.challengeExpiresIn,
+  });
+
+/**
+ * Load the user of a login challenge token
+ */
+async function readChallenge(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ""), config.jwt.secret);
+  } catch (error) {
+    throw ApiError.unauthorized("Login expired, please sign in again");
+  }
+  if (decoded.purpose !== purpose) {
+    throw ApiError.unauthorized("Invalid token");
+  }
+
+  const user = await prisma.adminUser.findUnique({
+    where: { id: decoded.userId },
+  });
+  if (!user || !user.isActive) {
+    throw ApiError.unauthorized("User not found or inactive");
+  }
+  return user;
+}
+
+/**
+ * authenticate, or a setup challenge token in the body
+ * (enrollment during a login where 2FA is mandatory)
+ */
+const authenticateEnrollment = (req, res, next) => {
+  if (!req.body?.challengeToken) return authenticate(req, res, next);
+
+  readChallenge(req.body.challengeToken, CHALLENGE.setup)
+    .then((user) => {
+      req.user = {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      };
+      req.duringLogin = true;
+      next();
+    })
+    .catch(next);
+};
+
+/**
+ * Reject a 2FA check that failed (the code step keeps its 400)
+ */
+function assertVerified(result) {
+  if (result.lockedUntil) {
+    throw ApiError.tooManyRequests(
+      `Too many wrong codes. Try again after ${result.lockedUntil.toISOString()}`,
+    );
+  }
+  if (!result.ok) {
+    throw ApiError.badRequest("Invalid verification code");
+  }
+}
+
 /**
  * @route   POST /api/auth/login
  * @desc    Admin login
@@ -38,28 +153,358 @@ router.post(
       throw ApiError.unauthorized("Invalid credentials");
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn },
+    // Second step: a code from the authenticator app
+    if (twoFactorService.isEnabled(user)) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallenge(user, CHALLENGE.verify),
+        },
+      });
+    }
+
+    if (await twoFactorService.isRequired()) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: createChallenge(user, CHALLENGE.setup),
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await createSession(req, res, user),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a login with a TOTP or recovery code
+ */
+router.post(
+  "/login/2fa",
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      throw ApiError.badRequest("Verification code is required");
+    }
+
+    const user = await readChallenge(challengeToken, CHALLENGE.verify);
+    const result = await twoFactorService.verify(user, code);
+    assertVerified(result);
+
+    if (result.method === "recovery") {
+      req.user = { id: user.id, email: user.email };
+      await auditService.record(req, {
+        action: "auth.recovery_code_used",
+        targetType: "user",
+        targetId: user.id,
+        targetLabel: user.email,
+        metadata: { recoveryCodesLeft: result.recoveryCodesLeft },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...(await createSession(req, res, user)),
+        recoveryCodesLeft: result.recoveryCodesLeft,
+      },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    New access token for the refresh cookie (rotates the cookie)
+ */
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const result = await sessionService.refresh(
+      req.cookies?.[REFRESH_COOKIE],
+      req,
+    );
+
+    if (!result) {
+      clearRefreshCookie(res);
+      throw ApiError.unauthorized("Session ended, please sign in again");
+    }
+
+    setRefreshCookie(res, result.refreshToken);
+    res.json({
+      success: true,
+      data: { token: result.accessToken, user: userInfo(result.user) },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the session of the refresh cookie
+ */
+router.post(
+  "/logout",
+  asyncHandler(async (req, res) => {
+    const sessionId = sessionService.idFromRefreshToken(
+      req.cookies?.[REFRESH_COOKIE],
     );
+    if (sessionId) {
+      await sessionService.revoke(sessionId, "logout");
+    }
+
+    clearRefreshCookie(res);
+    res.json({
+      success: true,
+      message: "Signed out",
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Active sessions of the current user (device, IP, last use)
+ */
+router.get(
+  "/sessions",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await sessionService.listActive(req.user.id, req.sessionId),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/auth/sessions/revoke-all
+ * @desc    Sign out everywhere (including this browser)
+ */
+router.post(
+  "/sessions/revoke-all",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const count = await sessionService.revokeAll(req.user.id);
 
+    await auditService.record(req, {
+      action: "auth.sessions_revoke_all",
+      targetType: "user",
+      targetId: req.user.id,
+      targetLabel: req.user.email,
+      metadata: { sessions: count },
+    });
+
+    clearRefreshCookie(res);
     res.json({
       success: true,
+      message: `Signed out of ${count} session(s)`,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one of the current user's sessions
+ */
+router.delete(
+  "/sessions/:id",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const session = await prisma.adminSession.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!session || session.userId !== req.user.id) {
+      throw ApiError.notFound("Session not found");
+    }
+
+    await sessionService.revoke(session.id);
+
+    await auditService.record(req, {
+      action: "auth.session_revoke",
+      targetType: "user",
+      targetId: req.user.id,
+      targetLabel: req.user.email,
+      metadata: {
+        device: sessionService.describeDevice(session.userAgent),
+        ipAddress: session.ipAddress,
+      },
+    });
+
+    if (session.id === req.sessionId) {
+      clearRefreshCookie(res);
+    }
+    res.json({
+      success: true,
+      message: "Session signed out",
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor authentication status of the current user
+ */
+router.get(
+  "/2fa",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.user.id },
+    });
+
+    res.json({
+      success: true,
+      data: await twoFactorService.getStatus(user),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns the secret and otpauth:// URI)
+ */
+router.post(
+  "/2fa/setup",
+  authenticateEnrollment,
+  asyncHandler(async (req, res) => {
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (twoFactorService.isEnabled(user)) {
+      throw ApiError.conflict("Two-factor authentication is already enabled");
+    }
+
+    res.json({
+      success: true,
+      data: await twoFactorService.beginSetup(user),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Finish enrollment with a code from the app (returns recovery codes)
+ */
+router.post(
+  "/2fa/enable",
+  authenticateEnrollment,
+  asyncHandler(async (req, res) => {
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (twoFactorService.isEnabled(user)) {
+      throw ApiError.conflict("Two-factor authentication is already enabled");
+    }
+    if (!user.twoFactorSecret) {
+      throw ApiError.badRequest("Start the setup first");
+    }
+
+    const recoveryCodes = await twoFactorService.enable(user, req.body.code);
+    if (!recoveryCodes) {
+      throw ApiError.badRequest("Invalid verification code");
+    }
+
+    await auditService.record(req, {
+      action: "auth.2fa_enable",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
       data: {
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-        },
+        recoveryCodes,
+        // Enrolled while signing in: this completes the login
+        ...(req.duringLogin ? await createSession(req, res, user) : {}),
       },
     });
   }),
 );
 
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA (needs the password and a current code)
+ */
+router.post(
+  "/2fa/disable",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (!twoFactorService.isEnabled(user)) {
+      throw ApiError.badRequest("Two-factor authentication is not enabled");
+    }
+    if (await twoFactorService.isRequired()) {
+      throw ApiError.badRequest(
+        "Two-factor authentication is required for all users",
+      );
+    }
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      throw ApiError.badRequest("Password is incorrect");
+    }
+    assertVerified(await twoFactorService.verify(user, code));
+
+    await twoFactorService.disable(user.id);
+
+    await auditService.record(req, {
+      action: "auth.2fa_disable",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (needs a current code)
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.user.id },
+    });
+
+    assertVerified(await twoFactorService.verify(user, req.body.code));
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+      user.id,
+    );
+
+    await auditService.record(req, {
+      action: "auth.2fa_recovery_codes",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+    });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+    });
+  }),
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user info
@@ -81,7 +526,7 @@ router.get(
 
     res.json({
       success: true,
-      data: user,
+      data: { ...user, permissions: permissionsFor(user.role) },
     });
   }),
 );
@@ -93,10 +538,21 @@ router.get(
 router.get(
   "/microsoft/connect",
   authenticate,
+  authorize("accounts:write"),
   asyncHandler(async (req, res) => {
     const { accountId } = req.query;
 
-    const { url, state } = microsoftAuthService.generateAuthUrl(accountId);
+    // Reconnects use the account's app, new mailboxes the default one
+    const { url, state } = await microsoftAuthService.generateAuthUrl(
+      accountId || null,
+      {
+        sessionId: req.sessionId,
+        browserKey: oauthBrowserKey(req, res),
+        appId: accountId
+          ? null
+          : await appRegistrationService.pickForNewAccount(),
+      },
+    );
 
     res.json({
       success: true,
@@ -127,8 +583,19 @@ router.get(
       );
     }
 
+    // Issued by us, unused, unexpired, same browser and admin session
+    const { flow, error: stateError } = await microsoftAuthService.consumeState(
+      state,
+      { browserKey: readOAuthBrowserKey(req) },
+    );
+    if (stateError) {
+      return res.redirect(
+        `${config.frontendUrl}/oauth/callback?reason=state&error=${encodeURIComponent(stateError)}`,
+      );
+    }
+
     try {
-      const account = await microsoftAuthService.completeOAuthFlow(code, state);
+      const account = await microsoftAuthService.completeOAuthFlow(code, flow);
 
       // Redirect to frontend with success
       res.redirect(
@@ -182,6 +649,19 @@ router.post(
       data: { password: hashedPassword },
     });
 
+    // Other browsers signed in with the old password are signed out
+    await sessionService.revokeAll(req.user.id, {
+      reason: "password_change",
+      exceptId: req.sessionId,
+    });
+
+    await auditService.record(req, {
+      action: "auth.password_change",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+    });
+
     res.json({
       success: true,
       message: "Password changed successfully",
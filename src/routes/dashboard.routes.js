@@ -1,22 +1,37 @@
 const express = require("express");
 const prisma = require("../config/database");
 const asyncHandler = require("../utils/asyncHandler");
-const { authenticate } = require("../middleware/auth.middleware");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
 const syncService = require("../services/sync.service");
+const rateLimiter = require("../services/rateLimiter.service");
+const auditService = require("../services/audit.service");
+const groupService = require("../services/group.service");
+const twoFactorService = require("../services/twoFactor.service");
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+/**
+ * Accounts of the ?groupId= filter (undefined = no filter)
+ */
+const groupAccountIds = (req) =>
+  req.query.groupId
+    ? groupService.accountIdsOf(String(req.query.groupId))
+    : undefined;
+
 /**
  * @route   GET /api/dashboard/stats
- * @desc    Get dashboard statistics
+ * @desc    Get dashboard statistics (?groupId= for one group)
  */
 router.get(
   "/stats",
+  authorize("dashboard:read"),
   asyncHandler(async (req, res) => {
-    const stats = await syncService.getStatistics();
+    const stats = await syncService.getStatistics({
+      accountIds: await groupAccountIds(req),
+    });
 
     res.json({
       success: true,
@@ -27,12 +42,15 @@ router.get(
 
 /**
  * @route   GET /api/dashboard/accounts-overview
- * @desc    Get accounts status overview
+ * @desc    Get accounts status overview (?groupId= for one group)
  */
 router.get(
   "/accounts-overview",
+  authorize("dashboard:read"),
   asyncHandler(async (req, res) => {
+    const accountIds = await groupAccountIds(req);
     const accounts = await prisma.mailAccount.findMany({
+      where: accountIds ? { id: { in: accountIds } } : {},
       select: {
         id: true,
         email: true,
@@ -69,19 +87,24 @@ router.get(
 
 /**
  * @route   GET /api/dashboard/recent-activity
- * @desc    Get recent sync activity
+ * @desc    Get recent sync activity (?groupId= for one group)
  */
 router.get(
   "/recent-activity",
+  authorize("dashboard:read"),
   asyncHandler(async (req, res) => {
     const { limit = 50 } = req.query;
+    const accountIds = await groupAccountIds(req);
+    const where = accountIds ? { accountId: { in: accountIds } } : {};
 
     const [logs, messages] = await Promise.all([
       prisma.systemLog.findMany({
+        where,
         orderBy: { createdAt: "desc" },
         take: parseInt(limit),
       }),
       prisma.mailMessageLog.findMany({
+        where,
         orderBy: { createdAt: "desc" },
         take: parseInt(limit),
         include: {
@@ -110,6 +133,7 @@ router.get(
  */
 router.post(
   "/sync-all",
+  authorize("jobs:run"),
   asyncHandler(async (req, res) => {
     const results = await syncService.syncAllMailboxes();
 
@@ -133,9 +157,16 @@ router.post(
  */
 router.post(
   "/retry-failed",
+  authorize("jobs:run"),
   asyncHandler(async (req, res) => {
     const results = await syncService.retryFailedMessages();
 
+    await auditService.record(req, {
+      action: "messages.retry_failed",
+      targetType: "log",
+      metadata: results,
+    });
+
     res.json({
       success: true,
       data: results,
@@ -149,6 +180,7 @@ router.post(
  */
 router.get(
   "/health",
+  authorize("dashboard:read"),
   asyncHandler(async (req, res) => {
     // Check database
     let dbStatus = "ok";
@@ -187,12 +219,54 @@ router.get(
   }),
 );
 
+/**
+ * @route   GET /api/dashboard/rate-limits
+ * @desc    Current Graph API token bucket levels (app + mailboxes)
+ */
+router.get(
+  "/rate-limits",
+  authorize("dashboard:read"),
+  asyncHandler(async (req, res) => {
+    const levels = await rateLimiter.getLevels();
+
+    const mailboxIds = levels
+      .filter((b) => b.type === "mailbox")
+      .map((b) => b.key);
+    const accounts = await prisma.mailAccount.findMany({
+      where: { id: { in: mailboxIds } },
+      select: { id: true, email: true },
+    });
+    const emails = new Map(accounts.map((a) => [a.id, a.email]));
+
+    // Most constrained buckets first
+    const buckets = levels
+      .map((b) => ({
+        ...b,
+        label: b.type === "mailbox" ? emails.get(b.key) || b.key : b.key,
+      }))
+      .sort(
+        (a, b) =>
+          b.blockedForMs - a.blockedForMs ||
+          a.tokens / a.capacity - b.tokens / b.capacity,
+      );
+
+    res.json({
+      success: true,
+      data: {
+        apps: buckets.filter((b) => b.type === "app"),
+        mailboxes: buckets.filter((b) => b.type === "mailbox"),
+      },
+    });
+  }),
+);
+
 /**
  * @route   GET /api/dashboard/config
  * @desc    Get system configuration (from database)
  */
 router.get(
   "/config",
+  authorize("settings:read"),
   asyncHandler(async (req, res) => {
     const config = require("../config");
 
@@ -201,6 +275,18 @@ router.get(
       where: { key: "forwardToEmail" },
     });
 
+    // What the enabled rules do, e.g. { "API": 2, "FORWARD/RESEND": 1 }
+    const rules = await prisma.forwardingRule.findMany({
+      where: { isEnabled: true },
+      select: { action: true, forwardMode: true },
+    });
+    const forwardMethods = {};
+    for (const rule of rules) {
+      const method =
+        rule.action === "FORWARD" ? `FORWARD/${rule.forwardMode}` : rule.action;
+      forwardMethods[method] = (forwardMethods[method] || 0) + 1;
+    }
+
     res.json({
       success: true,
       data: {
@@ -209,7 +295,12 @@ router.get(
           config.forwarding.toEmail ||
           "Not configured",
         syncInterval: config.worker.pollIntervalMs / 1000, // Convert to seconds
-        forwardMethod: "Graph API (Direct Forward)",
+        forwardMethod:
+          Object.entries(forwardMethods)
+            .map(([method, count]) => `${method} (${count} rule(s))`)
+            .join(", ") || "No enabled rules (messages are skipped)",
+        forwardMethods,
+        require2fa: await twoFactorService.isRequired(),
       },
     });
   }),
@@ -221,6 +312,7 @@ router.get(
  */
 router.post(
   "/config",
+  authorize("settings:write"),
   asyncHandler(async (req, res) => {
     const { forwardToEmail } = req.body;
 
@@ -240,6 +332,10 @@ router.post(
       });
     }
 
+    const previous = await prisma.systemSetting.findUnique({
+      where: { key: "forwardToEmail" },
+    });
+
     // Save to database
     await prisma.systemSetting.upsert({
       where: { key: "forwardToEmail" },
@@ -260,6 +356,14 @@ router.post(
       },
     });
 
+    await auditService.record(req, {
+      action: "config.update",
+      targetType: "config",
+      targetId: "forwardToEmail",
+      before: { forwardToEmail: previous?.value || null },
+      after: { forwardToEmail },
+    });
+
     res.json({
       success: true,
       message: "Configuration updated successfully",
@@ -270,12 +374,57 @@ router.post(
   }),
 );
 
+/**
+ * @route   POST /api/dashboard/config/security
+ * @desc    Make two-factor authentication mandatory (or optional)
+ */
+router.post(
+  "/config/security",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const require2fa = req.body.require2fa === true;
+    const previous = await twoFactorService.isRequired();
+
+    // Do not lock out the admin making the change
+    if (require2fa) {
+      const user = await prisma.adminUser.findUnique({
+        where: { id: req.user.id },
+      });
+      if (!twoFactorService.isEnabled(user)) {
+        return res.status(400).json({
+          success: false,
+          message: "Enable two-factor authentication on your own account first",
+        });
+      }
+    }
+
+    await twoFactorService.setRequired(require2fa);
+
+    await auditService.record(req, {
+      action: "config.update",
+      targetType: "config",
+      targetId: "require2fa",
+      before: { require2fa: previous },
+      after: { require2fa },
+    });
+
+    res.json({
+      success: true,
+      message: require2fa
+        ? "Two-factor authentication is now required for all users"
+        : "Two-factor authentication is now optional",
+      data: { require2fa },
+    });
+  }),
+);
+
 /**
  * @route   GET /api/dashboard/worker-status
  * @desc    Get worker status
  */
 router.get(
   "/worker-status",
+  authorize("dashboard:read"),
   asyncHandler(async (req, res) => {
     // Get last sync time from any account
     const lastSyncedAccount = await prisma.mailAccount.findFirst({
@@ -321,6 +470,7 @@ router.get(
  */
 router.post(
   "/test-forward",
+  authorize("jobs:run"),
   asyncHandler(async (req, res) => {
     // Check if any account is connected and has Mail.Send permission
     const connectedAccount = await prisma.mailAccount.findFirst({
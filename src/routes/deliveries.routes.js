@@ -0,0 +1,228 @@
+const express = require("express");
+const prisma = require("../config/database");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const destinationService = require("../services/destination.service");
+const auditService = require("../services/audit.service");
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const DELIVERY_STATUSES = [
+  "PENDING",
+  "DELIVERED",
+  "FAILED",
+  "DEAD_LETTER",
+  "DISCARDED",
+];
+
+const toPublic = (delivery) => ({
+  id: delivery.id,
+  status: delivery.status,
+  destinationId: delivery.destinationId,
+  destination: delivery.destination?.name || "STEAM_API_URL",
+  messageLogId: delivery.messageLogId,
+  subject: delivery.messageLog?.subject,
+  fromAddress: delivery.messageLog?.fromAddress,
+  account: delivery.messageLog?.account?.email,
+  receivedAt: delivery.messageLog?.receivedDateTime,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus,
+  error: delivery.error,
+  lastAttemptAt: delivery.lastAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  deadLetteredAt: delivery.deadLetteredAt,
+  deadLetterReason: delivery.deadLetterReason,
+  createdAt: delivery.createdAt,
+});
+
+const include = {
+  destination: { select: { name: true } },
+  messageLog: {
+    select: {
+      subject: true,
+      fromAddress: true,
+      receivedDateTime: true,
+      account: { select: { email: true } },
+    },
+  },
+};
+
+const parseIds = (body) => {
+  const ids = Array.isArray(body?.ids) ? body.ids.filter(Boolean) : [];
+  if (ids.length === 0) {
+    throw ApiError.badRequest("ids must be a non-empty array");
+  }
+  return ids;
+};
+
+/**
+ * @route   GET /api/deliveries
+ * @desc    List outbound API deliveries (default: dead letters)
+ */
+router.get(
+  "/",
+  authorize("logs:read"),
+  asyncHandler(async (req, res) => {
+    const {
+      status = "DEAD_LETTER",
+      destinationId,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`Unknown status: ${status}`);
+    }
+
+    const where = { status };
+    if (destinationId) {
+      where.destinationId = destinationId === "default" ? null : destinationId;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      prisma.messageDelivery.findMany({
+        where,
+        orderBy: { updatedAt: "desc" },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        include,
+      }),
+      prisma.messageDelivery.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(toPublic),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/deliveries/stats
+ * @desc    Count deliveries per status
+ */
+router.get(
+  "/stats",
+  authorize("logs:read"),
+  asyncHandler(async (req, res) => {
+    const counts = await prisma.messageDelivery.groupBy({
+      by: ["status"],
+      _count: true,
+    });
+
+    const data = Object.fromEntries(DELIVERY_STATUSES.map((s) => [s, 0]));
+    counts.forEach((c) => {
+      data[c.status] = c._count;
+    });
+
+    res.json({
+      success: true,
+      data,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/deliveries/replay
+ * @desc    Re-queue dead-lettered deliveries ({ ids })
+ */
+router.post(
+  "/replay",
+  authorize("jobs:run"),
+  asyncHandler(async (req, res) => {
+    const ids = parseIds(req.body);
+    const count = await destinationService.replay(ids);
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Replayed ${count} dead-lettered API deliveries`,
+        metadata: { ids },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "delivery.replay",
+      targetType: "delivery",
+      metadata: { ids, count },
+    });
+
+    res.json({
+      success: true,
+      message: `${count} deliveries queued for replay`,
+      data: { count },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/deliveries/discard
+ * @desc    Discard dead-lettered deliveries ({ ids })
+ */
+router.post(
+  "/discard",
+  authorize("jobs:run"),
+  asyncHandler(async (req, res) => {
+    const ids = parseIds(req.body);
+    const count = await destinationService.discard(ids);
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Discarded ${count} dead-lettered API deliveries`,
+        metadata: { ids },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "delivery.discard",
+      targetType: "delivery",
+      metadata: { ids, count },
+    });
+
+    res.json({
+      success: true,
+      message: `${count} deliveries discarded`,
+      data: { count },
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/deliveries/:id
+ * @desc    Get a delivery with its payload
+ */
+router.get(
+  "/:id",
+  authorize("logs:read"),
+  asyncHandler(async (req, res) => {
+    const delivery = await prisma.messageDelivery.findUnique({
+      where: { id: req.params.id },
+      include,
+    });
+
+    if (!delivery) {
+      throw ApiError.notFound("Delivery not found");
+    }
+
+    res.json({
+      success: true,
+      data: { ...toPublic(delivery), payload: delivery.payload },
+    });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,317 @@
+const express = require("express");
+const prisma = require("../config/database");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const encryption = require("../utils/encryption");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const destinationService = require("../services/destination.service");
+const auditService = require("../services/audit.service");
+
+const router = express.Router();
+
+/**
+ * Hide the encrypted secret from API responses
+ */
+const toPublic = (destination) => {
+  const { secret, ...rest } = destination;
+  return { ...rest, hasSecret: !!secret };
+};
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validate request body and build Prisma data for a destination
+ * @param {object} body - Request body
+ * @param {boolean} partial - true for PATCH (only validate provided fields)
+ */
+function buildDestinationData(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      throw ApiError.badRequest("Destination name is required");
+    }
+    data.name = String(body.name).trim();
+  }
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      throw ApiError.badRequest("A valid URL is required");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw ApiError.badRequest("URL must use http or https");
+    }
+    data.url = url.toString();
+  }
+
+  // Empty string clears the secret, undefined keeps it
+  if (body.secret !== undefined) {
+    data.secret = body.secret ? encryption.encrypt(String(body.secret)) : null;
+  }
+
+  if (body.timeoutMs !== undefined) {
+    const timeoutMs = parseInt(body.timeoutMs, 10);
+    if (isNaN(timeoutMs) || timeoutMs < 100 || timeoutMs > 60000) {
+      throw ApiError.badRequest("timeoutMs must be between 100 and 60000");
+    }
+    data.timeoutMs = timeoutMs;
+  }
+
+  if (body.headers !== undefined) {
+    if (body.headers !== null && !isPlainObject(body.headers)) {
+      throw ApiError.badRequest("headers must be an object");
+    }
+    data.headers = body.headers || undefined;
+  }
+
+  if (body.payloadTemplate !== undefined) {
+    if (body.payloadTemplate !== null && !isPlainObject(body.payloadTemplate)) {
+      throw ApiError.badRequest("payloadTemplate must be an object");
+    }
+    data.payloadTemplate = body.payloadTemplate || undefined;
+  }
+
+  if (body.extractorNames !== undefined) {
+    const names = Array.isArray(body.extractorNames)
+      ? body.extractorNames
+      : String(body.extractorNames || "").split(",");
+    data.extractorNames =
+      names
+        .map((n) => String(n).trim())
+        .filter(Boolean)
+        .join(",") || null;
+  }
+
+  if (body.isEnabled !== undefined) {
+    data.isEnabled = !!body.isEnabled;
+  }
+
+  return data;
+}
+
+router.use(authenticate);
+
+const STAT_KEYS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+  DEAD_LETTER: "deadLetter",
+  DISCARDED: "discarded",
+};
+
+/**
+ * @route   GET /api/destinations
+ * @desc    Get all API destinations with delivery counts
+ */
+router.get(
+  "/",
+  authorize("settings:read"),
+  asyncHandler(async (req, res) => {
+    const [destinations, counts] = await Promise.all([
+      prisma.apiDestination.findMany({
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.messageDelivery.groupBy({
+        by: ["destinationId", "status"],
+        _count: true,
+      }),
+    ]);
+
+    const data = destinations.map((destination) => {
+      const stats = {
+        delivered: 0,
+        failed: 0,
+        pending: 0,
+        deadLetter: 0,
+        discarded: 0,
+      };
+      counts
+        .filter((c) => c.destinationId === destination.id)
+        .forEach((c) => {
+          stats[STAT_KEYS[c.status]] = c._count;
+        });
+      return { ...toPublic(destination), stats };
+    });
+
+    res.json({
+      success: true,
+      data,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/destinations
+ * @desc    Create an API destination
+ */
+router.post(
+  "/",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildDestinationData(req.body);
+    const destination = await prisma.apiDestination.create({ data });
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `API destination created: ${destination.name}`,
+        metadata: { destinationId: destination.id },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "destination.create",
+      targetType: "destination",
+      targetId: destination.id,
+      targetLabel: destination.name,
+      after: auditService.snapshot(destination, Object.keys(data)),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toPublic(destination),
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/destinations/:id
+ * @desc    Update an API destination
+ */
+router.patch(
+  "/:id",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildDestinationData(req.body, true);
+    const before = await prisma.apiDestination.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!before) {
+      throw ApiError.notFound("Destination not found");
+    }
+
+    const destination = await prisma.apiDestination.update({
+      where: { id: req.params.id },
+      data,
+    });
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `API destination updated: ${destination.name}`,
+        metadata: { destinationId: destination.id, changes: Object.keys(data) },
+      },
+    });
+
+    const fields = Object.keys(data);
+    await auditService.record(req, {
+      action: "destination.update",
+      targetType: "destination",
+      targetId: destination.id,
+      targetLabel: destination.name,
+      before: auditService.snapshot(before, fields),
+      after: auditService.snapshot(destination, fields),
+    });
+
+    res.json({
+      success: true,
+      data: toPublic(destination),
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/destinations/:id
+ * @desc    Delete an API destination (and its delivery history)
+ */
+router.delete(
+  "/:id",
+  authorize("settings:write"),
+  asyncHandler(async (req, res) => {
+    // Their API events would silently fall back to the rule destinations
+    const accounts = await prisma.mailAccount.count({
+      where: { apiDestinationId: req.params.id },
+    });
+    if (accounts) {
+      throw ApiError.conflict(
+        `This destination is the API destination of ${accounts} account(s). Change their routing first.`,
+      );
+    }
+
+    const destination = await prisma.apiDestination.delete({
+      where: { id: req.params.id },
+    });
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `API destination deleted: ${destination.name}`,
+        metadata: { destinationId: destination.id },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "destination.delete",
+      targetType: "destination",
+      targetId: destination.id,
+      targetLabel: destination.name,
+      before: { name: destination.name },
+    });
+
+    res.json({
+      success: true,
+      message: "Destination deleted successfully",
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/destinations/:id/test
+ * @desc    Send a signed sample event to a destination
+ */
+router.post(
+  "/:id/test",
+  authorize("jobs:run"),
+  asyncHandler(async (req, res) => {
+    const destination = await prisma.apiDestination.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!destination) {
+      throw ApiError.notFound("Destination not found");
+    }
+
+    const result = await destinationService.send(destination, {
+      source: "mail-collector-graph",
+      test: true,
+      fromAccount: "test@example.com",
+      from: "noreply@example.com",
+      to: "test@example.com",
+      subject: "Mail Collector test event",
+      receivedDateTime: new Date().toISOString(),
+      internetMessageId: null,
+      graphMessageId: "test",
+      username: "test",
+      code: "ABCDE",
+      extractor: "test",
+      fields: { code: "ABCDE", username: "test" },
+    });
+
+    res.json({
+      success: result.success,
+      message: result.success
+        ? `Destination responded with ${result.status}`
+        : result.error,
+      data: result,
+    });
+  }),
+);
+
+module.exports = router;
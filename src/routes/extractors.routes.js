@@ -0,0 +1,263 @@
+const express = require("express");
+const prisma = require("../config/database");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const extractorService = require("../services/extractor.service");
+const auditService = require("../services/audit.service");
+
+const router = express.Router();
+
+const assertValidRegex = (pattern, label) => {
+  try {
+    new RegExp(pattern, "i");
+  } catch (error) {
+    throw ApiError.badRequest(`Invalid ${label} pattern: ${error.message}`);
+  }
+};
+
+/**
+ * Validate request body and build Prisma data for a custom extractor
+ * @param {object} body - Request body
+ * @param {boolean} partial - true for PATCH (only validate provided fields)
+ */
+function buildExtractorData(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      throw ApiError.badRequest(
+        "Name is required (letters, numbers, dashes and underscores only)",
+      );
+    }
+    if (extractorService.extractors.some((e) => e.name === name)) {
+      throw ApiError.conflict(`"${name}" is a built-in extractor name`);
+    }
+    data.name = name;
+  }
+
+  if (body.fieldPatterns !== undefined || !partial) {
+    const fieldPatterns = body.fieldPatterns;
+    if (
+      !fieldPatterns ||
+      typeof fieldPatterns !== "object" ||
+      Array.isArray(fieldPatterns) ||
+      Object.keys(fieldPatterns).length === 0
+    ) {
+      throw ApiError.badRequest(
+        "fieldPatterns must be an object of { field: regex }",
+      );
+    }
+    for (const [field, pattern] of Object.entries(fieldPatterns)) {
+      if (typeof pattern !== "string" || !pattern) {
+        throw ApiError.badRequest(`Pattern for "${field}" must be a string`);
+      }
+      assertValidRegex(pattern, field);
+    }
+    data.fieldPatterns = fieldPatterns;
+  }
+
+  for (const field of ["fromPattern", "subjectPattern"]) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null ? "" : String(body[field]).trim();
+    if (value) assertValidRegex(value, field);
+    data[field] = value || null;
+  }
+
+  if (body.priority !== undefined) {
+    const priority = parseInt(body.priority, 10);
+    if (isNaN(priority)) {
+      throw ApiError.badRequest("Priority must be a number");
+    }
+    data.priority = priority;
+  }
+
+  if (body.isEnabled !== undefined) {
+    data.isEnabled = !!body.isEnabled;
+  }
+
+  return data;
+}
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/extractors
+ * @desc    List built-in and custom extractors
+ */
+router.get(
+  "/",
+  authorize("rules:read"),
+  asyncHandler(async (req, res) => {
+    const custom = await prisma.customExtractor.findMany({
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        builtIn: extractorService.extractors.map((e) => ({
+          name: e.name,
+          label: e.label,
+        })),
+        custom,
+      },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/extractors/test
+ * @desc    Run extractors against a sample message
+ *          (body: { from, subject, body, bodyType })
+ */
+router.post(
+  "/test",
+  authorize("rules:read"),
+  asyncHandler(async (req, res) => {
+    const { from, subject, body, bodyType } = req.body;
+
+    if (!body) {
+      throw ApiError.badRequest("body is required");
+    }
+
+    const result = await extractorService.extract({
+      from: { emailAddress: { address: from || "" } },
+      subject: subject || "",
+      body: { contentType: bodyType || "text", content: body },
+      receivedDateTime: new Date().toISOString(),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/extractors
+ * @desc    Create a custom extractor
+ */
+router.post(
+  "/",
+  authorize("rules:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildExtractorData(req.body);
+    const extractor = await prisma.customExtractor.create({ data });
+
+    extractorService.clearCache();
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Custom extractor created: ${extractor.name}`,
+        metadata: { extractorId: extractor.id },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "extractor.create",
+      targetType: "extractor",
+      targetId: extractor.id,
+      targetLabel: extractor.name,
+      after: auditService.snapshot(extractor, Object.keys(data)),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: extractor,
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/extractors/:id
+ * @desc    Update a custom extractor
+ */
+router.patch(
+  "/:id",
+  authorize("rules:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildExtractorData(req.body, true);
+    const before = await prisma.customExtractor.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!before) {
+      throw ApiError.notFound("Extractor not found");
+    }
+
+    const extractor = await prisma.customExtractor.update({
+      where: { id: req.params.id },
+      data,
+    });
+
+    extractorService.clearCache();
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Custom extractor updated: ${extractor.name}`,
+        metadata: { extractorId: extractor.id, changes: Object.keys(data) },
+      },
+    });
+
+    const fields = Object.keys(data);
+    await auditService.record(req, {
+      action: "extractor.update",
+      targetType: "extractor",
+      targetId: extractor.id,
+      targetLabel: extractor.name,
+      before: auditService.snapshot(before, fields),
+      after: auditService.snapshot(extractor, fields),
+    });
+
+    res.json({
+      success: true,
+      data: extractor,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/extractors/:id
+ * @desc    Delete a custom extractor
+ */
+router.delete(
+  "/:id",
+  authorize("rules:write"),
+  asyncHandler(async (req, res) => {
+    const extractor = await prisma.customExtractor.delete({
+      where: { id: req.params.id },
+    });
+
+    extractorService.clearCache();
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Custom extractor deleted: ${extractor.name}`,
+        metadata: { extractorId: extractor.id },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "extractor.delete",
+      targetType: "extractor",
+      targetId: extractor.id,
+      targetLabel: extractor.name,
+      before: { name: extractor.name },
+    });
+
+    res.json({
+      success: true,
+      message: "Extractor deleted successfully",
+    });
+  }),
+);
+
+module.exports = router;
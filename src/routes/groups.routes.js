@@ -0,0 +1,444 @@
+const express = require("express");
+const prisma = require("../config/database");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const { isEmail, splitEmails } = require("../utils/emails");
+const { can } = require("../config/permissions");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const groupService = require("../services/group.service");
+const forwarderService = require("../services/forwarder.service");
+const auditService = require("../services/audit.service");
+const { enqueueAccountReconcile } = require("../queues/reconcile.queue");
+
+const router = express.Router();
+
+// Overrides of global settings: changing them needs settings:write
+const OVERRIDE_FIELDS = ["forwardToEmail", "notifyEmails"];
+
+// Fields compared in audit entries
+const AUDIT_FIELDS = [
+  "name",
+  "color",
+  "description",
+  "priority",
+  ...OVERRIDE_FIELDS,
+];
+
+// Bulk actions => permission they need
+const GROUP_ACTIONS = {
+  enable: "accounts:write",
+  disable: "accounts:write",
+  resync: "jobs:run",
+  reconnect: "accounts:write",
+};
+
+/**
+ * Validate request body and build Prisma data for a group
+ * @param {object} body - Request body
+ * @param {boolean} partial - true for PATCH (only validate provided fields)
+ */
+function buildGroupData(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      throw ApiError.badRequest("Group name is required");
+    }
+    data.name = String(body.name).trim();
+  }
+
+  if (body.color !== undefined) {
+    const color = String(body.color || "").trim();
+    if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+      throw ApiError.badRequest("Color must be a hex color like #2563eb");
+    }
+    data.color = color || null;
+  }
+
+  if (body.description !== undefined) {
+    data.description = String(body.description || "").trim() || null;
+  }
+
+  if (body.priority !== undefined) {
+    const priority = parseInt(body.priority, 10);
+    if (isNaN(priority)) {
+      throw ApiError.badRequest("Priority must be a number");
+    }
+    data.priority = priority;
+  }
+
+  // Empty = use the forwardToEmail setting
+  if (body.forwardToEmail !== undefined) {
+    const email = String(body.forwardToEmail || "").trim();
+    if (email && !isEmail(email)) {
+      throw ApiError.badRequest("Forward address must be a valid email");
+    }
+    data.forwardToEmail = email || null;
+  }
+
+  // Empty = notify the forward address
+  if (body.notifyEmails !== undefined) {
+    const emails = splitEmails(body.notifyEmails);
+    const invalid = emails.find((e) => !isEmail(e));
+    if (invalid) {
+      throw ApiError.badRequest(`Invalid notification recipient: ${invalid}`);
+    }
+    data.notifyEmails = emails.join(", ") || null;
+  }
+
+  return data;
+}
+
+/**
+ * Overrides replace global settings, which only owners may change
+ */
+function checkOverridePermission(req, data) {
+  if (
+    OVERRIDE_FIELDS.some((f) => f in data) &&
+    !can(req.user?.role, "settings:write")
+  ) {
+    throw ApiError.forbidden(
+      "Your role does not allow this (settings:write needed for forward and notification overrides)",
+    );
+  }
+}
+
+async function findGroup(id) {
+  const group = await prisma.accountGroup.findUnique({ where: { id } });
+  if (!group) {
+    throw ApiError.notFound("Group not found");
+  }
+  return group;
+}
+
+/**
+ * Account IDs from { accountIds } or { emails }
+ * @returns {object} - { ids, notFound } (notFound = unknown emails)
+ */
+async function resolveAccounts(body) {
+  if (Array.isArray(body.accountIds)) {
+    return { ids: body.accountIds.map(String), notFound: [] };
+  }
+  if (body.emails !== undefined) {
+    const emails = splitEmails(body.emails);
+    const accounts = await prisma.mailAccount.findMany({
+      where: { email: { in: emails } },
+      select: { id: true, email: true },
+    });
+    const found = new Set(accounts.map((a) => a.email.toLowerCase()));
+    return {
+      ids: accounts.map((a) => a.id),
+      notFound: emails.filter((e) => !found.has(e.toLowerCase())),
+    };
+  }
+  throw ApiError.badRequest("accountIds or emails is required");
+}
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/groups
+ * @desc    Get all groups with member counts by status
+ */
+router.get(
+  "/",
+  authorize("accounts:read"),
+  asyncHandler(async (req, res) => {
+    const [groups, members, accounts] = await Promise.all([
+      prisma.accountGroup.findMany({
+        orderBy: [{ priority: "asc" }, { name: "asc" }],
+      }),
+      prisma.accountGroupMember.findMany({
+        select: { groupId: true, accountId: true },
+      }),
+      prisma.mailAccount.findMany({
+        select: { id: true, status: true, isEnabled: true },
+      }),
+    ]);
+
+    const byId = new Map(accounts.map((a) => [a.id, a]));
+
+    res.json({
+      success: true,
+      data: groups.map((group) => {
+        const bound = members
+          .filter((m) => m.groupId === group.id)
+          .map((m) => byId.get(m.accountId))
+          .filter(Boolean);
+        return {
+          ...group,
+          accounts: {
+            total: bound.length,
+            connected: bound.filter((a) => a.status === "CONNECTED").length,
+            failing: bound.filter((a) =>
+              ["NEEDS_REAUTH", "ERROR"].includes(a.status),
+            ).length,
+            disabled: bound.filter((a) => !a.isEnabled).length,
+          },
+        };
+      }),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group
+ */
+router.post(
+  "/",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildGroupData(req.body);
+    checkOverridePermission(req, data);
+
+    const group = await prisma.accountGroup.create({ data });
+    groupService.clearCache();
+
+    await auditService.record(req, {
+      action: "group.create",
+      targetType: "group",
+      targetId: group.id,
+      targetLabel: group.name,
+      after: auditService.snapshot(group, AUDIT_FIELDS),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: group,
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/groups/:id
+ * @desc    Update a group and its overrides
+ */
+router.patch(
+  "/:id",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildGroupData(req.body, true);
+    checkOverridePermission(req, data);
+
+    const before = await findGroup(req.params.id);
+    const group = await prisma.accountGroup.update({
+      where: { id: before.id },
+      data,
+    });
+    groupService.clearCache();
+
+    const fields = AUDIT_FIELDS.filter((f) => f in data);
+    await auditService.record(req, {
+      action: "group.update",
+      targetType: "group",
+      targetId: group.id,
+      targetLabel: group.name,
+      before: auditService.snapshot(before, fields),
+      after: auditService.snapshot(group, fields),
+    });
+
+    res.json({
+      success: true,
+      data: group,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Delete a group (its mailboxes are kept)
+ */
+router.delete(
+  "/:id",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req.params.id);
+
+    // A rule limited to the group would otherwise match every mailbox
+    const rules = await prisma.forwardingRule.count({
+      where: { groupId: group.id },
+    });
+    if (rules) {
+      throw ApiError.conflict(
+        `${group.name} is used by ${rules} forwarding rule(s). Change or delete them first.`,
+      );
+    }
+
+    await prisma.accountGroupMember.deleteMany({
+      where: { groupId: group.id },
+    });
+    await prisma.accountGroup.delete({ where: { id: group.id } });
+    groupService.clearCache();
+
+    await auditService.record(req, {
+      action: "group.delete",
+      targetType: "group",
+      targetId: group.id,
+      targetLabel: group.name,
+      before: auditService.snapshot(group, AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "Group deleted successfully",
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/groups/:id/members
+ * @desc    Add mailboxes to a group. Body: { accountIds } or { emails }
+ */
+router.post(
+  "/:id/members",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req.params.id);
+    const { ids, notFound } = await resolveAccounts(req.body);
+
+    const existing = await prisma.mailAccount.findMany({
+      where: { id: { in: ids } },
+      select: { id: true },
+    });
+    const added = await groupService.addMembers(
+      group.id,
+      existing.map((a) => a.id),
+    );
+
+    await auditService.record(req, {
+      action: "group.add_members",
+      targetType: "group",
+      targetId: group.id,
+      targetLabel: group.name,
+      metadata: { added, accountIds: existing.map((a) => a.id) },
+    });
+
+    res.json({
+      success: true,
+      message: `${added} mailbox(es) added to ${group.name}`,
+      data: { added, notFound },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/groups/:id/members
+ * @desc    Remove mailboxes from a group. Body: { accountIds } or { emails }
+ */
+router.delete(
+  "/:id/members",
+  authorize("accounts:write"),
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req.params.id);
+    const { ids } = await resolveAccounts(req.body);
+    const removed = await groupService.removeMembers(group.id, ids);
+
+    await auditService.record(req, {
+      action: "group.remove_members",
+      targetType: "group",
+      targetId: group.id,
+      targetLabel: group.name,
+      metadata: { removed, accountIds: ids },
+    });
+
+    res.json({
+      success: true,
+      message: `${removed} mailbox(es) removed from ${group.name}`,
+      data: { removed },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/groups/:id/actions
+ * @desc    Bulk action on the mailboxes of a group. Body: { action }:
+ *          enable / disable, resync (queue a delta catch-up of connected
+ *          mailboxes) or reconnect (email reconnect links for mailboxes
+ *          that need reauth to the notification recipients)
+ */
+router.post(
+  "/:id/actions",
+  authorize("accounts:read"),
+  asyncHandler(async (req, res) => {
+    const { action } = req.body;
+    if (!GROUP_ACTIONS[action]) {
+      throw ApiError.badRequest(
+        `Action must be one of: ${Object.keys(GROUP_ACTIONS).join(", ")}`,
+      );
+    }
+    if (!can(req.user?.role, GROUP_ACTIONS[action])) {
+      throw ApiError.forbidden(
+        `Your role does not allow this (${GROUP_ACTIONS[action]})`,
+      );
+    }
+
+    const group = await findGroup(req.params.id);
+    const accountIds = await groupService.accountIdsOf(group.id);
+    let result;
+
+    switch (action) {
+      case "enable":
+      case "disable": {
+        const { count } = await prisma.mailAccount.updateMany({
+          where: { id: { in: accountIds } },
+          data: { isEnabled: action === "enable" },
+        });
+        result = { updated: count };
+        break;
+      }
+
+      case "resync": {
+        const accounts = await prisma.mailAccount.findMany({
+          where: {
+            id: { in: accountIds },
+            status: { in: ["CONNECTED", "ERROR"] },
+            isEnabled: true,
+          },
+          select: { id: true },
+        });
+        for (const account of accounts) {
+          await enqueueAccountReconcile(account.id, `Group ${group.name}`);
+        }
+        result = { queued: accounts.length };
+        break;
+      }
+
+      case "reconnect": {
+        const accounts = await prisma.mailAccount.findMany({
+          where: {
+            id: { in: accountIds },
+            status: { in: ["NEEDS_REAUTH", "ERROR"] },
+          },
+          select: { id: true, email: true, lastError: true },
+        });
+        let notified = 0;
+        for (const account of accounts) {
+          const sent = await forwarderService.sendReauthNotification(
+            account.email,
+            account.id,
+            account.lastError || "Reconnect requested from the dashboard",
+          );
+          if (sent) notified++;
+        }
+        result = { notified, failed: accounts.length - notified };
+        break;
+      }
+    }
+
+    await auditService.record(req, {
+      action: `group.${action}`,
+      targetType: "group",
+      targetId: group.id,
+      targetLabel: group.name,
+      metadata: { members: accountIds.length, ...result },
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }),
+);
+
+module.exports = router;
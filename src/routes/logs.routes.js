@@ -1,7 +1,9 @@
 const express = require("express");
 const prisma = require("../config/database");
 const asyncHandler = require("../utils/asyncHandler");
-const { authenticate } = require("../middleware/auth.middleware");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const auditService = require("../services/audit.service");
+const groupService = require("../services/group.service");
 
 const router = express.Router();
 
@@ -13,8 +15,17 @@ router.use(authenticate);
  */
 router.get(
   "/",
+  authorize("logs:read"),
   asyncHandler(async (req, res) => {
-    const { status, accountId, page = 1, limit = 50, date, search } = req.query;
+    const {
+      status,
+      accountId,
+      groupId,
+      page = 1,
+      limit = 50,
+      date,
+      search,
+    } = req.query;
 
     const where = {};
 
@@ -22,6 +33,14 @@ router.get(
       where.forwardStatus = status;
     }
     if (accountId) where.accountId = accountId;
+    if (groupId) {
+      const accountIds = await groupService.accountIdsOf(String(groupId));
+      where.accountId = {
+        in: accountId
+          ? accountIds.filter((id) => id === accountId)
+          : accountIds,
+      };
+    }
 
     if (date) {
       const startOfDay = new Date(date);
@@ -69,6 +88,7 @@ router.get(
       originalRecipient: log.account?.email,
       status: log.forwardStatus,
       forwardedTo: log.forwardedTo,
+      forwardMode: log.forwardMode,
       receivedAt: log.receivedDateTime,
       forwardedAt: log.lastAttemptAt,
       errorMessage: log.error,
@@ -99,6 +119,7 @@ router.get(
  */
 router.get(
   "/:id",
+  authorize("logs:read"),
   asyncHandler(async (req, res) => {
     const log = await prisma.mailMessageLog.findUnique({
       where: { id: req.params.id },
@@ -109,6 +130,15 @@ router.get(
             displayName: true,
           },
         },
+        deliveries: {
+          include: {
+            destination: {
+              select: {
+                name: true,
+              },
+            },
+          },
+        },
       },
     });
 
@@ -130,6 +160,7 @@ router.get(
         originalRecipient: log.account?.email,
         status: log.forwardStatus,
         forwardedTo: log.forwardedTo,
+        forwardMode: log.forwardMode,
         receivedAt: log.receivedDateTime,
         forwardedAt: log.lastAttemptAt,
         errorMessage: log.error,
@@ -137,6 +168,17 @@ router.get(
         bodyPreview: null,
         createdAt: log.createdAt,
         mailAccount: log.account,
+        deliveries: log.deliveries.map((d) => ({
+          id: d.id,
+          destinationId: d.destinationId,
+          destination: d.destination?.name || "STEAM_API_URL",
+          status: d.status,
+          attempts: d.attempts,
+          responseStatus: d.responseStatus,
+          error: d.error,
+          lastAttemptAt: d.lastAttemptAt,
+          deliveredAt: d.deliveredAt,
+        })),
       },
     });
   }),
@@ -148,6 +190,7 @@ router.get(
  */
 router.post(
   "/:id/retry",
+  authorize("jobs:run"),
   asyncHandler(async (req, res) => {
     const log = await prisma.mailMessageLog.findUnique({
       where: { id: req.params.id },
@@ -169,6 +212,16 @@ router.post(
       },
     });
 
+    await auditService.record(req, {
+      action: "message.retry",
+      targetType: "log",
+      targetId: log.id,
+      targetLabel: log.subject,
+      before: { forwardStatus: log.forwardStatus },
+      after: { forwardStatus: "PENDING" },
+      metadata: { accountId: log.accountId },
+    });
+
     res.json({
       success: true,
       message: "Message queued for retry",
@@ -182,6 +235,7 @@ router.post(
  */
 router.delete(
   "/cleanup",
+  authorize("logs:delete"),
   asyncHandler(async (req, res) => {
     const { olderThanDays = 30 } = req.query;
 
@@ -200,6 +254,16 @@ router.delete(
       }),
     ]);
 
+    await auditService.record(req, {
+      action: "logs.cleanup",
+      targetType: "log",
+      metadata: {
+        olderThanDays: parseInt(olderThanDays),
+        deletedSystemLogs: systemLogs.count,
+        deletedMessageLogs: messageLogs.count,
+      },
+    });
+
     res.json({
       success: true,
       data: {
@@ -0,0 +1,417 @@
+const express = require("express");
+const prisma = require("../config/database");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const rulesService = require("../services/rules.service");
+const auditService = require("../services/audit.service");
+
+const router = express.Router();
+
+const RULE_ACTIONS = ["SKIP", "FORWARD", "API", "SMTP"];
+const FORWARD_MODES = ["FORWARD", "CREATE_FORWARD", "RESEND"];
+const MATCH_FIELDS = [
+  "fromAddress",
+  "fromDomain",
+  "subjectPattern",
+  "toAddress",
+  "accountId",
+  "groupId",
+  "bodyContains",
+];
+
+// Fields compared in audit entries
+const AUDIT_FIELDS = [
+  "name",
+  "action",
+  "isEnabled",
+  "priority",
+  ...MATCH_FIELDS,
+  "forwardMode",
+  "forwardComment",
+  "forwardSubject",
+];
+
+/**
+ * Rule state for the audit log (destinations must be included)
+ */
+const auditSnapshot = (rule) => ({
+  ...auditService.snapshot(rule, AUDIT_FIELDS),
+  destinationIds: (rule.destinations || []).map((d) => d.id).sort(),
+});
+
+/**
+ * Validate request body and build Prisma data for a rule
+ * @param {object} body - Request body
+ * @param {boolean} partial - true for PATCH (only validate provided fields)
+ */
+function buildRuleData(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      throw ApiError.badRequest("Rule name is required");
+    }
+    data.name = String(body.name).trim();
+  }
+
+  if (body.action !== undefined || !partial) {
+    if (!RULE_ACTIONS.includes(body.action)) {
+      throw ApiError.badRequest(
+        `Action must be one of: ${RULE_ACTIONS.join(", ")}`,
+      );
+    }
+    data.action = body.action;
+  }
+
+  if (body.forwardMode !== undefined) {
+    if (!FORWARD_MODES.includes(body.forwardMode)) {
+      throw ApiError.badRequest(
+        `Forward mode must be one of: ${FORWARD_MODES.join(", ")}`,
+      );
+    }
+    data.forwardMode = body.forwardMode;
+  }
+
+  // Templates: {{subject}}, {{from}}, {{mailbox}}, {{receivedDateTime}}
+  for (const field of ["forwardComment", "forwardSubject"]) {
+    if (body[field] === undefined) continue;
+    data[field] = String(body[field] ?? "").trim() || null;
+  }
+  if (data.forwardSubject && data.forwardSubject.length > 191) {
+    throw ApiError.badRequest("Subject template is too long");
+  }
+
+  if (body.priority !== undefined) {
+    const priority = parseInt(body.priority, 10);
+    if (isNaN(priority)) {
+      throw ApiError.badRequest("Priority must be a number");
+    }
+    data.priority = priority;
+  }
+
+  if (body.isEnabled !== undefined) {
+    data.isEnabled = !!body.isEnabled;
+  }
+
+  for (const field of MATCH_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null ? "" : String(body[field]).trim();
+    data[field] = value || null;
+  }
+
+  if (body.destinationIds !== undefined) {
+    if (!Array.isArray(body.destinationIds)) {
+      throw ApiError.badRequest("destinationIds must be an array");
+    }
+    data.destinations = {
+      set: [...new Set(body.destinationIds.map(String))].map((id) => ({ id })),
+    };
+  }
+
+  if (data.subjectPattern) {
+    try {
+      new RegExp(data.subjectPattern, "i");
+    } catch (error) {
+      throw ApiError.badRequest(`Invalid subject pattern: ${error.message}`);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Check that the account, group and destinations a rule refers to exist
+ * (unknown IDs would otherwise fail as a foreign key error)
+ * @param {object} data - From buildRuleData
+ */
+async function checkRuleReferences(data) {
+  if (data.accountId) {
+    const account = await prisma.mailAccount.findUnique({
+      where: { id: data.accountId },
+      select: { id: true },
+    });
+    if (!account) {
+      throw ApiError.badRequest("Account not found");
+    }
+  }
+
+  if (data.groupId) {
+    const group = await prisma.accountGroup.findUnique({
+      where: { id: data.groupId },
+      select: { id: true },
+    });
+    if (!group) {
+      throw ApiError.badRequest("Group not found");
+    }
+  }
+
+  if (data.destinations) {
+    const ids = data.destinations.set.map((d) => d.id);
+    const found = await prisma.apiDestination.findMany({
+      where: { id: { in: ids } },
+      select: { id: true },
+    });
+    const missing = ids.filter((id) => !found.some((d) => d.id === id));
+    if (missing.length > 0) {
+      throw ApiError.badRequest(
+        `API destination not found: ${missing.join(", ")}`,
+      );
+    }
+  }
+}
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/rules
+ * @desc    Get all forwarding rules (in evaluation order)
+ */
+router.get(
+  "/",
+  authorize("rules:read"),
+  asyncHandler(async (req, res) => {
+    const rules = await prisma.forwardingRule.findMany({
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+      include: {
+        account: {
+          select: {
+            email: true,
+          },
+        },
+        group: {
+          select: {
+            name: true,
+          },
+        },
+        destinations: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: rules,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/rules/reorder
+ * @desc    Reorder rules (body: { ids: [ruleId, ...] } in the new order)
+ */
+router.post(
+  "/reorder",
+  authorize("rules:write"),
+  asyncHandler(async (req, res) => {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw ApiError.badRequest("ids must be a non-empty array");
+    }
+
+    await prisma.$transaction(
+      ids.map((id, index) =>
+        prisma.forwardingRule.update({
+          where: { id },
+          data: { priority: (index + 1) * 10 },
+        }),
+      ),
+    );
+
+    rulesService.clearCache();
+
+    await auditService.record(req, {
+      action: "rule.reorder",
+      targetType: "rule",
+      metadata: { ids },
+    });
+
+    res.json({
+      success: true,
+      message: "Rules reordered successfully",
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/rules/:id
+ * @desc    Get a single forwarding rule
+ */
+router.get(
+  "/:id",
+  authorize("rules:read"),
+  asyncHandler(async (req, res) => {
+    const rule = await prisma.forwardingRule.findUnique({
+      where: { id: req.params.id },
+      include: {
+        destinations: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+
+    if (!rule) {
+      throw ApiError.notFound("Rule not found");
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/rules
+ * @desc    Create a forwarding rule
+ */
+router.post(
+  "/",
+  authorize("rules:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildRuleData(req.body);
+    await checkRuleReferences(data);
+
+    // Append to the end of the list unless a priority was given
+    if (data.priority === undefined) {
+      const last = await prisma.forwardingRule.findFirst({
+        orderBy: { priority: "desc" },
+        select: { priority: true },
+      });
+      data.priority = (last?.priority || 0) + 10;
+    }
+
+    if (data.destinations) {
+      data.destinations = { connect: data.destinations.set };
+    }
+
+    const rule = await prisma.forwardingRule.create({
+      data,
+      include: { destinations: { select: { id: true } } },
+    });
+
+    rulesService.clearCache();
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Forwarding rule created: ${rule.name}`,
+        metadata: { ruleId: rule.id, action: rule.action },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "rule.create",
+      targetType: "rule",
+      targetId: rule.id,
+      targetLabel: rule.name,
+      after: auditSnapshot(rule),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/rules/:id
+ * @desc    Update a forwarding rule
+ */
+router.patch(
+  "/:id",
+  authorize("rules:write"),
+  asyncHandler(async (req, res) => {
+    const data = buildRuleData(req.body, true);
+
+    const before = await prisma.forwardingRule.findUnique({
+      where: { id: req.params.id },
+      include: { destinations: { select: { id: true } } },
+    });
+    if (!before) {
+      throw ApiError.notFound("Rule not found");
+    }
+    await checkRuleReferences(data);
+
+    const rule = await prisma.forwardingRule.update({
+      where: { id: req.params.id },
+      data,
+      include: { destinations: { select: { id: true } } },
+    });
+
+    rulesService.clearCache();
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Forwarding rule updated: ${rule.name}`,
+        metadata: { ruleId: rule.id, changes: Object.keys(data) },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "rule.update",
+      targetType: "rule",
+      targetId: rule.id,
+      targetLabel: rule.name,
+      before: auditSnapshot(before),
+      after: auditSnapshot(rule),
+    });
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/rules/:id
+ * @desc    Delete a forwarding rule
+ */
+router.delete(
+  "/:id",
+  authorize("rules:write"),
+  asyncHandler(async (req, res) => {
+    const rule = await prisma.forwardingRule.delete({
+      where: { id: req.params.id },
+    });
+
+    rulesService.clearCache();
+
+    await prisma.systemLog.create({
+      data: {
+        level: "info",
+        category: "CONFIG",
+        message: `Forwarding rule deleted: ${rule.name}`,
+        metadata: { ruleId: rule.id },
+      },
+    });
+
+    await auditService.record(req, {
+      action: "rule.delete",
+      targetType: "rule",
+      targetId: rule.id,
+      targetLabel: rule.name,
+      before: { name: rule.name },
+    });
+
+    res.json({
+      success: true,
+      message: "Rule deleted successfully",
+    });
+  }),
+);
+
+module.exports = router;
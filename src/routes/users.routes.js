@@ -0,0 +1,266 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const prisma = require("../config/database");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const { authenticate, authorize } = require("../middleware/auth.middleware");
+const { ROLES } = require("../config/permissions");
+const auditService = require("../services/audit.service");
+const twoFactorService = require("../services/twoFactor.service");
+const sessionService = require("../services/session.service");
+
+const router = express.Router();
+
+const USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  twoFactorEnabledAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Validate request body and build Prisma data for a user
+ * @param {object} body - Request body
+ * @param {boolean} partial - true for PATCH (only validate provided fields)
+ */
+async function buildUserData(body, partial = false) {
+  const data = {};
+
+  if (body.email !== undefined || !partial) {
+    const email = String(body.email || "")
+      .trim()
+      .toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+      throw ApiError.badRequest("A valid email is required");
+    }
+    data.email = email;
+  }
+
+  if (body.name !== undefined) {
+    data.name = body.name ? String(body.name).trim() : null;
+  }
+
+  if (body.role !== undefined || !partial) {
+    if (!ROLES.includes(body.role)) {
+      throw ApiError.badRequest(`Role must be one of: ${ROLES.join(", ")}`);
+    }
+    data.role = body.role;
+  }
+
+  if (body.isActive !== undefined) {
+    data.isActive = !!body.isActive;
+  }
+
+  if (body.password !== undefined || !partial) {
+    if (!body.password || String(body.password).length < 8) {
+      throw ApiError.badRequest("Password must be at least 8 characters");
+    }
+    data.password = await bcrypt.hash(String(body.password), 10);
+  }
+
+  return data;
+}
+
+/**
+ * Refuse changes that would leave no active owner
+ */
+async function ensureOwnerRemains(user, data) {
+  const staysOwner =
+    (data.role ?? user.role) === "owner" && (data.isActive ?? user.isActive);
+  if (user.role !== "owner" || !user.isActive || staysOwner) return;
+
+  const owners = await prisma.adminUser.count({
+    where: { role: "owner", isActive: true, NOT: { id: user.id } },
+  });
+  if (owners === 0) {
+    throw ApiError.badRequest("At least one active owner is required");
+  }
+}
+
+router.use(authenticate);
+router.use(authorize("users:manage"));
+
+/**
+ * @route   GET /api/users
+ * @desc    Get all dashboard users
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const users = await prisma.adminUser.findMany({
+      orderBy: { createdAt: "asc" },
+      select: USER_SELECT,
+    });
+
+    res.json({
+      success: true,
+      data: users,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a dashboard user
+ */
+router.post(
+  "/",
+  asyncHandler(async (req, res) => {
+    const data = await buildUserData(req.body);
+
+    const existing = await prisma.adminUser.findUnique({
+      where: { email: data.email },
+    });
+    if (existing) {
+      throw ApiError.conflict("A user with this email already exists");
+    }
+
+    const user = await prisma.adminUser.create({ data, select: USER_SELECT });
+
+    await auditService.record(req, {
+      action: "user.create",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+      after: auditService.snapshot(data, Object.keys(data)),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user,
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Update a dashboard user (name, role, isActive, password)
+ */
+router.patch(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const { email, ...body } = req.body;
+    const data = await buildUserData(body, true);
+
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!user) {
+      throw ApiError.notFound("User not found");
+    }
+
+    if (
+      user.id === req.user.id &&
+      (data.role !== undefined || data.isActive !== undefined)
+    ) {
+      throw ApiError.badRequest(
+        "You cannot change your own role or deactivate yourself",
+      );
+    }
+
+    await ensureOwnerRemains(user, data);
+
+    const updated = await prisma.adminUser.update({
+      where: { id: user.id },
+      data,
+      select: USER_SELECT,
+    });
+
+    // A deactivated user or a reset password ends the user's sessions
+    if (data.isActive === false || data.password !== undefined) {
+      await sessionService.revokeAll(user.id, {
+        reason: "user_update",
+        exceptId: user.id === req.user.id ? req.sessionId : undefined,
+      });
+    }
+
+    const fields = Object.keys(data);
+    await auditService.record(req, {
+      action: "user.update",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+      before: auditService.snapshot(user, fields),
+      after: auditService.snapshot({ ...user, ...data }, fields),
+    });
+
+    res.json({
+      success: true,
+      data: updated,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/:id/2fa/reset
+ * @desc    Turn off 2FA for a user who lost their device and recovery codes
+ */
+router.post(
+  "/:id/2fa/reset",
+  asyncHandler(async (req, res) => {
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!user) {
+      throw ApiError.notFound("User not found");
+    }
+
+    await twoFactorService.disable(user.id);
+
+    await auditService.record(req, {
+      action: "user.2fa_reset",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication reset. The user enrolls again at next login if it is required.",
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Delete a dashboard user
+ */
+router.delete(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const user = await prisma.adminUser.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!user) {
+      throw ApiError.notFound("User not found");
+    }
+
+    if (user.id === req.user.id) {
+      throw ApiError.badRequest("You cannot delete yourself");
+    }
+
+    await ensureOwnerRemains(user, { isActive: false });
+
+    await prisma.adminUser.delete({ where: { id: user.id } });
+
+    await auditService.record(req, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: user.id,
+      targetLabel: user.email,
+      before: auditService.snapshot(user, ["email", "role", "isActive"]),
+    });
+
+    res.json({
+      success: true,
+      message: "User deleted successfully",
+    });
+  }),
+);
+
+module.exports = router;
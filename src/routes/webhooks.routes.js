@@ -1,289 +1,10 @@
 const express = require("express");
 const router = express.Router();
-const Bull = require("bull");
 const prisma = require("../config/database");
-const config = require("../config");
-const graphService = require("../services/graph.service");
-const forwarderService = require("../services/forwarder.service");
 const webhookService = require("../services/webhook.service");
-
-// ---------------- Helpers / Config ----------------
-function parseCsvEnv(v) {
-  return (v || "")
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
-}
-
-const STEAM_ONLY = (process.env.STEAM_ONLY || "true").toLowerCase() === "true";
-const STEAM_ALLOWED_DOMAINS = parseCsvEnv(
-  process.env.STEAM_ALLOWED_DOMAINS,
-).map((d) => d.toLowerCase());
-const STEAM_ALLOWED_SENDERS = parseCsvEnv(
-  process.env.STEAM_ALLOWED_SENDERS,
-).map((s) => s.toLowerCase());
-
-// Auth error codes that mean the account needs re-auth or is suspended
-const AUTH_ERROR_CODES = [
-  "ErrorAccountSuspend",
-  "ErrorExceededMessageLimit",
-  "InvalidAuthenticationToken",
-  "CompactToken.Validation",
-  "InvalidSubscription",
-];
-
-// Delay between queue jobs (ms) to avoid rate limits
-const FORWARD_DELAY_MS = parseInt(process.env.FORWARD_DELAY_MS, 10) || 500;
-
-// Sleep helper for delay between forwards
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-function isAuthOrSuspendError(error) {
-  const status = error?.response?.status;
-  const code = error?.response?.data?.error?.code || "";
-  return (
-    status === 401 ||
-    status === 403 ||
-    status === 429 ||
-    AUTH_ERROR_CODES.some((c) => code.includes(c))
-  );
-}
-
-// Microsoft security sender that should be forwarded to BOTH dev and forward email
-const IMPORTANT_SENDERS = [
-  "account-security-noreply@accountprotection.microsoft.com",
-];
-
-function isSteamMessage(msgPreview) {
-  const fromAddress = (
-    msgPreview?.from?.emailAddress?.address || ""
-  ).toLowerCase();
-
-  // 1. Check exact sender email
-  if (STEAM_ALLOWED_SENDERS.includes(fromAddress)) return true;
-
-  // 2. Check sender domain
-  const domain = fromAddress.split("@")[1] || "";
-  if (domain && STEAM_ALLOWED_DOMAINS.includes(domain)) return true;
-
-  return false;
-}
-
-function isImportantSender(msgPreview) {
-  const fromAddress = (
-    msgPreview?.from?.emailAddress?.address || ""
-  ).toLowerCase();
-  return IMPORTANT_SENDERS.includes(fromAddress);
-}
-
-/**
- * Build full error details for logging
- */
-function buildErrorDetails(error, context = {}) {
-  return {
-    timestamp: new Date().toISOString(),
-    api: context.api || "unknown",
-    endpoint: context.endpoint || "unknown",
-    accountId: context.accountId || "unknown",
-    accountEmail: context.accountEmail || "unknown",
-    messageId: context.messageId || "unknown",
-    status: error?.response?.status || null,
-    statusText: error?.response?.statusText || null,
-    errorCode: error?.response?.data?.error?.code || null,
-    errorMessage: error?.response?.data?.error?.message || error.message,
-    requestId: error?.response?.headers?.["request-id"] || null,
-    clientRequestId: error?.response?.headers?.["client-request-id"] || null,
-    stack: error.stack,
-  };
-}
-
-// ---------------- Forward Queue (sequential processing) ----------------
-const forwardQueue = new Bull("webhook-forward", {
-  redis: {
-    host: config.redis.host,
-    port: config.redis.port,
-    password: config.redis.password,
-  },
-  defaultJobOptions: {
-    attempts: 1, // No retry
-    removeOnComplete: true, // Remove immediately after success
-    removeOnFail: 100, // Keep some failed jobs for debugging
-  },
-});
-
-// Process ONE job at a time (concurrency = 1) => sequential forwarding
-forwardQueue.process(1, async (job) => {
-  const { accountId, accountEmail, messageId } = job.data;
-
-  try {
-    const account = await prisma.mailAccount.findUnique({
-      where: { id: accountId },
-      select: { status: true, isEnabled: true },
-    });
-
-    if (!account || account.status !== "CONNECTED" || !account.isEnabled) {
-      console.log(
-        `[Queue] Account ${accountEmail} not active (status: ${account?.status}), skipping job`,
-      );
-      return { status: "ACCOUNT_INACTIVE" };
-    }
-
-    // ✅ Single API call — reads body (no attachments) for both filtering & forwarding
-    const message = await graphService.getMessageForWebhook(
-      accountId,
-      messageId,
-    );
-    if (!message) {
-      console.log(`[Queue] Message ${messageId} not found or deleted`);
-      return { status: "NOT_FOUND" };
-    }
-
-    // Steam-only filter
-    if (STEAM_ONLY && !isSteamMessage(message)) {
-      // SMTP for important security emails only
-      if (isImportantSender(message)) {
-        try {
-          console.log(
-            `[Queue] Important security email, sending via SMTP: ${messageId}`,
-          );
-          await forwarderService.sendImportantEmailViaSMTP(
-            message,
-            accountEmail,
-          );
-        } catch (smtpError) {
-          console.error(
-            `[Queue] Failed to send important email via SMTP: ${smtpError.message}`,
-          );
-        }
-      }
-
-      return { status: "SKIPPED" };
-    }
-
-    const subject = message.subject || "(No Subject)";
-    const from = message.from?.emailAddress?.address || "unknown";
-
-    const startTime = new Date();
-    console.log(
-      `[Queue] [${startTime.toLocaleTimeString()}.${startTime
-        .getMilliseconds()
-        .toString()
-        .padStart(3, "0")}] 📤 Starting forward: "${subject}" from ${from}`,
-    );
-
-    // Forward to API (message already has body for parsing)
-    await forwarderService.forwardGraphMessage(
-      message,
-      [],
-      accountEmail,
-      accountId,
-    );
-
-    const endTime = new Date();
-    const forwardDuration = endTime - startTime;
-    console.log(
-      `[Queue] [${endTime.toLocaleTimeString()}.${endTime
-        .getMilliseconds()
-        .toString()
-        .padStart(3, "0")}] ✓ Forwarded in ${forwardDuration}ms`,
-    );
-
-    await prisma.mailAccount.update({
-      where: { id: accountId },
-      data: {
-        forwardedCount: { increment: 1 },
-        lastSyncAt: new Date(),
-        lastMessageAt: message.receivedDateTime
-          ? new Date(message.receivedDateTime)
-          : new Date(),
-      },
-    });
-
-    const delayStart = new Date();
-    console.log(
-      `[Queue] [${delayStart.toLocaleTimeString()}.${delayStart
-        .getMilliseconds()
-        .toString()
-        .padStart(3, "0")}] ⏳ Waiting ${FORWARD_DELAY_MS}ms...`,
-    );
-    await sleep(FORWARD_DELAY_MS);
-
-    const delayEnd = new Date();
-    console.log(
-      `[Queue] [${delayEnd.toLocaleTimeString()}.${delayEnd
-        .getMilliseconds()
-        .toString()
-        .padStart(3, "0")}] ✓ Ready for next`,
-    );
-
-    return { status: "FORWARDED" };
-  } catch (error) {
-    const errorDetails = buildErrorDetails(error, {
-      api: "Microsoft Graph API",
-      endpoint: "Steam->API or SMTP",
-      accountId,
-      accountEmail,
-      messageId,
-    });
-
-    console.error("[Queue] ========== ERROR DETAILS ==========");
-    console.error(JSON.stringify(errorDetails, null, 2));
-    console.error("[Queue] ====================================");
-
-    await prisma.mailMessageLog.upsert({
-      where: {
-        accountId_graphMessageId: { accountId, graphMessageId: messageId },
-      },
-      create: {
-        accountId,
-        graphMessageId: messageId,
-        forwardStatus: "FAILED",
-        error: JSON.stringify(errorDetails),
-        attempts: 1,
-        lastAttemptAt: new Date(),
-      },
-      update: {
-        forwardStatus: "FAILED",
-        error: JSON.stringify(errorDetails),
-        attempts: { increment: 1 },
-        lastAttemptAt: new Date(),
-      },
-    });
-
-    await prisma.mailAccount.update({
-      where: { id: accountId },
-      data: { failedForwardCount: { increment: 1 } },
-    });
-
-    if (isAuthOrSuspendError(error)) {
-      console.log(
-        `[Queue] Account ${accountEmail} needs re-auth, marking as ERROR`,
-      );
-      await prisma.mailAccount.update({
-        where: { id: accountId },
-        data: { status: "ERROR" },
-      });
-
-      await forwarderService.sendReauthNotification(
-        accountEmail,
-        accountId,
-        JSON.stringify(errorDetails, null, 2),
-      );
-    } else {
-      await forwarderService.sendErrorNotificationToDev(
-        accountEmail,
-        accountId,
-        errorDetails,
-      );
-    }
-
-    throw error;
-  }
-});
-
-forwardQueue.on("failed", (job, err) => {
-  console.error(`[Queue] Job ${job.id} failed: ${err.message}`);
-});
+const { enqueueForward } = require("../queues/forward.queue");
+const { enqueueSubscriptionJob } = require("../queues/maintenance.queue");
+const { enqueueAccountReconcile } = require("../queues/reconcile.queue");
 
 /**
  * Webhook endpoint for Microsoft Graph notifications
@@ -295,7 +16,7 @@ forwardQueue.on("failed", (job, err) => {
  *
  * Important:
  * - Must reply within ~3 seconds => we return 202 immediately
- * - Notifications are added to a Queue for sequential processing
+ * - Notifications are added to a Queue; src/worker.js processes them
  */
 router.post("/mail", async (req, res) => {
   // Validation
@@ -314,7 +35,7 @@ router.post("/mail", async (req, res) => {
     // Respond immediately (required within 3 seconds)
     res.status(202).send();
 
-    // Add each notification to the queue (processed sequentially)
+    // Add each notification to the forward queue
     for (const notification of notifications) {
       try {
         await enqueueNotification(notification);
@@ -328,6 +49,104 @@ router.post("/mail", async (req, res) => {
   }
 });
 
+/**
+ * Lifecycle endpoint for Microsoft Graph subscriptions
+ * POST /api/webhooks/lifecycle
+ *
+ * Handles (set as lifecycleNotificationUrl on every subscription):
+ * - reauthorizationRequired => renew the subscription now
+ * - subscriptionRemoved     => recreate the subscription
+ * - missed                  => delta catch-up of the account
+ *
+ * Like /mail: reply 202 right away, the work is queued for src/worker.js
+ */
+router.post("/lifecycle", async (req, res) => {
+  // Validation
+  if (req.query.validationToken) {
+    console.log("[Webhook] Lifecycle validation request received");
+    res.set("Content-Type", "text/plain");
+    return res.status(200).send(req.query.validationToken);
+  }
+
+  res.status(202).send();
+
+  for (const notification of req.body?.value || []) {
+    try {
+      await handleLifecycleNotification(notification);
+    } catch (error) {
+      console.error(
+        "[Webhook] Error handling lifecycle notification:",
+        error.message,
+      );
+    }
+  }
+});
+
+/**
+ * Queue the action for one lifecycle event and record it in SystemLog
+ * Events that fail validation are not recorded: the endpoint is public, and
+ * validateNotification already reports them on the console.
+ */
+async function handleLifecycleNotification(notification) {
+  const { subscriptionId, clientState, lifecycleEvent } = notification;
+
+  const subscription = await webhookService.validateNotification(
+    clientState,
+    subscriptionId,
+  );
+  if (!subscription) return;
+
+  let action = "ignored";
+  const account = await prisma.mailAccount.findUnique({
+    where: { id: subscription.accountId },
+    select: { id: true, email: true, status: true, isEnabled: true },
+  });
+
+  if (account && account.status === "CONNECTED" && account.isEnabled) {
+    const job = {
+      accountId: account.id,
+      email: account.email,
+      folderId: subscription.folderId,
+    };
+
+    if (lifecycleEvent === "reauthorizationRequired") {
+      await enqueueSubscriptionJob("renew", job);
+      action = "renew";
+    } else if (lifecycleEvent === "subscriptionRemoved") {
+      await enqueueSubscriptionJob("create", job);
+      action = "recreate";
+    } else if (lifecycleEvent === "missed") {
+      await enqueueAccountReconcile(account.id, "missed notifications");
+      action = "catch-up";
+    }
+  }
+
+  console.log(
+    `[Webhook] Lifecycle ${lifecycleEvent} for ${account?.email || subscriptionId}: ${action}`,
+  );
+
+  await prisma.systemLog.create({
+    data: {
+      level:
+        action === "ignored" || lifecycleEvent !== "reauthorizationRequired"
+          ? "warn"
+          : "info",
+      category: "webhook",
+      message: `Lifecycle event ${lifecycleEvent} (${action})`,
+      metadata: {
+        lifecycleEvent,
+        action,
+        subscriptionId,
+        folderId: subscription.folderId,
+        accountStatus: account?.status || null,
+        subscriptionExpirationDateTime:
+          notification.subscriptionExpirationDateTime || null,
+      },
+      accountId: account?.id || null,
+    },
+  });
+}
+
 /**
  * Validate notification and add to forward queue
  */
@@ -371,15 +190,14 @@ async function enqueueNotification(notification) {
 
   console.log(`[Webhook] New message for ${account.email}: ${messageId}`);
 
-  // Add to forward queue (will be processed sequentially)
-  await forwardQueue.add(
-    {
-      accountId,
-      accountEmail: account.email,
-      messageId,
-    },
-    { jobId: `${accountId}:${messageId}` }, // Prevent duplicate jobs
-  );
+  // Add to forward queue (processed by the worker, role "forward")
+  await enqueueForward({
+    accountId,
+    accountEmail: account.email,
+    messageId,
+  });
 }
 
 module.exports = router;
+module.exports.enqueueNotification = enqueueNotification;
+module.exports.handleLifecycleNotification = handleLifecycleNotification;
@@ -0,0 +1,15 @@
+/**
+ * Rejected request
+ * code is the error string the PHP receiver answers with
+ * (MISSING_SIGNATURE_HEADERS, BAD_TIMESTAMP, BAD_SIGNATURE, ...)
+ */
+class VerificationError extends Error {
+  constructor(code, status, message = code) {
+    super(message);
+    this.code = code;
+    this.status = status;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = VerificationError;
@@ -0,0 +1,67 @@
+const VerificationError = require("./VerificationError");
+
+/**
+ * Event sent to API destinations (ForwarderService.buildApiEvent)
+ * Destinations with a payload template receive their own shape instead.
+ * @typedef {object} MailEvent
+ * @property {string} source - "mail-collector-graph"
+ * @property {string} fromAccount - Connected mailbox that received the mail
+ * @property {string} from - Sender address (lowercase)
+ * @property {string} to - Recipient addresses, comma-separated
+ * @property {string} subject
+ * @property {Date|null} receivedDateTime
+ * @property {string|null} internetMessageId
+ * @property {string|null} graphMessageId
+ * @property {string} username - Steam username ("" when not extracted)
+ * @property {string} code - Steam Guard code ("" when not extracted)
+ * @property {string|null} extractor - Extractor that produced the fields
+ * @property {object} fields - Every extracted field
+ */
+
+const text = (value) =>
+  value === null || value === undefined ? "" : String(value).trim();
+
+const optionalText = (value) => text(value) || null;
+
+/**
+ * Parse a verified JSON body into a MailEvent
+ * @param {string|Buffer|object} body - Raw body (or already parsed JSON)
+ * @returns {MailEvent}
+ */
+function parseEvent(body) {
+  let data = body;
+  if (typeof body === "string" || Buffer.isBuffer(body)) {
+    try {
+      data = JSON.parse(body.toString("utf8"));
+    } catch (error) {
+      throw new VerificationError("INVALID_JSON", 400);
+    }
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new VerificationError("INVALID_JSON", 400);
+  }
+
+  const received = data.receivedDateTime
+    ? new Date(data.receivedDateTime)
+    : null;
+  const fields =
+    data.fields && typeof data.fields === "object" ? data.fields : {};
+
+  return {
+    source: text(data.source),
+    fromAccount: text(data.fromAccount),
+    from: text(data.from).toLowerCase(),
+    to: text(data.to),
+    subject: text(data.subject),
+    receivedDateTime: received && !isNaN(received) ? received : null,
+    internetMessageId: optionalText(data.internetMessageId),
+    graphMessageId: optionalText(data.graphMessageId),
+    username: text(data.username || fields.username),
+    code: text(data.code || fields.code),
+    extractor: optionalText(data.extractor),
+    fields,
+  };
+}
+
+module.exports = { parseEvent };
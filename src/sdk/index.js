@@ -0,0 +1,28 @@
+/**
+ * Receiver SDK for the signed events sent to API destinations
+ * (require("mail-collector-service/sdk"))
+ *
+ *   const { SignatureVerifier } = require("mail-collector-service/sdk");
+ *   const verifier = new SignatureVerifier({ secret: process.env.STEAM_API_SECRET });
+ *   app.post("/inbound", express.raw({ type: "*\/*" }), verifier.middleware(), (req, res) => {
+ *     const { username, code } = req.mailEvent;
+ *   });
+ *
+ * Only depends on Node built-ins (no config, database or queues).
+ */
+const SignatureVerifier = require("./verifier");
+const VerificationError = require("./VerificationError");
+const { MemoryNonceStore, RedisNonceStore } = require("./nonceStore");
+const { HEADERS, sign, signaturesMatch } = require("./signature");
+const { parseEvent } = require("./event");
+
+module.exports = {
+  SignatureVerifier,
+  VerificationError,
+  MemoryNonceStore,
+  RedisNonceStore,
+  HEADERS,
+  sign,
+  signaturesMatch,
+  parseEvent,
+};
@@ -0,0 +1,53 @@
+/**
+ * Nonce stores remember the requests a verifier has accepted so a captured
+ * request cannot be replayed while its timestamp is still valid.
+ *
+ * Interface: add(nonce, ttlMs) => true when the nonce was not seen yet
+ */
+
+/**
+ * In-process store (single receiver process, development, tests)
+ */
+class MemoryNonceStore {
+  constructor() {
+    this.nonces = new Map(); // nonce => expiresAt
+  }
+
+  async add(nonce, ttlMs) {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.nonces) {
+      if (expiresAt <= now) this.nonces.delete(key);
+    }
+
+    if (this.nonces.has(nonce)) return false;
+    this.nonces.set(nonce, now + ttlMs);
+    return true;
+  }
+}
+
+/**
+ * Redis store (several receiver processes): SET NX with an expiry
+ */
+class RedisNonceStore {
+  /**
+   * @param {object} redis - ioredis client
+   * @param {object} options - { prefix }
+   */
+  constructor(redis, { prefix = "nonce:" } = {}) {
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  async add(nonce, ttlMs) {
+    const result = await this.redis.set(
+      `${this.prefix}${nonce}`,
+      "1",
+      "PX",
+      Math.ceil(ttlMs),
+      "NX",
+    );
+    return result === "OK";
+  }
+}
+
+module.exports = { MemoryNonceStore, RedisNonceStore };
@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+// Request headers set by DestinationService.send() (lowercase, as in Node)
+const HEADERS = {
+  timestamp: "x-timestamp",
+  signature: "x-signature",
+  deliveryId: "x-delivery-id",
+};
+
+/**
+ * Sign a payload: hex HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix seconds (X-Timestamp)
+ * @param {string} body - Raw JSON body, exactly as sent
+ */
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret || "")
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Constant-time comparison of two signatures
+ */
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { HEADERS, sign, signaturesMatch };
@@ -0,0 +1,116 @@
+const { HEADERS, sign, signaturesMatch } = require("./signature");
+const { MemoryNonceStore } = require("./nonceStore");
+const { parseEvent } = require("./event");
+const VerificationError = require("./VerificationError");
+
+/**
+ * Verifies signed requests from the mail collector
+ * Checks, in order (same as steam_inbound.php):
+ * 1) body and X-Timestamp / X-Signature present
+ * 2) timestamp within the accepted window (default 5 min old, 1 min ahead)
+ * 3) signature matches
+ * 4) the request was not accepted before (nonce store, keyed by signature)
+ */
+class SignatureVerifier {
+  /**
+   * @param {object} options - { secret, toleranceSeconds, futureSkewSeconds, nonceStore, now }
+   */
+  constructor({
+    secret,
+    toleranceSeconds = 300,
+    futureSkewSeconds = 60,
+    nonceStore = new MemoryNonceStore(),
+    now = () => Date.now(),
+  } = {}) {
+    if (!secret) {
+      throw new Error("SignatureVerifier: secret is required");
+    }
+
+    this.secret = secret;
+    this.toleranceSeconds = toleranceSeconds;
+    this.futureSkewSeconds = futureSkewSeconds;
+    this.nonceStore = nonceStore;
+    this.now = now;
+  }
+
+  /**
+   * Verify a request
+   * @param {object} request - { timestamp, signature, body (raw string or Buffer) }
+   * @returns {string} - The verified body
+   * @throws {VerificationError}
+   */
+  async verify({ timestamp, signature, body }) {
+    const raw = Buffer.isBuffer(body) ? body.toString("utf8") : body;
+    if (typeof raw !== "string" || raw === "") {
+      throw new VerificationError("EMPTY_BODY", 400);
+    }
+
+    if (!timestamp || !signature) {
+      throw new VerificationError("MISSING_SIGNATURE_HEADERS", 401);
+    }
+
+    const nowSeconds = Math.floor(this.now() / 1000);
+    const ts = parseInt(timestamp, 10);
+    if (
+      Number.isNaN(ts) ||
+      ts < nowSeconds - this.toleranceSeconds ||
+      ts > nowSeconds + this.futureSkewSeconds
+    ) {
+      throw new VerificationError("BAD_TIMESTAMP", 401);
+    }
+
+    if (!signaturesMatch(sign(this.secret, timestamp, raw), signature)) {
+      throw new VerificationError("BAD_SIGNATURE", 401);
+    }
+
+    // Kept until the timestamp leaves the window (then BAD_TIMESTAMP applies)
+    const ttlMs = (this.toleranceSeconds + this.futureSkewSeconds) * 1000;
+    if (!(await this.nonceStore.add(signature, ttlMs))) {
+      throw new VerificationError("REPLAYED", 401);
+    }
+
+    return raw;
+  }
+
+  /**
+   * Verify a request and parse its body
+   * @returns {import("./event").MailEvent}
+   */
+  async verifyEvent(request) {
+    return parseEvent(await this.verify(request));
+  }
+
+  /**
+   * Express middleware: verifies the request and sets req.mailEvent
+   * (and req.deliveryId). Needs the raw body, e.g. express.raw({ type: "*\/*" }).
+   * Rejections are answered like the PHP receiver: { ok: false, err: CODE }
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (
+        req.body !== undefined &&
+        typeof req.body === "object" &&
+        !Buffer.isBuffer(req.body)
+      ) {
+        return next(
+          new Error("SignatureVerifier needs the raw body (use express.raw())"),
+        );
+      }
+
+      try {
+        req.mailEvent = await this.verifyEvent({
+          timestamp: req.get(HEADERS.timestamp),
+          signature: req.get(HEADERS.signature),
+          body: req.body,
+        });
+        req.deliveryId = req.get(HEADERS.deliveryId) || null;
+        next();
+      } catch (error) {
+        if (!(error instanceof VerificationError)) return next(error);
+        res.status(error.status).json({ ok: false, err: error.code });
+      }
+    };
+  }
+}
+
+module.exports = SignatureVerifier;
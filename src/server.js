@@ -22,6 +22,18 @@ const accountsRoutes = require("./routes/accounts.routes");
 const dashboardRoutes = require("./routes/dashboard.routes");
 const logsRoutes = require("./routes/logs.routes");
 const webhooksRoutes = require("./routes/webhooks.routes");
+const rulesRoutes = require("./routes/rules.routes");
+const extractorsRoutes = require("./routes/extractors.routes");
+const destinationsRoutes = require("./routes/destinations.routes");
+const deliveriesRoutes = require("./routes/deliveries.routes");
+const usersRoutes = require("./routes/users.routes");
+const auditRoutes = require("./routes/audit.routes");
+const appsRoutes = require("./routes/apps.routes");
+const groupsRoutes = require("./routes/groups.routes");
+const { forwardQueue } = require("./queues/forward.queue");
+const { deliveryQueue } = require("./queues/delivery.queue");
+const { maintenanceQueue } = require("./queues/maintenance.queue");
+const { reconcileQueue } = require("./queues/reconcile.queue");
 
 const app = express();
 
@@ -81,6 +93,14 @@ app.use("/api/auth", authRoutes);
 app.use("/api/accounts", accountsRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/logs", logsRoutes);
+app.use("/api/rules", rulesRoutes);
+app.use("/api/extractors", extractorsRoutes);
+app.use("/api/destinations", destinationsRoutes);
+app.use("/api/deliveries", deliveriesRoutes);
+app.use("/api/users", usersRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/apps", appsRoutes);
+app.use("/api/groups", groupsRoutes);
 
 // Serve static files from public folder
 app.use(express.static(path.join(__dirname, "../public")));
@@ -106,6 +126,30 @@ app.get("/settings", (req, res) => {
   res.sendFile(path.join(__dirname, "../public/settings.html"));
 });
 
+app.get("/apps", (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/apps.html"));
+});
+
+app.get("/imports", (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/imports.html"));
+});
+
+app.get("/groups", (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/groups.html"));
+});
+
+app.get("/sessions", (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/sessions.html"));
+});
+
+app.get("/users", (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/users.html"));
+});
+
+app.get("/audit", (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/audit.html"));
+});
+
 app.get("/oauth-callback", (req, res) => {
   res.sendFile(path.join(__dirname, "../public/oauth-callback.html"));
 });
@@ -121,6 +165,14 @@ app.use(errorHandler);
 // Start server
 const startServer = async () => {
   try {
+    // Anyone knowing the default secret could sign their own tokens
+    if (config.jwt.isDefaultSecret) {
+      if (config.nodeEnv === "production") {
+        throw new Error("JWT_SECRET must be set in production");
+      }
+      logger.warn("JWT_SECRET is not set, using the insecure default");
+    }
+
     // Test database connection
     await prisma.$connect();
     logger.info("Database connected successfully");
@@ -157,7 +209,7 @@ const createDefaultAdmin = async () => {
         email: config.admin.email,
         password: hashedPassword,
         name: "Admin",
-        role: "admin",
+        role: "owner",
       },
     });
 
@@ -165,18 +217,21 @@ const createDefaultAdmin = async () => {
   }
 };
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
+// Graceful shutdown (the HTTP tier only enqueues; queues are processed by the worker)
+const shutdown = async () => {
   logger.info("Shutting down gracefully...");
+  await Promise.all([
+    forwardQueue.close(),
+    deliveryQueue.close(),
+    maintenanceQueue.close(),
+    reconcileQueue.close(),
+  ]);
   await prisma.$disconnect();
   process.exit(0);
-});
+};
 
-process.on("SIGTERM", async () => {
-  logger.info("Shutting down gracefully...");
-  await prisma.$disconnect();
-  process.exit(0);
-});
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
 
 startServer();
 
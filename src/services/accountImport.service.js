@@ -0,0 +1,257 @@
+const prisma = require("../config/database");
+const reauthLinkService = require("./reauthLink.service");
+const { parseCsv } = require("../utils/csv");
+
+// Rows per import request
+const MAX_ROWS = 1000;
+
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+// Why a row did not create an account
+const SKIP_REASONS = {
+  invalid_email: "Not a valid email address",
+  duplicate_in_list: "Listed more than once",
+  already_exists: "Account already exists",
+};
+
+/**
+ * Account Import Service
+ * Bulk onboarding: a CSV or JSON list of mailboxes becomes PENDING
+ * accounts, each with a signed single-use connect link (the same links as
+ * reauth emails) to hand to the mailbox owner. The AccountImport row keeps
+ * the batch together so its progress can be followed until every mailbox
+ * completed OAuth.
+ */
+class AccountImportService {
+  get maxRows() {
+    return MAX_ROWS;
+  }
+
+  /**
+   * Rows of an import request
+   * @param {object} body - { csv } (email and optional label columns, with
+   *   or without a header row) or { accounts: [email | { email, label }] }
+   * @returns {object[]|null} - [{ line, email, label }], null when the body
+   *   has neither
+   */
+  parseRows(body = {}) {
+    if (Array.isArray(body.accounts)) {
+      return body.accounts.map((entry, index) => {
+        const item = typeof entry === "string" ? { email: entry } : entry;
+        return this.toRow(index + 1, item?.email, item?.label);
+      });
+    }
+
+    if (typeof body.csv !== "string") return null;
+
+    const rows = parseCsv(body.csv);
+    let emailColumn = 0;
+    let labelColumn = 1;
+
+    // A first row without an address is a header: find the columns by name
+    if (rows.length && !rows[0].some((cell) => cell.includes("@"))) {
+      const header = rows.shift().map((cell) => cell.toLowerCase());
+      emailColumn = Math.max(
+        header.findIndex((cell) => /^e-?mail/.test(cell)),
+        0,
+      );
+      labelColumn = header.findIndex((cell) =>
+        ["label", "name", "note"].includes(cell),
+      );
+    }
+
+    return rows.map((cells) =>
+      this.toRow(
+        cells.line,
+        cells[emailColumn],
+        labelColumn === -1 ? null : cells[labelColumn],
+      ),
+    );
+  }
+
+  toRow(line, email, label) {
+    const text = String(label ?? "").trim();
+    return {
+      line,
+      email: String(email ?? "").trim(),
+      label: text.slice(0, 191) || null,
+    };
+  }
+
+  /**
+   * Create PENDING accounts and their connect links. Invalid rows and
+   * mailboxes that already exist are reported, not fatal.
+   * @param {object[]} rows - From parseRows()
+   * @param {object} options - { appId, actor } (actor = req.user)
+   * @returns {object} - { import, accounts: [{ ...account, connectUrl,
+   *   expiresAt }], skipped: [{ line, email, reason, message, accountId }] }
+   */
+  async run(rows, { appId = null, actor = null } = {}) {
+    const batch = await prisma.accountImport.create({
+      data: {
+        actorId: actor?.id || null,
+        actorEmail: actor?.email || null,
+        total: rows.length,
+      },
+    });
+
+    const created = [];
+    const skipped = [];
+    const seen = new Set();
+    const skip = (row, reason, extra = {}) =>
+      skipped.push({
+        line: row.line,
+        email: row.email,
+        reason,
+        message: SKIP_REASONS[reason],
+        ...extra,
+      });
+
+    try {
+      for (const row of rows) {
+        if (!EMAIL_PATTERN.test(row.email)) {
+          skip(row, "invalid_email");
+          continue;
+        }
+        // Addresses are compared case-insensitively, as MySQL does
+        const key = row.email.toLowerCase();
+        if (seen.has(key)) {
+          skip(row, "duplicate_in_list");
+          continue;
+        }
+        seen.add(key);
+
+        try {
+          created.push(
+            await prisma.mailAccount.create({
+              data: {
+                email: row.email,
+                label: row.label,
+                status: "PENDING",
+                appRegistrationId: appId,
+                importId: batch.id,
+              },
+            }),
+          );
+        } catch (error) {
+          // email @unique: the mailbox is already an account
+          if (error.code !== "P2002") throw error;
+          const existing = await prisma.mailAccount.findUnique({
+            where: { email: row.email },
+            select: { id: true, status: true },
+          });
+          skip(row, "already_exists", {
+            accountId: existing?.id || null,
+            status: existing?.status || null,
+          });
+        }
+      }
+    } finally {
+      await prisma.accountImport.update({
+        where: { id: batch.id },
+        data: { createdCount: created.length, skipped },
+      });
+    }
+
+    return {
+      import: { ...batch, createdCount: created.length, skipped },
+      accounts: await this.withLinks(created),
+      skipped,
+    };
+  }
+
+  /**
+   * Issue a connect link per account
+   */
+  async withLinks(accounts) {
+    const result = [];
+    for (const account of accounts) {
+      const { url, expiresAt } = await reauthLinkService.create(account);
+      result.push({
+        id: account.id,
+        email: account.email,
+        label: account.label,
+        status: account.status,
+        connectUrl: url,
+        expiresAt,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Count accounts of a batch by how far they got
+   */
+  summarize(accounts) {
+    return {
+      total: accounts.length,
+      connected: accounts.filter((a) => a.status === "CONNECTED").length,
+      pending: accounts.filter((a) => a.status === "PENDING").length,
+      failing: accounts.filter((a) =>
+        ["NEEDS_REAUTH", "ERROR"].includes(a.status),
+      ).length,
+    };
+  }
+
+  /**
+   * Recent imports, newest first, with their progress
+   */
+  async list({ limit = 50 } = {}) {
+    const batches = await prisma.accountImport.findMany({
+      orderBy: { createdAt: "desc" },
+      take: limit,
+    });
+    const accounts = await prisma.mailAccount.findMany({
+      where: { importId: { in: batches.map((b) => b.id) } },
+      select: { importId: true, status: true },
+    });
+
+    return batches.map((batch) => ({
+      ...batch,
+      progress: this.summarize(accounts.filter((a) => a.importId === batch.id)),
+    }));
+  }
+
+  /**
+   * An import with the current status of each of its accounts
+   * @returns {object|null}
+   */
+  async get(id) {
+    const batch = await prisma.accountImport.findUnique({ where: { id } });
+    if (!batch) return null;
+
+    const accounts = await prisma.mailAccount.findMany({
+      where: { importId: id },
+      select: {
+        id: true,
+        email: true,
+        label: true,
+        displayName: true,
+        status: true,
+        lastError: true,
+        updatedAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    return { ...batch, accounts, progress: this.summarize(accounts) };
+  }
+
+  /**
+   * New connect links for the accounts of an import that are not connected
+   * (earlier links stay valid until they expire)
+   * @returns {object[]|null} - Same shape as run().accounts
+   */
+  async newLinks(id) {
+    const batch = await prisma.accountImport.findUnique({ where: { id } });
+    if (!batch) return null;
+
+    const accounts = await prisma.mailAccount.findMany({
+      where: { importId: id, status: { not: "CONNECTED" } },
+      orderBy: { createdAt: "asc" },
+    });
+    return this.withLinks(accounts);
+  }
+}
+
+module.exports = new AccountImportService();
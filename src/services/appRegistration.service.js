@@ -0,0 +1,258 @@
+const config = require("../config");
+const prisma = require("../config/database");
+const redis = require("../config/redis");
+const encryption = require("../utils/encryption");
+
+// Graph request counters per app (client ID), one hash per hour
+const STATS_PREFIX = "graph:appstats:";
+const STATS_HOURS = 24;
+
+// Apps are looked up for every Graph client: keep them for a short while
+const CACHE_TTL_MS = 30 * 1000;
+
+const hourOf = (time) => Math.floor(time / 3600000);
+
+/**
+ * App Registration Service
+ * Azure app registrations mailboxes sign in with. The app from
+ * MICROSOFT_CLIENT_ID is the built-in one (id null); more are stored in
+ * app_registrations with an encrypted client secret.
+ *
+ * An account is bound to one app (MailAccount.appRegistrationId): its
+ * sign-ins and reconnects use that app. Tokens are only valid for the app
+ * that issued them (MailToken.appRegistrationId), so refreshes and Graph
+ * calls use that one; after a move the account keeps working on the old
+ * app until it is reconnected.
+ */
+class AppRegistrationService {
+  constructor() {
+    this._cache = new Map(); // id => { app, loadedAt }
+  }
+
+  /**
+   * The app configured in the environment
+   */
+  builtIn() {
+    const { microsoft } = config;
+    return {
+      id: null,
+      name: "Built-in (MICROSOFT_CLIENT_ID)",
+      builtIn: true,
+      clientId: microsoft.clientId,
+      clientSecret: microsoft.clientSecret,
+      tenant: microsoft.tenant,
+      redirectUri: microsoft.redirectUri,
+      scopes: microsoft.scopes,
+      authorizeUrl: microsoft.authorizeUrl,
+      tokenUrl: microsoft.tokenUrl,
+      isEnabled: !!microsoft.clientId,
+      isDefault: false,
+    };
+  }
+
+  /**
+   * Stored row => app with its decrypted secret and endpoints
+   */
+  toApp(row) {
+    const endpoint = `${config.microsoft.loginBaseUrl}/${encodeURIComponent(row.tenant)}/oauth2/v2.0`;
+    return {
+      ...row,
+      builtIn: false,
+      clientSecret: encryption.decrypt(row.clientSecret),
+      redirectUri: row.redirectUri || config.microsoft.redirectUri,
+      scopes: row.scopes
+        ? row.scopes.split(/\s+/).filter(Boolean)
+        : config.microsoft.scopes,
+      authorizeUrl: `${endpoint}/authorize`,
+      tokenUrl: `${endpoint}/token`,
+    };
+  }
+
+  /**
+   * App by ID (null = built-in)
+   */
+  async get(id) {
+    if (!id) return this.builtIn();
+
+    const cached = this._cache.get(id);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.app;
+    }
+
+    const row = await prisma.appRegistration.findUnique({ where: { id } });
+    if (!row) {
+      throw new Error(`App registration ${id} no longer exists`);
+    }
+    const app = this.toApp(row);
+    this._cache.set(id, { app, loadedAt: Date.now() });
+    return app;
+  }
+
+  /**
+   * Forget cached apps after a change
+   */
+  clearCache(id) {
+    if (id) this._cache.delete(id);
+    else this._cache.clear();
+  }
+
+  /**
+   * App ID for a new mailbox when none was picked: the default app, else
+   * the built-in one, else the enabled app with the fewest accounts
+   * @returns {string|null}
+   */
+  async pickForNewAccount() {
+    const defaultApp = await prisma.appRegistration.findFirst({
+      where: { isDefault: true, isEnabled: true },
+    });
+    if (defaultApp) return defaultApp.id;
+    if (config.microsoft.clientId) return null;
+
+    const apps = await prisma.appRegistration.findMany({
+      where: { isEnabled: true },
+      orderBy: { createdAt: "asc" },
+    });
+    let best = null;
+    for (const app of apps) {
+      const accounts = await prisma.mailAccount.count({
+        where: { appRegistrationId: app.id },
+      });
+      if (!best || accounts < best.accounts) best = { id: app.id, accounts };
+    }
+    return best ? best.id : null;
+  }
+
+  /**
+   * Bind accounts to another app. Accounts keep their tokens (and the app
+   * that issued them) until they are reconnected.
+   * @param {string[]} accountIds - MailAccount IDs
+   * @param {string|null} appId - Target app (null = built-in)
+   * @returns {object} - { moved, needsReconnect }
+   */
+  async moveAccounts(accountIds, appId) {
+    const { count: moved } = await prisma.mailAccount.updateMany({
+      where: { id: { in: accountIds } },
+      data: { appRegistrationId: appId },
+    });
+
+    const tokens = await prisma.mailToken.findMany({
+      where: { accountId: { in: accountIds } },
+      select: { appRegistrationId: true },
+    });
+    const needsReconnect = tokens.filter(
+      (t) => (t.appRegistrationId || null) !== appId,
+    ).length;
+
+    return { moved, needsReconnect };
+  }
+
+  /**
+   * Count a Graph response for an app's error rate
+   * @param {string} clientId - App (client) ID
+   * @param {number|string} status - HTTP status, or "network" / "refresh"
+   */
+  async recordResult(clientId, status) {
+    const key = `${STATS_PREFIX}${clientId || "default"}:${hourOf(Date.now())}`;
+    const failed = !(typeof status === "number" && status < 400);
+    const throttled = status === 429 || status === 503;
+    try {
+      await redis
+        .multi()
+        .hincrby(key, "requests", 1)
+        .hincrby(key, "errors", failed ? 1 : 0)
+        .hincrby(key, "throttled", throttled ? 1 : 0)
+        .pexpire(key, (STATS_HOURS + 1) * 3600000)
+        .exec();
+    } catch (error) {
+      // Statistics only: never fail a Graph call over them
+    }
+  }
+
+  /**
+   * Graph requests of an app over the last STATS_HOURS hours
+   * @returns {object} - { requests, errors, throttled, errorRate }
+   */
+  async graphStats(clientId) {
+    const totals = { requests: 0, errors: 0, throttled: 0 };
+    const now = hourOf(Date.now());
+
+    try {
+      const multi = redis.multi();
+      for (let h = 0; h < STATS_HOURS; h++) {
+        multi.hgetall(`${STATS_PREFIX}${clientId || "default"}:${now - h}`);
+      }
+      for (const [, hash] of await multi.exec()) {
+        for (const field of Object.keys(totals)) {
+          totals[field] += parseInt(hash?.[field], 10) || 0;
+        }
+      }
+    } catch (error) {
+      console.error(`[Apps] Cannot read Graph stats: ${error.message}`);
+    }
+
+    return {
+      ...totals,
+      errorRate: totals.requests ? totals.errors / totals.requests : 0,
+    };
+  }
+
+  /**
+   * Every app (built-in first) with account counts and Graph stats
+   */
+  async list() {
+    const [rows, accounts, tokens] = await Promise.all([
+      prisma.appRegistration.findMany({ orderBy: { createdAt: "asc" } }),
+      prisma.mailAccount.findMany({
+        select: { id: true, status: true, appRegistrationId: true },
+      }),
+      prisma.mailToken.findMany({
+        select: { accountId: true, appRegistrationId: true },
+      }),
+    ]);
+
+    const tokenApp = new Map(
+      tokens.map((t) => [t.accountId, t.appRegistrationId || null]),
+    );
+
+    const apps = [
+      this.builtIn(),
+      ...rows.map((row) => ({ ...row, builtIn: false })),
+    ];
+    return Promise.all(
+      apps.map(async (app) => {
+        const bound = accounts.filter(
+          (a) => (a.appRegistrationId || null) === app.id,
+        );
+        return {
+          ...this.toPublic(app),
+          accounts: {
+            total: bound.length,
+            connected: bound.filter((a) => a.status === "CONNECTED").length,
+            failing: bound.filter((a) =>
+              ["NEEDS_REAUTH", "ERROR"].includes(a.status),
+            ).length,
+            // Bound here, but still using tokens of another app
+            pendingMove: bound.filter(
+              (a) => tokenApp.has(a.id) && tokenApp.get(a.id) !== app.id,
+            ).length,
+          },
+          graph: await this.graphStats(app.clientId),
+        };
+      }),
+    );
+  }
+
+  /**
+   * Hide the client secret from API responses
+   */
+  toPublic(app) {
+    const { clientSecret, authorizeUrl, tokenUrl, ...rest } = app;
+    return {
+      ...rest,
+      scopes: Array.isArray(rest.scopes) ? rest.scopes.join(" ") : rest.scopes,
+      hasSecret: !!clientSecret,
+    };
+  }
+}
+
+module.exports = new AppRegistrationService();
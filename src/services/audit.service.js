@@ -0,0 +1,193 @@
+const prisma = require("../config/database");
+
+// Values never written to the audit log
+const REDACTED_FIELDS = new Set([
+  "password",
+  "secret",
+  "clientSecret",
+  "token",
+  "headers",
+]);
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "actorEmail",
+  "action",
+  "targetType",
+  "targetId",
+  "targetLabel",
+  "changes",
+  "metadata",
+  "ipAddress",
+  "userAgent",
+];
+
+// Upper bound for one CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const comparable = (value) =>
+  value instanceof Date ? value.toISOString() : JSON.stringify(value ?? null);
+
+/**
+ * Audit Service
+ * Records who did what from the dashboard. Actions are "<target>.<verb>":
+ * account.create|update|delete|reconnect|import|import_links|routing,
+ * folder.add|update|remove, config.update, rule.*, destination.*,
+ * extractor.*, user.*,
+ * app.create|update|delete|move_accounts, group.create|update|delete,
+ * group.add_members|remove_members|enable|disable|resync|reconnect,
+ * logs.cleanup, message.retry, messages.retry_failed,
+ * delivery.replay|discard, auth.password_change,
+ * auth.session_revoke, auth.sessions_revoke_all
+ */
+class AuditService {
+  /**
+   * Field-level diff of two snapshots (only changed fields)
+   * @param {object|null} before - State before the change (null on create)
+   * @param {object|null} after - State after the change (null on delete)
+   * @returns {object|null} - { field: { from, to } }
+   */
+  diff(before, after) {
+    const changes = {};
+    const keys = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {}),
+    ]);
+
+    for (const key of keys) {
+      const from = before ? (before[key] ?? null) : null;
+      const to = after ? (after[key] ?? null) : null;
+      if (comparable(from) === comparable(to)) continue;
+
+      changes[key] = REDACTED_FIELDS.has(key)
+        ? {
+            from: from === null ? null : "[redacted]",
+            to: to === null ? null : "[redacted]",
+          }
+        : { from, to };
+    }
+
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  /**
+   * The given fields of a row (for before/after snapshots)
+   */
+  snapshot(row, fields) {
+    if (!row) return null;
+    return Object.fromEntries(fields.map((field) => [field, row[field]]));
+  }
+
+  /**
+   * Record a dashboard action. Never throws: a failed audit write is logged
+   * and the action itself still succeeds.
+   * @param {object} req - Express request (req.user, IP, user agent)
+   * @param {object} entry - { action, targetType, targetId, targetLabel, before, after, metadata }
+   */
+  async record(req, entry) {
+    const { action, targetType, targetId, targetLabel, before, after } = entry;
+
+    try {
+      await prisma.auditLog.create({
+        data: {
+          actorId: req.user?.id || null,
+          actorEmail: req.user?.email || null,
+          action,
+          targetType: targetType || null,
+          targetId: targetId != null ? String(targetId) : null,
+          targetLabel: targetLabel || null,
+          changes: this.diff(before || null, after || null),
+          metadata: entry.metadata || undefined,
+          ipAddress: req.ip || null,
+          userAgent: (req.get?.("user-agent") || "").slice(0, 512) || null,
+        },
+      });
+    } catch (error) {
+      console.error(`[Audit] Failed to record ${action}:`, error.message);
+    }
+  }
+
+  /**
+   * Build a Prisma where clause from query filters
+   * @param {object} filters - { actor, action, targetType, targetId, from, to }
+   */
+  buildWhere({ actor, action, targetType, targetId, from, to } = {}) {
+    const where = {};
+
+    if (actor) where.actorEmail = { contains: String(actor).trim() };
+    if (action) where.action = { startsWith: String(action).trim() };
+    if (targetType) where.targetType = String(targetType);
+    if (targetId) where.targetId = String(targetId);
+
+    const range = {};
+    if (from && !Number.isNaN(Date.parse(from))) range.gte = new Date(from);
+    if (to && !Number.isNaN(Date.parse(to))) range.lte = new Date(to);
+    if (Object.keys(range).length) where.createdAt = range;
+
+    return where;
+  }
+
+  /**
+   * Paginated audit entries, newest first
+   */
+  async list(filters = {}, { page = 1, limit = 50 } = {}) {
+    const where = this.buildWhere(filters);
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Audit entries matching the filters as CSV (newest first)
+   */
+  async exportCsv(filters = {}) {
+    const logs = await prisma.auditLog.findMany({
+      where: this.buildWhere(filters),
+      orderBy: { createdAt: "desc" },
+      take: MAX_EXPORT_ROWS,
+    });
+
+    const rows = logs.map((log) =>
+      CSV_COLUMNS.map((column) => this.csvCell(log[column])).join(","),
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Quote a CSV value; cells starting with = + - @ are prefixed with '
+   * so spreadsheets do not run them as formulas
+   */
+  csvCell(value) {
+    if (value === null || value === undefined) return "";
+
+    let text =
+      value instanceof Date
+        ? value.toISOString()
+        : typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,495 @@
+const prisma = require("../config/database");
+const config = require("../config");
+const encryption = require("../utils/encryption");
+const { enqueueDelivery } = require("../queues/delivery.queue");
+const { sign } = require("../sdk/signature");
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+// Client errors that will not succeed on retry (408/429 are retried)
+const isPermanentFailure = (status) =>
+  status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+// Account counter of each final message log status
+const STATUS_COUNTERS = {
+  FORWARDED: "forwardedCount",
+  FAILED: "failedForwardCount",
+};
+
+const getPath = (obj, path) =>
+  path.split(".").reduce((acc, key) => (acc == null ? acc : acc[key]), obj);
+
+/**
+ * API Destination Service
+ * Sends signed JSON events to the configured outbound webhook destinations.
+ * Every delivery is a MessageDelivery row processed by the "api-delivery"
+ * queue: exponential backoff, max age for stale codes, then dead letter.
+ *
+ * Signature: X-Signature = hex HMAC-SHA256(secret, `${X-Timestamp}.${body}`)
+ * (receivers verify it with src/sdk)
+ */
+class DestinationService {
+  signPayload(secret, timestamp, bodyString) {
+    return sign(secret, timestamp, bodyString);
+  }
+
+  /**
+   * Render a payload template against an event
+   * A string that is exactly "{{path}}" keeps the raw value type,
+   * otherwise placeholders are interpolated as text.
+   */
+  renderTemplate(template, event) {
+    if (typeof template === "string") {
+      const whole = template.match(WHOLE_PLACEHOLDER);
+      if (whole) {
+        const value = getPath(event, whole[1]);
+        return value === undefined ? null : value;
+      }
+      return template.replace(PLACEHOLDER, (_, path) => {
+        const value = getPath(event, path);
+        return value == null ? "" : String(value);
+      });
+    }
+    if (Array.isArray(template)) {
+      return template.map((item) => this.renderTemplate(item, event));
+    }
+    if (template && typeof template === "object") {
+      return Object.fromEntries(
+        Object.entries(template).map(([key, value]) => [
+          key,
+          this.renderTemplate(value, event),
+        ]),
+      );
+    }
+    return template;
+  }
+
+  buildPayload(destination, event) {
+    return destination.payloadTemplate
+      ? this.renderTemplate(destination.payloadTemplate, event)
+      : event;
+  }
+
+  /**
+   * Get the enabled destinations for an API rule + extractor
+   * (rule destinations plus destinations subscribed to the extractor)
+   */
+  async getDestinationsFor(rule, extractorName) {
+    const byId = new Map();
+
+    for (const destination of rule?.destinations || []) {
+      if (destination.isEnabled) byId.set(destination.id, destination);
+    }
+
+    if (extractorName) {
+      const subscribed = await prisma.apiDestination.findMany({
+        where: {
+          isEnabled: true,
+          extractorNames: { contains: extractorName },
+        },
+      });
+      for (const destination of subscribed) {
+        const names = (destination.extractorNames || "")
+          .split(",")
+          .map((n) => n.trim());
+        if (names.includes(extractorName)) {
+          byId.set(destination.id, destination);
+        }
+      }
+    }
+
+    return [...byId.values()];
+  }
+
+  /**
+   * POST a signed event to one destination
+   * @param {object} destination - ApiDestination record (secret encrypted)
+   *                               or { name, url, plainSecret, timeoutMs }
+   * @param {object} event - Event object (see ForwarderService.buildApiEvent)
+   * @param {string} deliveryId - Sent as X-Delivery-Id (stable across retries)
+   * @returns {object} - { success, status, response, error }
+   */
+  async send(destination, event, deliveryId = null) {
+    const secret =
+      destination.plainSecret !== undefined
+        ? destination.plainSecret
+        : destination.secret
+          ? encryption.decrypt(destination.secret)
+          : "";
+
+    const ts = Math.floor(Date.now() / 1000).toString();
+    const bodyString = JSON.stringify(this.buildPayload(destination, event));
+    const sig = this.signPayload(secret, ts, bodyString);
+
+    const controller = new AbortController();
+    const timeoutMs = destination.timeoutMs || 5000;
+    const t = setTimeout(() => controller.abort(), timeoutMs);
+
+    console.log(`[API] Sending to ${destination.name}: ${destination.url}`, {
+      messageId: event.graphMessageId,
+      timeoutMs,
+    });
+
+    try {
+      const res = await fetch(destination.url, {
+        method: "POST",
+        headers: {
+          ...(destination.headers || {}),
+          "Content-Type": "application/json",
+          "X-Timestamp": ts,
+          "X-Signature": sig,
+          ...(deliveryId && { "X-Delivery-Id": deliveryId }),
+        },
+        body: bodyString,
+        signal: controller.signal,
+      });
+
+      const text = await res.text();
+      console.log(
+        `[API] Response from ${destination.name}: ${res.status} - ${text}`,
+      );
+
+      if (!res.ok) {
+        return {
+          success: false,
+          status: res.status,
+          error: `API failed: ${res.status} ${res.statusText} - ${text}`,
+        };
+      }
+
+      return { success: true, status: res.status, response: text };
+    } catch (error) {
+      console.error(
+        `[API] Failed to send to ${destination.name}: ${error.message}`,
+      );
+      return { success: false, status: null, error: error.message };
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  /**
+   * Default endpoint used when an API rule has no destinations
+   * @returns {object|null} - { name, url, plainSecret, timeoutMs } or null
+   */
+  getDefaultDestination() {
+    const url = process.env.STEAM_API_URL;
+    if (!url) return null;
+
+    return {
+      name: "STEAM_API_URL",
+      url,
+      plainSecret: process.env.STEAM_API_SECRET || "",
+      timeoutMs: parseInt(process.env.STEAM_API_TIMEOUT_MS || "5000", 10),
+    };
+  }
+
+  /**
+   * Create a delivery per destination and queue it
+   * Deliveries that already exist for this message are left to their own job
+   * (or to a dashboard replay), so re-processing a message never double-sends.
+   * @param {string} messageLogId - MailMessageLog ID
+   * @param {array} destinations - ApiDestination records (empty = default endpoint)
+   * @param {object} event - Event object stored as the delivery payload
+   * @returns {object} - { queued, existing }
+   */
+  async queueAll(messageLogId, destinations, event) {
+    if (destinations.length === 0 && !this.getDefaultDestination()) {
+      const err = new Error("STEAM_API_URL is not set");
+      err.endpoint = "STEAM_API_URL";
+      throw err;
+    }
+
+    const destinationIds = destinations.length
+      ? destinations.map((d) => d.id)
+      : [null];
+
+    let queued = 0;
+    let existing = 0;
+
+    for (const destinationId of destinationIds) {
+      const found = await prisma.messageDelivery.findFirst({
+        where: { messageLogId, destinationId },
+        select: { id: true },
+      });
+      if (found) {
+        existing++;
+        continue;
+      }
+
+      const delivery = await prisma.messageDelivery.create({
+        data: { messageLogId, destinationId, payload: event },
+      });
+      await enqueueDelivery(delivery.id);
+      queued++;
+    }
+
+    return { queued, existing };
+  }
+
+  /**
+   * Process one "api-delivery" job
+   * Throws only when the attempt failed and Bull should retry it.
+   * @param {object} data - Job data { deliveryId, replay }
+   * @param {object} attempt - { attemptsMade, maxAttempts } from the Bull job
+   * @returns {object} - { status, error }
+   */
+  async processDelivery({ deliveryId, replay }, { attemptsMade, maxAttempts }) {
+    const delivery = await prisma.messageDelivery.findUnique({
+      where: { id: deliveryId },
+      include: {
+        destination: true,
+        messageLog: { select: { receivedDateTime: true } },
+      },
+    });
+
+    if (!delivery) return { status: "NOT_FOUND" };
+    if (!["PENDING", "FAILED"].includes(delivery.status)) {
+      return { status: delivery.status };
+    }
+
+    const destination = delivery.destinationId
+      ? delivery.destination
+      : this.getDefaultDestination();
+
+    if (!destination) {
+      return this.deadLetter(delivery, "STEAM_API_URL is not set");
+    }
+    if (destination.isEnabled === false) {
+      return this.deadLetter(
+        delivery,
+        `Destination "${destination.name}" is disabled`,
+      );
+    }
+
+    // Stale codes are useless to the receiver; replays are explicit and skip this
+    const receivedAt =
+      delivery.messageLog.receivedDateTime || delivery.createdAt;
+    const ageMs = Date.now() - new Date(receivedAt).getTime();
+    if (!replay && ageMs > config.delivery.maxAgeMs) {
+      return this.deadLetter(
+        delivery,
+        `Stale: received ${Math.round(ageMs / 1000)}s ago (max ${Math.round(config.delivery.maxAgeMs / 1000)}s)`,
+      );
+    }
+
+    const result = await this.send(destination, delivery.payload, delivery.id);
+
+    if (result.success) {
+      await prisma.messageDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          status: "DELIVERED",
+          attempts: { increment: 1 },
+          responseStatus: result.status,
+          error: null,
+          lastAttemptAt: new Date(),
+          deliveredAt: new Date(),
+        },
+      });
+      await this.refreshMessageStatus(delivery.messageLogId);
+      return { status: "DELIVERED" };
+    }
+
+    const isLastAttempt = attemptsMade + 1 >= maxAttempts;
+    if (isLastAttempt || isPermanentFailure(result.status)) {
+      return this.deadLetter(
+        delivery,
+        isLastAttempt
+          ? `Gave up after ${attemptsMade + 1} attempts`
+          : `Rejected by receiver (${result.status})`,
+        result,
+      );
+    }
+
+    await prisma.messageDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "FAILED",
+        attempts: { increment: 1 },
+        responseStatus: result.status,
+        error: result.error,
+        lastAttemptAt: new Date(),
+      },
+    });
+
+    const err = new Error(result.error);
+    err.status = result.status;
+    throw err;
+  }
+
+  /**
+   * Move a delivery to the dead-letter store
+   * @param {object} delivery - MessageDelivery record
+   * @param {string} reason - Why it was dead-lettered
+   * @param {object} result - Result of the last attempt (if one was made)
+   */
+  async deadLetter(delivery, reason, result = null) {
+    console.warn(`[API] Delivery ${delivery.id} dead-lettered: ${reason}`);
+
+    await prisma.messageDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "DEAD_LETTER",
+        deadLetteredAt: new Date(),
+        deadLetterReason: reason,
+        ...(result && {
+          attempts: { increment: 1 },
+          responseStatus: result.status,
+          error: result.error,
+          lastAttemptAt: new Date(),
+        }),
+      },
+    });
+    await this.refreshMessageStatus(delivery.messageLogId);
+
+    return { status: "DEAD_LETTER", error: reason };
+  }
+
+  /**
+   * Derive the message log status from its deliveries
+   * FORWARDED once everything is delivered, FAILED if anything is dead-lettered.
+   * The account's forwarded / failed counters follow the status.
+   */
+  async refreshMessageStatus(messageLogId) {
+    const deliveries = await prisma.messageDelivery.findMany({
+      where: { messageLogId },
+      select: {
+        status: true,
+        deadLetterReason: true,
+        destination: { select: { name: true } },
+      },
+    });
+
+    if (deliveries.some((d) => ["PENDING", "FAILED"].includes(d.status))) {
+      return;
+    }
+
+    const dead = deliveries.filter((d) => d.status === "DEAD_LETTER");
+    let data;
+    if (dead.length > 0) {
+      data = {
+        forwardStatus: "FAILED",
+        error: dead
+          .map(
+            (d) =>
+              `${d.destination?.name || "STEAM_API_URL"}: ${d.deadLetterReason}`,
+          )
+          .join("; "),
+      };
+    } else if (deliveries.some((d) => d.status === "DELIVERED")) {
+      data = { forwardStatus: "FORWARDED", error: null };
+    } else {
+      data = { forwardStatus: "SKIPPED", error: "Deliveries discarded" };
+    }
+
+    const log = await prisma.mailMessageLog.findUnique({
+      where: { id: messageLogId },
+      select: { id: true, accountId: true, forwardStatus: true },
+    });
+    await this.setMessageStatus(log, { ...data, lastAttemptAt: new Date() });
+  }
+
+  /**
+   * Update a message log read as `log` and move its account counter.
+   * Only applies if the status is still the one read, so two deliveries of
+   * a message finishing at the same time move the counters once.
+   * @param {object} log - { id, accountId, forwardStatus }
+   * @returns {boolean} - false if another update changed the status first
+   */
+  async setMessageStatus(log, data) {
+    const { count } = await prisma.mailMessageLog.updateMany({
+      where: { id: log.id, forwardStatus: log.forwardStatus },
+      data,
+    });
+    if (count === 0) return false;
+
+    await this.moveStatusCount(
+      log.accountId,
+      log.forwardStatus,
+      data.forwardStatus,
+    );
+    return true;
+  }
+
+  /**
+   * Move a message from one account counter to another when its log
+   * status changes (PENDING and SKIPPED have no counter)
+   */
+  async moveStatusCount(accountId, from, to) {
+    if (from === to) return;
+
+    const data = {};
+    if (STATUS_COUNTERS[from]) data[STATUS_COUNTERS[from]] = { decrement: 1 };
+    if (STATUS_COUNTERS[to]) data[STATUS_COUNTERS[to]] = { increment: 1 };
+    if (Object.keys(data).length === 0) return;
+
+    await prisma.mailAccount.update({ where: { id: accountId }, data });
+  }
+
+  /**
+   * Re-queue dead-lettered (or discarded) deliveries
+   * @param {array} ids - MessageDelivery IDs
+   * @returns {number} - Number of deliveries queued
+   */
+  async replay(ids) {
+    const deliveries = await prisma.messageDelivery.findMany({
+      where: { id: { in: ids }, status: { in: ["DEAD_LETTER", "DISCARDED"] } },
+      select: { id: true, messageLogId: true },
+    });
+    if (deliveries.length === 0) return 0;
+
+    await prisma.messageDelivery.updateMany({
+      where: { id: { in: deliveries.map((d) => d.id) } },
+      data: {
+        status: "PENDING",
+        deadLetteredAt: null,
+        deadLetterReason: null,
+      },
+    });
+    const logs = await prisma.mailMessageLog.findMany({
+      where: {
+        id: { in: [...new Set(deliveries.map((d) => d.messageLogId))] },
+      },
+      select: { id: true, accountId: true, forwardStatus: true },
+    });
+    for (const log of logs) {
+      await this.setMessageStatus(log, {
+        forwardStatus: "PENDING",
+        error: null,
+      });
+    }
+
+    for (const delivery of deliveries) {
+      await enqueueDelivery(delivery.id, { replay: true });
+    }
+
+    return deliveries.length;
+  }
+
+  /**
+   * Dismiss dead-lettered deliveries without sending them
+   * @param {array} ids - MessageDelivery IDs
+   * @returns {number} - Number of deliveries discarded
+   */
+  async discard(ids) {
+    const deliveries = await prisma.messageDelivery.findMany({
+      where: { id: { in: ids }, status: "DEAD_LETTER" },
+      select: { id: true, messageLogId: true },
+    });
+    if (deliveries.length === 0) return 0;
+
+    await prisma.messageDelivery.updateMany({
+      where: { id: { in: deliveries.map((d) => d.id) } },
+      data: { status: "DISCARDED" },
+    });
+    for (const messageLogId of new Set(deliveries.map((d) => d.messageLogId))) {
+      await this.refreshMessageStatus(messageLogId);
+    }
+
+    return deliveries.length;
+  }
+}
+
+module.exports = new DestinationService();
@@ -0,0 +1,173 @@
+const prisma = require("../config/database");
+const builtInExtractors = require("../extractors");
+const { htmlToText } = require("../utils/html");
+
+// How long custom extractors are cached (other processes pick up edits after this)
+const EXTRACTORS_CACHE_TTL_MS = 30000;
+
+const compile = (pattern, label) => {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, "i");
+  } catch (error) {
+    console.error(`[Extractor] Invalid pattern (${label}): ${error.message}`);
+    return false; // never matches
+  }
+};
+
+/**
+ * Extractor Service
+ * Registry of code/credential extractors. Custom (DB) extractors run first,
+ * then built-ins in registration order. The first extractor that applies to
+ * a message and finds at least one field wins.
+ */
+class ExtractorService {
+  constructor() {
+    this.extractors = [];
+    builtInExtractors.forEach((extractor) => this.register(extractor));
+
+    // Cache for custom extractors (refreshed every 30 seconds)
+    this._customCache = null;
+    this._customCacheTime = 0;
+  }
+
+  /**
+   * Register an extractor (see src/extractors/index.js for the interface)
+   */
+  register(extractor) {
+    if (this.extractors.some((e) => e.name === extractor.name)) {
+      throw new Error(`Extractor already registered: ${extractor.name}`);
+    }
+    this.extractors.push(extractor);
+  }
+
+  /**
+   * Build an extractor object from a CustomExtractor DB record
+   */
+  fromRecord(record) {
+    const fromRegex = compile(record.fromPattern, `${record.name}.from`);
+    const subjectRegex = compile(
+      record.subjectPattern,
+      `${record.name}.subject`,
+    );
+    const fields = Object.entries(record.fieldPatterns || {}).map(
+      ([field, pattern]) => [
+        field,
+        compile(pattern, `${record.name}.${field}`),
+      ],
+    );
+
+    return {
+      id: record.id,
+      name: record.name,
+      label: record.name,
+      builtIn: false,
+
+      appliesTo({ from, subject }) {
+        if (fromRegex === false || subjectRegex === false) return false;
+        if (fromRegex && !fromRegex.test(from)) return false;
+        if (subjectRegex && !subjectRegex.test(subject)) return false;
+        return true;
+      },
+
+      extract({ text }) {
+        const result = {};
+        for (const [field, regex] of fields) {
+          const m = regex ? text.match(regex) : null;
+          result[field] = m ? (m[1] !== undefined ? m[1] : m[0]) : null;
+        }
+        return result;
+      },
+    };
+  }
+
+  async getCustomExtractors() {
+    const now = Date.now();
+    if (
+      this._customCache &&
+      now - this._customCacheTime < EXTRACTORS_CACHE_TTL_MS
+    ) {
+      return this._customCache;
+    }
+
+    const records = await prisma.customExtractor.findMany({
+      where: { isEnabled: true },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    });
+
+    this._customCache = records.map((record) => this.fromRecord(record));
+    this._customCacheTime = now;
+    return this._customCache;
+  }
+
+  /**
+   * Clear the custom extractor cache (call after editing extractors)
+   */
+  clearCache() {
+    this._customCache = null;
+    this._customCacheTime = 0;
+  }
+
+  /**
+   * Build the context passed to extractors
+   */
+  buildContext({ from, subject, bodyType, body, receivedDateTime, message }) {
+    const isHtml = (bodyType || "").toLowerCase() === "html";
+    return {
+      from: (from || "").toLowerCase(),
+      subject: subject || "",
+      text: isHtml ? htmlToText(body) : body || "",
+      html: isHtml ? body || "" : null,
+      receivedDateTime: receivedDateTime || null,
+      message: message || null,
+    };
+  }
+
+  /**
+   * Run a list of extractors against a context
+   * @returns {object} - { extractor, fields } (extractor null if none matched)
+   */
+  runExtractors(extractors, context) {
+    for (const extractor of extractors) {
+      if (!extractor.appliesTo(context)) continue;
+
+      let fields;
+      try {
+        fields = extractor.extract(context) || {};
+      } catch (error) {
+        console.error(`[Extractor] ${extractor.name} failed: ${error.message}`);
+        continue;
+      }
+
+      const hasValue = Object.values(fields).some(
+        (v) => v !== null && v !== undefined && v !== "",
+      );
+      if (hasValue) {
+        return { extractor: extractor.name, fields };
+      }
+    }
+
+    return { extractor: null, fields: {} };
+  }
+
+  /**
+   * Extract structured fields from a Graph message
+   * @param {object} message - Graph API message object (with body)
+   * @returns {object} - { extractor, fields }
+   */
+  async extract(message) {
+    const context = this.buildContext({
+      from: message.from?.emailAddress?.address,
+      subject: message.subject,
+      bodyType: message.body?.contentType,
+      body: message.body?.content,
+      receivedDateTime: message.receivedDateTime,
+      message,
+    });
+
+    const custom = await this.getCustomExtractors();
+    return this.runExtractors([...custom, ...this.extractors], context);
+  }
+}
+
+module.exports = new ExtractorService();
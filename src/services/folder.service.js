@@ -0,0 +1,158 @@
+const config = require("../config");
+const prisma = require("../config/database");
+
+// Display names for Graph well-known folder names
+const WELL_KNOWN_FOLDERS = {
+  Inbox: "Inbox",
+  JunkEmail: "Junk Email",
+  Archive: "Archive",
+  SentItems: "Sent Items",
+  DeletedItems: "Deleted Items",
+};
+
+// Other Graph well-known folder names (matched case-insensitively)
+const OTHER_WELL_KNOWN_NAMES = [
+  "drafts",
+  "outbox",
+  "clutter",
+  "conversationhistory",
+  "msgfolderroot",
+  "recoverableitemsdeletions",
+  "scheduled",
+  "searchfolders",
+  "syncissues",
+];
+
+// Graph folder IDs: long base64 strings ("AAMkAGI2...AAA=")
+const FOLDER_ID_PATTERN = /^[A-Za-z0-9+/_=-]{20,191}$/;
+
+// A folder is "stale" when its delta has not run for this long
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mail Folder Service
+ * Each watched folder of an account is a MailSyncState row (own delta link)
+ * with its own WebhookSubscription (same accountId + folderId).
+ */
+class FolderService {
+  getFolderName(folderId) {
+    return WELL_KNOWN_FOLDERS[folderId] || folderId;
+  }
+
+  /**
+   * Whether a folder ID can be watched: a well-known folder name or a
+   * Graph folder ID (it is put into Graph request paths)
+   */
+  isValidFolderId(folderId) {
+    const name = String(folderId || "").toLowerCase();
+    return (
+      Object.keys(WELL_KNOWN_FOLDERS).some((f) => f.toLowerCase() === name) ||
+      OTHER_WELL_KNOWN_NAMES.includes(name) ||
+      FOLDER_ID_PATTERN.test(folderId)
+    );
+  }
+
+  /**
+   * Create the default folders (config.mailFolders.defaults) if missing
+   */
+  async ensureDefaultFolders(accountId) {
+    for (const folderId of config.mailFolders.defaults) {
+      if (!this.isValidFolderId(folderId)) {
+        console.warn(
+          `[Folders] Ignoring invalid DEFAULT_MAIL_FOLDERS entry: ${folderId}`,
+        );
+        continue;
+      }
+      await prisma.mailSyncState.upsert({
+        where: { accountId_folderId: { accountId, folderId } },
+        create: {
+          accountId,
+          folderId,
+          folderName: this.getFolderName(folderId),
+        },
+        update: {},
+      });
+    }
+  }
+
+  /**
+   * Watched folders of an account (creates the defaults on first use)
+   */
+  async getFolders(accountId, { enabledOnly = false } = {}) {
+    let folders = await prisma.mailSyncState.findMany({
+      where: { accountId },
+      orderBy: { createdAt: "asc" },
+    });
+
+    if (folders.length === 0) {
+      await this.ensureDefaultFolders(accountId);
+      folders = await prisma.mailSyncState.findMany({
+        where: { accountId },
+        orderBy: { createdAt: "asc" },
+      });
+    }
+
+    return enabledOnly ? folders.filter((f) => f.isEnabled) : folders;
+  }
+
+  async recordError(accountId, folderId, message) {
+    await prisma.mailSyncState.updateMany({
+      where: { accountId, folderId },
+      data: { lastError: message, lastErrorAt: new Date() },
+    });
+  }
+
+  async clearError(accountId, folderId) {
+    await prisma.mailSyncState.updateMany({
+      where: { accountId, folderId, NOT: { lastError: null } },
+      data: { lastError: null, lastErrorAt: null },
+    });
+  }
+
+  /**
+   * Folder-level sync health for the account detail view
+   * @returns {array} - One entry per folder with its subscription and health
+   */
+  async getFolderHealth(accountId) {
+    const [folders, subscriptions] = await Promise.all([
+      this.getFolders(accountId),
+      prisma.webhookSubscription.findMany({
+        where: { accountId },
+        select: { folderId: true, subscriptionId: true, expiresAt: true },
+      }),
+    ]);
+    const byFolder = new Map(subscriptions.map((s) => [s.folderId, s]));
+    const now = Date.now();
+
+    return folders.map((folder) => {
+      const subscription = byFolder.get(folder.folderId) || null;
+
+      let health = "ok";
+      if (!folder.isEnabled) health = "disabled";
+      else if (folder.lastError) health = "error";
+      else if (!subscription || new Date(subscription.expiresAt) < new Date())
+        health = "no_subscription";
+      else if (
+        !folder.lastDeltaAt ||
+        now - new Date(folder.lastDeltaAt).getTime() > STALE_AFTER_MS
+      )
+        health = "stale";
+
+      return {
+        id: folder.id,
+        folderId: folder.folderId,
+        folderName: folder.folderName || this.getFolderName(folder.folderId),
+        isEnabled: folder.isEnabled,
+        hasDeltaLink: !!folder.deltaLink,
+        lastDeltaAt: folder.lastDeltaAt,
+        lastMessageDateTime: folder.lastMessageDateTime,
+        lastError: folder.lastError,
+        lastErrorAt: folder.lastErrorAt,
+        subscription,
+        health,
+      };
+    });
+  }
+}
+
+module.exports = new FolderService();
@@ -1,11 +1,23 @@
 const config = require("../config");
 const prisma = require("../config/database");
 const nodemailer = require("nodemailer");
-const crypto = require("crypto");
+const graphService = require("./graph.service");
+const rulesService = require("./rules.service");
+const extractorService = require("./extractor.service");
+const destinationService = require("./destination.service");
+const reauthLinkService = require("./reauthLink.service");
+const groupService = require("./group.service");
+const steamExtractor = require("../extractors/steam.extractor");
+const { escapeHtml } = require("../utils/html");
+
+// MailMessageLog.forwardedTo is a VARCHAR(191)
+const truncateTarget = (value) => (value ? String(value).slice(0, 191) : null);
 
 /**
  * Email Forwarder Service
- * Uses Microsoft Graph API to forward emails directly from the mailbox
+ * Applies the matching forwarding rule to each new message: forward it
+ * through Graph from the mailbox itself, relay it via SMTP, or parse it and
+ * send the result to the outbound API
  */
 class ForwarderService {
   constructor() {
@@ -26,154 +38,61 @@ class ForwarderService {
   }
 
   signApiPayload(timestamp, bodyString) {
-    const secret = process.env.STEAM_API_SECRET || "";
-    return crypto
-      .createHmac("sha256", secret)
-      .update(`${timestamp}.${bodyString}`)
-      .digest("hex");
+    return destinationService.signPayload(
+      process.env.STEAM_API_SECRET || "",
+      timestamp,
+      bodyString,
+    );
   }
 
-  async sendSteamToApi({ fromAccount, message, parsed }) {
-    try {
-      const url = process.env.STEAM_API_URL;
-      if (!url) throw new Error("STEAM_API_URL is not set");
-
-      const from = message.from?.emailAddress?.address || "";
-      const to = (message.toRecipients || [])
+  /**
+   * Build the outbound API event for a message (minimal, NO BODY)
+   * @param {object} params - { fromAccount, message, parsed: { extractor, fields } }
+   */
+  buildApiEvent({ fromAccount, message, parsed }) {
+    return {
+      source: "mail-collector-graph",
+      fromAccount,
+      from: message.from?.emailAddress?.address || "",
+      to: (message.toRecipients || [])
         .map((r) => r.emailAddress?.address)
         .filter(Boolean)
-        .join(", ");
-      const subject = message.subject || "";
-      const receivedDateTime =
-        message.receivedDateTime || new Date().toISOString();
-
-      // minimal payload (NO BODY)
-      const payload = {
-        source: "mail-collector-graph",
-        fromAccount,
-        from,
-        to,
-        subject,
-        receivedDateTime,
-        internetMessageId: message.internetMessageId || null,
-        graphMessageId: message.id,
-        username: parsed?.username || "",
-        code: parsed?.code || "",
-      };
-
-      const ts = Math.floor(Date.now() / 1000).toString();
-      const bodyString = JSON.stringify(payload);
-      const sig = this.signApiPayload(ts, bodyString);
-
-      const controller = new AbortController();
-      const timeoutMs = parseInt(
-        process.env.STEAM_API_TIMEOUT_MS || "5000",
-        10,
-      );
-      const t = setTimeout(() => controller.abort(), timeoutMs);
-
-      console.log(`[API] Sending Steam message to API: ${url}`, {
-        fromAccount,
-        messageId: message.id,
-        timeoutMs,
-      });
-
-      try {
-        const res = await fetch(url, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Timestamp": ts,
-            "X-Signature": sig,
-          },
-          body: bodyString,
-          signal: controller.signal,
-        });
-
-        const text = await res.text();
-        console.log(`[API] Response from Steam API: ${res.status} - ${text}`);
-
-        if (!res.ok) {
-          const err = new Error(
-            `API failed: ${res.status} ${res.statusText} - ${text}`,
-          );
-          err.status = res.status;
-          err.responseText = text;
-          throw err;
-        }
-
-        return { success: true, response: text };
-      } finally {
-        clearTimeout(t);
-      }
-    } catch (error) {
-      console.error(
-        `[API] Failed to send Steam message to API: ${error.message}`,
-        {
-          fromAccount,
-          messageId: message?.id,
-          error,
-        },
-      );
-      return { success: false, error: error.message };
-    }
+        .join(", "),
+      subject: message.subject || "",
+      receivedDateTime: message.receivedDateTime || new Date().toISOString(),
+      internetMessageId: message.internetMessageId || null,
+      graphMessageId: message.id,
+      username: parsed?.fields?.username || "",
+      code: parsed?.fields?.code || "",
+      extractor: parsed?.extractor || null,
+      fields: parsed?.fields || {},
+    };
   }
-  extractSteamCodeAndUsername({ subject, bodyType, body }) {
-    // Convert HTML to text (simple + fast)
-    let text = body || "";
-    const subj = (subject || "").toLowerCase();
-
-    if ((bodyType || "").toLowerCase() === "html") {
-      // strip tags + decode some common entities
-      text = text
-        .replace(/<style[\s\S]*?<\/style>/gi, " ")
-        .replace(/<script[\s\S]*?<\/script>/gi, " ")
-        .replace(/<\/p>|<br\s*\/?>/gi, "\n")
-        .replace(/<[^>]+>/g, " ")
-        .replace(/&nbsp;/g, " ")
-        .replace(/&amp;/g, "&")
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-        .replace(/\s+/g, " ")
-        .trim();
-    }
 
-    // Code: 5 chars A-Z0-9
-    let code = null;
-    const codeMatch = text.match(/\b([A-Z0-9]{5})\b/);
-    if (codeMatch) code = codeMatch[1];
-
-    // Username extraction (same patterns you used in PHP)
-    let username = null;
-    const patterns = [
-      /(\w+),\s+It looks like you/i,
-      /(\w+),\s+يبدو أنك/i,
-      /(\w+),\s+Il semblerait que vous/i,
-      /(\w+),\s+Parece que estás/i,
-      /(\w+),\s+Sembra che tu stia/i,
-      /(\w+),\s+Parece que você está/i,
-      /(\w+),\s+Es sieht so aus, als/i,
-      /(\w+),\s+Похоже, вы/i,
-      /(\w+),\s+あなたが/i,
-      /(\w+),\s+당신이/i,
-      /(\w+),\s+看起来您/i,
-      /(\w+),\s+ดูเหมือนว่าคุณ/i,
-      /(\w+),\s+आप/i,
-      /(\w+),\s+Wygląda na to, że/i,
-      /(\w+),\s+Görünüşe göre/i,
-      /(\w+),\s+נראה שאתה/i,
-      /Dear\s+(\w+)/i,
-    ];
-
-    for (const re of patterns) {
-      const m = text.match(re);
-      if (m && m[1]) {
-        username = m[1];
-        break;
-      }
+  /**
+   * Send an event to the legacy single API (STEAM_API_URL / STEAM_API_SECRET)
+   * Used when an API rule has no destinations configured
+   */
+  async sendSteamToApi({ fromAccount, message, parsed }) {
+    const destination = destinationService.getDefaultDestination();
+    if (!destination) {
+      return { success: false, error: "STEAM_API_URL is not set" };
     }
 
-    return { code, username, subject: subj };
+    return destinationService.send(
+      destination,
+      this.buildApiEvent({ fromAccount, message, parsed }),
+    );
+  }
+
+  /**
+   * Extract Steam Guard code + username (kept for callers of the old API)
+   * Delegates to the built-in "steam" extractor
+   */
+  extractSteamCodeAndUsername({ subject, bodyType, body }) {
+    const context = extractorService.buildContext({ subject, bodyType, body });
+    const { code, username } = steamExtractor.extract(context);
+    return { code, username, subject: context.subject.toLowerCase() };
   }
 
   /**
@@ -198,12 +117,20 @@ class ForwarderService {
   /**
    * Send important email (like Microsoft security) via SMTP
    * - "New app(s) have access to your data" => dev ONLY (our own app connecting)
-   * - Other security emails => BOTH dev AND forward email
+   * - Other security emails => dev AND the account's notification recipients
    * @param {object} message - Full message object from Graph API
    * @param {string} fromAccount - The mailbox account email
+   * @param {string} accountId - The mailbox account ID (group overrides)
+   * @param {object} routing - The account's resolveRouting() result, if
+   *   already resolved
+   * @returns {string[]|false} - Recipients it was sent to, false if not sent
    */
-  async sendImportantEmailViaSMTP(message, fromAccount) {
-    const forwardTo = await this.getForwardToEmail();
+  async sendImportantEmailViaSMTP(
+    message,
+    fromAccount,
+    accountId = null,
+    routing = null,
+  ) {
     const originalSender = message.from?.emailAddress?.address || "Unknown";
     const originalSenderName = message.from?.emailAddress?.name || "";
     const originalSubject = message.subject || "(No Subject)";
@@ -272,24 +199,90 @@ class ForwarderService {
       return false;
     }
 
-    // Other security emails => BOTH forward + dev
-    const recipients = [forwardTo];
-    if (config.devEmail && config.devEmail !== forwardTo) {
-      recipients.push(config.devEmail);
-    }
+    // Other security emails => notification recipients + dev
+    const recipients = await this.getNotificationRecipients(accountId, routing);
 
-    return this.sendViaSMTP(
+    const sent = await this.sendViaSMTP(
       recipients,
       `🚨 [Security] ${originalSubject} | From: ${originalSender} | Mailbox: ${fromAccount}`,
       html,
     );
+    return sent ? recipients : false;
   }
 
   /**
-   * Get the forward-to email from database settings
-   * Falls back to env variable if not set in DB
+   * Where an account's mail goes, resolved when a message is handled.
+   * Each value comes from the first level that sets it: the account, then
+   * its groups (lowest priority first), then the global default.
+   * @param {string} accountId
+   * @returns {object} - { forwardTo, notifyEmails, apiDestination, sources }
+   *   apiDestination = ApiDestination record (null = the rule's destinations);
+   *   sources = where each value came from ("account", "group" or "default")
    */
-  async getForwardToEmail() {
+  async resolveRouting(accountId = null) {
+    const account = accountId
+      ? await prisma.mailAccount.findUnique({
+          where: { id: accountId },
+          select: {
+            forwardToEmail: true,
+            notifyEmails: true,
+            apiDestinationId: true,
+          },
+        })
+      : null;
+    const groups = await groupService.overridesFor(accountId);
+    const accountNotify = (account?.notifyEmails || "")
+      .split(",")
+      .map((e) => e.trim())
+      .filter(Boolean);
+
+    const pick = (accountValue, groupValue, fallback) =>
+      accountValue
+        ? { value: accountValue, source: "account" }
+        : groupValue
+          ? { value: groupValue, source: "group" }
+          : { value: fallback, source: "default" };
+
+    const forwardTo = pick(
+      account?.forwardToEmail,
+      groups.forwardToEmail,
+      await this.getForwardToEmail(),
+    );
+    // Notifications default to the (resolved) forward-to address
+    const notifyEmails = pick(
+      accountNotify.length ? accountNotify : null,
+      groups.notifyEmails,
+      [forwardTo.value],
+    );
+    const apiDestination = account?.apiDestinationId
+      ? await prisma.apiDestination.findUnique({
+          where: { id: account.apiDestinationId },
+        })
+      : null;
+
+    return {
+      forwardTo: forwardTo.value,
+      notifyEmails: notifyEmails.value,
+      apiDestination,
+      sources: {
+        forwardTo: forwardTo.source,
+        notifyEmails: notifyEmails.source,
+        apiDestination: apiDestination ? "account" : "default",
+      },
+    };
+  }
+
+  /**
+   * Get the forward-to email: an account's resolved address (see
+   * resolveRouting), or without accountId the database setting, else the
+   * env variable
+   * @param {string} accountId - Optional
+   */
+  async getForwardToEmail(accountId = null) {
+    if (accountId) {
+      return (await this.resolveRouting(accountId)).forwardTo;
+    }
+
     const now = Date.now();
     // Cache for 5 minutes
     if (this._forwardToCache && now - this._forwardToCacheTime < 300000) {
@@ -315,93 +308,141 @@ class ForwarderService {
   }
 
   /**
-   * Forward a message using Graph API forward endpoint
-   * The email is sent directly from the original mailbox
-   * @param {object} message - Graph API message object
+   * Who gets notifications about an account (security mails, reauth
+   * requests): its resolved notification recipients plus the developer email
+   * @param {object} routing - The account's resolveRouting() result, if
+   *   already resolved
+   * @returns {string[]}
+   */
+  async getNotificationRecipients(accountId = null, routing = null) {
+    const { notifyEmails } = routing || (await this.resolveRouting(accountId));
+    const recipients = [...notifyEmails];
+    if (config.devEmail && !recipients.includes(config.devEmail)) {
+      recipients.push(config.devEmail);
+    }
+    return recipients;
+  }
+
+  /**
+   * Process a message according to the first matching forwarding rule
+   * Actions: SKIP (log only), FORWARD (Graph send, see forwardWithGraph),
+   * API (parse + send), SMTP (relay to forward + dev email).
+   * No matching rule => SKIPPED.
+   * A mail already handled through another mailbox (same internetMessageId)
+   * is SKIPPED as a duplicate.
+   * @param {object} message - Graph API message object (with body)
    * @param {array} attachments - (unused, kept for compatibility)
    * @param {string} fromAccount - Source account email
    * @param {string} accountId - Account ID for Graph API auth
+   * @returns {object} - { success, messageId, mode, forwardMode, rule }
    */
   async forwardGraphMessage(message, attachments = [], fromAccount, accountId) {
     try {
-      const originalSender = message.from?.emailAddress?.address || "";
-      const subjectRaw = message.subject || "";
-      const subject = subjectRaw.toLowerCase();
-      const senderLower = (originalSender || "").toLowerCase();
-
-      const isSteam = senderLower.includes("steampowered.com");
-
-      if (isSteam) {
-        // IMPORTANT: we need full message body to parse
-        const bodyType = message.body?.contentType || "text";
-        const bodyContent = message.body?.content || "";
-
-        // If body is missing, it means someone passed msgPreview by mistake
-        if (!bodyContent) {
-          const err = new Error(
-            "Steam email body is missing. Ensure you fetch full message using graphService.getMessage() before calling forwardGraphMessage.",
-          );
-          err.code = "STEAM_BODY_MISSING";
-          throw err;
-        }
+      if (await this.findDuplicateLog(accountId, message)) {
+        return await this.logDuplicate(accountId, message);
+      }
+
+      const rule = await rulesService.findMatchingRule(message, accountId);
+
+      if (!rule) {
+        await this.logForward(
+          accountId,
+          message,
+          "SKIPPED",
+          "No matching rule",
+        );
+        return { success: true, messageId: message.id, mode: "SKIP" };
+      }
 
-        // 1) Parse username + code in Node (heavy work here)
-        const parsed = this.extractSteamCodeAndUsername({
-          subject: subjectRaw,
-          bodyType,
-          body: bodyContent,
-        });
+      // Resolved once per message, so the logged target is the one used
+      const routing =
+        rule.action === "SKIP" ? null : await this.resolveRouting(accountId);
 
-        // If subject not match OR no code/username => still send to API and let PHP ignore?
-        // Better: keep SAME old rule in Node too (fast return)
-        if (!subject.includes("from new computer")) {
+      switch (rule.action) {
+        case "API":
+          return await this.sendMessageToApi(
+            message,
+            fromAccount,
+            accountId,
+            rule,
+            routing,
+          );
+
+        case "FORWARD": {
+          const { forwardTo } = routing;
+          const forwardMode = await this.forwardWithGraph(
+            message,
+            fromAccount,
+            accountId,
+            rule,
+            forwardTo,
+          );
           await this.logForward(
             accountId,
             message,
-            "SKIPPED",
-            "Steam subject not match",
+            "FORWARDED",
+            null,
+            forwardTo,
+            forwardMode,
           );
-          return { success: true, messageId: message.id, mode: "SKIP_SUBJECT" };
+          return {
+            success: true,
+            messageId: message.id,
+            mode: "FORWARD",
+            forwardMode,
+            rule: rule.name,
+          };
         }
 
-        // 2) Send minimal payload to PHP API
-        const apiResult = await this.sendSteamToApi({
-          fromAccount,
-          message,
-          parsed, // {username, code}
-        });
-
-        // 3) Log in DB (use existing enum values only)
-        if (!apiResult.success) {
+        case "SMTP": {
+          const recipients = await this.sendImportantEmailViaSMTP(
+            message,
+            fromAccount,
+            accountId,
+            routing,
+          );
+          const sent = !!recipients;
           await this.logForward(
             accountId,
             message,
-            apiResult.success ? "FORWARDED" : "FAILED",
-            apiResult.success ? null : apiResult.error,
+            sent ? "FORWARDED" : "SKIPPED",
+            sent ? null : `Rule "${rule.name}": SMTP relay not sent`,
+            sent ? recipients.join(", ") : null,
           );
+          return {
+            success: true,
+            messageId: message.id,
+            mode: sent ? "SMTP" : "SKIP",
+            rule: rule.name,
+          };
         }
 
-        console.log("[API] Steam message sent", {
-          fromAccount,
-          messageId: message.id,
-          result: apiResult?.success,
-        });
-
-        if (!apiResult.success) throw new Error(apiResult.error);
-
-        return { success: true, messageId: message.id, mode: "API" };
+        default:
+          await this.logForward(
+            accountId,
+            message,
+            "SKIPPED",
+            `Rule "${rule.name}"`,
+          );
+          return {
+            success: true,
+            messageId: message.id,
+            mode: "SKIP",
+            rule: rule.name,
+          };
       }
-
-      // Non-Steam
-      await this.logForward(accountId, message, "SKIPPED", "Not steam");
-      return { success: true, messageId: message.id, mode: "SKIP" };
     } catch (error) {
+      // Another mailbox logged the same mail first (concurrent processing)
+      if (this.isDuplicateMessageError(error)) {
+        return this.logDuplicate(accountId, message);
+      }
+
       const status = error?.status || error?.response?.status;
       const details = {
-        endpoint: process.env.STEAM_API_URL,
+        endpoint: error?.endpoint || process.env.STEAM_API_URL,
         status,
-        errorCode: error?.code,
-        errorMessage: error?.message,
+        errorCode: error?.code || error?.response?.data?.error?.code,
+        errorMessage: error?.response?.data?.error?.message || error?.message,
         responseText: error?.responseText,
         requestId: error?.response?.headers?.["request-id"],
         clientRequestId: error?.response?.headers?.["client-request-id"],
@@ -425,17 +466,284 @@ class ForwarderService {
     }
   }
 
+  /**
+   * FORWARD action: send the message from its own mailbox the way the rule
+   * says (forwardMode in schema.prisma). The rule's comment and subject are
+   * templates with {{subject}}, {{from}}, {{fromName}}, {{mailbox}} and
+   * {{receivedDateTime}}.
+   * Throws on failure (handled by forwardGraphMessage)
+   * @returns {string} - Forward mode used
+   */
+  async forwardWithGraph(message, fromAccount, accountId, rule, forwardTo) {
+    const context = {
+      subject: message.subject || "",
+      from: message.from?.emailAddress?.address || "",
+      fromName: message.from?.emailAddress?.name || "",
+      mailbox: fromAccount,
+      receivedDateTime: message.receivedDateTime || "",
+    };
+    const render = (template) =>
+      template ? destinationService.renderTemplate(template, context) : "";
+    const comment = render(rule.forwardComment);
+    const subject = render(rule.forwardSubject);
+
+    switch (rule.forwardMode) {
+      case "CREATE_FORWARD":
+        await graphService.createAndSendForward(
+          accountId,
+          message.id,
+          forwardTo,
+          { subject, comment },
+        );
+        return "CREATE_FORWARD";
+
+      case "RESEND":
+        await graphService.sendMail(
+          accountId,
+          await this.buildResendMessage(message, accountId, forwardTo, {
+            subject,
+            comment,
+          }),
+        );
+        return "RESEND";
+
+      default:
+        await graphService.forwardMessage(
+          accountId,
+          message.id,
+          forwardTo,
+          comment,
+        );
+        return "FORWARD";
+    }
+  }
+
+  /**
+   * A copy of a received message for sendMail: same body and file
+   * attachments, replies go to the original sender
+   * @param {object} options - { subject, comment } (no subject = original)
+   */
+  async buildResendMessage(message, accountId, forwardTo, options = {}) {
+    // Messages are fetched with $expand=attachments; fetch them otherwise
+    const attachments =
+      message.attachments ||
+      (await graphService.getMessageAttachments(accountId, message.id));
+    const isHtml = (message.body?.contentType || "").toLowerCase() === "html";
+    const content = message.body?.content || "";
+
+    let body = content;
+    if (options.comment) {
+      body = isHtml
+        ? `<p>${escapeHtml(options.comment)}</p><hr>${content}`
+        : `${options.comment}\n\n${content}`;
+    }
+
+    return {
+      subject: options.subject || message.subject || "",
+      body: { contentType: isHtml ? "HTML" : "Text", content: body },
+      toRecipients: [{ emailAddress: { address: forwardTo } }],
+      replyTo: message.from ? [message.from] : [],
+      // Item and reference attachments have no content to copy
+      attachments: attachments
+        .filter((a) => a.contentBytes)
+        .map((a) => ({
+          "@odata.type": "#microsoft.graph.fileAttachment",
+          name: a.name,
+          contentType: a.contentType,
+          contentBytes: a.contentBytes,
+          isInline: !!a.isInline,
+          ...(a.contentId && { contentId: a.contentId }),
+        })),
+    };
+  }
+
+  /**
+   * API action: parse the full message body and queue the result for the API
+   * The message is not forwarded yet: its log stays PENDING until the
+   * deliveries finish (destinationService.refreshMessageStatus).
+   * Throws on failure (handled by forwardGraphMessage)
+   * @param {object} routing - The account's resolveRouting() result, if
+   *   already resolved
+   * @returns {object} - { success, messageId, mode: "API", rule, queued }
+   */
+  async sendMessageToApi(
+    message,
+    fromAccount,
+    accountId,
+    rule,
+    routing = null,
+  ) {
+    // IMPORTANT: we need full message body to parse
+    const bodyContent = message.body?.content || "";
+
+    // If body is missing, it means someone passed msgPreview by mistake
+    if (!bodyContent) {
+      const err = new Error(
+        "Message body is missing. Ensure you fetch full message using graphService.getMessage() before calling forwardGraphMessage.",
+      );
+      err.code = "STEAM_BODY_MISSING";
+      throw err;
+    }
+
+    // 1) Extract structured fields (code, username, link, ...) in Node
+    const parsed = await extractorService.extract(message);
+
+    // 2) Resolve destinations: the account's own destination if it has one
+    //    (never mixed with others), else rule targets + extractor subscriptions
+    const { apiDestination } =
+      routing || (await this.resolveRouting(accountId));
+    const destinations = apiDestination
+      ? [apiDestination]
+      : await destinationService.getDestinationsFor(rule, parsed.extractor);
+
+    // 3) Queue one delivery per destination (default endpoint if none).
+    //    The worker retries with backoff and sets the log status (and the
+    //    account counters) once every delivery is delivered or dead-lettered.
+    const log = await this.ensureLog(
+      accountId,
+      message,
+      destinations.length
+        ? destinations.map((d) => d.name).join(", ")
+        : "STEAM_API_URL",
+    );
+    const { queued, existing } = await destinationService.queueAll(
+      log.id,
+      destinations,
+      this.buildApiEvent({ fromAccount, message, parsed }),
+    );
+
+    // A message that failed or finished before waits for its new deliveries
+    if (queued > 0 && log.forwardStatus !== "PENDING") {
+      await destinationService.setMessageStatus(log, {
+        forwardStatus: "PENDING",
+        error: null,
+      });
+    }
+
+    console.log("[API] Deliveries queued", {
+      fromAccount,
+      messageId: message.id,
+      rule: rule.name,
+      extractor: parsed.extractor,
+      destinations: destinations.length
+        ? destinations.map((d) => d.name)
+        : ["STEAM_API_URL"],
+      queued,
+      existing,
+    });
+
+    return {
+      success: true,
+      messageId: message.id,
+      mode: "API",
+      rule: rule.name,
+      queued,
+    };
+  }
+
+  /**
+   * Get or create the log row for a message without counting an attempt
+   * (needed before per-destination deliveries can reference it)
+   * @param {string} forwardedTo - Effective target, stored on the log
+   */
+  async ensureLog(accountId, message, forwardedTo = null) {
+    const forwardTo = truncateTarget(forwardedTo);
+    return prisma.mailMessageLog.upsert({
+      where: {
+        accountId_graphMessageId: {
+          accountId,
+          graphMessageId: message.id,
+        },
+      },
+      create: {
+        accountId,
+        graphMessageId: message.id,
+        internetMessageId: message.internetMessageId,
+        subject: message.subject,
+        fromAddress: message.from?.emailAddress?.address,
+        toAddresses: (message.toRecipients || [])
+          .map((r) => r.emailAddress?.address)
+          .filter(Boolean)
+          .join(", "),
+        receivedDateTime: message.receivedDateTime
+          ? new Date(message.receivedDateTime)
+          : null,
+        forwardedTo: forwardTo,
+        forwardStatus: "PENDING",
+      },
+      update: forwardTo ? { forwardedTo: forwardTo } : {},
+    });
+  }
+
+  /**
+   * Log row of the same mail (internetMessageId) from another mailbox
+   * or message, if any
+   */
+  async findDuplicateLog(accountId, message) {
+    if (!message.internetMessageId) return null;
+
+    return prisma.mailMessageLog.findFirst({
+      where: {
+        internetMessageId: message.internetMessageId,
+        NOT: { accountId, graphMessageId: message.id },
+      },
+      select: { id: true, accountId: true },
+    });
+  }
+
+  /**
+   * Unique constraint violation on MailMessageLog.internetMessageId
+   */
+  isDuplicateMessageError(error) {
+    return (
+      error?.code === "P2002" &&
+      String(error.meta?.target || "").includes("internetMessageId")
+    );
+  }
+
+  /**
+   * Log a duplicate as SKIPPED (without its internetMessageId, which is
+   * unique and already taken by the first copy)
+   */
+  async logDuplicate(accountId, message) {
+    console.log(
+      `[Forward] Duplicate of ${message.internetMessageId}, already handled`,
+    );
+    await this.logForward(
+      accountId,
+      { ...message, internetMessageId: null },
+      "SKIPPED",
+      `Duplicate of ${message.internetMessageId}`,
+    );
+    return {
+      success: true,
+      messageId: message.id,
+      mode: "SKIP",
+      rule: "Duplicate",
+    };
+  }
+
   /**
    * Log forwarding result (upsert for efficiency)
+   * @param {string} forwardedTo - Where the message went (null when it was
+   *   not sent anywhere)
+   * @param {string} forwardMode - How a FORWARD rule sent it
    */
-  async logForward(accountId, message, status, error = null) {
-    const forwardTo = await this.getForwardToEmail();
+  async logForward(
+    accountId,
+    message,
+    status,
+    error = null,
+    forwardedTo = null,
+    forwardMode = null,
+  ) {
+    const forwardTo = truncateTarget(forwardedTo);
     const toRecipients = (message.toRecipients || [])
       .map((r) => r.emailAddress?.address)
       .filter(Boolean)
       .join(", ");
 
-    await prisma.mailMessageLog.upsert({
+    return prisma.mailMessageLog.upsert({
       where: {
         accountId_graphMessageId: {
           accountId,
@@ -453,6 +761,7 @@ class ForwarderService {
           ? new Date(message.receivedDateTime)
           : null,
         forwardedTo: forwardTo,
+        forwardMode,
         forwardStatus: status,
         attempts: 1,
         lastAttemptAt: new Date(),
@@ -463,13 +772,15 @@ class ForwarderService {
         attempts: { increment: 1 },
         lastAttemptAt: new Date(),
         error,
+        ...(forwardTo && { forwardedTo: forwardTo }),
+        ...(forwardMode && { forwardMode }),
       },
     });
   }
 
   /**
    * Send re-authentication notification email via SMTP
-   * Sends to BOTH developer and forward email
+   * Sends to the developer and the account's notification recipients
    * Special handling for ErrorExceededMessageLimit (quota exceeded)
    * @param {string} accountEmail - The email account that needs re-auth
    * @param {string} accountId - The account ID that needs re-auth
@@ -477,8 +788,11 @@ class ForwarderService {
    */
   async sendReauthNotification(accountEmail, accountId, errorMessage) {
     try {
-      const forwardTo = await this.getForwardToEmail();
-      const reauthUrl = `${config.apiUrl}/api/accounts/reauth/${accountId}`;
+      // Signed, single-use link bound to this account
+      const { url: reauthUrl, expiresAt } = await reauthLinkService.create({
+        id: accountId,
+        email: accountEmail,
+      });
 
       // Check if the error is ErrorExceededMessageLimit (quota exceeded)
       let isQuotaError = false;
@@ -546,6 +860,9 @@ class ForwarderService {
                       text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">
               🔐 Reconnect Account
             </a>
+            <p style="color: #6b7280; font-size: 13px; margin: 10px 0 0 0;">
+              The link works once and expires ${expiresAt.toLocaleString()}.
+            </p>
           </div>
           ${
             isQuotaError
@@ -567,11 +884,8 @@ class ForwarderService {
         </div>
       `;
 
-      // Send via SMTP to BOTH forward email and dev email
-      const recipients = [forwardTo];
-      if (config.devEmail && config.devEmail !== forwardTo) {
-        recipients.push(config.devEmail);
-      }
+      // Send via SMTP to the account's recipients and the dev email
+      const recipients = await this.getNotificationRecipients(accountId);
 
       const subjectPrefix = isQuotaError
         ? "🚫 [Quota Exceeded]"
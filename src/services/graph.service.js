@@ -2,6 +2,15 @@ const axios = require("axios");
 const config = require("../config");
 const prisma = require("../config/database");
 const microsoftAuthService = require("./microsoftAuth.service");
+const rateLimiter = require("./rateLimiter.service");
+const appRegistrationService = require("./appRegistration.service");
+
+// Max requests per Graph JSON batch
+const GRAPH_BATCH_LIMIT = 20;
+// Times throttled batch items are re-sent before they count as failed
+const BATCH_MAX_THROTTLE_ROUNDS = 3;
+// withRetry options for requests that send mail (not retried on 5xx)
+const SEND = { retryServerErrors: false };
 
 /**
  * Microsoft Graph API Service
@@ -11,17 +20,81 @@ class GraphService {
     this.baseUrl = config.microsoft.graphBaseUrl;
   }
 
-  createClient(accessToken) {
-    return axios.create({
+  /**
+   * Axios client for one mailbox, with a valid token of the app it uses
+   * @param {string} accountId - MailAccount ID
+   */
+  async clientFor(accountId) {
+    const { accessToken, clientId } =
+      await microsoftAuthService.getAccess(accountId);
+    return this.createClient(accessToken, accountId, clientId);
+  }
+
+  /**
+   * Axios client for one mailbox
+   * Every request waits for a token from the mailbox + app buckets, and
+   * 429/503 responses pause the mailbox bucket for Retry-After. Responses
+   * are counted in the app's error rate.
+   * @param {string} accessToken - Graph access token
+   * @param {string} accountId - MailAccount ID (rate limiter key)
+   * @param {string} clientId - App (client) ID the token was issued to
+   */
+  createClient(
+    accessToken,
+    accountId = null,
+    clientId = config.microsoft.clientId,
+  ) {
+    const client = axios.create({
       baseURL: this.baseUrl,
       headers: {
         Authorization: `Bearer ${accessToken}`,
         "Content-Type": "application/json",
       },
     });
+
+    const buckets = rateLimiter.graphBuckets(accountId, clientId);
+
+    client.interceptors.request.use(async (request) => {
+      await rateLimiter.acquire(buckets);
+      return request;
+    });
+
+    client.interceptors.response.use(
+      async (response) => {
+        await appRegistrationService.recordResult(clientId, response.status);
+        return response;
+      },
+      async (error) => {
+        const status = error.response?.status;
+        await appRegistrationService.recordResult(
+          clientId,
+          status || "network",
+        );
+        if (status === 429 || status === 503) {
+          const retryAfterMs = rateLimiter.parseRetryAfter(
+            error.response.headers?.["retry-after"],
+          );
+          const blocked = await rateLimiter.block(
+            buckets[buckets.length - 1].id,
+            retryAfterMs,
+          );
+          // Nothing will make the next request wait: withRetry does
+          if (!blocked) error.retryAfterMs = retryAfterMs;
+        }
+        throw error;
+      },
+    );
+
+    return client;
   }
 
-  async withRetry(apiCall, maxRetries = 3) {
+  /**
+   * Run a Graph call, retrying throttling (429/503) and other 5xx errors
+   * @param {object} options - { retryServerErrors: false for requests that
+   *   send mail: Graph may have sent it before failing with a 5xx, and a
+   *   retry would send it again. 429/503 mean it was not processed. }
+   */
+  async withRetry(apiCall, maxRetries = 3, { retryServerErrors = true } = {}) {
     let lastError;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -30,13 +103,15 @@ class GraphService {
       } catch (error) {
         lastError = error;
 
-        if (error.response?.status === 429) {
-          const retryAfter = parseInt(
-            error.response.headers["retry-after"] || "60",
-            10,
-          );
-          await this.sleep(retryAfter * 1000);
-        } else if (error.response?.status >= 500) {
+        if (error.response?.status === 429 || error.response?.status === 503) {
+          // Throttled: the client blocked the bucket for Retry-After,
+          // so the next request waits for it (or, when the block could
+          // not be stored, wait here)
+          if (error.retryAfterMs && attempt < maxRetries - 1) {
+            await this.sleep(error.retryAfterMs);
+          }
+          continue;
+        } else if (error.response?.status >= 500 && retryServerErrors) {
           await this.sleep(Math.pow(2, attempt) * 1000);
         } else if (error.response?.status === 401) {
           console.error(
@@ -57,14 +132,17 @@ class GraphService {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  async initializeDelta(accountId) {
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
-    const client = this.createClient(accessToken);
+  /**
+   * Start delta tracking for one mail folder (existing messages are skipped)
+   * @param {string} accountId - Account ID
+   * @param {string} folderId - Well-known folder name or Graph folder ID
+   */
+  async initializeDelta(accountId, folderId = "Inbox") {
+    const client = await this.clientFor(accountId);
 
     let deltaLink = null;
     let skippedCount = 0;
-    let nextLink = `/me/mailFolders('Inbox')/messages/delta?$select=id,subject,from,receivedDateTime&$top=50`;
+    let nextLink = `/me/mailFolders('${encodeURIComponent(folderId)}')/messages/delta?$select=id,subject,from,receivedDateTime&$top=50`;
 
     // Page through ALL existing messages WITHOUT collecting them
     // We only want the deltaLink so future syncs pick up NEW messages only
@@ -84,30 +162,34 @@ class GraphService {
     }
 
     if (deltaLink) {
-      await prisma.mailSyncState.update({
-        where: { accountId },
-        data: { deltaLink, lastDeltaAt: new Date() },
+      await prisma.mailSyncState.upsert({
+        where: { accountId_folderId: { accountId, folderId } },
+        create: { accountId, folderId, deltaLink, lastDeltaAt: new Date() },
+        update: { deltaLink, lastDeltaAt: new Date() },
       });
     }
 
     console.log(
-      `   ⊘ Skipped ${skippedCount} existing message(s) — will only forward new ones`,
+      `   ⊘ [${folderId}] Skipped ${skippedCount} existing message(s) — will only forward new ones`,
     );
     return { messages: [], deltaLink };
   }
 
-  async getDeltaMessages(accountId) {
+  /**
+   * Get new messages of one mail folder since its last delta link
+   * @param {string} accountId - Account ID
+   * @param {string} folderId - Well-known folder name or Graph folder ID
+   */
+  async getDeltaMessages(accountId, folderId = "Inbox") {
     const syncState = await prisma.mailSyncState.findUnique({
-      where: { accountId },
+      where: { accountId_folderId: { accountId, folderId } },
     });
 
     if (!syncState?.deltaLink) {
-      return this.initializeDelta(accountId);
+      return this.initializeDelta(accountId, folderId);
     }
 
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
-    const client = this.createClient(accessToken);
+    const client = await this.clientFor(accountId);
 
     const messages = [];
     let deltaLink = null;
@@ -157,7 +239,7 @@ class GraphService {
         }
 
         await prisma.mailSyncState.update({
-          where: { accountId },
+          where: { accountId_folderId: { accountId, folderId } },
           data: {
             deltaLink,
             lastDeltaAt: new Date(),
@@ -170,37 +252,129 @@ class GraphService {
     } catch (error) {
       if (error.response?.status === 410) {
         await prisma.mailSyncState.update({
-          where: { accountId },
+          where: { accountId_folderId: { accountId, folderId } },
           data: { deltaLink: null },
         });
-        return this.initializeDelta(accountId);
+        return this.initializeDelta(accountId, folderId);
       }
       throw error;
     }
   }
 
   async getMessage(accountId, messageId) {
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
-    const client = this.createClient(accessToken);
+    const client = await this.clientFor(accountId);
     const response = await this.withRetry(() =>
       client.get(`/me/messages/${messageId}?$expand=attachments`),
     );
     return response.data;
   }
 
+  /**
+   * Fetch several messages of one mailbox through Graph JSON batching
+   * Up to GRAPH_BATCH_LIMIT requests go in each POST /$batch. Items throttled
+   * with 429 are retried after Retry-After; a 404 maps to null (deleted).
+   * Batching across mailboxes would need an app-only token (/users/{id}/...),
+   * so with delegated tokens each account is batched separately.
+   * @param {string} accountId - Account ID
+   * @param {string[]} messageIds - Graph message IDs
+   * @param {string} query - Query string for each item (e.g. "$expand=attachments")
+   * @returns {Map} - messageId => message | null (deleted) | Error (failed item)
+   */
+  async batchGetMessages(accountId, messageIds, query = "") {
+    const results = new Map();
+    if (messageIds.length === 0) return results;
+
+    const client = await this.clientFor(accountId);
+    const [, mailboxBucket] = rateLimiter.graphBuckets(accountId);
+
+    for (let i = 0; i < messageIds.length; i += GRAPH_BATCH_LIMIT) {
+      let pending = messageIds.slice(i, i + GRAPH_BATCH_LIMIT);
+
+      for (let round = 0; pending.length > 0; round++) {
+        // Graph throttles each batch item separately: take a mailbox token
+        // per extra item (the client takes one for the batch request itself)
+        for (let j = 1; j < pending.length; j++) {
+          await rateLimiter.acquire([mailboxBucket]);
+        }
+
+        const response = await this.withRetry(() =>
+          client.post("/$batch", {
+            requests: pending.map((id, index) => ({
+              id: String(index),
+              method: "GET",
+              url: `/me/messages/${id}${query ? `?${query}` : ""}`,
+            })),
+          }),
+        );
+
+        const throttled = [];
+        let retryAfterMs = 0;
+
+        for (const item of response.data.responses || []) {
+          const messageId = pending[parseInt(item.id, 10)];
+          const headers = Object.fromEntries(
+            Object.entries(item.headers || {}).map(([k, v]) => [
+              k.toLowerCase(),
+              v,
+            ]),
+          );
+
+          if (item.status >= 200 && item.status < 300) {
+            results.set(messageId, item.body);
+          } else if (item.status === 404) {
+            results.set(messageId, null);
+          } else if (
+            (item.status === 429 || item.status === 503) &&
+            round < BATCH_MAX_THROTTLE_ROUNDS
+          ) {
+            throttled.push(messageId);
+            retryAfterMs = Math.max(
+              retryAfterMs,
+              rateLimiter.parseRetryAfter(headers["retry-after"]),
+            );
+          } else {
+            // Same shape as an axios error so callers can classify it
+            const error = new Error(
+              item.body?.error?.message ||
+                `Batch item failed with status ${item.status}`,
+            );
+            error.response = { status: item.status, headers, data: item.body };
+            results.set(messageId, error);
+          }
+        }
+
+        if (throttled.length > 0) {
+          const blocked = await rateLimiter.block(
+            mailboxBucket.id,
+            retryAfterMs,
+          );
+          if (!blocked) await this.sleep(retryAfterMs);
+        }
+        pending = throttled;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch several full messages (with attachments), batched
+   * @returns {Map} - See batchGetMessages
+   */
+  async getMessages(accountId, messageIds) {
+    return this.batchGetMessages(accountId, messageIds, "$expand=attachments");
+  }
+
   /**
    * Get message with only the fields needed for webhook processing
    * (no attachments — saves bandwidth and quota)
-   * Used for: Steam filter check + body parsing + API send
+   * Used for: forwarding rule matching + body parsing + API send
    */
   async getMessageForWebhook(accountId, messageId) {
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
-    const client = this.createClient(accessToken);
+    const client = await this.clientFor(accountId);
     const response = await this.withRetry(() =>
       client.get(
-        `/me/messages/${messageId}?$select=id,subject,from,toRecipients,body,receivedDateTime,internetMessageId`,
+        `/me/messages/${messageId}?$select=id,subject,from,toRecipients,ccRecipients,body,receivedDateTime,internetMessageId`,
       ),
     );
     return response.data;
@@ -211,9 +385,7 @@ class GraphService {
    * Used by webhook to check Steam filter without reading full message body
    */
   async getMessagePreview(accountId, messageId) {
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
-    const client = this.createClient(accessToken);
+    const client = await this.clientFor(accountId);
     const response = await this.withRetry(() =>
       client.get(
         `/me/messages/${messageId}?$select=id,subject,from,receivedDateTime,internetMessageId`,
@@ -222,10 +394,12 @@ class GraphService {
     return response.data;
   }
 
+  /**
+   * Get the attachments of a message (file attachments carry contentBytes)
+   * @returns {array}
+   */
   async getMessageAttachments(accountId, messageId) {
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
-    const client = this.createClient(accessToken);
+    const client = await this.clientFor(accountId);
     const response = await this.withRetry(() =>
       client.get(`/me/messages/${messageId}/attachments`),
     );
@@ -243,9 +417,7 @@ class GraphService {
    * @returns {boolean} - true if successful
    */
   async forwardMessage(accountId, messageId, toEmail, comment = "") {
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
-    const client = this.createClient(accessToken);
+    const client = await this.clientFor(accountId);
 
     const body = {
       comment,
@@ -258,18 +430,122 @@ class GraphService {
       ],
     };
 
-    await this.withRetry(() =>
-      client.post(`/me/messages/${messageId}/forward`, body),
+    await this.withRetry(
+      () => client.post(`/me/messages/${messageId}/forward`, body),
+      3,
+      SEND,
+    );
+
+    return true;
+  }
+
+  /**
+   * Forward a message with a custom subject
+   * createForward makes a draft ("FW: ..."), PATCH sets the subject, then
+   * the draft is sent. Headers and attachments are kept as with /forward.
+   * The draft is deleted when it cannot be edited or sent, so failed
+   * attempts do not pile up in Drafts.
+   * @param {string} accountId - Account ID
+   * @param {string} messageId - Graph message ID to forward
+   * @param {string} toEmail - Destination email address
+   * @param {object} options - { subject, comment } (no subject = keep "FW: ...")
+   * @returns {string} - ID of the draft that was sent
+   */
+  async createAndSendForward(accountId, messageId, toEmail, options = {}) {
+    const client = await this.clientFor(accountId);
+
+    const draft = await this.withRetry(
+      () =>
+        client.post(`/me/messages/${messageId}/createForward`, {
+          comment: options.comment || "",
+          toRecipients: [{ emailAddress: { address: toEmail } }],
+        }),
+      3,
+      SEND,
+    );
+    const draftId = draft.data.id;
+
+    try {
+      if (options.subject) {
+        await this.withRetry(() =>
+          client.patch(`/me/messages/${draftId}`, { subject: options.subject }),
+        );
+      }
+
+      await this.withRetry(
+        () => client.post(`/me/messages/${draftId}/send`),
+        3,
+        SEND,
+      );
+    } catch (error) {
+      await this.deleteDraft(client, draftId);
+      throw error;
+    }
+    return draftId;
+  }
+
+  /**
+   * Delete an unsent draft (a draft that was sent after all is gone: 404)
+   */
+  async deleteDraft(client, draftId) {
+    try {
+      await this.withRetry(() => client.delete(`/me/messages/${draftId}`));
+    } catch (error) {
+      if (error.response?.status === 404) return;
+      console.warn(
+        `[Graph] Could not delete draft ${draftId}:`,
+        error.response?.data?.error?.message || error.message,
+      );
+    }
+  }
+
+  /**
+   * Send a new message from the mailbox
+   * Uses POST /me/sendMail (not saved to Sent Items)
+   * @param {string} accountId - Account ID
+   * @param {object} message - Graph message resource (subject, body,
+   *   toRecipients, attachments, ...)
+   * @returns {boolean} - true if successful
+   */
+  async sendMail(accountId, message) {
+    const client = await this.clientFor(accountId);
+
+    await this.withRetry(
+      () => client.post("/me/sendMail", { message, saveToSentItems: false }),
+      3,
+      SEND,
     );
 
     return true;
   }
 
+  /**
+   * List the mailbox folders (top level + Inbox subfolders created by rules)
+   * @returns {array} - [{ id, displayName, parentFolderId, totalItemCount }]
+   */
+  async listMailFolders(accountId) {
+    const client = await this.clientFor(accountId);
+    const select = "$select=id,displayName,parentFolderId,totalItemCount";
+
+    const [topLevel, inboxChildren] = await Promise.all([
+      this.withRetry(() => client.get(`/me/mailFolders?$top=100&${select}`)),
+      this.withRetry(() =>
+        client.get(`/me/mailFolders('Inbox')/childFolders?$top=100&${select}`),
+      ),
+    ]);
+
+    return [
+      ...(topLevel.data.value || []),
+      ...(inboxChildren.data.value || []).map((f) => ({
+        ...f,
+        displayName: `Inbox / ${f.displayName}`,
+      })),
+    ];
+  }
+
   async testConnection(accountId) {
     try {
-      const accessToken =
-        await microsoftAuthService.getValidAccessToken(accountId);
-      const client = this.createClient(accessToken);
+      const client = await this.clientFor(accountId);
       await client.get("/me/mailFolders/inbox");
       return true;
     } catch (error) {
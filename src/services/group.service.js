@@ -0,0 +1,152 @@
+const prisma = require("../config/database");
+
+// Groups and memberships are read for every forwarded message
+const CACHE_TTL_MS = 30000;
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * Account Group Service
+ * Groups tag mailboxes (many-to-many through account_group_members) for
+ * filtering and bulk actions. A group can override the forward address and
+ * the notification recipients of its members; when several groups of an
+ * account set the same override, the lowest priority wins. Forwarding rules
+ * can be limited to a group.
+ */
+class GroupService {
+  constructor() {
+    this._cache = null;
+    this._cacheTime = 0;
+  }
+
+  /**
+   * Groups and memberships (cached)
+   * @returns {object} - { groups: Map(id => group), byAccount: Map(accountId => [group]) }
+   */
+  async load() {
+    const now = Date.now();
+    if (this._cache && now - this._cacheTime < CACHE_TTL_MS) {
+      return this._cache;
+    }
+
+    const [groups, members] = await Promise.all([
+      prisma.accountGroup.findMany({
+        orderBy: [{ priority: "asc" }, { name: "asc" }],
+      }),
+      prisma.accountGroupMember.findMany({
+        select: { groupId: true, accountId: true },
+      }),
+    ]);
+
+    const byId = new Map(groups.map((g) => [g.id, g]));
+    const byAccount = new Map();
+    // Walk groups in priority order so each account's list is sorted too
+    for (const group of groups) {
+      for (const member of members) {
+        if (member.groupId !== group.id) continue;
+        if (!byAccount.has(member.accountId)) {
+          byAccount.set(member.accountId, []);
+        }
+        byAccount.get(member.accountId).push(group);
+      }
+    }
+
+    this._cache = { groups: byId, byAccount };
+    this._cacheTime = now;
+    return this._cache;
+  }
+
+  /**
+   * Clear the cache (call after changing groups or memberships)
+   */
+  clearCache() {
+    this._cache = null;
+    this._cacheTime = 0;
+  }
+
+  /**
+   * Groups of an account, lowest priority first
+   */
+  async groupsOf(accountId) {
+    const { byAccount } = await this.load();
+    return byAccount.get(accountId) || [];
+  }
+
+  /**
+   * Groups of several accounts (for lists)
+   * @returns {Map} - accountId => [{ id, name, color }]
+   */
+  async tagsFor(accountIds) {
+    const { byAccount } = await this.load();
+    return new Map(
+      accountIds.map((id) => [
+        id,
+        (byAccount.get(id) || []).map(({ id, name, color }) => ({
+          id,
+          name,
+          color,
+        })),
+      ]),
+    );
+  }
+
+  /**
+   * Member account IDs of a group (read fresh, for filters and bulk actions)
+   */
+  async accountIdsOf(groupId) {
+    const members = await prisma.accountGroupMember.findMany({
+      where: { groupId },
+      select: { accountId: true },
+    });
+    return members.map((m) => m.accountId);
+  }
+
+  /**
+   * Overrides from an account's groups
+   * @returns {object} - { forwardToEmail, notifyEmails } (null = not overridden)
+   */
+  async overridesFor(accountId) {
+    const groups = accountId ? await this.groupsOf(accountId) : [];
+    const forwardGroup = groups.find((g) => g.forwardToEmail);
+    const notifyGroup = groups.find((g) => splitList(g.notifyEmails).length);
+
+    return {
+      forwardToEmail: forwardGroup?.forwardToEmail || null,
+      notifyEmails: notifyGroup ? splitList(notifyGroup.notifyEmails) : null,
+    };
+  }
+
+  /**
+   * Add accounts to a group (existing members are kept)
+   * @returns {number} - Accounts added
+   */
+  async addMembers(groupId, accountIds) {
+    const existing = new Set(await this.accountIdsOf(groupId));
+    let added = 0;
+    for (const accountId of new Set(accountIds)) {
+      if (existing.has(accountId)) continue;
+      await prisma.accountGroupMember.create({ data: { groupId, accountId } });
+      added++;
+    }
+    this.clearCache();
+    return added;
+  }
+
+  /**
+   * Remove accounts from a group
+   * @returns {number} - Accounts removed
+   */
+  async removeMembers(groupId, accountIds) {
+    const { count } = await prisma.accountGroupMember.deleteMany({
+      where: { groupId, accountId: { in: accountIds } },
+    });
+    this.clearCache();
+    return count;
+  }
+}
+
+module.exports = new GroupService();
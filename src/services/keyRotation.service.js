@@ -0,0 +1,106 @@
+const prisma = require("../config/database");
+const encryption = require("../utils/encryption");
+
+// Encrypted columns: Prisma model -> fields
+const ENCRYPTED_FIELDS = {
+  mailToken: ["accessToken", "refreshToken"],
+  adminUser: ["twoFactorSecret"],
+  apiDestination: ["secret"],
+  appRegistration: ["clientSecret"],
+};
+
+/**
+ * Key Rotation Service
+ * Moves stored ciphertexts to the current encryption key so old keys can be
+ * removed from ENCRYPTION_KEYS. Run through `npm run encryption:rotate`.
+ */
+class KeyRotationService {
+  /**
+   * Page through the rows of a model that hold encrypted fields
+   * @param {string} model - Prisma model name
+   * @param {number} batchSize - Rows per query
+   * @param {Function} callback - Called with each row ({ id, ...fields })
+   */
+  async eachRow(model, batchSize, callback) {
+    const select = { id: true };
+    for (const field of ENCRYPTED_FIELDS[model]) select[field] = true;
+
+    let lastId = null;
+    for (;;) {
+      const rows = await prisma[model].findMany({
+        where: lastId ? { id: { gt: lastId } } : {},
+        select,
+        orderBy: { id: "asc" },
+        take: batchSize,
+      });
+      for (const row of rows) await callback(row);
+      if (rows.length < batchSize) return;
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  /**
+   * Count stored ciphertexts per key ID
+   * @returns {object} - { currentKeyId, keys: { keyId: count } }
+   */
+  async status({ batchSize = 500 } = {}) {
+    const keys = {};
+    for (const [model, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+      await this.eachRow(model, batchSize, (row) => {
+        for (const field of fields) {
+          const keyId = encryption.keyIdOf(row[field]);
+          if (keyId) keys[keyId] = (keys[keyId] || 0) + 1;
+        }
+      });
+    }
+    return { currentKeyId: encryption.currentKeyId, keys };
+  }
+
+  /**
+   * Re-encrypt every ciphertext that is not under the current key
+   * @param {object} options - { batchSize, dryRun }
+   * @returns {object} - { scanned, rotated, skipped, failed }
+   */
+  async rotateAll({ batchSize = 100, dryRun = false } = {}) {
+    const result = { scanned: 0, rotated: 0, skipped: 0, failed: 0 };
+
+    for (const [model, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+      await this.eachRow(model, batchSize, async (row) => {
+        for (const field of fields) {
+          const current = row[field];
+          if (!current) continue;
+          result.scanned++;
+          if (!encryption.needsRotation(current)) continue;
+
+          let rotated;
+          try {
+            rotated = encryption.rotate(current);
+          } catch (error) {
+            result.failed++;
+            console.error(
+              `❌ Cannot re-encrypt ${model}.${field} of ${row.id}:`,
+              error.message,
+            );
+            continue;
+          }
+          if (dryRun) {
+            result.rotated++;
+            continue;
+          }
+
+          // Only if unchanged: a token refresh may have written a new value
+          const { count } = await prisma[model].updateMany({
+            where: { id: row.id, [field]: current },
+            data: { [field]: rotated },
+          });
+          if (count) result.rotated++;
+          else result.skipped++;
+        }
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new KeyRotationService();
@@ -1,8 +1,19 @@
+const crypto = require("crypto");
 const axios = require("axios");
-const { v4: uuidv4 } = require("uuid");
 const config = require("../config");
 const encryption = require("../utils/encryption");
 const prisma = require("../config/database");
+const redis = require("../config/redis");
+const rateLimiter = require("./rateLimiter.service");
+const appRegistrationService = require("./appRegistration.service");
+const folderService = require("./folder.service");
+const sessionService = require("./session.service");
+
+// Redis key of an issued OAuth state (deleted when the callback uses it)
+const STATE_PREFIX = "oauth:state:";
+
+const sha256 = (value, encoding = "hex") =>
+  crypto.createHash("sha256").update(String(value)).digest(encoding);
 
 // Lazy load to avoid circular dependency
 let webhookService = null;
@@ -15,55 +26,133 @@ const getWebhookService = () => {
 
 /**
  * Microsoft OAuth 2.0 Service
+ * Every call goes through an app registration (appRegistration.service.js):
+ * sign-ins use the account's app, refreshes the app that issued the tokens.
  */
 class MicrosoftAuthService {
   constructor() {
-    this.clientId = config.microsoft.clientId;
-    this.clientSecret = config.microsoft.clientSecret;
-    this.redirectUri = config.microsoft.redirectUri;
-    this.scopes = config.microsoft.scopes;
-    this.authorizeUrl = config.microsoft.authorizeUrl;
-    this.tokenUrl = config.microsoft.tokenUrl;
     this.graphBaseUrl = config.microsoft.graphBaseUrl;
   }
 
-  generateAuthUrl(accountId = null) {
-    const state = JSON.stringify({
-      accountId,
-      nonce: uuidv4(),
-      timestamp: Date.now(),
-    });
+  /**
+   * Authorization URL with a server-side state and PKCE challenge
+   * @param {string|null} accountId - Account to reconnect (null: new account)
+   * @param {object} options - { loginHint, sessionId, browserKey, appId }
+   *   loginHint: mailbox to preselect; sessionId: AdminSession that started
+   *   the flow (null for reauth links); browserKey: see utils/oauthBrowser.js;
+   *   appId: app of a new account (reconnects use the account's app)
+   * @returns {object} - { url, state }
+   */
+  async generateAuthUrl(
+    accountId = null,
+    { loginHint, sessionId = null, browserKey, appId = null } = {},
+  ) {
+    if (accountId) {
+      const account = await prisma.mailAccount.findUnique({
+        where: { id: accountId },
+      });
+      appId = account?.appRegistrationId || null;
+    }
+    const app = await appRegistrationService.get(appId);
+
+    const state = crypto.randomBytes(32).toString("base64url");
+    const codeVerifier = crypto.randomBytes(48).toString("base64url");
 
-    const encodedState = Buffer.from(state).toString("base64url");
+    await redis.set(
+      STATE_PREFIX + state,
+      JSON.stringify({
+        accountId,
+        appId,
+        sessionId,
+        browserKeyHash: sha256(browserKey),
+        codeVerifier,
+        issuedAt: Date.now(),
+      }),
+      "EX",
+      config.microsoft.stateTtlSeconds,
+    );
 
     const params = new URLSearchParams({
-      client_id: this.clientId,
+      client_id: app.clientId,
       response_type: "code",
-      redirect_uri: this.redirectUri,
+      redirect_uri: app.redirectUri,
       response_mode: "query",
-      scope: this.scopes.join(" "),
-      state: encodedState,
+      scope: app.scopes.join(" "),
+      state,
+      code_challenge: sha256(codeVerifier, "base64url"),
+      code_challenge_method: "S256",
       prompt: "consent",
     });
+    if (loginHint) params.set("login_hint", loginHint);
 
     return {
-      url: `${this.authorizeUrl}?${params.toString()}`,
-      state: encodedState,
+      url: `${app.authorizeUrl}?${params.toString()}`,
+      state,
     };
   }
 
-  async exchangeCodeForTokens(code) {
+  /**
+   * Take the state of an OAuth callback. A state works once, until it
+   * expires, in the browser that started the flow, and (for dashboard
+   * flows) while the admin session that started it is active.
+   * @param {string} state - state query parameter
+   * @param {object} options - { browserKey } (cookie sent with the callback)
+   * @returns {object} - { flow } or { error } (message for the callback page)
+   */
+  async consumeState(state, { browserKey } = {}) {
+    if (!/^[\w-]{1,100}$/.test(String(state || ""))) {
+      return {
+        error: "Invalid sign-in state. Start again from the dashboard.",
+      };
+    }
+
+    // GET + DEL in one transaction: a second callback finds nothing
+    const key = STATE_PREFIX + state;
+    const [[, raw]] = await redis.multi().get(key).del(key).exec();
+    if (!raw) {
+      return {
+        error:
+          "This sign-in has expired or was already used. Start again from the dashboard.",
+      };
+    }
+
+    const flow = JSON.parse(raw);
+    if (!browserKey || sha256(browserKey) !== flow.browserKeyHash) {
+      return {
+        error:
+          "This sign-in was started in a different browser. Start again from the dashboard in this browser.",
+      };
+    }
+    if (flow.sessionId && !(await sessionService.findActive(flow.sessionId))) {
+      return {
+        error:
+          "The dashboard session that started this sign-in has ended. Sign in to the dashboard and start again.",
+      };
+    }
+
+    return { flow };
+  }
+
+  /**
+   * @param {object} app - App the flow was started with (default: built-in)
+   */
+  async exchangeCodeForTokens(
+    code,
+    codeVerifier,
+    app = appRegistrationService.builtIn(),
+  ) {
     try {
       const params = new URLSearchParams({
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
+        client_id: app.clientId,
+        client_secret: app.clientSecret,
         code,
-        redirect_uri: this.redirectUri,
+        redirect_uri: app.redirectUri,
         grant_type: "authorization_code",
-        scope: this.scopes.join(" "),
+        scope: app.scopes.join(" "),
+        code_verifier: codeVerifier,
       });
 
-      const response = await axios.post(this.tokenUrl, params.toString(), {
+      const response = await axios.post(app.tokenUrl, params.toString(), {
         headers: { "Content-Type": "application/x-www-form-urlencoded" },
       });
 
@@ -75,19 +164,22 @@ class MicrosoftAuthService {
     }
   }
 
-  async refreshAccessToken(encryptedRefreshToken) {
+  /**
+   * @param {object} app - App that issued the refresh token
+   */
+  async refreshAccessToken(encryptedRefreshToken, app) {
     try {
       const refreshToken = encryption.decrypt(encryptedRefreshToken);
 
       const params = new URLSearchParams({
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
+        client_id: app.clientId,
+        client_secret: app.clientSecret,
         refresh_token: refreshToken,
         grant_type: "refresh_token",
-        // scope: this.scopes.join(" "),
+        // scope: app.scopes.join(" "),
       });
 
-      const response = await axios.post(this.tokenUrl, params.toString(), {
+      const response = await axios.post(app.tokenUrl, params.toString(), {
         headers: { "Content-Type": "application/x-www-form-urlencoded" },
       });
 
@@ -99,8 +191,10 @@ class MicrosoftAuthService {
     }
   }
 
-  async getUserProfile(accessToken) {
+  async getUserProfile(accessToken, clientId) {
     try {
+      // No mailbox yet (OAuth callback): app bucket only
+      await rateLimiter.acquire(rateLimiter.graphBuckets(null, clientId));
       const response = await axios.get(`${this.graphBaseUrl}/me`, {
         headers: { Authorization: `Bearer ${accessToken}` },
       });
@@ -110,7 +204,11 @@ class MicrosoftAuthService {
     }
   }
 
-  async storeTokens(accountId, tokenData) {
+  /**
+   * @param {string|null} appId - App that issued the tokens (undefined keeps
+   *   the stored one, for refreshes)
+   */
+  async storeTokens(accountId, tokenData, appId) {
     const expiresAt = new Date(Date.now() + tokenData.expires_in * 1000);
 
     await prisma.mailToken.upsert({
@@ -122,8 +220,10 @@ class MicrosoftAuthService {
         tokenType: tokenData.token_type || "Bearer",
         scope: tokenData.scope,
         expiresAt,
+        appRegistrationId: appId || null,
       },
       update: {
+        appRegistrationId: appId,
         accessToken: encryption.encrypt(tokenData.access_token),
         refreshToken: tokenData.refresh_token
           ? encryption.encrypt(tokenData.refresh_token)
@@ -136,6 +236,16 @@ class MicrosoftAuthService {
   }
 
   async getValidAccessToken(accountId) {
+    const { accessToken } = await this.getAccess(accountId);
+    return accessToken;
+  }
+
+  /**
+   * Valid access token of an account and the app it belongs to
+   * @returns {object} - { accessToken, clientId } (clientId: rate limiter
+   *   and statistics key of the app)
+   */
+  async getAccess(accountId) {
     const tokenRecord = await prisma.mailToken.findUnique({
       where: { accountId },
     });
@@ -143,6 +253,7 @@ class MicrosoftAuthService {
     if (!tokenRecord) {
       throw new Error("No tokens found for account - please reconnect");
     }
+    const app = await appRegistrationService.get(tokenRecord.appRegistrationId);
 
     const now = new Date();
     const expiresAt = new Date(tokenRecord.expiresAt);
@@ -153,14 +264,18 @@ class MicrosoftAuthService {
       if (!decryptedToken || decryptedToken.trim() === "") {
         throw new Error("Stored access token is empty - please reconnect");
       }
-      return decryptedToken;
+      return { accessToken: decryptedToken, clientId: app.clientId };
     }
 
     try {
-      const newTokens = await this.refreshAccessToken(tokenRecord.refreshToken);
+      const newTokens = await this.refreshAccessToken(
+        tokenRecord.refreshToken,
+        app,
+      );
       await this.storeTokens(accountId, newTokens);
-      return newTokens.access_token;
+      return { accessToken: newTokens.access_token, clientId: app.clientId };
     } catch (error) {
+      await appRegistrationService.recordResult(app.clientId, "refresh");
       await prisma.mailAccount.update({
         where: { id: accountId },
         data: {
@@ -172,25 +287,46 @@ class MicrosoftAuthService {
     }
   }
 
-  async completeOAuthFlow(code, state) {
-    let stateData;
-    try {
-      stateData = JSON.parse(Buffer.from(state, "base64url").toString());
-    } catch (error) {
-      throw new Error("Invalid state parameter");
-    }
-
-    const tokenData = await this.exchangeCodeForTokens(code);
-    const profile = await this.getUserProfile(tokenData.access_token);
+  /**
+   * Finish a sign-in: tokens, profile, account, folders and subscriptions
+   * @param {string} code - Authorization code
+   * @param {object} flow - State taken by consumeState()
+   */
+  async completeOAuthFlow(code, flow) {
+    // Flows started before app registrations existed have no appId
+    const appId = flow.appId || null;
+    const app = await appRegistrationService.get(appId);
+    const tokenData = await this.exchangeCodeForTokens(
+      code,
+      flow.codeVerifier,
+      app,
+    );
+    const profile = await this.getUserProfile(
+      tokenData.access_token,
+      app.clientId,
+    );
 
     const email = profile.mail || profile.userPrincipalName;
     const msUserId = profile.id;
     const displayName = profile.displayName;
 
     let account;
-    if (stateData.accountId) {
+    if (flow.accountId) {
+      const existing = await prisma.mailAccount.findUnique({
+        where: { id: flow.accountId },
+      });
+      if (!existing) {
+        throw new Error("Account not found - it may have been deleted");
+      }
+      // Reconnecting must not put another mailbox's tokens on this account
+      if (!this.isSameMailbox(existing, { email, msUserId })) {
+        throw new Error(
+          `Signed in as ${email}, but this account is ${existing.email}. Sign in with ${existing.email} instead.`,
+        );
+      }
+
       account = await prisma.mailAccount.update({
-        where: { id: stateData.accountId },
+        where: { id: flow.accountId },
         data: {
           email,
           msUserId,
@@ -203,8 +339,15 @@ class MicrosoftAuthService {
     } else {
       account = await prisma.mailAccount.upsert({
         where: { email },
-        create: { email, msUserId, displayName, status: "CONNECTED" },
+        create: {
+          email,
+          msUserId,
+          displayName,
+          status: "CONNECTED",
+          appRegistrationId: appId,
+        },
         update: {
+          appRegistrationId: appId,
           msUserId,
           displayName,
           status: "CONNECTED",
@@ -214,18 +357,18 @@ class MicrosoftAuthService {
       });
     }
 
-    await this.storeTokens(account.id, tokenData);
+    await this.storeTokens(account.id, tokenData, appId);
 
-    await prisma.mailSyncState.upsert({
-      where: { accountId: account.id },
-      create: { accountId: account.id },
-      update: {},
-    });
+    // Watched folders (Inbox + Junk Email by default), one delta link each
+    await folderService.ensureDefaultFolders(account.id);
 
-    // Create webhook subscription for real-time notifications
+    // Create webhook subscriptions (one per folder) for real-time notifications
     try {
-      await getWebhookService().createSubscription(account.id);
-      console.log(`[OAuth] Webhook subscription created for ${email}`);
+      const { created, failed } =
+        await getWebhookService().createSubscriptionsForAccount(account.id);
+      console.log(
+        `[OAuth] Webhook subscriptions for ${email}: ${created} created, ${failed} failed`,
+      );
     } catch (webhookError) {
       // Log but don't fail the OAuth flow
       console.error(
@@ -236,6 +379,18 @@ class MicrosoftAuthService {
 
     return account;
   }
+
+  /**
+   * Whether a signed-in profile is the mailbox of an account
+   * (accounts that never connected only have the email typed in,
+   * so they are matched by email alone)
+   */
+  isSameMailbox(account, { email, msUserId }) {
+    if (account.msUserId && account.msUserId === msUserId) return true;
+    return (
+      !!email && account.email.toLowerCase() === String(email).toLowerCase()
+    );
+  }
 }
 
 module.exports = new MicrosoftAuthService();
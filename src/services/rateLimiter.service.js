@@ -0,0 +1,236 @@
+const config = require("../config");
+const redis = require("../config/redis");
+
+const BUCKET_PREFIX = "graph:bucket:";
+const BLOCK_PREFIX = "graph:block:";
+
+// Takes one token from every bucket, or none of them.
+// KEYS: bucket keys (n), then block keys (n)
+// ARGV: now, then capacity + refill-per-ms for each bucket
+// Returns 0 when the tokens were taken, otherwise the ms to wait.
+const TAKE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local n = #KEYS / 2
+local wait = 0
+
+for i = 1, n do
+  local ttl = redis.call("PTTL", KEYS[n + i])
+  if ttl > wait then wait = ttl end
+end
+if wait > 0 then return wait end
+
+local tokens = {}
+for i = 1, n do
+  local cap = tonumber(ARGV[2 * i])
+  local rate = tonumber(ARGV[2 * i + 1])
+  local data = redis.call("HMGET", KEYS[i], "tokens", "ts")
+  local t = tonumber(data[1]) or cap
+  local ts = tonumber(data[2]) or now
+  t = math.min(cap, t + math.max(0, now - ts) * rate)
+  tokens[i] = t
+  if t < 1 then
+    local w = math.ceil((1 - t) / rate)
+    if w > wait then wait = w end
+  end
+end
+
+for i = 1, n do
+  local cap = tonumber(ARGV[2 * i])
+  local rate = tonumber(ARGV[2 * i + 1])
+  local t = tokens[i]
+  if wait == 0 then t = t - 1 end
+  redis.call("HSET", KEYS[i], "tokens", tostring(t), "ts", now, "cap", cap, "rate", tostring(rate))
+  redis.call("PEXPIRE", KEYS[i], math.ceil(cap / rate) + 60000)
+end
+
+return wait
+`;
+
+redis.defineCommand("takeGraphTokens", { lua: TAKE_SCRIPT });
+
+/**
+ * Graph API Rate Limiter
+ * Redis token buckets shared by every process: one per mailbox and one per
+ * app registration. Every Graph request takes a token from both buckets.
+ * 429/503 responses block the mailbox bucket for the Retry-After duration.
+ *
+ * If Redis is unreachable the limiter lets requests through (fail open).
+ */
+class RateLimiterService {
+  constructor() {
+    this._redisDown = false;
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Buckets a Graph request for this account goes through
+   * @param {string} accountId - MailAccount ID (null for app-only calls)
+   * @param {string} appId - App registration (client) ID
+   */
+  graphBuckets(accountId, appId = config.microsoft.clientId) {
+    const limits = config.graphRateLimit;
+    const buckets = [
+      {
+        id: `app:${appId || "default"}`,
+        capacity: limits.appCapacity,
+        refillPerSec: limits.appRefillPerSec,
+      },
+    ];
+    if (accountId) {
+      buckets.push({
+        id: `mailbox:${accountId}`,
+        capacity: limits.mailboxCapacity,
+        refillPerSec: limits.mailboxRefillPerSec,
+      });
+    }
+    return buckets;
+  }
+
+  /**
+   * Wait until a token is available in every bucket, then take it
+   * @param {array} buckets - From graphBuckets()
+   * @returns {number} - Total ms waited
+   */
+  async acquire(buckets) {
+    const { maxWaitMs } = config.graphRateLimit;
+    const keys = [
+      ...buckets.map((b) => BUCKET_PREFIX + b.id),
+      ...buckets.map((b) => BLOCK_PREFIX + b.id),
+    ];
+    const limits = buckets.flatMap((b) => [b.capacity, b.refillPerSec / 1000]);
+
+    let waited = 0;
+    for (;;) {
+      let wait;
+      try {
+        wait = await redis.takeGraphTokens(
+          keys.length,
+          ...keys,
+          Date.now(),
+          ...limits,
+        );
+        if (this._redisDown) {
+          console.log("[RateLimit] Redis reachable again");
+          this._redisDown = false;
+        }
+      } catch (error) {
+        if (!this._redisDown) {
+          console.error(
+            `[RateLimit] Redis unavailable, not limiting: ${error.message}`,
+          );
+          this._redisDown = true;
+        }
+        return waited;
+      }
+
+      if (wait <= 0) return waited;
+
+      if (waited + wait > maxWaitMs) {
+        const err = new Error(
+          `Graph rate limit: no token for ${buckets.map((b) => b.id).join(", ")} within ${maxWaitMs}ms`,
+        );
+        err.code = "GRAPH_RATE_LIMITED";
+        throw err;
+      }
+
+      await this.sleep(wait);
+      waited += wait;
+    }
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into ms
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") {
+      return config.graphRateLimit.defaultRetryAfterMs;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date)
+      ? config.graphRateLimit.defaultRetryAfterMs
+      : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Block a bucket after Graph throttled us (429/503)
+   * @param {string} bucketId - e.g. "mailbox:<accountId>"
+   * @param {number} ms - Retry-After in ms
+   * @returns {boolean} - false if the block could not be stored (Redis
+   *   down): the next request will not wait, the caller has to
+   */
+  async block(bucketId, ms) {
+    if (ms <= 0) return true;
+    console.warn(`[RateLimit] ${bucketId} throttled, pausing ${ms}ms`);
+    try {
+      const key = BLOCK_PREFIX + bucketId;
+      const current = await redis.pttl(key);
+      if (current < ms) await redis.set(key, "1", "PX", Math.ceil(ms));
+      return true;
+    } catch (error) {
+      console.error(`[RateLimit] Could not store block: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Current level of every bucket (without taking tokens)
+   * @returns {array} - [{ id, type, key, tokens, capacity, refillPerSec, blockedForMs }]
+   */
+  async getLevels() {
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await redis.scan(
+        cursor,
+        "MATCH",
+        `${BUCKET_PREFIX}*`,
+        "COUNT",
+        500,
+      );
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== "0");
+
+    if (keys.length === 0) return [];
+
+    const pipeline = redis.pipeline();
+    for (const key of keys) {
+      const id = key.slice(BUCKET_PREFIX.length);
+      pipeline.hmget(key, "tokens", "ts", "cap", "rate");
+      pipeline.pttl(BLOCK_PREFIX + id);
+    }
+    const replies = await pipeline.exec();
+    const now = Date.now();
+
+    return keys.map((key, i) => {
+      const [tokens, ts, cap, rate] = replies[i * 2][1];
+      const blockTtl = replies[i * 2 + 1][1];
+      const id = key.slice(BUCKET_PREFIX.length);
+      const [type, ...rest] = id.split(":");
+      const capacity = Number(cap);
+      const perMs = Number(rate);
+      const level = Math.min(
+        capacity,
+        Number(tokens) + Math.max(0, now - Number(ts)) * perMs,
+      );
+
+      return {
+        id,
+        type,
+        key: rest.join(":"),
+        tokens: Math.floor(level * 10) / 10,
+        capacity,
+        refillPerSec: perMs * 1000,
+        blockedForMs: blockTtl > 0 ? blockTtl : 0,
+      };
+    });
+  }
+}
+
+module.exports = new RateLimiterService();
@@ -0,0 +1,98 @@
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/database");
+const config = require("../config");
+
+// Purpose claim of link tokens (never accepted as a dashboard session)
+const PURPOSE = "reauth";
+
+/**
+ * Reauth Link Service
+ * "Reconnect this mailbox" links for notification emails (bulk imports hand
+ * out the same links for the first sign-in). The token is a JWT bound to
+ * one account (signed with the JWT secret, expires after
+ * reauthLinks.ttlHours) whose jti is a ReauthLink row; the row makes the
+ * link single-use.
+ */
+class ReauthLinkService {
+  /**
+   * Issue a link for an account
+   * @param {object} account - MailAccount
+   * @returns {object} - { url, token, expiresAt }
+   */
+  async create(account) {
+    const ttlSeconds = config.reauthLinks.ttlHours * 3600;
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+    // Old links of this account that can no longer be used
+    await prisma.reauthLink.deleteMany({
+      where: {
+        accountId: account.id,
+        OR: [{ usedAt: { not: null } }, { expiresAt: { lt: new Date() } }],
+      },
+    });
+
+    const link = await prisma.reauthLink.create({
+      data: { accountId: account.id, email: account.email, expiresAt },
+    });
+
+    const token = jwt.sign(
+      { purpose: PURPOSE, accountId: account.id },
+      config.jwt.secret,
+      { expiresIn: ttlSeconds, jwtid: link.id },
+    );
+
+    return {
+      url: `${config.apiUrl}/api/accounts/reauth/${token}`,
+      token,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Check a link token without using it
+   * @returns {object} - { link, account } or { error } where error is
+   *   "invalid", "expired", "used" or "account_missing"
+   */
+  async check(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token || ""), config.jwt.secret);
+    } catch (error) {
+      return {
+        error: error.name === "TokenExpiredError" ? "expired" : "invalid",
+      };
+    }
+    if (decoded.purpose !== PURPOSE || !decoded.jti) {
+      return { error: "invalid" };
+    }
+
+    const [link, account] = await Promise.all([
+      prisma.reauthLink.findUnique({ where: { id: decoded.jti } }),
+      prisma.mailAccount.findUnique({ where: { id: decoded.accountId } }),
+    ]);
+    if (!account) return { error: "account_missing" };
+    // A missing row was used and cleaned up by a newer link
+    if (!link || link.usedAt) return { error: "used" };
+    if (link.accountId !== account.id) return { error: "invalid" };
+    if (link.expiresAt.getTime() <= Date.now()) return { error: "expired" };
+
+    return { link, account };
+  }
+
+  /**
+   * Check a link token and mark it used (only one caller wins)
+   * @returns {object} - Same as check()
+   */
+  async consume(token) {
+    const result = await this.check(token);
+    if (result.error) return result;
+
+    const { count } = await prisma.reauthLink.updateMany({
+      where: { id: result.link.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    return count ? result : { error: "used" };
+  }
+}
+
+module.exports = new ReauthLinkService();
@@ -0,0 +1,135 @@
+const prisma = require("../config/database");
+const groupService = require("./group.service");
+const { messageBodyText } = require("../utils/html");
+
+// How long enabled rules are cached (other processes pick up edits after this)
+const RULES_CACHE_TTL_MS = 30000;
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Forwarding Rules Service
+ * Matches messages against the ordered rules stored in the database.
+ * The first enabled rule whose conditions all match decides the action.
+ */
+class RulesService {
+  constructor() {
+    // Cache for enabled rules (refreshed every 30 seconds)
+    this._rulesCache = null;
+    this._rulesCacheTime = 0;
+  }
+
+  /**
+   * Get enabled rules ordered by priority, with subject regex precompiled
+   */
+  async getActiveRules() {
+    const now = Date.now();
+    if (this._rulesCache && now - this._rulesCacheTime < RULES_CACHE_TTL_MS) {
+      return this._rulesCache;
+    }
+
+    const rules = await prisma.forwardingRule.findMany({
+      where: { isEnabled: true },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+      include: { destinations: true },
+    });
+
+    this._rulesCache = rules.map((rule) => {
+      let subjectRegex = null;
+      if (rule.subjectPattern) {
+        try {
+          subjectRegex = new RegExp(rule.subjectPattern, "i");
+        } catch (error) {
+          console.error(
+            `[Rules] Invalid subject pattern on rule "${rule.name}": ${error.message}`,
+          );
+          subjectRegex = false; // never matches
+        }
+      }
+      return { ...rule, subjectRegex };
+    });
+    this._rulesCacheTime = now;
+    return this._rulesCache;
+  }
+
+  /**
+   * Clear the rules cache (call after creating/updating/deleting rules)
+   */
+  clearCache() {
+    this._rulesCache = null;
+    this._rulesCacheTime = 0;
+  }
+
+  /**
+   * Check whether a single rule matches a message
+   * Every condition that is set must match; empty conditions are ignored
+   * @param {object} rule - Rule from getActiveRules()
+   * @param {object} message - Graph API message object
+   * @param {string} accountId - Mailbox the message was received in
+   * @param {string[]} groupIds - Groups of that mailbox
+   */
+  matches(rule, message, accountId, groupIds = []) {
+    if (rule.accountId && rule.accountId !== accountId) return false;
+    if (rule.groupId && !groupIds.includes(rule.groupId)) return false;
+
+    const fromAddress = (
+      message.from?.emailAddress?.address || ""
+    ).toLowerCase();
+
+    const senders = splitList(rule.fromAddress);
+    if (senders.length > 0 && !senders.includes(fromAddress)) return false;
+
+    const domains = splitList(rule.fromDomain);
+    if (domains.length > 0) {
+      const domain = fromAddress.split("@")[1] || "";
+      const domainMatch = domains.some(
+        (d) => domain === d || domain.endsWith(`.${d}`),
+      );
+      if (!domainMatch) return false;
+    }
+
+    if (rule.subjectRegex === false) return false;
+    if (rule.subjectRegex && !rule.subjectRegex.test(message.subject || "")) {
+      return false;
+    }
+
+    const recipients = splitList(rule.toAddress);
+    if (recipients.length > 0) {
+      const messageRecipients = [
+        ...(message.toRecipients || []),
+        ...(message.ccRecipients || []),
+      ].map((r) => (r.emailAddress?.address || "").toLowerCase());
+      if (!recipients.some((r) => messageRecipients.includes(r))) return false;
+    }
+
+    if (rule.bodyContains) {
+      const bodyText = messageBodyText(message).toLowerCase();
+      if (!bodyText.includes(rule.bodyContains.toLowerCase())) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the first enabled rule matching a message
+   * @param {object} message - Graph API message object (with body)
+   * @param {string} accountId - Mailbox the message was received in
+   * @returns {object|null} - Matching rule or null
+   */
+  async findMatchingRule(message, accountId) {
+    const rules = await this.getActiveRules();
+    const groupIds = rules.some((rule) => rule.groupId)
+      ? (await groupService.groupsOf(accountId)).map((g) => g.id)
+      : [];
+    return (
+      rules.find((rule) => this.matches(rule, message, accountId, groupIds)) ||
+      null
+    );
+  }
+}
+
+module.exports = new RulesService();
@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/database");
+const config = require("../config");
+
+// A replaced refresh token is still accepted this long after the rotation
+// (two tabs refreshing at the same time send the same cookie)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+/**
+ * Session Service
+ * One AdminSession per dashboard sign-in. The browser gets a short-lived
+ * access JWT (carries the session id as `sid`) and a refresh token in an
+ * httpOnly cookie. Refresh tokens are "<sessionId>.<random>", stored as a
+ * SHA-256 hash and replaced on every refresh; presenting a replaced token
+ * again (after the grace period) revokes the whole session.
+ */
+class SessionService {
+  /**
+   * Start a session after a complete login
+   * @param {object} user - AdminUser
+   * @param {object} req - Express request (user agent, IP)
+   * @returns {object} - { session, accessToken, refreshToken }
+   */
+  async create(user, req) {
+    // Drop this user's dead sessions so the table does not grow forever
+    await prisma.adminSession.deleteMany({
+      where: {
+        userId: user.id,
+        OR: [{ revokedAt: { not: null } }, { expiresAt: { lt: new Date() } }],
+      },
+    });
+
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const session = await prisma.adminSession.create({
+      data: {
+        userId: user.id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: (req?.get?.("user-agent") || "").slice(0, 512) || null,
+        ipAddress: req?.ip || null,
+        expiresAt: this.refreshExpiry(),
+      },
+    });
+
+    return {
+      session,
+      accessToken: this.signAccessToken(user, session),
+      refreshToken: `${session.id}.${secret}`,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @returns {object|null} - { user, session, accessToken, refreshToken },
+   *   null when the token is unknown, expired or revoked
+   */
+  async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+    if (!sessionId || !secret) return null;
+
+    const session = await prisma.adminSession.findUnique({
+      where: { id: sessionId },
+    });
+    if (!this.isActive(session)) return null;
+
+    const hash = hashToken(secret);
+    const inGrace =
+      hash === session.previousTokenHash &&
+      session.rotatedAt &&
+      Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+    if (hash !== session.refreshTokenHash && !inGrace) {
+      // An old token came back: it was copied, so the session is not safe
+      console.warn(`[Session] Refresh token reuse, revoking ${session.id}`);
+      await this.revoke(session.id, "token_reuse");
+      return null;
+    }
+
+    const user = await prisma.adminUser.findUnique({
+      where: { id: session.userId },
+    });
+    if (!user || !user.isActive) {
+      await this.revoke(session.id, "user_update");
+      return null;
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString("base64url");
+    const updated = await prisma.adminSession.update({
+      where: { id: session.id },
+      data: {
+        refreshTokenHash: hashToken(nextSecret),
+        previousTokenHash: hash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: this.refreshExpiry(),
+        userAgent:
+          (req?.get?.("user-agent") || "").slice(0, 512) || session.userAgent,
+        ipAddress: req?.ip || session.ipAddress,
+      },
+    });
+
+    return {
+      user,
+      session: updated,
+      accessToken: this.signAccessToken(user, updated),
+      refreshToken: `${updated.id}.${nextSecret}`,
+    };
+  }
+
+  signAccessToken(user, session) {
+    return jwt.sign(
+      { userId: user.id, sid: session.id, email: user.email, role: user.role },
+      config.jwt.secret,
+      { expiresIn: config.sessions.accessExpiresIn },
+    );
+  }
+
+  refreshExpiry() {
+    return new Date(
+      Date.now() + config.sessions.refreshTtlDays * 24 * 60 * 60 * 1000,
+    );
+  }
+
+  isActive(session) {
+    return !!(
+      session &&
+      !session.revokedAt &&
+      session.expiresAt.getTime() > Date.now()
+    );
+  }
+
+  /**
+   * Active session by id (checked on every authenticated request)
+   */
+  async findActive(sessionId) {
+    if (!sessionId) return null;
+    const session = await prisma.adminSession.findUnique({
+      where: { id: sessionId },
+    });
+    return this.isActive(session) ? session : null;
+  }
+
+  /**
+   * Session id of a refresh token (the cookie on logout)
+   */
+  idFromRefreshToken(refreshToken) {
+    return String(refreshToken || "").split(".")[0] || null;
+  }
+
+  async revoke(sessionId, reason = "revoked") {
+    const { count } = await prisma.adminSession.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Sign a user out everywhere
+   * @param {string} userId
+   * @param {object} options - { reason, exceptId } (exceptId: keep this session)
+   * @returns {number} - Sessions revoked
+   */
+  async revokeAll(userId, { reason = "signout_all", exceptId } = {}) {
+    const { count } = await prisma.adminSession.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptId ? { NOT: { id: exceptId } } : {}),
+      },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return count;
+  }
+
+  /**
+   * A user's active sessions, most recently used first
+   * @param {string} userId
+   * @param {string} currentId - Session of the request (flagged `current`)
+   */
+  async listActive(userId, currentId) {
+    const sessions = await prisma.adminSession.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: "desc" },
+    });
+
+    return sessions.map((session) => ({
+      id: session.id,
+      device: this.describeDevice(session.userAgent),
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentId,
+    }));
+  }
+
+  /**
+   * Short label of a user agent, e.g. "Chrome on Windows"
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) return "Unknown device";
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+    const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return userAgent.slice(0, 60);
+    if (!system) return browser[1];
+    if (!browser) return system[1];
+    return `${browser[1]} on ${system[1]}`;
+  }
+}
+
+module.exports = new SessionService();
@@ -1,24 +1,27 @@
 const prisma = require("../config/database");
 const graphService = require("./graph.service");
 const forwarderService = require("./forwarder.service");
+const folderService = require("./folder.service");
 const config = require("../config");
+const { enqueueMissedForward } = require("../queues/forward.queue");
 
 /**
  * Mail Sync Service
  * Orchestrates the syncing and forwarding of emails
  */
 class SyncService {
-  /**
-   * Small delay helper to avoid hitting rate limits
-   */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
   /**
    * Process a single message
+   * @param {object} prefetched - Full message from a batch fetch
+   *                              (null = deleted, Error = failed, undefined = fetch now)
    */
-  async processMessage(message, accountId, accountEmail, forwardedIds) {
+  async processMessage(
+    message,
+    accountId,
+    accountEmail,
+    forwardedIds,
+    prefetched = undefined,
+  ) {
     // Skip if already forwarded (check from pre-loaded set)
     if (forwardedIds.has(message.id)) {
       return { status: "skipped" };
@@ -28,33 +31,43 @@ class SyncService {
     const from = message.from?.emailAddress?.address || "unknown";
     console.log(`      → Processing: "${subject}" from ${from}`);
 
-    // Small delay before fetching message details (rate limit protection)
-    await this.sleep(100);
-
     // Get full message (attachments handled by Graph forward)
-    let fullMessage;
-    try {
-      fullMessage = await graphService.getMessage(accountId, message.id);
-    } catch (error) {
-      // Message was deleted before we could process it
-      if (error.response?.status === 404) {
-        console.log(`      ⊘ Message deleted, skipping`);
-        return { status: "skipped" };
+    let fullMessage = prefetched;
+    if (fullMessage === undefined) {
+      try {
+        fullMessage = await graphService.getMessage(accountId, message.id);
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        fullMessage = null;
       }
-      throw error;
     }
+    if (fullMessage instanceof Error) throw fullMessage;
 
-    // Forward the message via Graph API directly
-    console.log(`      → Forwarding via Graph API...`);
-    await forwarderService.forwardGraphMessage(
+    // Message was deleted before we could process it
+    if (fullMessage === null) {
+      console.log(`      ⊘ Message deleted, skipping`);
+      return { status: "skipped" };
+    }
+
+    // Apply forwarding rules (logs the result in MailMessageLog)
+    console.log(`      → Applying forwarding rules...`);
+    const forwardResult = await forwarderService.forwardGraphMessage(
       fullMessage,
       [],
       accountEmail,
       accountId,
     );
 
-    // Small delay after forwarding (rate limit protection)
-    await this.sleep(forwarderService.forwardDelayMs);
+    if (forwardResult.mode === "SKIP") {
+      console.log(`      ⊘ Skipped (${forwardResult.rule || "no rule"})`);
+      return { status: "skipped" };
+    }
+
+    // Counted as forwarded or failed when its deliveries finish
+    if (forwardResult.mode === "API") {
+      console.log(`      ✓ Queued ${forwardResult.queued} API delivery(ies)`);
+      return { status: "queued", subject };
+    }
 
     console.log(`      ✓ Message forwarded successfully`);
 
@@ -64,28 +77,114 @@ class SyncService {
       data: { forwardedCount: { increment: 1 } },
     });
 
-    // Log for dedup only (minimal - just ID and status)
-    await prisma.mailMessageLog.upsert({
-      where: {
-        accountId_graphMessageId: {
+    return { status: "forwarded", subject };
+  }
+
+  /**
+   * Run the delta query of every enabled folder of an account
+   * A failing folder is recorded on its MailSyncState; the sync only fails
+   * when every folder failed.
+   * @returns {object} - { messages (deduplicated), folders: [{ folderId, found, error }] }
+   */
+  async getFolderDeltas(accountId) {
+    const folders = await folderService.getFolders(accountId, {
+      enabledOnly: true,
+    });
+    const messages = [];
+    const seen = new Set();
+    const summary = [];
+    let firstError = null;
+
+    for (const folder of folders) {
+      try {
+        const req = await graphService.getDeltaMessages(
           accountId,
-          graphMessageId: fullMessage.id,
-        },
+          folder.folderId,
+        );
+        for (const message of req.messages) {
+          if (seen.has(message.id)) continue;
+          seen.add(message.id);
+          messages.push(message);
+        }
+        await folderService.clearError(accountId, folder.folderId);
+        summary.push({ folderId: folder.folderId, found: req.messages.length });
+      } catch (error) {
+        firstError = firstError || error;
+        const message = error.response?.data?.error?.message || error.message;
+        await folderService.recordError(
+          accountId,
+          folder.folderId,
+          `Delta: ${message}`,
+        );
+        summary.push({ folderId: folder.folderId, found: 0, error: message });
+      }
+    }
+
+    if (firstError && summary.every((f) => f.error)) throw firstError;
+
+    return { messages, folders: summary };
+  }
+
+  /**
+   * Reconcile a mailbox: run the folder deltas and send every recent message
+   * without a MailMessageLog entry through the webhook forward queue
+   * @returns {object} - { accountId, email, checked, recovered, folders }
+   */
+  async reconcileMailbox(accountId) {
+    const account = await prisma.mailAccount.findUnique({
+      where: { id: accountId },
+      select: {
+        id: true,
+        email: true,
+        status: true,
+        isEnabled: true,
+        createdAt: true,
       },
-      create: {
+    });
+
+    if (!account || account.status !== "CONNECTED" || !account.isEnabled) {
+      return { accountId, skipped: true, reason: account?.status };
+    }
+
+    const delta = await this.getFolderDeltas(accountId);
+    const since = Math.max(
+      account.createdAt.getTime(),
+      Date.now() - config.reconcile.lookbackMs,
+    );
+    const recent = delta.messages.filter(
+      (m) => new Date(m.receivedDateTime).getTime() >= since,
+    );
+
+    const result = {
+      accountId,
+      email: account.email,
+      checked: delta.messages.length,
+      recovered: 0,
+      folders: delta.folders,
+    };
+    if (recent.length === 0) return result;
+
+    const logged = await prisma.mailMessageLog.findMany({
+      where: {
         accountId,
-        graphMessageId: fullMessage.id,
-        internetMessageId: fullMessage.internetMessageId,
-        forwardStatus: "FORWARDED",
-        lastAttemptAt: new Date(),
-      },
-      update: {
-        forwardStatus: "FORWARDED",
-        lastAttemptAt: new Date(),
+        graphMessageId: { in: recent.map((m) => m.id) },
       },
+      select: { graphMessageId: true },
     });
+    const loggedIds = new Set(logged.map((l) => l.graphMessageId));
 
-    return { status: "forwarded", subject };
+    for (const message of recent) {
+      if (loggedIds.has(message.id)) continue;
+
+      const queued = await enqueueMissedForward({
+        accountId,
+        accountEmail: account.email,
+        messageId: message.id,
+      });
+      if (queued) result.recovered++;
+    }
+
+    return result;
   }
 
   /**
@@ -112,16 +211,18 @@ class SyncService {
       email: account.email,
       messagesFound: 0,
       messagesForwarded: 0,
+      messagesQueued: 0,
       messagesFailed: 0,
       messagesSkipped: 0,
       errors: [],
     };
 
     try {
-      // Get new messages via delta
-      const req = await graphService.getDeltaMessages(accountId);
-      const messages = req.messages;
+      // Get new messages via delta (one delta link per watched folder)
+      const delta = await this.getFolderDeltas(accountId);
+      const messages = delta.messages;
       result.messagesFound = messages.length;
+      result.folders = delta.folders;
 
       if (messages.length === 0) {
         // No messages, just update sync time
@@ -148,26 +249,40 @@ class SyncService {
       });
       const forwardedIds = new Set(forwardedLogs.map((l) => l.graphMessageId));
 
-      // Process messages in larger batches to maximize throughput
-      // Each message has built-in delays for API calls and forwarding
-      const BATCH_SIZE = 8;
+      // Process messages in batches: one Graph $batch request fetches the
+      // whole batch (Graph calls are throttled by the shared rate limiter)
+      const BATCH_SIZE = 20;
       for (let i = 0; i < messages.length; i += BATCH_SIZE) {
         const batch = messages.slice(i, i + BATCH_SIZE);
+        const toFetch = batch
+          .filter((msg) => !forwardedIds.has(msg.id))
+          .map((msg) => msg.id);
+
+        let fetched;
+        try {
+          fetched = await graphService.getMessages(accountId, toFetch);
+        } catch (error) {
+          // Whole batch failed: every message in it fails with this error
+          fetched = new Map(toFetch.map((id) => [id, error]));
+        }
+
         const results = await Promise.allSettled(
           batch.map((msg) =>
-            this.processMessage(msg, accountId, account.email, forwardedIds),
+            this.processMessage(
+              msg,
+              accountId,
+              account.email,
+              forwardedIds,
+              fetched.get(msg.id),
+            ),
           ),
         );
 
-        // Minimal delay between batches
-        if (i + BATCH_SIZE < messages.length) {
-          await this.sleep(100);
-        }
-
         for (let j = 0; j < results.length; j++) {
           const r = results[j];
           if (r.status === "fulfilled") {
             if (r.value.status === "forwarded") result.messagesForwarded++;
+            else if (r.value.status === "queued") result.messagesQueued++;
             else if (r.value.status === "skipped") result.messagesSkipped++;
           } else {
             const err = r.reason;
@@ -263,10 +378,16 @@ class SyncService {
       } else {
         // For other errors: send error notification (only once per 5 errors to avoid spam)
         if (newErrorCount === 1 || newErrorCount % 5 === 0) {
-          await forwarderService.sendErrorNotification(
+          await forwarderService.sendErrorNotificationToDev(
             account.email,
             accountId,
-            error.message,
+            {
+              status: error.response?.status,
+              errorCode: error.response?.data?.error?.code,
+              errorMessage: error.message,
+              errorCount: newErrorCount,
+              timestamp: new Date().toISOString(),
+            },
           );
         }
       }
@@ -328,7 +449,7 @@ class SyncService {
 
     const results = { total: failedMessages.length, succeeded: 0, failed: 0 };
 
-    // Process retries sequentially to respect rate limits
+    // Process retries sequentially (Graph calls go through the rate limiter)
     for (const log of failedMessages) {
       try {
         const success = await this.retryMessage(log);
@@ -337,8 +458,6 @@ class SyncService {
       } catch {
         results.failed++;
       }
-      // Reduced delay between retries for faster processing
-      await this.sleep(300);
     }
 
     return results;
@@ -349,23 +468,24 @@ class SyncService {
    */
   async retryMessage(log) {
     try {
-      // Minimal delay before retry (rate limit protection)
-      await this.sleep(100);
-
       const fullMessage = await graphService.getMessage(
         log.accountId,
         log.graphMessageId,
       );
 
-      await forwarderService.forwardGraphMessage(
+      const forwardResult = await forwarderService.forwardGraphMessage(
         fullMessage,
         [],
         log.account.email,
         log.accountId,
       );
 
-      // Small delay after forwarding
-      await this.sleep(75);
+      // No rule wants this message any more (already logged as SKIPPED)
+      if (forwardResult.mode === "SKIP") return true;
+
+      // New API deliveries set the status when they finish; none queued =
+      // the existing ones need a replay from the dead-letter page
+      if (forwardResult.mode === "API") return forwardResult.queued > 0;
 
       await prisma.mailMessageLog.update({
         where: { id: log.id },
@@ -403,14 +523,18 @@ class SyncService {
 
   /**
    * Get sync statistics
+   * @param {object} options - { accountIds } to count only these accounts
    */
-  async getStatistics() {
+  async getStatistics({ accountIds } = {}) {
+    const where = accountIds ? { id: { in: accountIds } } : {};
     const [accounts, accountAggregates] = await Promise.all([
       prisma.mailAccount.groupBy({
         by: ["status"],
+        where,
         _count: true,
       }),
       prisma.mailAccount.aggregate({
+        where,
         _sum: {
           forwardedCount: true,
           failedForwardCount: true,
@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const prisma = require("../config/database");
+const config = require("../config");
+const encryption = require("../utils/encryption");
+const totp = require("../utils/totp");
+
+// SystemSetting key: "true" makes 2FA mandatory for every dashboard user
+const REQUIRED_SETTING_KEY = "require2fa";
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ""))
+    .digest("hex");
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP (authenticator app) codes for dashboard logins, with single-use
+ * recovery codes. The secret is stored encrypted on AdminUser; 2FA is
+ * active once twoFactorEnabledAt is set (after the first valid code).
+ */
+class TwoFactorService {
+  isEnabled(user) {
+    return !!(user && user.twoFactorEnabledAt && user.twoFactorSecret);
+  }
+
+  /**
+   * Whether every user must use 2FA (admin setting)
+   */
+  async isRequired() {
+    const setting = await prisma.systemSetting.findUnique({
+      where: { key: REQUIRED_SETTING_KEY },
+    });
+    return setting?.value === "true";
+  }
+
+  async setRequired(required) {
+    await prisma.systemSetting.upsert({
+      where: { key: REQUIRED_SETTING_KEY },
+      create: { key: REQUIRED_SETTING_KEY, value: String(!!required) },
+      update: { value: String(!!required) },
+    });
+  }
+
+  /**
+   * 2FA state of a user (for the settings page)
+   */
+  async getStatus(user) {
+    return {
+      enabled: this.isEnabled(user),
+      enabledAt: user.twoFactorEnabledAt || null,
+      recoveryCodesLeft: this.isEnabled(user)
+        ? (user.twoFactorRecoveryCodes || []).length
+        : 0,
+      required: await this.isRequired(),
+    };
+  }
+
+  /**
+   * Start enrollment: store a new (not yet active) secret
+   * @returns {object} - { secret, otpauthUrl }
+   */
+  async beginSetup(user) {
+    const secret = totp.generateSecret();
+
+    await prisma.adminUser.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: encryption.encrypt(secret),
+        twoFactorEnabledAt: null,
+        twoFactorRecoveryCodes: null,
+        twoFactorLastStep: null,
+      },
+    });
+
+    return {
+      secret,
+      otpauthUrl: totp.otpauthUrl({
+        secret,
+        account: user.email,
+        issuer: config.twoFactor.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the app
+   * @returns {string[]|null} - Recovery codes (shown once), null if the code is wrong
+   */
+  async enable(user, code) {
+    if (!user.twoFactorSecret || this.isEnabled(user)) return null;
+
+    const step = totp.verifyCode(
+      encryption.decrypt(user.twoFactorSecret),
+      code,
+    );
+    if (step === null) return null;
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await prisma.adminUser.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        twoFactorFailures: 0,
+        twoFactorLockedUntil: null,
+      },
+    });
+
+    return recoveryCodes;
+  }
+
+  async disable(userId) {
+    await prisma.adminUser.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorRecoveryCodes: null,
+        twoFactorLastStep: null,
+        twoFactorFailures: 0,
+        twoFactorLockedUntil: null,
+      },
+    });
+  }
+
+  /**
+   * Check a login code: a TOTP code, or else a recovery code (used up).
+   * Too many wrong codes lock 2FA for config.twoFactor.lockMinutes.
+   * @returns {object} - { ok, method: "totp" | "recovery", lockedUntil }
+   */
+  async verify(user, code) {
+    if (!this.isEnabled(user)) return { ok: false };
+
+    if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date()) {
+      return { ok: false, lockedUntil: user.twoFactorLockedUntil };
+    }
+
+    const step = totp.verifyCode(
+      encryption.decrypt(user.twoFactorSecret),
+      code,
+    );
+    // A code is accepted once (no replay within its 90s window)
+    if (step !== null && step > (user.twoFactorLastStep ?? -1)) {
+      await prisma.adminUser.update({
+        where: { id: user.id },
+        data: {
+          twoFactorLastStep: step,
+          twoFactorFailures: 0,
+          twoFactorLockedUntil: null,
+        },
+      });
+      return { ok: true, method: "totp" };
+    }
+
+    const hashes = user.twoFactorRecoveryCodes || [];
+    const hash = hashRecoveryCode(code || "");
+    if (step === null && hashes.includes(hash)) {
+      await prisma.adminUser.update({
+        where: { id: user.id },
+        data: {
+          twoFactorRecoveryCodes: hashes.filter((h) => h !== hash),
+          twoFactorFailures: 0,
+          twoFactorLockedUntil: null,
+        },
+      });
+      return {
+        ok: true,
+        method: "recovery",
+        recoveryCodesLeft: hashes.length - 1,
+      };
+    }
+
+    return this.recordFailure(user);
+  }
+
+  async recordFailure(user) {
+    const failures = (user.twoFactorFailures || 0) + 1;
+    const locked = failures >= config.twoFactor.maxFailures;
+    const lockedUntil = locked
+      ? new Date(Date.now() + config.twoFactor.lockMinutes * 60000)
+      : null;
+
+    await prisma.adminUser.update({
+      where: { id: user.id },
+      data: {
+        twoFactorFailures: locked ? 0 : failures,
+        twoFactorLockedUntil: lockedUntil,
+      },
+    });
+
+    if (locked) {
+      console.warn(
+        `[2FA] Too many wrong codes for ${user.email}, locked until ${lockedUntil.toISOString()}`,
+      );
+    }
+
+    return { ok: false, lockedUntil };
+  }
+
+  /**
+   * Replace the recovery codes
+   * @returns {string[]} - New codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await prisma.adminUser.update({
+      where: { id: userId },
+      data: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) },
+    });
+    return recoveryCodes;
+  }
+
+  /**
+   * Random recovery codes like "k7mqx-2pd9a"
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = totp
+        .base32Encode(crypto.randomBytes(7))
+        .toLowerCase()
+        .slice(0, 10);
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
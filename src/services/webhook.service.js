@@ -1,12 +1,11 @@
-const axios = require("axios");
 const crypto = require("crypto");
 const config = require("../config");
 const prisma = require("../config/database");
-const microsoftAuthService = require("./microsoftAuth.service");
+const graphService = require("./graph.service");
+const folderService = require("./folder.service");
 
 class WebhookService {
   constructor() {
-    this.graphBaseUrl = config.microsoft.graphBaseUrl;
     // ✅ نفس القيمة بتاعتك (مش هنغير المدة)
     this.subscriptionLifetimeMinutes = 4230;
     // Track unknown subscription IDs to only log once
@@ -25,12 +24,16 @@ class WebhookService {
     return expiration.toISOString();
   }
 
-  async createSubscription(accountId) {
-    const accessToken =
-      await microsoftAuthService.getValidAccessToken(accountId);
+  /**
+   * Create (or replace) the subscription of one mail folder
+   * @param {string} accountId - Account ID
+   * @param {string} folderId - MailSyncState.folderId (default Inbox)
+   */
+  async createSubscription(accountId, folderId = "Inbox") {
+    const client = await graphService.clientFor(accountId);
 
     // Delete old subscription from Microsoft before creating new one
-    await this._deleteOldSubscriptionFromMicrosoft(accountId, accessToken);
+    await this._deleteOldSubscriptionFromMicrosoft(accountId, client, folderId);
 
     const clientState = this.generateClientState();
     const expirationDateTime = this.getExpirationDateTime();
@@ -38,28 +41,21 @@ class WebhookService {
     const subscriptionPayload = {
       changeType: "created",
       notificationUrl: config.webhook.url,
-      resource: "/me/mailFolders('Inbox')/messages",
+      lifecycleNotificationUrl: config.webhook.lifecycleUrl,
+      resource: `/me/mailFolders('${encodeURIComponent(folderId)}')/messages`,
       expirationDateTime,
       clientState,
     };
 
-    const response = await axios.post(
-      `${this.graphBaseUrl}/subscriptions`,
-      subscriptionPayload,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-      },
-    );
+    const response = await client.post("/subscriptions", subscriptionPayload);
 
     const subscription = response.data;
 
     await prisma.webhookSubscription.upsert({
-      where: { accountId },
+      where: { accountId_folderId: { accountId, folderId } },
       create: {
         accountId,
+        folderId,
         subscriptionId: subscription.id,
         resource: subscription.resource,
         changeType: subscription.changeType,
@@ -77,18 +73,72 @@ class WebhookService {
       },
     });
 
-    console.log(`[Webhook] Subscription created for account ${accountId}`);
+    await folderService.clearError(accountId, folderId);
+
+    console.log(
+      `[Webhook] Subscription created for account ${accountId} (${folderId})`,
+    );
     return subscription;
   }
 
+  /**
+   * Create subscriptions for every enabled folder of an account
+   * A failing folder is recorded on its MailSyncState and does not stop the others.
+   * @returns {object} - { created, failed }
+   */
+  async createSubscriptionsForAccount(accountId) {
+    const folders = await folderService.getFolders(accountId, {
+      enabledOnly: true,
+    });
+    let created = 0;
+    let failed = 0;
+
+    for (const folder of folders) {
+      try {
+        await this.createSubscription(accountId, folder.folderId);
+        created++;
+      } catch (error) {
+        failed++;
+        const message = error.response?.data?.error?.message || error.message;
+        console.error(
+          `[Webhook] Subscription failed for ${accountId} (${folder.folderId}): ${message}`,
+        );
+        await folderService.recordError(
+          accountId,
+          folder.folderId,
+          `Subscription: ${message}`,
+        );
+      }
+    }
+
+    return { created, failed };
+  }
+
+  /**
+   * Remove a folder subscription from Microsoft and from the database
+   */
+  async deleteSubscription(accountId, folderId) {
+    const client = await graphService.clientFor(accountId).catch(() => null);
+    if (client) {
+      await this._deleteOldSubscriptionFromMicrosoft(
+        accountId,
+        client,
+        folderId,
+      );
+    }
+    await prisma.webhookSubscription.deleteMany({
+      where: { accountId, folderId },
+    });
+  }
+
   /**
    * Delete old subscription from Microsoft to prevent stale notifications
    * Silently ignores errors (subscription may already be expired/deleted)
    */
-  async _deleteOldSubscriptionFromMicrosoft(accountId, accessToken) {
+  async _deleteOldSubscriptionFromMicrosoft(accountId, client, folderId) {
     try {
       const existing = await prisma.webhookSubscription.findUnique({
-        where: { accountId },
+        where: { accountId_folderId: { accountId, folderId } },
         select: { subscriptionId: true },
       });
 
@@ -98,14 +148,7 @@ class WebhookService {
         `[Webhook] Deleting old subscription ${existing.subscriptionId} from Microsoft...`,
       );
 
-      await axios.delete(
-        `${this.graphBaseUrl}/subscriptions/${existing.subscriptionId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-          },
-        },
-      );
+      await client.delete(`/subscriptions/${existing.subscriptionId}`);
 
       console.log(
         `[Webhook] Old subscription ${existing.subscriptionId} deleted from Microsoft`,
@@ -118,39 +161,36 @@ class WebhookService {
     }
   }
 
-  async renewSubscription(accountId) {
+  async renewSubscription(accountId, folderId = "Inbox") {
     const existingSubscription = await prisma.webhookSubscription.findUnique({
-      where: { accountId },
+      where: { accountId_folderId: { accountId, folderId } },
     });
 
     if (!existingSubscription) {
-      return this.createSubscription(accountId);
+      return this.createSubscription(accountId, folderId);
     }
 
     try {
-      const accessToken =
-        await microsoftAuthService.getValidAccessToken(accountId);
+      const client = await graphService.clientFor(accountId);
       const expirationDateTime = this.getExpirationDateTime();
 
-      const response = await axios.patch(
-        `${this.graphBaseUrl}/subscriptions/${existingSubscription.subscriptionId}`,
-        { expirationDateTime },
+      const response = await client.patch(
+        `/subscriptions/${existingSubscription.subscriptionId}`,
         {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "application/json",
-          },
+          expirationDateTime,
         },
       );
 
       const subscription = response.data;
 
       await prisma.webhookSubscription.update({
-        where: { accountId },
+        where: { accountId_folderId: { accountId, folderId } },
         data: { expiresAt: new Date(subscription.expirationDateTime) },
       });
 
-      console.log(`[Webhook] Subscription renewed for account ${accountId}`);
+      console.log(
+        `[Webhook] Subscription renewed for account ${accountId} (${folderId})`,
+      );
       return subscription;
     } catch (error) {
       // recreate on invalid/expired
@@ -160,29 +200,49 @@ class WebhookService {
         error.response?.data?.error?.code === "InvalidSubscription"
       ) {
         console.log(
-          `[Webhook] Subscription invalid for ${accountId}, recreating...`,
+          `[Webhook] Subscription invalid for ${accountId} (${folderId}), recreating...`,
         );
-        await prisma.webhookSubscription.deleteMany({ where: { accountId } });
-        return this.createSubscription(accountId);
+        await prisma.webhookSubscription.deleteMany({
+          where: { accountId, folderId },
+        });
+        return this.createSubscription(accountId, folderId);
       }
       throw error;
     }
   }
 
-  async getAccountsNeedingSubscription() {
-    const existing = await prisma.webhookSubscription.findMany({
-      select: { accountId: true },
-    });
-    const existingIds = existing.map((s) => s.accountId);
+  /**
+   * Enabled folders of active accounts that have no subscription yet
+   * @returns {array} - [{ accountId, email, folderId }]
+   */
+  async getFoldersNeedingSubscription() {
+    const [folders, existing] = await Promise.all([
+      prisma.mailSyncState.findMany({
+        where: {
+          isEnabled: true,
+          account: { status: "CONNECTED", isEnabled: true },
+        },
+        select: {
+          accountId: true,
+          folderId: true,
+          account: { select: { email: true } },
+        },
+      }),
+      prisma.webhookSubscription.findMany({
+        select: { accountId: true, folderId: true },
+      }),
+    ]);
+    const existingKeys = new Set(
+      existing.map((s) => `${s.accountId}:${s.folderId}`),
+    );
 
-    return prisma.mailAccount.findMany({
-      where: {
-        status: "CONNECTED",
-        isEnabled: true,
-        NOT: { id: { in: existingIds } },
-      },
-      select: { id: true, email: true },
-    });
+    return folders
+      .filter((f) => !existingKeys.has(`${f.accountId}:${f.folderId}`))
+      .map((f) => ({
+        accountId: f.accountId,
+        email: f.account.email,
+        folderId: f.folderId,
+      }));
   }
 
   async getExpiringSubscriptions() {
@@ -191,7 +251,12 @@ class WebhookService {
 
     return prisma.webhookSubscription.findMany({
       where: { expiresAt: { lte: twelveHoursFromNow } },
-      select: { accountId: true, subscriptionId: true, expiresAt: true },
+      select: {
+        accountId: true,
+        folderId: true,
+        subscriptionId: true,
+        expiresAt: true,
+      },
     });
   }
 
@@ -220,9 +285,10 @@ class WebhookService {
   }
 
   async getSubscriptionStatus(accountId) {
-    return prisma.webhookSubscription.findUnique({
+    return prisma.webhookSubscription.findMany({
       where: { accountId },
       select: {
+        folderId: true,
         subscriptionId: true,
         expiresAt: true,
         createdAt: true,
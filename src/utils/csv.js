@@ -0,0 +1,72 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * Also splits on ";" or tabs when the first line has those but no commas,
+ * as spreadsheets export them in some locales.
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows of trimmed cells (blank lines skipped) with
+ *   their 1-based line number as row.line
+ */
+const parseCsv = (text) => {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(",")
+    ? ","
+    : firstLine.includes(";")
+      ? ";"
+      : firstLine.includes("\t")
+        ? "\t"
+        : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell.trim());
+    if (row.some((c) => c !== "")) {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === "") {
+      cell = "";
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+};
+
+module.exports = {
+  parseCsv,
+};
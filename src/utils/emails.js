@@ -0,0 +1,24 @@
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check that a value looks like an email address
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isEmail = (value) => EMAIL_REGEX.test(String(value || ""));
+
+/**
+ * Split a list of addresses typed by a user
+ * Accepts an array or a string separated by commas, semicolons or spaces
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+const splitEmails = (value) =>
+  String(Array.isArray(value) ? value.join(",") : value || "")
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+
+module.exports = {
+  isEmail,
+  splitEmails,
+};
@@ -1,29 +1,93 @@
+const crypto = require("crypto");
 const CryptoJS = require("crypto-js");
 const config = require("../config");
 
+// gcm1:<keyId>:<wrapped data key>:<iv>:<auth tag>:<ciphertext> (base64url)
+const FORMAT = "gcm1";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Key ID reported for CryptoJS ciphertexts (written before key IDs existed)
+const LEGACY_KEY_ID = "legacy";
+
+const b64 = (buffer) => buffer.toString("base64url");
+const unb64 = (text) => Buffer.from(text, "base64url");
+
+function gcmEncrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function gcmDecrypt(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
 /**
- * Encryption utility for securing sensitive data (tokens)
- * Uses AES-256 encryption
+ * Key encryption keys from config: { keys: Map(id -> 32-byte key), currentKeyId, legacyKey }
+ * ENCRYPTION_KEYS lists "id:secret" pairs; ENCRYPTION_KEY alone acts as key
+ * "default" and still decrypts CryptoJS ciphertexts.
  */
+function keysFromConfig() {
+  const secrets = new Map(config.encryption.keys);
+  if (config.encryptionKey && !secrets.has("default")) {
+    secrets.set("default", config.encryptionKey);
+  }
+
+  return {
+    secrets,
+    currentKeyId:
+      config.encryption.currentKeyId || [...secrets.keys()][0] || null,
+    legacyKey: config.encryptionKey || null,
+  };
+}
 
+/**
+ * Encryption utility for securing sensitive data (tokens)
+ * Envelope encryption with AES-256-GCM: every value gets its own random
+ * data key, which is stored wrapped by a versioned key encryption key.
+ * Rotating the key only re-wraps data keys (see rotate()).
+ */
 class Encryption {
-  constructor() {
-    this.key = config.encryptionKey;
-    if (!this.key) {
+  /**
+   * @param {object} options - { secrets: Map(id -> secret), currentKeyId, legacyKey }
+   */
+  constructor({ secrets, currentKeyId, legacyKey } = keysFromConfig()) {
+    if (!secrets.size) {
       throw new Error("Encryption key is not set in configuration");
     }
+    if (!secrets.has(currentKeyId)) {
+      throw new Error(`Encryption key "${currentKeyId}" is not configured`);
+    }
+
+    this.currentKeyId = currentKeyId;
+    this.legacyKey = legacyKey;
+    this.keys = new Map();
+    for (const [id, secret] of secrets) {
+      if (!/^[\w.-]+$/.test(id)) {
+        throw new Error(`Invalid encryption key ID "${id}"`);
+      }
+      // Secrets may be passphrases: stretch them to 256 bits
+      this.keys.set(id, crypto.scryptSync(secret, `mail-collector:${id}`, 32));
+    }
   }
 
   /**
    * Encrypt a string
    * @param {string} text - Plain text to encrypt
-   * @returns {string} - Encrypted text (base64)
+   * @returns {string} - gcm1:... ciphertext under the current key
    */
   encrypt(text) {
     if (!text) return null;
     try {
-      const encrypted = CryptoJS.AES.encrypt(text, this.key).toString();
-      return encrypted;
+      const dataKey = crypto.randomBytes(32);
+      const data = gcmEncrypt(dataKey, Buffer.from(String(text), "utf8"));
+      return this.format(this.currentKeyId, this.wrap(dataKey), data);
     } catch (error) {
       console.error("Encryption error:", error);
       throw new Error("Failed to encrypt data");
@@ -31,24 +95,122 @@ class Encryption {
   }
 
   /**
-   * Decrypt a string
-   * @param {string} encryptedText - Encrypted text (base64)
+   * Decrypt a string (gcm1 or a legacy CryptoJS ciphertext)
+   * @param {string} encryptedText - Encrypted text
    * @returns {string} - Decrypted plain text
    */
   decrypt(encryptedText) {
     if (!encryptedText) return null;
     try {
-      const bytes = CryptoJS.AES.decrypt(encryptedText, this.key);
-      const decrypted = bytes.toString(CryptoJS.enc.Utf8);
-      if (!decrypted) {
-        throw new Error("Decryption resulted in empty string");
+      if (!this.isEnvelope(encryptedText)) {
+        return this.decryptLegacy(encryptedText);
       }
-      return decrypted;
+
+      const { keyId, wrappedKey, data } = this.parse(encryptedText);
+      const dataKey = this.unwrap(keyId, wrappedKey);
+      return gcmDecrypt(dataKey, data).toString("utf8");
     } catch (error) {
-      console.error("Decryption error:", error);
+      console.error("Decryption error:", error.message);
       throw new Error("Failed to decrypt data");
     }
   }
+
+  /**
+   * Key ID of a ciphertext ("legacy" for CryptoJS ones)
+   */
+  keyIdOf(encryptedText) {
+    if (!encryptedText) return null;
+    return this.isEnvelope(encryptedText)
+      ? encryptedText.split(":")[1]
+      : LEGACY_KEY_ID;
+  }
+
+  needsRotation(encryptedText) {
+    return !!encryptedText && this.keyIdOf(encryptedText) !== this.currentKeyId;
+  }
+
+  /**
+   * Same value under the current key. gcm1 ciphertexts keep their data key
+   * and ciphertext (only the data key is re-wrapped); legacy ones are
+   * decrypted and encrypted again.
+   */
+  rotate(encryptedText) {
+    if (!this.needsRotation(encryptedText)) return encryptedText;
+    if (!this.isEnvelope(encryptedText)) {
+      return this.encrypt(this.decrypt(encryptedText));
+    }
+
+    const { keyId, wrappedKey, data } = this.parse(encryptedText);
+    const dataKey = this.unwrap(keyId, wrappedKey);
+    return this.format(this.currentKeyId, this.wrap(dataKey), data);
+  }
+
+  isEnvelope(encryptedText) {
+    return String(encryptedText).startsWith(`${FORMAT}:`);
+  }
+
+  decryptLegacy(encryptedText) {
+    if (!this.legacyKey) {
+      throw new Error("ENCRYPTION_KEY is needed to read legacy ciphertexts");
+    }
+    const bytes = CryptoJS.AES.decrypt(encryptedText, this.legacyKey);
+    const decrypted = bytes.toString(CryptoJS.enc.Utf8);
+    if (!decrypted) {
+      throw new Error("Decryption resulted in empty string");
+    }
+    return decrypted;
+  }
+
+  // Data key wrapped by the current key (the key ID is authenticated)
+  wrap(dataKey) {
+    const { iv, tag, ciphertext } = gcmEncrypt(
+      this.keys.get(this.currentKeyId),
+      dataKey,
+      this.currentKeyId,
+    );
+    return Buffer.concat([iv, tag, ciphertext]);
+  }
+
+  unwrap(keyId, wrappedKey) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key "${keyId}" is not configured`);
+    }
+    return gcmDecrypt(
+      key,
+      {
+        iv: wrappedKey.subarray(0, IV_BYTES),
+        tag: wrappedKey.subarray(IV_BYTES, IV_BYTES + TAG_BYTES),
+        ciphertext: wrappedKey.subarray(IV_BYTES + TAG_BYTES),
+      },
+      keyId,
+    );
+  }
+
+  format(keyId, wrappedKey, { iv, tag, ciphertext }) {
+    return [
+      FORMAT,
+      keyId,
+      b64(wrappedKey),
+      b64(iv),
+      b64(tag),
+      b64(ciphertext),
+    ].join(":");
+  }
+
+  parse(encryptedText) {
+    const parts = encryptedText.split(":");
+    if (parts.length !== 6) {
+      throw new Error("Malformed ciphertext");
+    }
+    const [, keyId, wrappedKey, iv, tag, ciphertext] = parts;
+    return {
+      keyId,
+      wrappedKey: unb64(wrappedKey),
+      data: { iv: unb64(iv), tag: unb64(tag), ciphertext: unb64(ciphertext) },
+    };
+  }
 }
 
 module.exports = new Encryption();
+module.exports.Encryption = Encryption;
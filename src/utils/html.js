@@ -0,0 +1,52 @@
+/**
+ * Convert an HTML email body to plain text (simple + fast)
+ * Strips style/script blocks and tags, decodes common entities
+ * @param {string} html - HTML content
+ * @returns {string} - Plain text
+ */
+const htmlToText = (html) => {
+  return (html || "")
+    .replace(/<style[\s\S]*?<\/style>/gi, " ")
+    .replace(/<script[\s\S]*?<\/script>/gi, " ")
+    .replace(/<\/p>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+/**
+ * Get the plain text body of a Graph message
+ * @param {object} message - Graph API message object
+ * @returns {string}
+ */
+const messageBodyText = (message) => {
+  const content = message?.body?.content || "";
+  if ((message?.body?.contentType || "").toLowerCase() === "html") {
+    return htmlToText(content);
+  }
+  return content;
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+module.exports = {
+  escapeHtml,
+  htmlToText,
+  messageBodyText,
+};
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// Random key of the browser that starts an OAuth flow. SameSite=Lax so it
+// comes back on the redirect from the Microsoft sign-in page.
+const COOKIE = "mc_oauth";
+const CALLBACK_PATH = "/api/auth/microsoft/callback";
+
+/**
+ * Key of the requesting browser (sets the cookie when it has none)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {string}
+ */
+const oauthBrowserKey = (req, res) => {
+  let key = req.cookies?.[COOKIE];
+  if (!key || !/^[\w-]{43}$/.test(key)) {
+    key = crypto.randomBytes(32).toString("base64url");
+  }
+
+  res.cookie(COOKIE, key, {
+    httpOnly: true,
+    secure: config.sessions.secureCookies,
+    sameSite: "lax",
+    path: CALLBACK_PATH,
+    maxAge: config.microsoft.stateTtlSeconds * 1000,
+  });
+  return key;
+};
+
+/**
+ * Key sent with the OAuth callback (null without the cookie)
+ */
+const readOAuthBrowserKey = (req) => req.cookies?.[COOKIE] || null;
+
+module.exports = {
+  oauthBrowserKey,
+  readOAuthBrowserKey,
+};
@@ -1,9 +1,22 @@
 require("dotenv").config();
 
-const Bull = require("bull");
 const config = require("./config");
 const prisma = require("./config/database");
 const webhookService = require("./services/webhook.service");
+const folderService = require("./services/folder.service");
+const destinationService = require("./services/destination.service");
+const { deliveryQueue } = require("./queues/delivery.queue");
+const { forwardQueue } = require("./queues/forward.queue");
+const {
+  maintenanceQueue,
+  subscriptionJobOptions,
+} = require("./queues/maintenance.queue");
+const { reconcileQueue } = require("./queues/reconcile.queue");
+const { processForwardJob } = require("./queues/forward.processor");
+const {
+  processReconcileSweep,
+  processAccountReconcile,
+} = require("./queues/reconcile.processor");
 
 const timestamp = () => new Date().toLocaleTimeString();
 const log = (msg) => console.log(`[${timestamp()}] ${msg}`);
@@ -11,111 +24,203 @@ const logError = (msg) => console.error(`[${timestamp()}] ✗ ${msg}`);
 
 const WEBHOOK_RENEWAL_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
 
-// ✅ Delays (تقدر تتحكم فيها)
+// ✅ Delays (تقدر تتحكم فيها - config.maintenance)
 const PLAN_DELAY_MS = 0; // plan job runs immediately when scheduled
-const CREATE_STAGGER_MS = 300; // نفس delay اللي كنت عامله (300ms) لكن في queue
-const RENEW_STAGGER_MS = 200; // نفس 200ms لكن في queue
+const CREATE_STAGGER_MS = config.maintenance.createStaggerMs;
+const RENEW_STAGGER_MS = config.maintenance.renewStaggerMs;
 const MAINTENANCE_LOCK_JOB_ID = "webhook:plan-maintenance:repeat";
+const RECONCILE_JOB_ID = "mail:reconcile:repeat";
 
 // ✅ Concurrency منخفض عشان limits
-const CREATE_CONCURRENCY = 2;
-const RENEW_CONCURRENCY = 2;
-
-const syncQueue = new Bull("mail-sync", {
-  redis: {
-    host: config.redis.host,
-    port: config.redis.port,
-    password: config.redis.password || undefined,
-  },
-  defaultJobOptions: {
-    removeOnComplete: 200,
-    removeOnFail: 200,
-    attempts: 5,
-    backoff: { type: "exponential", delay: 10_000 },
-  },
-});
+const CREATE_CONCURRENCY = config.maintenance.createConcurrency;
+const RENEW_CONCURRENCY = config.maintenance.renewConcurrency;
+
+// Roles: maintenance, forward, delivery, reconcile (run them in one process
+// or split them across processes, e.g. `node src/worker.js --roles=forward`)
+const ROLES = ["maintenance", "forward", "delivery", "reconcile"];
+const rolesArg = process.argv.find((arg) => arg.startsWith("--roles="));
+const activeRoles = rolesArg
+  ? rolesArg
+      .slice("--roles=".length)
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean)
+  : config.worker.roles;
+
+const unknownRoles = activeRoles.filter((r) => !ROLES.includes(r));
+if (unknownRoles.length > 0 || activeRoles.length === 0) {
+  logError(
+    `Invalid worker roles "${activeRoles.join(",")}" (expected: ${ROLES.join(", ")})`,
+  );
+  process.exit(1);
+}
+const hasRole = (role) => activeRoles.includes(role);
 
 // ------------ Processors ------------
 
-// 1) Planner job: يجهز jobs للتجديد/الإنشاء
-syncQueue.process("webhook:plan-maintenance", 1, async () => {
-  log("\n=== Webhook maintenance planner ===\n");
+// Role "maintenance": webhook subscription create/renew
+const registerMaintenance = () => {
+  // 1) Planner job: يجهز jobs للتجديد/الإنشاء
+  maintenanceQueue.process("webhook:plan-maintenance", 1, async () => {
+    log("\n=== Webhook maintenance planner ===\n");
 
-  const missing = await webhookService.getAccountsNeedingSubscription();
-  const expiring = await webhookService.getExpiringSubscriptions();
+    const missing = await webhookService.getFoldersNeedingSubscription();
+    const expiring = await webhookService.getExpiringSubscriptions();
 
-  if (missing.length === 0 && expiring.length === 0) {
-    log("All subscriptions are up to date");
-    return { createdJobs: 0, renewedJobs: 0 };
-  }
+    if (missing.length === 0 && expiring.length === 0) {
+      log("All subscriptions are up to date");
+      return { createdJobs: 0, renewedJobs: 0 };
+    }
 
-  // Enqueue create jobs (staggered)
-  let createdJobs = 0;
-  for (let i = 0; i < missing.length; i++) {
-    const account = missing[i];
-    await syncQueue.add(
-      "webhook:create-subscription",
-      { accountId: account.id, email: account.email },
-      {
-        jobId: `webhook:create:${account.id}`, // ثابت لمنع تكرار
-        delay: i * CREATE_STAGGER_MS,
-      },
+    // Enqueue create jobs (staggered)
+    let createdJobs = 0;
+    for (let i = 0; i < missing.length; i++) {
+      const folder = missing[i];
+      await maintenanceQueue.add(
+        "webhook:create-subscription",
+        {
+          accountId: folder.accountId,
+          email: folder.email,
+          folderId: folder.folderId,
+        },
+        {
+          ...subscriptionJobOptions(
+            "create",
+            folder.accountId,
+            folder.folderId,
+          ),
+          delay: i * CREATE_STAGGER_MS,
+        },
+      );
+      createdJobs++;
+    }
+
+    // Enqueue renew jobs (staggered)
+    let renewedJobs = 0;
+    for (let i = 0; i < expiring.length; i++) {
+      const sub = expiring[i];
+      await maintenanceQueue.add(
+        "webhook:renew-subscription",
+        { accountId: sub.accountId, folderId: sub.folderId },
+        {
+          ...subscriptionJobOptions("renew", sub.accountId, sub.folderId),
+          delay: i * RENEW_STAGGER_MS,
+        },
+      );
+      renewedJobs++;
+    }
+
+    log(`Queued create: ${createdJobs}, renew: ${renewedJobs}`);
+    return { createdJobs, renewedJobs };
+  });
+
+  // 2) Create job
+  maintenanceQueue.process(
+    "webhook:create-subscription",
+    CREATE_CONCURRENCY,
+    async (job) => {
+      const { accountId, email, folderId = "Inbox" } = job.data;
+      try {
+        log(`+ Create subscription: ${email || accountId} (${folderId})`);
+        await webhookService.createSubscription(accountId, folderId);
+        return { ok: true };
+      } catch (err) {
+        logError(
+          `Create failed for ${email || accountId} (${folderId}): ${err.message}`,
+        );
+        await folderService.recordError(
+          accountId,
+          folderId,
+          `Subscription: ${err.message}`,
+        );
+        throw err;
+      }
+    },
+  );
+
+  // 3) Renew job
+  maintenanceQueue.process(
+    "webhook:renew-subscription",
+    RENEW_CONCURRENCY,
+    async (job) => {
+      const { accountId, folderId = "Inbox" } = job.data;
+      try {
+        log(`~ Renew subscription: ${accountId} (${folderId})`);
+        await webhookService.renewSubscription(accountId, folderId);
+        return { ok: true };
+      } catch (err) {
+        logError(`Renew failed for ${accountId} (${folderId}): ${err.message}`);
+        await folderService.recordError(
+          accountId,
+          folderId,
+          `Subscription renewal: ${err.message}`,
+        );
+        throw err;
+      }
+    },
+  );
+};
+
+// Role "forward": webhook notifications enqueued by the HTTP tier
+const registerForward = () => {
+  forwardQueue.process(config.forward.concurrency, processForwardJob);
+
+  forwardQueue.on("failed", (job, err) => {
+    logError(`Forward job ${job.id} failed: ${err.message}`);
+  });
+};
+
+// Role "delivery": outbound API deliveries (retried with exponential backoff by Bull)
+const registerDelivery = () => {
+  deliveryQueue.process(config.delivery.concurrency, async (job) => {
+    const result = await destinationService.processDelivery(job.data, {
+      attemptsMade: job.attemptsMade,
+      maxAttempts: job.opts.attempts || 1,
+    });
+    if (result.status === "DEAD_LETTER") {
+      logError(
+        `Delivery ${job.data.deliveryId} dead-lettered: ${result.error}`,
+      );
+    }
+    return result;
+  });
+
+  deliveryQueue.on("failed", (job, err) => {
+    log(
+      `Delivery ${job.data.deliveryId} attempt ${job.attemptsMade} failed: ${err.message}`,
     );
-    createdJobs++;
+  });
+};
+
+// Role "reconcile": delta sweep for messages missed by webhooks
+const registerReconcile = () => {
+  reconcileQueue.process("mail:reconcile", 1, processReconcileSweep);
+  reconcileQueue.process("mail:reconcile-account", 1, processAccountReconcile);
+};
+
+// Keep exactly one repeatable sweep with the configured interval
+const scheduleReconcile = async () => {
+  const { intervalMs } = config.reconcile;
+
+  const repeatable = await reconcileQueue.getRepeatableJobs();
+  for (const job of repeatable) {
+    if (job.name === "mail:reconcile" && job.every !== intervalMs) {
+      await reconcileQueue.removeRepeatableByKey(job.key);
+    }
   }
 
-  // Enqueue renew jobs (staggered)
-  let renewedJobs = 0;
-  for (let i = 0; i < expiring.length; i++) {
-    const sub = expiring[i];
-    await syncQueue.add(
-      "webhook:renew-subscription",
-      { accountId: sub.accountId },
-      {
-        jobId: `webhook:renew:${sub.accountId}`, // ثابت لمنع تكرار
-        delay: i * RENEW_STAGGER_MS,
-      },
-    );
-    renewedJobs++;
+  if (intervalMs <= 0) {
+    log("Reconciliation sweep disabled (RECONCILE_INTERVAL_MS=0)");
+    return;
   }
 
-  log(`Queued create: ${createdJobs}, renew: ${renewedJobs}`);
-  return { createdJobs, renewedJobs };
-});
-
-// 2) Create job
-syncQueue.process(
-  "webhook:create-subscription",
-  CREATE_CONCURRENCY,
-  async (job) => {
-    const { accountId, email } = job.data;
-    try {
-      log(`+ Create subscription: ${email || accountId}`);
-      await webhookService.createSubscription(accountId);
-      return { ok: true };
-    } catch (err) {
-      logError(`Create failed for ${email || accountId}: ${err.message}`);
-      throw err;
-    }
-  },
-);
-
-// 3) Renew job
-syncQueue.process(
-  "webhook:renew-subscription",
-  RENEW_CONCURRENCY,
-  async (job) => {
-    const { accountId } = job.data;
-    try {
-      log(`~ Renew subscription: ${accountId}`);
-      await webhookService.renewSubscription(accountId);
-      return { ok: true };
-    } catch (err) {
-      logError(`Renew failed for ${accountId}: ${err.message}`);
-      throw err;
-    }
-  },
-);
+  await reconcileQueue.add(
+    "mail:reconcile",
+    {},
+    { jobId: RECONCILE_JOB_ID, repeat: { every: intervalMs } },
+  );
+  log("Reconciliation sweep scheduled (repeatable job)");
+};
 
 // ------------ Startup ------------
 
@@ -124,22 +229,54 @@ const startWorker = async () => {
     await prisma.$connect();
     log("Database connected");
 
-    await syncQueue.isReady();
+    await Promise.all([
+      maintenanceQueue.isReady(),
+      forwardQueue.isReady(),
+      deliveryQueue.isReady(),
+      reconcileQueue.isReady(),
+    ]);
     log("Redis connected");
 
-    console.log(`\n🚀 Worker started (Webhooks Only Mode)`);
-    console.log(
-      `   Renewal planning: every ${WEBHOOK_RENEWAL_INTERVAL_MS / 1000 / 60} minutes`,
-    );
-    console.log(
-      `   Create concurrency: ${CREATE_CONCURRENCY}, stagger: ${CREATE_STAGGER_MS}ms`,
-    );
-    console.log(
-      `   Renew concurrency: ${RENEW_CONCURRENCY}, stagger: ${RENEW_STAGGER_MS}ms\n`,
-    );
+    if (hasRole("maintenance")) registerMaintenance();
+    if (hasRole("forward")) registerForward();
+    if (hasRole("delivery")) registerDelivery();
+    if (hasRole("reconcile")) registerReconcile();
+
+    console.log(`\n🚀 Worker started (roles: ${activeRoles.join(", ")})`);
+    if (hasRole("maintenance")) {
+      console.log(
+        `   Renewal planning: every ${WEBHOOK_RENEWAL_INTERVAL_MS / 1000 / 60} minutes`,
+      );
+      console.log(
+        `   Create concurrency: ${CREATE_CONCURRENCY}, stagger: ${CREATE_STAGGER_MS}ms`,
+      );
+      console.log(
+        `   Renew concurrency: ${RENEW_CONCURRENCY}, stagger: ${RENEW_STAGGER_MS}ms`,
+      );
+    }
+    if (hasRole("forward")) {
+      console.log(
+        `   Forward concurrency: ${config.forward.concurrency}, delay: ${config.forward.delayMs}ms, rate: ${config.forward.rateMax ? `${config.forward.rateMax}/${config.forward.rateDurationMs}ms` : "unlimited"}`,
+      );
+    }
+    if (hasRole("delivery")) {
+      console.log(
+        `   API deliveries: concurrency ${config.delivery.concurrency}, ${config.delivery.attempts} attempts, max age ${config.delivery.maxAgeMs / 1000}s, rate: ${config.delivery.rateMax ? `${config.delivery.rateMax}/${config.delivery.rateDurationMs}ms` : "unlimited"}`,
+      );
+    }
+    if (hasRole("reconcile")) {
+      console.log(
+        `   Reconciliation: ${config.reconcile.intervalMs > 0 ? `every ${config.reconcile.intervalMs / 1000 / 60} minutes` : "disabled"}, lookback ${config.reconcile.lookbackMs / 1000 / 60 / 60}h`,
+      );
+    }
+    console.log("");
+
+    if (hasRole("reconcile")) await scheduleReconcile();
+
+    if (!hasRole("maintenance")) return;
 
     // Run once immediately
-    await syncQueue.add(
+    await maintenanceQueue.add(
       "webhook:plan-maintenance",
       { reason: "startup" },
       {
@@ -149,7 +286,7 @@ const startWorker = async () => {
     );
 
     // Repeat every hour (jobId ثابت يمنع duplicates بعد restart)
-    await syncQueue.add(
+    await maintenanceQueue.add(
       "webhook:plan-maintenance",
       {},
       {
@@ -166,12 +303,35 @@ const startWorker = async () => {
   }
 };
 
+// queue.close() stops taking new jobs and waits for active ones to finish
+let shuttingDown = false;
 const shutdown = async () => {
-  log("Shutting down...");
-  await syncQueue.close();
-  await prisma.$disconnect();
-  log("Worker shutdown complete");
-  process.exit(0);
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log("Shutting down, waiting for active jobs...");
+
+  const forceExit = setTimeout(() => {
+    logError(
+      `Active jobs did not finish within ${config.worker.shutdownTimeoutMs}ms, exiting`,
+    );
+    process.exit(1);
+  }, config.worker.shutdownTimeoutMs);
+
+  try {
+    await Promise.all([
+      maintenanceQueue.close(),
+      forwardQueue.close(),
+      deliveryQueue.close(),
+      reconcileQueue.close(),
+    ]);
+    await prisma.$disconnect();
+    log("Worker shutdown complete");
+  } catch (error) {
+    logError(`Shutdown error: ${error.message}`);
+  } finally {
+    clearTimeout(forceExit);
+    process.exit(0);
+  }
 };
 
 process.on("SIGINT", shutdown);
@@ -0,0 +1,309 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let graphService;
+let rateLimiter;
+let encryption;
+
+before(async () => {
+  harness = await startHarness();
+  graphService = harness.require("services/graph.service");
+  rateLimiter = harness.require("services/rateLimiter.service");
+  encryption = harness.require("utils/encryption");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+/**
+ * App registration row (as created from the dashboard)
+ */
+const createApp = (name, clientId, extra = {}) =>
+  harness.prisma.appRegistration.create({
+    data: {
+      name,
+      clientId,
+      clientSecret: encryption.encrypt(`${clientId}-secret`),
+      ...extra,
+    },
+  });
+
+const cookieValue = (response, name) =>
+  response.headers
+    .getSetCookie()
+    .find((c) => c.startsWith(`${name}=`))
+    .split(";")[0]
+    .slice(name.length + 1);
+
+/**
+ * Sign in at the emulator and call the OAuth callback
+ * @returns {URLSearchParams} - Query of the redirect to the frontend
+ */
+async function finishFlow(url, browserKey, email) {
+  const authorizeUrl = new URL(url);
+  authorizeUrl.searchParams.set("login_hint", email);
+  const signIn = await fetch(authorizeUrl, { redirect: "manual" });
+  const callback = new URL(signIn.headers.get("location"));
+
+  const response = await fetch(
+    `${harness.apiUrl}/api/auth/microsoft/callback?${callback.searchParams}`,
+    { redirect: "manual", headers: { Cookie: `mc_oauth=${browserKey}` } },
+  );
+  return new URL(response.headers.get("location")).searchParams;
+}
+
+const expireAccessToken = (accountId) =>
+  harness.prisma.mailToken.update({
+    where: { accountId },
+    data: { expiresAt: new Date(Date.now() - 1000) },
+  });
+
+test("owners add apps; the client secret is stored encrypted and never returned", async () => {
+  const { api } = await harness.signIn("owner");
+
+  const res = await api("POST", "/apps", {
+    name: "Pool B",
+    clientId: "client-b",
+    clientSecret: "secret-b",
+    tenant: "contoso.onmicrosoft.com",
+    isDefault: true,
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.data.hasSecret, true);
+  assert.equal(res.body.data.clientSecret, undefined);
+
+  const [row] = harness.prisma.appRegistration.rows;
+  assert.notEqual(row.clientSecret, "secret-b");
+  assert.equal(encryption.decrypt(row.clientSecret), "secret-b");
+
+  const list = await api("GET", "/apps");
+  assert.deepEqual(
+    list.body.data.map((a) => [a.name, a.builtIn, a.hasSecret]),
+    [
+      ["Built-in (MICROSOFT_CLIENT_ID)", true, true],
+      ["Pool B", false, true],
+    ],
+  );
+  assert.ok(list.body.data.every((a) => a.clientSecret === undefined));
+});
+
+test("operators and viewers cannot manage apps", async () => {
+  const { api } = await harness.signIn("operator");
+  const res = await api("POST", "/apps", {
+    name: "Pool B",
+    clientId: "client-b",
+    clientSecret: "secret-b",
+  });
+  assert.equal(res.status, 403);
+});
+
+test("only one app is the default for new mailboxes", async () => {
+  const { api } = await harness.signIn("owner");
+  const a = await api("POST", "/apps", {
+    name: "A",
+    clientId: "client-a",
+    clientSecret: "s",
+    isDefault: true,
+  });
+  await api("POST", "/apps", {
+    name: "B",
+    clientId: "client-b",
+    clientSecret: "s",
+    isDefault: true,
+  });
+  await api("PATCH", `/apps/${a.body.data.id}`, { name: "A2" });
+
+  assert.deepEqual(
+    harness.prisma.appRegistration.rows.map((r) => [r.name, r.isDefault]),
+    [
+      ["A2", false],
+      ["B", true],
+    ],
+  );
+});
+
+test("a mailbox connected with a picked app is bound to it", async () => {
+  const app = await createApp("Pool B", "client-b", { tenant: "contoso" });
+  harness.emulator.addMailbox({ email: "carol@emulator.local" });
+  const owner = await harness.signIn("owner");
+
+  const response = await fetch(
+    `${harness.apiUrl}/api/accounts/oauth/url?appId=${app.id}`,
+    { headers: { Authorization: `Bearer ${owner.token}` } },
+  );
+  const { url } = (await response.json()).data;
+  const authUrl = new URL(url);
+  assert.equal(authUrl.searchParams.get("client_id"), "client-b");
+  assert.equal(authUrl.pathname, "/contoso/oauth2/v2.0/authorize");
+
+  const result = await finishFlow(
+    url,
+    cookieValue(response, "mc_oauth"),
+    "carol@emulator.local",
+  );
+  assert.equal(result.get("success"), "true");
+
+  const account = await harness.prisma.mailAccount.findUnique({
+    where: { email: "carol@emulator.local" },
+  });
+  assert.equal(account.appRegistrationId, app.id);
+  const token = await harness.prisma.mailToken.findUnique({
+    where: { accountId: account.id },
+  });
+  assert.equal(token.appRegistrationId, app.id);
+});
+
+test("new mailboxes use the default app when none is picked", async () => {
+  const app = await createApp("Pool B", "client-b", { isDefault: true });
+  const { api } = await harness.signIn("owner");
+
+  const res = await api("POST", "/accounts", { email: "dave@emulator.local" });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.data.account.appRegistrationId, app.id);
+  assert.equal(
+    new URL(res.body.data.connectUrl).searchParams.get("client_id"),
+    "client-b",
+  );
+});
+
+test("disabled apps cannot be picked for new mailboxes", async () => {
+  const app = await createApp("Pool B", "client-b", { isEnabled: false });
+  const { api } = await harness.signIn("owner");
+
+  const res = await api("POST", "/accounts", {
+    email: "dave@emulator.local",
+    appId: app.id,
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /disabled/);
+});
+
+test("token refreshes and Graph calls use the app the tokens belong to", async () => {
+  const app = await createApp("Pool B", "client-b");
+  const { account } = await harness.connectMailbox("alice@emulator.local", {
+    app,
+  });
+  await expireAccessToken(account.id);
+
+  const acquire = mock.method(rateLimiter, "acquire", async () => 0);
+  try {
+    // The emulator only refreshes tokens for the client they were issued to
+    assert.equal(await graphService.testConnection(account.id), true);
+    assert.ok(
+      acquire.mock.calls.some((call) =>
+        call.arguments[0].some((bucket) => bucket.id === "app:client-b"),
+      ),
+    );
+  } finally {
+    acquire.mock.restore();
+  }
+});
+
+test("moved accounts keep working on their old app until reconnected", async () => {
+  const oldApp = await createApp("Pool A", "client-a");
+  const newApp = await createApp("Pool B", "client-b");
+  const { account } = await harness.connectMailbox("alice@emulator.local", {
+    app: oldApp,
+  });
+  await harness.connectMailbox("bob@emulator.local", { app: oldApp });
+  const owner = await harness.signIn("owner");
+
+  const move = await owner.api("POST", "/apps/move", {
+    from: oldApp.id,
+    to: newApp.id,
+    limit: 1,
+  });
+  assert.equal(move.status, 200);
+  assert.deepEqual(move.body.data, { moved: 1, needsReconnect: 1 });
+
+  let list = (await owner.api("GET", "/apps")).body.data;
+  const counts = (id) => list.find((a) => a.id === id).accounts;
+  assert.equal(counts(oldApp.id).total, 1);
+  assert.deepEqual(counts(newApp.id), {
+    total: 1,
+    connected: 1,
+    failing: 0,
+    pendingMove: 1,
+  });
+
+  // Still refreshes with the app that issued its tokens
+  await expireAccessToken(account.id);
+  assert.equal(await graphService.testConnection(account.id), true);
+
+  // Reconnecting signs in with the new app
+  const response = await fetch(
+    `${harness.apiUrl}/api/accounts/${account.id}/reconnect`,
+    { method: "POST", headers: { Authorization: `Bearer ${owner.token}` } },
+  );
+  const { connectUrl } = (await response.json()).data;
+  assert.equal(new URL(connectUrl).searchParams.get("client_id"), "client-b");
+  const result = await finishFlow(
+    connectUrl,
+    cookieValue(response, "mc_oauth"),
+    "alice@emulator.local",
+  );
+  assert.equal(result.get("success"), "true");
+
+  list = (await owner.api("GET", "/apps")).body.data;
+  assert.equal(counts(newApp.id).pendingMove, 0);
+  const token = await harness.prisma.mailToken.findUnique({
+    where: { accountId: account.id },
+  });
+  assert.equal(token.appRegistrationId, newApp.id);
+
+  const [entry] = harness.prisma.auditLog.rows.filter(
+    (r) => r.action === "app.move_accounts",
+  );
+  assert.equal(entry.targetId, newApp.id);
+});
+
+test("the apps list shows Graph error rates per app", async () => {
+  const app = await createApp("Pool B", "client-b");
+  const { account, mailbox } = await harness.connectMailbox(
+    "alice@emulator.local",
+    { app },
+  );
+  harness.emulator.addFailure(mailbox, {
+    status: 403,
+    code: "ErrorAccessDenied",
+    path: "/mailFolders",
+  });
+
+  assert.equal(await graphService.testConnection(account.id), false);
+  assert.equal(await graphService.testConnection(account.id), true);
+  assert.equal(await graphService.testConnection(account.id), true);
+  await harness.connectMailbox("bob@emulator.local");
+
+  const { api } = await harness.signIn("viewer");
+  const list = (await api("GET", "/apps")).body.data;
+  const pool = list.find((a) => a.id === app.id);
+  assert.deepEqual(pool.graph, {
+    requests: 3,
+    errors: 1,
+    throttled: 0,
+    errorRate: 1 / 3,
+  });
+  assert.equal(pool.accounts.total, 1);
+  assert.equal(list.find((a) => a.builtIn).accounts.total, 1);
+});
+
+test("apps that accounts still use cannot be deleted", async () => {
+  const app = await createApp("Pool B", "client-b");
+  const { account } = await harness.connectMailbox("alice@emulator.local", {
+    app,
+  });
+  const { api } = await harness.signIn("owner");
+
+  // Moved away, but its tokens still come from the app
+  await api("POST", "/apps/move", { accountIds: [account.id], to: null });
+  const refused = await api("DELETE", `/apps/${app.id}`);
+  assert.equal(refused.status, 409);
+
+  await harness.prisma.mailToken.deleteMany({});
+  const res = await api("DELETE", `/apps/${app.id}`);
+  assert.equal(res.status, 200);
+  assert.equal(harness.prisma.appRegistration.rows.length, 0);
+});
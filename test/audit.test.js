@@ -0,0 +1,223 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const auditEntries = (where = {}) =>
+  harness.prisma.auditLog.findMany({ where, orderBy: { createdAt: "asc" } });
+
+describe("audit service", () => {
+  test("diff keeps only changed fields and hides secrets", () => {
+    const auditService = harness.require("services/audit.service");
+
+    assert.deepEqual(
+      auditService.diff(
+        { isEnabled: true, name: "a", secret: "old" },
+        { isEnabled: false, name: "a", secret: "new" },
+      ),
+      {
+        isEnabled: { from: true, to: false },
+        secret: { from: "[redacted]", to: "[redacted]" },
+      },
+    );
+    assert.equal(auditService.diff({ a: 1 }, { a: 1 }), null);
+    assert.deepEqual(auditService.diff(null, { name: "x" }), {
+      name: { from: null, to: "x" },
+    });
+  });
+
+  test("a failed write does not fail the action", async (t) => {
+    const auditService = harness.require("services/audit.service");
+    t.mock.method(harness.prisma.auditLog, "create", async () => {
+      throw new Error("db down");
+    });
+    t.mock.method(console, "error", () => {});
+
+    await auditService.record({}, { action: "config.update" });
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  test("CSV cells are quoted and formulas neutralised", () => {
+    const { csvCell } = harness.require("services/audit.service");
+
+    assert.equal(csvCell('say "hi", ok'), '"say ""hi"", ok"');
+    assert.equal(csvCell("=HYPERLINK()"), "'=HYPERLINK()");
+    assert.equal(csvCell({ a: 1 }), '"{""a"":1}"');
+    assert.equal(csvCell(null), "");
+  });
+});
+
+describe("audited actions", () => {
+  test("disabling a mailbox records who did it", async () => {
+    const { user, api } = await harness.signIn("operator");
+    const { account } = await harness.connectMailbox("alice@example.com");
+
+    await api("PATCH", `/accounts/${account.id}`, { isEnabled: false });
+
+    const [entry] = await auditEntries({ targetId: account.id });
+    assert.equal(entry.action, "account.update");
+    assert.equal(entry.actorId, user.id);
+    assert.equal(entry.actorEmail, "operator@example.com");
+    assert.equal(entry.targetLabel, "alice@example.com");
+    assert.deepEqual(entry.changes, { isEnabled: { from: true, to: false } });
+    assert.ok(entry.ipAddress);
+    assert.match(entry.userAgent, /node/i);
+  });
+
+  test("account create, reconnect and delete are recorded", async () => {
+    const { api } = await harness.signIn("owner");
+
+    const created = await api("POST", "/accounts", {
+      email: "bob@example.com",
+    });
+    const id = created.body.data.account.id;
+    await api("POST", `/accounts/${id}/reconnect`);
+    await api("DELETE", `/accounts/${id}`);
+
+    const entries = await auditEntries({ targetId: id });
+    assert.deepEqual(
+      entries.map((e) => e.action),
+      ["account.create", "account.reconnect", "account.delete"],
+    );
+    assert.equal(entries[2].changes.email.from, "bob@example.com");
+  });
+
+  test("config changes keep the previous value", async () => {
+    const { api } = await harness.signIn("owner");
+
+    await api("POST", "/dashboard/config", { forwardToEmail: "a@example.com" });
+    await api("POST", "/dashboard/config", { forwardToEmail: "b@example.com" });
+
+    const entries = await auditEntries({ action: "config.update" });
+    assert.deepEqual(entries[1].changes, {
+      forwardToEmail: { from: "a@example.com", to: "b@example.com" },
+    });
+  });
+
+  test("password changes are recorded without the password", async () => {
+    const bcrypt = require("bcryptjs");
+    const { user, api } = await harness.signIn("viewer");
+    await harness.prisma.adminUser.update({
+      where: { id: user.id },
+      data: { password: await bcrypt.hash("old-password", 4) },
+    });
+
+    const response = await api("POST", "/auth/change-password", {
+      currentPassword: "old-password",
+      newPassword: "new-password",
+    });
+    assert.equal(response.status, 200);
+
+    const [entry] = await auditEntries({ action: "auth.password_change" });
+    assert.equal(entry.targetId, user.id);
+    assert.equal(entry.changes, null);
+  });
+
+  test("log cleanup and retries are recorded", async () => {
+    const { api } = await harness.signIn("owner");
+    const { account } = await harness.connectMailbox("alice@example.com");
+    const log = await harness.prisma.mailMessageLog.create({
+      data: {
+        accountId: account.id,
+        graphMessageId: "msg-1",
+        subject: "Hello",
+        forwardStatus: "FAILED",
+      },
+    });
+
+    await api("POST", `/logs/${log.id}/retry`);
+    await api("DELETE", "/logs/cleanup?olderThanDays=7");
+
+    const [retry] = await auditEntries({ action: "message.retry" });
+    assert.deepEqual(retry.changes, {
+      forwardStatus: { from: "FAILED", to: "PENDING" },
+    });
+    const [cleanup] = await auditEntries({ action: "logs.cleanup" });
+    assert.equal(cleanup.metadata.olderThanDays, 7);
+  });
+
+  test("rule updates record the changed conditions", async () => {
+    const { api } = await harness.signIn("operator");
+    const created = await api("POST", "/rules", {
+      name: "Steam",
+      fromDomain: "steampowered.com",
+      action: "FORWARD",
+    });
+
+    await api("PATCH", `/rules/${created.body.data.id}`, {
+      fromDomain: "steamcommunity.com",
+    });
+
+    const [update] = await auditEntries({ action: "rule.update" });
+    assert.deepEqual(update.changes, {
+      fromDomain: { from: "steampowered.com", to: "steamcommunity.com" },
+    });
+  });
+});
+
+describe("audit API", () => {
+  async function seed() {
+    const owner = await harness.signIn("owner");
+    const operator = await harness.signIn("operator");
+    const { account } = await harness.connectMailbox("alice@example.com");
+
+    await operator.api("PATCH", `/accounts/${account.id}`, {
+      isEnabled: false,
+    });
+    await owner.api("PATCH", `/accounts/${account.id}`, { isEnabled: true });
+    await owner.api("POST", "/dashboard/config", {
+      forwardToEmail: "c@example.com",
+    });
+
+    return { owner, operator, account };
+  }
+
+  test("filters by actor, action and target", async () => {
+    const { owner, account } = await seed();
+
+    const byActor = await owner.api("GET", "/audit?actor=operator");
+    assert.equal(byActor.body.data.logs.length, 1);
+    assert.equal(byActor.body.data.logs[0].actorEmail, "operator@example.com");
+
+    const byTarget = await owner.api(
+      "GET",
+      `/audit?targetType=account&targetId=${account.id}`,
+    );
+    assert.equal(byTarget.body.data.pagination.total, 2);
+
+    const byAction = await owner.api("GET", "/audit?action=config.");
+    assert.equal(byAction.body.data.logs[0].action, "config.update");
+
+    const future = new Date(Date.now() + 60000).toISOString();
+    const none = await owner.api("GET", `/audit?from=${future}`);
+    assert.equal(none.body.data.logs.length, 0);
+  });
+
+  test("exports CSV", async () => {
+    const { owner } = await seed();
+
+    const response = await fetch(`${harness.apiUrl}/api/audit/export`, {
+      headers: { Authorization: `Bearer ${owner.token}` },
+    });
+    const lines = (await response.text()).trim().split("\r\n");
+
+    assert.match(response.headers.get("content-type"), /text\/csv/);
+    assert.match(response.headers.get("content-disposition"), /audit-.*\.csv/);
+    assert.equal(lines[0].split(",")[0], "createdAt");
+    assert.equal(lines.length, 4);
+  });
+
+  test("is for owners only", async () => {
+    const { operator } = await seed();
+    assert.equal((await operator.api("GET", "/audit")).status, 403);
+  });
+});
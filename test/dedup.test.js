@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+// The same mail delivered to two connected mailboxes
+const INTERNET_MESSAGE_ID = "<shared-1@example.com>";
+
+let harness;
+let syncService;
+let forwarderService;
+
+before(async () => {
+  harness = await startHarness();
+  syncService = harness.require("services/sync.service");
+  forwarderService = harness.require("services/forwarder.service");
+});
+
+after(() => harness.close());
+
+beforeEach(async () => {
+  harness.reset();
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Everything", action: "FORWARD" },
+  });
+});
+
+async function syncedAccount(email) {
+  const { account, mailbox } = await harness.connectMailbox(email);
+  await syncService.syncMailbox(account.id);
+  return { account, mailbox };
+}
+
+const deliver = (mailbox) =>
+  harness.emulator.addMessage(mailbox, {
+    subject: "Team update",
+    from: "boss@example.com",
+    internetMessageId: INTERNET_MESSAGE_ID,
+  });
+
+test("internetMessageId is unique in MailMessageLog", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const row = (graphMessageId) => ({
+    accountId: account.id,
+    graphMessageId,
+    internetMessageId: INTERNET_MESSAGE_ID,
+    forwardedTo: "collector@example.com",
+  });
+
+  await harness.prisma.mailMessageLog.create({ data: row("msg-1") });
+
+  await assert.rejects(
+    harness.prisma.mailMessageLog.create({ data: row("msg-2") }),
+    (error) => forwarderService.isDuplicateMessageError(error),
+  );
+});
+
+test("a mail received by two mailboxes is forwarded once", async () => {
+  const alice = await syncedAccount("alice@emulator.local");
+  const bob = await syncedAccount("bob@emulator.local");
+  deliver(alice.mailbox);
+  const copy = deliver(bob.mailbox);
+
+  const first = await syncService.syncMailbox(alice.account.id);
+  const second = await syncService.syncMailbox(bob.account.id);
+
+  assert.equal(first.messagesForwarded, 1);
+  assert.equal(second.messagesForwarded, 0);
+  assert.equal(second.messagesSkipped, 1);
+  assert.deepEqual(second.errors, []);
+  assert.equal(alice.mailbox.sent.length, 1);
+  assert.equal(bob.mailbox.sent.length, 0);
+
+  const duplicate = await harness.prisma.mailMessageLog.findFirst({
+    where: { graphMessageId: copy.id },
+  });
+  assert.equal(duplicate.forwardStatus, "SKIPPED");
+  assert.equal(duplicate.internetMessageId, null);
+  assert.equal(duplicate.error, `Duplicate of ${INTERNET_MESSAGE_ID}`);
+});
+
+test("reprocessing the first copy is not treated as a duplicate", async () => {
+  const alice = await syncedAccount("alice@emulator.local");
+  const message = deliver(alice.mailbox);
+  await syncService.syncMailbox(alice.account.id);
+
+  const result = await forwarderService.forwardGraphMessage(
+    message,
+    [],
+    "alice@emulator.local",
+    alice.account.id,
+  );
+
+  assert.equal(result.mode, "FORWARD");
+  const log = await harness.prisma.mailMessageLog.findFirst({
+    where: { graphMessageId: message.id },
+  });
+  assert.equal(log.attempts, 2);
+  assert.equal(log.internetMessageId, INTERNET_MESSAGE_ID);
+});
+
+test("a copy that loses the race on the unique constraint is skipped", async (t) => {
+  const alice = await syncedAccount("alice@emulator.local");
+  const bob = await syncedAccount("bob@emulator.local");
+  deliver(alice.mailbox);
+  const copy = deliver(bob.mailbox);
+  await syncService.syncMailbox(alice.account.id);
+
+  // Both copies passed the duplicate check before either was logged
+  t.mock.method(forwarderService, "findDuplicateLog", async () => null);
+
+  const result = await forwarderService.forwardGraphMessage(
+    copy,
+    [],
+    "bob@emulator.local",
+    bob.account.id,
+  );
+
+  assert.equal(result.mode, "SKIP");
+  const duplicate = await harness.prisma.mailMessageLog.findFirst({
+    where: { graphMessageId: copy.id },
+  });
+  assert.equal(duplicate.forwardStatus, "SKIPPED");
+  assert.equal(duplicate.internetMessageId, null);
+});
@@ -0,0 +1,147 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const CryptoJS = require("crypto-js");
+const { startHarness } = require("./helpers/harness");
+
+const LEGACY_KEY = "test-encryption-key-0123456789abcdef";
+
+let harness;
+let encryption;
+let keyRotationService;
+
+before(async () => {
+  harness = await startHarness();
+  encryption = harness.require("utils/encryption");
+  keyRotationService = harness.require("services/keyRotation.service");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const keyring = (currentKeyId, keys) =>
+  new encryption.Encryption({
+    secrets: new Map(Object.entries(keys)),
+    currentKeyId,
+    legacyKey: LEGACY_KEY,
+  });
+
+/**
+ * Make the shared instance use another keyring for the duration of fn
+ */
+async function withKeyring(next, fn) {
+  const saved = {
+    keys: encryption.keys,
+    currentKeyId: encryption.currentKeyId,
+  };
+  Object.assign(encryption, {
+    keys: next.keys,
+    currentKeyId: next.currentKeyId,
+  });
+  try {
+    return await fn();
+  } finally {
+    Object.assign(encryption, saved);
+  }
+}
+
+test("values round-trip as AES-256-GCM envelopes under the current key", () => {
+  const ciphertext = encryption.encrypt("refresh-token-value");
+
+  assert.match(ciphertext, /^gcm1:default:/);
+  assert.notEqual(encryption.encrypt("refresh-token-value"), ciphertext);
+  assert.equal(encryption.decrypt(ciphertext), "refresh-token-value");
+  assert.equal(encryption.encrypt(""), null);
+  assert.equal(encryption.decrypt(null), null);
+});
+
+test("ciphertexts written by the CryptoJS version stay readable", () => {
+  const legacy = CryptoJS.AES.encrypt("old-token", LEGACY_KEY).toString();
+
+  assert.equal(encryption.keyIdOf(legacy), "legacy");
+  assert.equal(encryption.decrypt(legacy), "old-token");
+  assert.ok(encryption.needsRotation(legacy));
+});
+
+test("tampered ciphertexts and key IDs are rejected", () => {
+  const parts = encryption.encrypt("secret").split(":");
+
+  const body = Buffer.from(parts[5], "base64url");
+  body[0] ^= 1;
+  const tampered = [...parts.slice(0, 5), body.toString("base64url")];
+  assert.throws(() => encryption.decrypt(tampered.join(":")), /decrypt/);
+
+  // The key ID is bound to the wrapped data key
+  const withOtherId = keyring("default", {
+    default: LEGACY_KEY,
+    k2: LEGACY_KEY,
+  });
+  const relabelled = ["gcm1", "k2", ...parts.slice(2)].join(":");
+  assert.throws(() => withOtherId.decrypt(relabelled), /decrypt/);
+});
+
+test("a ciphertext of a removed key cannot be read", () => {
+  const old = keyring("k1", { k1: "first-secret" }).encrypt("secret");
+  assert.throws(() => encryption.decrypt(old), /decrypt/);
+});
+
+test("rotating re-wraps the data key and keeps the value", () => {
+  const k1 = keyring("k1", { k1: "first-secret" });
+  const k2 = keyring("k2", { k2: "second-secret", k1: "first-secret" });
+  const original = k1.encrypt("secret");
+
+  const rotated = k2.rotate(original);
+  assert.equal(k2.keyIdOf(rotated), "k2");
+  assert.equal(rotated.split(":")[5], original.split(":")[5]);
+  assert.equal(k2.decrypt(rotated), "secret");
+  assert.equal(k2.rotate(rotated), rotated);
+
+  // Readable without the old key once rotated
+  assert.equal(
+    keyring("k2", { k2: "second-secret" }).decrypt(rotated),
+    "secret",
+  );
+});
+
+test("the unknown current key is a configuration error", () => {
+  assert.throws(
+    () => keyring("missing", { k1: "first-secret" }),
+    /"missing" is not configured/,
+  );
+});
+
+test("the rotation command moves stored tokens to the current key", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const legacySecret = CryptoJS.AES.encrypt("hmac", LEGACY_KEY).toString();
+  await harness.prisma.apiDestination.create({
+    data: { name: "Hook", url: "https://example.com", secret: legacySecret },
+  });
+
+  const next = keyring("k2", { k2: "second-secret", default: LEGACY_KEY });
+  await withKeyring(next, async () => {
+    const before = await keyRotationService.status();
+    assert.equal(before.currentKeyId, "k2");
+    assert.deepEqual(before.keys, { default: 2, legacy: 1 });
+
+    const dryRun = await keyRotationService.rotateAll({ dryRun: true });
+    assert.equal(dryRun.rotated, 3);
+    assert.deepEqual((await keyRotationService.status()).keys, {
+      default: 2,
+      legacy: 1,
+    });
+
+    const result = await keyRotationService.rotateAll({ batchSize: 1 });
+    assert.deepEqual(result, { scanned: 3, rotated: 3, skipped: 0, failed: 0 });
+    assert.deepEqual((await keyRotationService.status()).keys, { k2: 3 });
+  });
+
+  // Only the new key is needed now
+  const newOnly = keyring("k2", { k2: "second-secret" });
+  const token = await harness.prisma.mailToken.findUnique({
+    where: { accountId: account.id },
+  });
+  assert.ok(newOnly.decrypt(token.accessToken));
+  assert.ok(newOnly.decrypt(token.refreshToken));
+  const [destination] = harness.prisma.apiDestination.rows;
+  assert.equal(newOnly.decrypt(destination.secret), "hmac");
+});
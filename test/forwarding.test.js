@@ -0,0 +1,286 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let syncService;
+let forwarderService;
+
+before(async () => {
+  harness = await startHarness();
+  syncService = harness.require("services/sync.service");
+  forwarderService = harness.require("services/forwarder.service");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+/**
+ * A FORWARD rule, a synced mailbox and one new message in it
+ * @returns {object} - { account, mailbox, message, result, log }
+ */
+async function forwardOne(rule, fields = {}) {
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Forward", action: "FORWARD", ...rule },
+  });
+  const { account, mailbox } = await harness.connectMailbox(
+    "alice@emulator.local",
+  );
+  await syncService.syncMailbox(account.id);
+  const message = harness.emulator.addMessage(mailbox, {
+    subject: "Order 1",
+    from: "shop@example.com",
+    body: "Thanks for your order",
+    ...fields,
+  });
+  const result = await syncService.syncMailbox(account.id);
+  const log = await harness.prisma.mailMessageLog.findFirst({
+    where: { graphMessageId: message.id },
+  });
+  return { account, mailbox, message, result, log };
+}
+
+test("Graph forward sends the rule's comment", async () => {
+  const { mailbox, message, log } = await forwardOne({
+    forwardComment: "Received by {{mailbox}} from {{from}}",
+  });
+
+  assert.equal(mailbox.sent.length, 1);
+  assert.equal(mailbox.sent[0].via, "forward");
+  assert.equal(mailbox.sent[0].messageId, message.id);
+  assert.equal(
+    mailbox.sent[0].comment,
+    "Received by alice@emulator.local from shop@example.com",
+  );
+  assert.equal(log.forwardStatus, "FORWARDED");
+  assert.equal(log.forwardMode, "FORWARD");
+  assert.equal(log.forwardedTo, "collector@example.com");
+});
+
+test("createForward rewrites the subject before sending the draft", async () => {
+  const { mailbox, message, log } = await forwardOne({
+    forwardMode: "CREATE_FORWARD",
+    forwardSubject: "[{{mailbox}}] {{subject}}",
+  });
+
+  assert.deepEqual(
+    mailbox.sent.map((s) => [s.via, s.messageId, s.subject, s.to]),
+    [
+      [
+        "createForward",
+        message.id,
+        "[alice@emulator.local] Order 1",
+        ["collector@example.com"],
+      ],
+    ],
+  );
+  assert.equal(mailbox.drafts.size, 0);
+  assert.equal(log.forwardMode, "CREATE_FORWARD");
+});
+
+test("re-send copies the message with its attachments", async () => {
+  const { mailbox, log } = await forwardOne(
+    { forwardMode: "RESEND", forwardComment: "From {{mailbox}}" },
+    {
+      attachments: [
+        {
+          name: "invoice.pdf",
+          contentType: "application/pdf",
+          content: "%PDF",
+        },
+      ],
+    },
+  );
+
+  const [sent] = mailbox.sent;
+  assert.equal(sent.via, "sendMail");
+  assert.equal(sent.subject, "Order 1");
+  assert.deepEqual(sent.to, ["collector@example.com"]);
+  assert.deepEqual(sent.replyTo, ["shop@example.com"]);
+  assert.equal(
+    sent.body.content,
+    "From alice@emulator.local\n\nThanks for your order",
+  );
+  assert.deepEqual(sent.attachments, [
+    { name: "invoice.pdf", contentType: "application/pdf", size: 4 },
+  ]);
+  assert.equal(log.forwardStatus, "FORWARDED");
+  assert.equal(log.forwardMode, "RESEND");
+});
+
+test("a rejected send is logged as failed", async () => {
+  const smtp = mock.method(forwarderService, "sendViaSMTP", async () => true);
+  try {
+    await harness.prisma.forwardingRule.create({
+      data: { name: "Forward", action: "FORWARD", forwardMode: "RESEND" },
+    });
+    const { account, mailbox } = await harness.connectMailbox(
+      "alice@emulator.local",
+    );
+    await syncService.syncMailbox(account.id);
+    harness.emulator.addFailure(mailbox, {
+      status: 400,
+      code: "ErrorMessageSizeExceeded",
+      message: "The message exceeds the maximum supported size.",
+      path: "/sendMail",
+    });
+    const message = harness.emulator.addMessage(mailbox, { subject: "Big" });
+
+    const result = await syncService.syncMailbox(account.id);
+    assert.equal(result.messagesFailed, 1);
+
+    const log = await harness.prisma.mailMessageLog.findFirst({
+      where: { graphMessageId: message.id },
+    });
+    assert.equal(log.forwardStatus, "FAILED");
+    assert.match(log.error, /ErrorMessageSizeExceeded/);
+    assert.equal(mailbox.sent.length, 0);
+  } finally {
+    smtp.mock.restore();
+  }
+});
+
+test("a send that times out after Graph sent it is not repeated", async () => {
+  const smtp = mock.method(forwarderService, "sendViaSMTP", async () => true);
+  try {
+    await harness.prisma.forwardingRule.create({
+      data: { name: "Forward", action: "FORWARD" },
+    });
+    const { account, mailbox } = await harness.connectMailbox(
+      "alice@emulator.local",
+    );
+    await syncService.syncMailbox(account.id);
+    harness.emulator.addFailure(mailbox, {
+      status: 504,
+      code: "GatewayTimeout",
+      message: "The gateway did not receive a timely response.",
+      path: "/forward",
+      method: "POST",
+      processed: true,
+    });
+    const message = harness.emulator.addMessage(mailbox, { subject: "Once" });
+
+    await syncService.syncMailbox(account.id);
+
+    assert.equal(mailbox.sent.length, 1);
+    const log = await harness.prisma.mailMessageLog.findFirst({
+      where: { graphMessageId: message.id },
+    });
+    assert.equal(log.forwardStatus, "FAILED");
+    assert.match(log.error, /GatewayTimeout/);
+  } finally {
+    smtp.mock.restore();
+  }
+});
+
+test("a createForward draft that cannot be edited or sent is deleted", async () => {
+  const smtp = mock.method(forwarderService, "sendViaSMTP", async () => true);
+  try {
+    await harness.prisma.forwardingRule.create({
+      data: {
+        name: "Forward",
+        action: "FORWARD",
+        forwardMode: "CREATE_FORWARD",
+        forwardSubject: "[{{mailbox}}] {{subject}}",
+      },
+    });
+    const { account, mailbox } = await harness.connectMailbox(
+      "alice@emulator.local",
+    );
+    await syncService.syncMailbox(account.id);
+
+    const failures = [
+      { status: 400, code: "ErrorInvalidProperty", method: "PATCH" },
+      { status: 500, code: "ErrorInternalServerError", path: "/send" },
+    ];
+    for (const failure of failures) {
+      harness.emulator.addFailure(mailbox, { message: "Failed", ...failure });
+      const message = harness.emulator.addMessage(mailbox, {
+        subject: failure.code,
+      });
+
+      await syncService.syncMailbox(account.id);
+
+      const log = await harness.prisma.mailMessageLog.findFirst({
+        where: { graphMessageId: message.id },
+      });
+      assert.equal(log.forwardStatus, "FAILED");
+      assert.match(log.error, new RegExp(failure.code));
+      assert.equal(mailbox.drafts.size, 0);
+    }
+    assert.equal(mailbox.sent.length, 0);
+  } finally {
+    smtp.mock.restore();
+  }
+});
+
+test("rules validate the forward mode and the config reports it", async () => {
+  const { api } = await harness.signIn("owner");
+
+  const invalid = await api("POST", "/rules", {
+    name: "Forward",
+    action: "FORWARD",
+    forwardMode: "BOUNCE",
+  });
+  assert.equal(invalid.status, 400);
+
+  const created = await api("POST", "/rules", {
+    name: "Forward",
+    action: "FORWARD",
+    forwardMode: "CREATE_FORWARD",
+    forwardSubject: "[{{mailbox}}] {{subject}}",
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.forwardMode, "CREATE_FORWARD");
+  await api("POST", "/rules", { name: "Codes", action: "API" });
+
+  const config = (await api("GET", "/dashboard/config")).body.data;
+  assert.deepEqual(config.forwardMethods, {
+    "FORWARD/CREATE_FORWARD": 1,
+    API: 1,
+  });
+});
+
+test("rules only refer to accounts, groups and destinations that exist", async () => {
+  const { api } = await harness.signIn("owner");
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const group = await harness.prisma.accountGroup.create({
+    data: { name: "Shops" },
+  });
+  const destination = await harness.prisma.apiDestination.create({
+    data: { name: "Codes", url: "https://codes.example/hook" },
+  });
+  const rule = { name: "Codes", action: "API" };
+
+  for (const [body, error] of [
+    [{ accountId: "no-such-account" }, /Account not found/],
+    [{ groupId: "no-such-group" }, /Group not found/],
+    [
+      { destinationIds: [destination.id, "no-such-destination"] },
+      /API destination not found: no-such-destination$/,
+    ],
+  ]) {
+    const res = await api("POST", "/rules", { ...rule, ...body });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, error);
+  }
+  assert.equal(harness.prisma.forwardingRule.rows.length, 0);
+
+  const created = await api("POST", "/rules", {
+    ...rule,
+    accountId: account.id,
+    groupId: group.id,
+    destinationIds: [destination.id],
+  });
+  assert.equal(created.status, 201);
+
+  const patched = await api("PATCH", `/rules/${created.body.data.id}`, {
+    destinationIds: ["no-such-destination"],
+  });
+  assert.equal(patched.status, 400);
+  const unknownRule = await api("PATCH", "/rules/no-such-rule", {
+    destinationIds: ["no-such-destination"],
+  });
+  assert.equal(unknownRule.status, 404);
+});
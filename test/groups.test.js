@@ -0,0 +1,290 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let syncService;
+let forwarderService;
+
+before(async () => {
+  harness = await startHarness();
+  syncService = harness.require("services/sync.service");
+  forwarderService = harness.require("services/forwarder.service");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+/**
+ * Group with the given mailboxes, created through the API
+ */
+async function createGroup(api, body, accounts = []) {
+  const res = await api("POST", "/groups", body);
+  assert.equal(res.status, 201);
+  if (accounts.length) {
+    await api("POST", `/groups/${res.body.data.id}/members`, {
+      accountIds: accounts.map((a) => a.id),
+    });
+  }
+  return res.body.data;
+}
+
+test("mailboxes belong to many groups and lists filter by group", async () => {
+  const { account: alice } = await harness.connectMailbox(
+    "alice@emulator.local",
+  );
+  const { account: bob } = await harness.connectMailbox("bob@emulator.local");
+  const { api } = await harness.signIn("operator");
+
+  const storeA = await createGroup(api, { name: "Store A" }, [alice, bob]);
+  const vip = await createGroup(api, { name: "VIP", color: "#dc2626" }, [
+    alice,
+  ]);
+
+  const accounts = await api("GET", `/accounts?groupId=${vip.id}`);
+  assert.deepEqual(
+    accounts.body.data.accounts.map((a) => [
+      a.email,
+      a.groups.map((g) => g.name).sort(),
+    ]),
+    [["alice@emulator.local", ["Store A", "VIP"]]],
+  );
+
+  const groups = (await api("GET", "/groups")).body.data;
+  assert.deepEqual(
+    groups.map((g) => [g.name, g.accounts.total]),
+    [
+      ["Store A", 2],
+      ["VIP", 1],
+    ],
+  );
+
+  // Members can be added by email; unknown addresses are reported
+  const added = await api("POST", `/groups/${vip.id}/members`, {
+    emails: "bob@emulator.local, nobody@emulator.local",
+  });
+  assert.deepEqual(added.body.data, {
+    added: 1,
+    notFound: ["nobody@emulator.local"],
+  });
+
+  const removed = await api("DELETE", `/groups/${storeA.id}/members`, {
+    accountIds: [bob.id],
+  });
+  assert.equal(removed.body.data.removed, 1);
+  const storeAccounts = await api("GET", `/accounts?groupId=${storeA.id}`);
+  assert.deepEqual(
+    storeAccounts.body.data.accounts.map((a) => a.email),
+    ["alice@emulator.local"],
+  );
+});
+
+test("logs and dashboard activity filter by group", async () => {
+  const { account: alice } = await harness.connectMailbox(
+    "alice@emulator.local",
+  );
+  const { account: bob } = await harness.connectMailbox("bob@emulator.local");
+  for (const account of [alice, bob]) {
+    await harness.prisma.mailMessageLog.create({
+      data: {
+        accountId: account.id,
+        graphMessageId: `msg-${account.email}`,
+        forwardStatus: "FORWARDED",
+      },
+    });
+  }
+  const { api } = await harness.signIn("owner");
+  const group = await createGroup(api, { name: "Store B" }, [bob]);
+
+  const logs = await api("GET", `/logs?groupId=${group.id}`);
+  assert.deepEqual(
+    logs.body.data.logs.map((l) => l.accountId),
+    [bob.id],
+  );
+  const none = await api(
+    "GET",
+    `/logs?groupId=${group.id}&accountId=${alice.id}`,
+  );
+  assert.equal(none.body.data.logs.length, 0);
+
+  const activity = await api(
+    "GET",
+    `/dashboard/recent-activity?groupId=${group.id}`,
+  );
+  assert.deepEqual(
+    activity.body.data.messages.map((m) => m.accountId),
+    [bob.id],
+  );
+  const overview = await api(
+    "GET",
+    `/dashboard/accounts-overview?groupId=${group.id}`,
+  );
+  assert.deepEqual(
+    overview.body.data.accounts.map((a) => a.email),
+    ["bob@emulator.local"],
+  );
+});
+
+test("bulk actions enable, disable and resync the mailboxes of a group", async () => {
+  const { account: alice } = await harness.connectMailbox(
+    "alice@emulator.local",
+  );
+  const { account: bob } = await harness.connectMailbox("bob@emulator.local");
+  const { account: carol } = await harness.connectMailbox(
+    "carol@emulator.local",
+  );
+  const { api } = await harness.signIn("operator");
+  const group = await createGroup(api, { name: "Store A" }, [alice, bob]);
+
+  const disabled = await api("POST", `/groups/${group.id}/actions`, {
+    action: "disable",
+  });
+  assert.deepEqual(disabled.body.data, { updated: 2 });
+  const enabled = (id) =>
+    harness.prisma.mailAccount.rows.find((r) => r.id === id).isEnabled;
+  assert.equal(enabled(alice.id), false);
+  assert.equal(enabled(carol.id), true);
+
+  await api("POST", `/groups/${group.id}/actions`, { action: "enable" });
+  await harness.prisma.mailAccount.update({
+    where: { id: bob.id },
+    data: { status: "NEEDS_REAUTH" },
+  });
+  const resync = await api("POST", `/groups/${group.id}/actions`, {
+    action: "resync",
+  });
+  assert.deepEqual(resync.body.data, { queued: 1 });
+  assert.deepEqual(
+    harness
+      .queue("mail-reconcile")
+      .list("mail:reconcile-account")
+      .map((j) => j.data.accountId),
+    [alice.id],
+  );
+
+  const [entry] = harness.prisma.auditLog.rows.filter(
+    (r) => r.action === "group.resync",
+  );
+  assert.equal(entry.targetId, group.id);
+
+  const viewer = await harness.signIn("viewer");
+  const denied = await viewer.api("POST", `/groups/${group.id}/actions`, {
+    action: "disable",
+  });
+  assert.equal(denied.status, 403);
+});
+
+test("reconnect emails links to the group's notification recipients", async () => {
+  const smtp = mock.method(forwarderService, "sendViaSMTP", async () => true);
+  try {
+    const { account: alice } = await harness.connectMailbox(
+      "alice@emulator.local",
+    );
+    const { account: bob } = await harness.connectMailbox("bob@emulator.local");
+    await harness.prisma.mailAccount.update({
+      where: { id: alice.id },
+      data: { status: "NEEDS_REAUTH" },
+    });
+    const { api } = await harness.signIn("owner");
+    const group = await createGroup(
+      api,
+      {
+        name: "Store A",
+        notifyEmails: "ops@store-a.example, it@store-a.example",
+      },
+      [alice, bob],
+    );
+
+    const res = await api("POST", `/groups/${group.id}/actions`, {
+      action: "reconnect",
+    });
+    assert.deepEqual(res.body.data, { notified: 1, failed: 0 });
+    assert.deepEqual(smtp.mock.calls[0].arguments[0], [
+      "ops@store-a.example",
+      "it@store-a.example",
+      "dev@example.com",
+    ]);
+    assert.match(smtp.mock.calls[0].arguments[1], /alice@emulator\.local/);
+  } finally {
+    smtp.mock.restore();
+  }
+});
+
+test("a group's forward address is used for its mailboxes", async () => {
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Everything", action: "FORWARD" },
+  });
+  const alice = await harness.connectMailbox("alice@emulator.local");
+  const bob = await harness.connectMailbox("bob@emulator.local");
+  const { api } = await harness.signIn("owner");
+  await createGroup(
+    api,
+    { name: "Low", priority: 200, forwardToEmail: "low@store.example" },
+    [alice.account],
+  );
+  await createGroup(
+    api,
+    { name: "High", priority: 10, forwardToEmail: "high@store.example" },
+    [alice.account],
+  );
+
+  for (const { account, mailbox } of [alice, bob]) {
+    await syncService.syncMailbox(account.id);
+    harness.emulator.addMessage(mailbox, {
+      subject: "Order 1",
+      from: "shop@example.com",
+    });
+    await syncService.syncMailbox(account.id);
+  }
+
+  assert.deepEqual(alice.mailbox.sent[0].to, ["high@store.example"]);
+  assert.deepEqual(bob.mailbox.sent[0].to, ["collector@example.com"]);
+  const log = await harness.prisma.mailMessageLog.findFirst({
+    where: { accountId: alice.account.id },
+  });
+  assert.equal(log.forwardedTo, "high@store.example");
+});
+
+test("rules limited to a group only match its mailboxes", async () => {
+  const alice = await harness.connectMailbox("alice@emulator.local");
+  const bob = await harness.connectMailbox("bob@emulator.local");
+  const { api } = await harness.signIn("owner");
+  const group = await createGroup(api, { name: "Store A" }, [alice.account]);
+
+  const rule = await api("POST", "/rules", {
+    name: "Store A only",
+    action: "FORWARD",
+    groupId: group.id,
+  });
+  assert.equal(rule.status, 201);
+
+  for (const { account, mailbox } of [alice, bob]) {
+    await syncService.syncMailbox(account.id);
+    harness.emulator.addMessage(mailbox, { subject: "Hello" });
+    await syncService.syncMailbox(account.id);
+  }
+  assert.equal(alice.mailbox.sent.length, 1);
+  assert.equal(bob.mailbox.sent.length, 0);
+
+  // The group cannot be deleted while the rule uses it
+  const refused = await api("DELETE", `/groups/${group.id}`);
+  assert.equal(refused.status, 409);
+});
+
+test("only owners change forward and notification overrides", async () => {
+  const { api } = await harness.signIn("operator");
+
+  const res = await api("POST", "/groups", {
+    name: "Store A",
+    forwardToEmail: "a@store.example",
+  });
+  assert.equal(res.status, 403);
+
+  const plain = await api("POST", "/groups", { name: "Store A" });
+  assert.equal(plain.status, 201);
+  const invalid = await api("PATCH", `/groups/${plain.body.data.id}`, {
+    color: "red",
+  });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,214 @@
+/**
+ * Integration test harness
+ * Runs the service code in-process against the Graph emulator (emulator/)
+ * with in-memory stand-ins for MySQL (Prisma), Redis and Bull.
+ *
+ * Every test file calls startHarness() before requiring anything from src/
+ * (node --test runs each file in its own process).
+ */
+const path = require("path");
+const { once } = require("events");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const { createFakePrisma } = require("./prisma");
+const { FakeQueue, createFakeRedis } = require("./stubs");
+
+const ROOT = path.join(__dirname, "../..");
+const src = (file) => path.join(ROOT, "src", file);
+
+const JWT_SECRET = "test-jwt-secret";
+
+// Error responses are asserted on; keep the output readable
+const quietLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+/**
+ * Replace a module in the require cache before anything loads it
+ */
+function stubModule(request, exports) {
+  const file = require.resolve(request, { paths: [ROOT] });
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+async function listen(app) {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Poll until check() returns a truthy value
+ */
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor: timed out");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Start the emulator and the webhook endpoints, and load the service code
+ * @returns {object} - harness (see below)
+ */
+async function startHarness() {
+  const emulatorStore = require("../../emulator/store");
+  const { createEmulatorApp } = require("../../emulator/app");
+  const emulator = await listen(createEmulatorApp({ logRequests: false }));
+
+  // Routes are mounted once the port (used in WEBHOOK_URL) is known
+  const app = express();
+  const api = await listen(app);
+
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    API_URL: api.url,
+    WEBHOOK_URL: `${api.url}/api/webhooks/mail`,
+    WEBHOOK_LIFECYCLE_URL: `${api.url}/api/webhooks/lifecycle`,
+    MICROSOFT_LOGIN_BASE_URL: emulator.url,
+    GRAPH_BASE_URL: `${emulator.url}/v1.0`,
+    MICROSOFT_CLIENT_ID: "test-client",
+    MICROSOFT_CLIENT_SECRET: "test-secret",
+    MICROSOFT_REDIRECT_URI: `${api.url}/api/oauth/callback`,
+    DEFAULT_MAIL_FOLDERS: "Inbox",
+    ENCRYPTION_KEY: "test-encryption-key-0123456789abcdef",
+    STEAM_API_SECRET: "test-steam-secret",
+    FORWARD_TO_EMAIL: "collector@example.com",
+    DEV_EMAIL: "dev@example.com",
+    JWT_SECRET,
+  });
+
+  const prisma = createFakePrisma();
+  stubModule(src("config/database"), prisma);
+  const redis = createFakeRedis();
+  stubModule(src("config/redis"), redis);
+  stubModule("bull", FakeQueue);
+  stubModule(src("config/logger"), quietLogger);
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/webhooks", require(src("routes/webhooks.routes")));
+  for (const name of [
+    "auth",
+    "users",
+    "accounts",
+    "logs",
+    "dashboard",
+    "rules",
+    "audit",
+    "apps",
+    "groups",
+    "destinations",
+  ]) {
+    app.use(`/api/${name}`, require(src(`routes/${name}.routes`)));
+  }
+  const { errorHandler } = require(src("middleware/error.middleware"));
+  app.use(errorHandler);
+
+  const microsoftAuthService = require(src("services/microsoftAuth.service"));
+  const forwarderService = require(src("services/forwarder.service"));
+  const rulesService = require(src("services/rules.service"));
+  const extractorService = require(src("services/extractor.service"));
+  const sessionService = require(src("services/session.service"));
+  const appRegistrationService = require(
+    src("services/appRegistration.service"),
+  );
+  const groupService = require(src("services/group.service"));
+
+  return {
+    prisma,
+    redis,
+    emulator: emulatorStore,
+    apiUrl: api.url,
+    emulatorUrl: emulator.url,
+    waitFor,
+
+    /** Load a module from src/, e.g. harness.require("services/sync.service") */
+    require: (file) => require(src(file)),
+
+    /**
+     * Dashboard user with a session and a valid access token
+     * @returns {object} - { user, token, refreshToken, api(method, path, body) }
+     */
+    async signIn(role = "owner", { email = `${role}@example.com` } = {}) {
+      const user = await prisma.adminUser.create({
+        data: { email, password: "not-used", name: role, role },
+      });
+      const { accessToken: token, refreshToken } =
+        await sessionService.create(user);
+      const call = async (method, path, body) => {
+        const response = await fetch(`${api.url}/api${path}`, {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+      };
+      return { user, token, refreshToken, api: call };
+    },
+
+    /** Fake Bull queue by name, e.g. "webhook-forward" */
+    queue: (name) => FakeQueue.queues.get(name),
+
+    /**
+     * Emulated mailbox + CONNECTED MailAccount with stored tokens
+     * @param {object} options - { folders, app } (app: AppRegistration row
+     *   the account is bound to and its tokens are issued to)
+     * @returns {object} - { account, mailbox }
+     */
+    async connectMailbox(email, { folders, app } = {}) {
+      const mailbox = emulatorStore.addMailbox({ email, folders });
+      const account = await prisma.mailAccount.create({
+        data: {
+          email,
+          msUserId: mailbox.id,
+          displayName: mailbox.displayName,
+          status: "CONNECTED",
+          appRegistrationId: app ? app.id : null,
+        },
+      });
+      await microsoftAuthService.storeTokens(
+        account.id,
+        emulatorStore.issueTokens(mailbox, {
+          ttlSeconds: 3600,
+          clientId: app ? app.clientId : null,
+        }),
+        app ? app.id : null,
+      );
+      return { account, mailbox };
+    },
+
+    /** Clear all state between tests */
+    reset() {
+      for (const model of Object.values(prisma)) {
+        if (Array.isArray(model?.rows)) model.rows = [];
+      }
+      for (const queue of FakeQueue.queues.values()) queue.clear();
+      redis.values.clear();
+      emulatorStore.reset();
+      forwarderService.clearForwardToCache();
+      rulesService.clearCache();
+      extractorService.clearCache();
+      appRegistrationService.clearCache();
+      groupService.clearCache();
+    },
+
+    async close() {
+      await Promise.all(
+        [api.server, emulator.server].map(
+          (server) =>
+            new Promise((resolve) => {
+              server.close(resolve);
+              server.closeAllConnections(); // Keep-alive sockets
+            }),
+        ),
+      );
+    },
+  };
+}
+
+module.exports = { startHarness };
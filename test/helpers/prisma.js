@@ -0,0 +1,342 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_FILE = path.join(__dirname, "../../prisma/schema.prisma");
+
+const SCALAR_TYPES = [
+  "String",
+  "Int",
+  "BigInt",
+  "Float",
+  "Decimal",
+  "Boolean",
+  "DateTime",
+  "Json",
+  "Bytes",
+];
+
+/**
+ * Read models from schema.prisma: scalar fields, defaults, @updatedAt,
+ * @unique / @@unique constraints and the table name
+ */
+function parseSchema(source) {
+  const enums = new Set(
+    [...source.matchAll(/^enum\s+(\w+)\s*\{/gm)].map((m) => m[1]),
+  );
+  const models = {};
+
+  for (const [, name, block] of source.matchAll(
+    /^model\s+(\w+)\s*\{([\s\S]*?)^\}/gm,
+  )) {
+    const model = { name, table: name, fields: {}, relations: {}, uniques: [] };
+
+    for (const rawLine of block.split("\n")) {
+      const line = rawLine.replace(/\/\/.*$/, "").trim();
+      if (!line) continue;
+
+      if (line.startsWith("@@")) {
+        const unique = line.match(/^@@unique\(\[([^\]]+)\]/);
+        if (unique) {
+          model.uniques.push(unique[1].split(",").map((f) => f.trim()));
+        }
+        const map = line.match(/^@@map\("([^"]+)"\)/);
+        if (map) model.table = map[1];
+        continue;
+      }
+
+      const [fieldName, rawType] = line.split(/\s+/);
+      const type = rawType.replace(/[?[\]]/g, "");
+      if (!SCALAR_TYPES.includes(type) && !enums.has(type)) {
+        model.relations[fieldName] = { list: rawType.endsWith("[]") };
+        continue;
+      }
+
+      const field = {
+        type,
+        optional: rawType.endsWith("?"),
+        updatedAt: line.includes("@updatedAt"),
+      };
+      const def = line.match(/@default\((.*?\)?)\)(\s|$)/);
+      if (def) field.default = def[1];
+      if (/@id\b|@unique\b/.test(line)) model.uniques.push([fieldName]);
+
+      model.fields[fieldName] = field;
+    }
+
+    models[name.charAt(0).toLowerCase() + name.slice(1)] = model;
+  }
+
+  return models;
+}
+
+function defaultValue(field) {
+  const def = field.default;
+  if (def === undefined) return field.optional ? null : undefined;
+  if (def === "uuid()") return crypto.randomUUID();
+  if (def === "now()") return new Date();
+  if (def === "true" || def === "false") return def === "true";
+  if (/^-?\d+(\.\d+)?$/.test(def)) return Number(def);
+  if (/^".*"$/.test(def)) return def.slice(1, -1);
+  return def; // Enum value
+}
+
+// ---------------- Filtering ----------------
+
+const compare = (a, b) => {
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const equals = (a, b) => compare(a, b) === 0 && (a === null) === (b === null);
+
+function matchesField(value, filter) {
+  const isOperatorObject =
+    filter !== null &&
+    typeof filter === "object" &&
+    !(filter instanceof Date) &&
+    !Array.isArray(filter);
+  if (!isOperatorObject) return equals(value, filter);
+
+  return Object.entries(filter).every(([op, arg]) => {
+    switch (op) {
+      case "equals":
+        return equals(value, arg);
+      case "not":
+        return !matchesField(value, arg);
+      case "in":
+        return arg.some((v) => equals(value, v));
+      case "notIn":
+        return !arg.some((v) => equals(value, v));
+      case "lt":
+        return value !== null && compare(value, arg) < 0;
+      case "lte":
+        return value !== null && compare(value, arg) <= 0;
+      case "gt":
+        return value !== null && compare(value, arg) > 0;
+      case "gte":
+        return value !== null && compare(value, arg) >= 0;
+      case "contains":
+        return value !== null && String(value).includes(arg);
+      case "startsWith":
+        return value !== null && String(value).startsWith(arg);
+      default:
+        throw new Error(`Fake Prisma: unsupported filter "${op}"`);
+    }
+  });
+}
+
+// ---------------- Model delegate ----------------
+
+class FakeModel {
+  constructor(key, model) {
+    this.key = key;
+    this.model = model;
+    this.rows = [];
+  }
+
+  _matches(row, where = {}) {
+    return Object.entries(where).every(([key, filter]) => {
+      if (filter === undefined) return true;
+      if (key === "AND")
+        return [].concat(filter).every((w) => this._matches(row, w));
+      if (key === "OR") return filter.some((w) => this._matches(row, w));
+      if (key === "NOT")
+        return ![].concat(filter).some((w) => this._matches(row, w));
+
+      // Compound unique key, e.g. accountId_folderId: { accountId, folderId }
+      const compound = this.model.uniques.find(
+        (fields) => fields.length > 1 && fields.join("_") === key,
+      );
+      if (compound) return this._matches(row, filter);
+
+      if (!(key in this.model.fields)) {
+        throw new Error(
+          `Fake Prisma: unsupported filter ${this.model.name}.${key}`,
+        );
+      }
+      return matchesField(row[key], filter);
+    });
+  }
+
+  /**
+   * Relations are not stored: an included list relation is empty and an
+   * included single relation is null
+   */
+  _select(row, select, include) {
+    if (!row) return null;
+    const result = {};
+    if (select) {
+      for (const [key, value] of Object.entries(select)) {
+        if (value === true && key in this.model.fields) result[key] = row[key];
+      }
+    } else {
+      Object.assign(result, row);
+    }
+    for (const key of Object.keys(include || {})) {
+      const relation = this.model.relations[key];
+      if (relation) result[key] = relation.list ? [] : null;
+    }
+    return result;
+  }
+
+  _sort(rows, orderBy) {
+    const orders = [].concat(orderBy || []);
+    return [...rows].sort((a, b) => {
+      for (const order of orders) {
+        const [field, direction] = Object.entries(order)[0];
+        const result = compare(a[field], b[field]);
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  _applyData(row, data) {
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined || !(key in this.model.fields)) continue;
+      if (
+        value !== null &&
+        typeof value === "object" &&
+        !(value instanceof Date)
+      ) {
+        if ("increment" in value) row[key] = (row[key] || 0) + value.increment;
+        else if ("decrement" in value)
+          row[key] = (row[key] || 0) - value.decrement;
+        else if ("set" in value) row[key] = value.set;
+        else row[key] = value; // Json
+      } else {
+        row[key] = value;
+      }
+    }
+    for (const [key, field] of Object.entries(this.model.fields)) {
+      if (field.updatedAt) row[key] = new Date();
+    }
+    return row;
+  }
+
+  /**
+   * Same error shape as Prisma on MySQL (P2002 + index name in meta.target)
+   */
+  _checkUniques(row, self = row) {
+    for (const fields of this.model.uniques) {
+      if (fields.some((f) => row[f] === null || row[f] === undefined)) continue;
+      const clash = this.rows.find(
+        (other) =>
+          other !== self && fields.every((f) => equals(other[f], row[f])),
+      );
+      if (clash) {
+        const error = new Error(
+          `Unique constraint failed on the constraint: \`${this.model.table}_${fields.join("_")}_key\``,
+        );
+        error.code = "P2002";
+        error.meta = { target: `${this.model.table}_${fields.join("_")}_key` };
+        throw error;
+      }
+    }
+  }
+
+  _notFound() {
+    const error = new Error(`No ${this.model.name} record found`);
+    error.code = "P2025";
+    return error;
+  }
+
+  async findUnique({ where, select, include } = {}) {
+    return this._select(
+      this.rows.find((r) => this._matches(r, where)),
+      select,
+      include,
+    );
+  }
+
+  async findFirst({ where, select, include, orderBy } = {}) {
+    const rows = this._sort(
+      this.rows.filter((r) => this._matches(r, where)),
+      orderBy,
+    );
+    return this._select(rows[0], select, include);
+  }
+
+  async findMany({ where, select, include, orderBy, skip = 0, take } = {}) {
+    const rows = this._sort(
+      this.rows.filter((r) => this._matches(r, where)),
+      orderBy,
+    );
+    return rows
+      .slice(skip, take === undefined ? undefined : skip + take)
+      .map((r) => this._select(r, select, include));
+  }
+
+  async count({ where } = {}) {
+    return this.rows.filter((r) => this._matches(r, where)).length;
+  }
+
+  async create({ data, select } = {}) {
+    const row = {};
+    for (const [key, field] of Object.entries(this.model.fields)) {
+      row[key] = defaultValue(field);
+    }
+    this._applyData(row, data);
+    this._checkUniques(row);
+    this.rows.push(row);
+    return this._select(row, select);
+  }
+
+  async update({ where, data, select } = {}) {
+    const row = this.rows.find((r) => this._matches(r, where));
+    if (!row) throw this._notFound();
+
+    const updated = this._applyData({ ...row }, data);
+    this._checkUniques(updated, row);
+    Object.assign(row, updated);
+    return this._select(row, select);
+  }
+
+  async updateMany({ where, data } = {}) {
+    const rows = this.rows.filter((r) => this._matches(r, where));
+    for (const row of rows) this._applyData(row, data);
+    return { count: rows.length };
+  }
+
+  async upsert({ where, create, update, select } = {}) {
+    const existing = this.rows.find((r) => this._matches(r, where));
+    return existing
+      ? this.update({ where, data: update, select })
+      : this.create({ data: create, select });
+  }
+
+  async delete({ where } = {}) {
+    const index = this.rows.findIndex((r) => this._matches(r, where));
+    if (index === -1) throw this._notFound();
+    return this.rows.splice(index, 1)[0];
+  }
+
+  async deleteMany({ where } = {}) {
+    const before = this.rows.length;
+    this.rows = this.rows.filter((r) => !this._matches(r, where));
+    return { count: before - this.rows.length };
+  }
+}
+
+/**
+ * In-memory stand-in for PrismaClient (the subset the services use)
+ * One delegate per model in schema.prisma, e.g. prisma.mailMessageLog.
+ */
+function createFakePrisma() {
+  const models = parseSchema(fs.readFileSync(SCHEMA_FILE, "utf8"));
+  const prisma = {
+    $connect: async () => {},
+    $disconnect: async () => {},
+    $transaction: async (arg) =>
+      typeof arg === "function" ? arg(prisma) : Promise.all(arg),
+  };
+
+  for (const [key, model] of Object.entries(models)) {
+    prisma[key] = new FakeModel(key, model);
+  }
+  return prisma;
+}
+
+module.exports = { createFakePrisma };
@@ -0,0 +1,133 @@
+/**
+ * In-memory stand-ins for Bull and the shared Redis client
+ */
+
+/**
+ * Bull queue that only records jobs (nothing is processed)
+ * Same duplicate-jobId behaviour as Bull: add() returns the existing job.
+ */
+class FakeQueue {
+  constructor(name) {
+    this.name = name;
+    this.jobs = new Map();
+    this._nextId = 1;
+    FakeQueue.queues.set(name, this);
+  }
+
+  async add(...args) {
+    const named = typeof args[0] === "string";
+    const [name, data, opts = {}] = named
+      ? args
+      : ["__default__", args[0], args[1]];
+
+    const id = opts.jobId || String(this._nextId++);
+    if (this.jobs.has(id)) return this.jobs.get(id);
+
+    const job = { id, name, data, opts };
+    this.jobs.set(id, job);
+    return job;
+  }
+
+  async getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /** Jobs added so far (optionally only those with this job name) */
+  list(name) {
+    return [...this.jobs.values()].filter((j) => !name || j.name === name);
+  }
+
+  clear() {
+    this.jobs.clear();
+  }
+
+  process() {}
+  on() {}
+  async isReady() {
+    return this;
+  }
+  async close() {}
+  async getRepeatableJobs() {
+    return [];
+  }
+  async removeRepeatableByKey() {}
+}
+FakeQueue.queues = new Map();
+
+/**
+ * Shared Redis client: every rate limiter token request succeeds, plain
+ * keys (GET/SET with EX or PX/DEL, hashes with HINCRBY/HGETALL, PEXPIRE,
+ * MULTI) are kept in memory
+ */
+function createFakeRedis() {
+  const values = new Map(); // key -> { value, expiresAt }
+
+  const get = (key) => {
+    const entry = values.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  };
+  const set = (key, value, mode, ttl) => {
+    const ms = mode === "EX" ? ttl * 1000 : mode === "PX" ? ttl : null;
+    values.set(key, {
+      value: String(value),
+      expiresAt: ms === null ? null : Date.now() + ms,
+    });
+    return "OK";
+  };
+  const del = (...keys) => keys.filter((key) => values.delete(key)).length;
+  const hgetall = (key) => {
+    get(key); // Drops it when expired
+    return { ...(values.get(key)?.value || {}) };
+  };
+  const hincrby = (key, field, by) => {
+    const hash = hgetall(key);
+    hash[field] = String((parseInt(hash[field], 10) || 0) + by);
+    values.set(key, {
+      value: hash,
+      expiresAt: values.get(key)?.expiresAt ?? null,
+    });
+    return parseInt(hash[field], 10);
+  };
+  const pexpire = (key, ms) => {
+    if (!values.has(key)) return 0;
+    values.get(key).expiresAt = Date.now() + ms;
+    return 1;
+  };
+
+  const redis = {
+    values,
+    defineCommand(name) {
+      redis[name] = async () => 0; // 0 = no wait
+    },
+    on() {},
+    pttl: async () => -2,
+    get: async (key) => get(key),
+    set: async (...args) => set(...args),
+    del: async (...keys) => del(...keys),
+    hgetall: async (key) => hgetall(key),
+    hincrby: async (...args) => hincrby(...args),
+    pexpire: async (...args) => pexpire(...args),
+    multi() {
+      const commands = [];
+      const chain = {
+        get: (key) => commands.push(() => get(key)) && chain,
+        set: (...args) => commands.push(() => set(...args)) && chain,
+        del: (...keys) => commands.push(() => del(...keys)) && chain,
+        hgetall: (key) => commands.push(() => hgetall(key)) && chain,
+        hincrby: (...args) => commands.push(() => hincrby(...args)) && chain,
+        pexpire: (...args) => commands.push(() => pexpire(...args)) && chain,
+        exec: async () => commands.map((command) => [null, command()]),
+      };
+      return chain;
+    },
+    scan: async () => ["0", []],
+    pipeline: () => ({ exec: async () => [] }),
+  };
+  return redis;
+}
+
+module.exports = { FakeQueue, createFakeRedis };
@@ -0,0 +1,201 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let accountImportService;
+
+before(async () => {
+  harness = await startHarness();
+  accountImportService = harness.require("services/accountImport.service");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+/**
+ * Open a connect link, sign in at the emulator and call the OAuth callback
+ * @returns {URLSearchParams} - Query of the redirect to the frontend
+ */
+async function connectWithLink(connectUrl, email) {
+  const used = await fetch(connectUrl, { method: "POST", redirect: "manual" });
+  const browserKey = used.headers
+    .getSetCookie()
+    .find((c) => c.startsWith("mc_oauth="))
+    .split(";")[0]
+    .slice("mc_oauth=".length);
+
+  const signIn = await fetch(used.headers.get("location"), {
+    redirect: "manual",
+  });
+  const callback = new URL(signIn.headers.get("location"));
+  const response = await fetch(
+    `${harness.apiUrl}/api/auth/microsoft/callback?${callback.searchParams}`,
+    { redirect: "manual", headers: { Cookie: `mc_oauth=${browserKey}` } },
+  );
+  return new URL(response.headers.get("location")).searchParams;
+}
+
+test("CSV rows become pending accounts with labels and connect links", async () => {
+  const { api } = await harness.signIn("operator");
+
+  const res = await api("POST", "/accounts/import", {
+    csv: 'email,label\r\nalice@emulator.local,Sales\r\n"bob@emulator.local","Support, EU"\r\n',
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.message, "2 of 2 mailbox(es) imported");
+
+  const { accounts, skipped } = res.body.data;
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(
+    accounts.map((a) => [a.email, a.label, a.status]),
+    [
+      ["alice@emulator.local", "Sales", "PENDING"],
+      ["bob@emulator.local", "Support, EU", "PENDING"],
+    ],
+  );
+  assert.ok(accounts.every((a) => a.connectUrl.includes("/accounts/reauth/")));
+
+  const rows = harness.prisma.mailAccount.rows;
+  assert.ok(rows.every((r) => r.importId === res.body.data.import.id));
+
+  // The link opens a first-connect landing page
+  const page = await fetch(accounts[0].connectUrl);
+  assert.match(await page.text(), /Connect Mailbox/);
+
+  const [entry] = harness.prisma.auditLog.rows.filter(
+    (r) => r.action === "account.import",
+  );
+  assert.equal(entry.metadata.created, 2);
+});
+
+test("duplicates and invalid rows are reported without failing the batch", async () => {
+  await harness.connectMailbox("carol@emulator.local");
+  const { api } = await harness.signIn("owner");
+
+  const res = await api("POST", "/accounts/import", {
+    accounts: [
+      "alice@emulator.local",
+      { email: "carol@emulator.local", label: "Existing" },
+      { email: "not-an-email" },
+      "ALICE@emulator.local",
+      { email: "dave@emulator.local", label: "Ops" },
+    ],
+  });
+  assert.equal(res.status, 201);
+
+  const { accounts, skipped } = res.body.data;
+  assert.deepEqual(
+    accounts.map((a) => a.email),
+    ["alice@emulator.local", "dave@emulator.local"],
+  );
+  assert.deepEqual(
+    skipped.map((s) => [s.line, s.email, s.reason]),
+    [
+      [2, "carol@emulator.local", "already_exists"],
+      [3, "not-an-email", "invalid_email"],
+      [4, "ALICE@emulator.local", "duplicate_in_list"],
+    ],
+  );
+  const carol = harness.prisma.mailAccount.rows.find(
+    (r) => r.email === "carol@emulator.local",
+  );
+  assert.equal(skipped[0].accountId, carol.id);
+  assert.equal(skipped[0].status, "CONNECTED");
+  assert.equal(carol.importId, null);
+
+  const batch = (
+    await api("GET", `/accounts/imports/${res.body.data.import.id}`)
+  ).body.data;
+  assert.equal(batch.total, 5);
+  assert.equal(batch.createdCount, 2);
+  assert.equal(batch.skipped.length, 3);
+});
+
+test("CSV without a header or with semicolons is read by position", () => {
+  assert.deepEqual(
+    accountImportService.parseRows({
+      csv: "alice@emulator.local;Sales\n\nbob@emulator.local\n",
+    }),
+    [
+      { line: 1, email: "alice@emulator.local", label: "Sales" },
+      { line: 3, email: "bob@emulator.local", label: null },
+    ],
+  );
+  assert.deepEqual(
+    accountImportService.parseRows({
+      csv: "Name,E-mail address\nAlice,alice@emulator.local\n",
+    }),
+    [{ line: 2, email: "alice@emulator.local", label: "Alice" }],
+  );
+  assert.equal(accountImportService.parseRows({}), null);
+});
+
+test("the progress page shows which mailboxes completed OAuth", async () => {
+  harness.emulator.addMailbox({ email: "alice@emulator.local" });
+  const { api } = await harness.signIn("owner");
+
+  const res = await api("POST", "/accounts/import", {
+    csv: "alice@emulator.local,Sales\nbob@emulator.local,Support\n",
+  });
+  const { import: batch, accounts } = res.body.data;
+
+  const result = await connectWithLink(
+    accounts[0].connectUrl,
+    "alice@emulator.local",
+  );
+  assert.equal(result.get("success"), "true");
+
+  const progress = (await api("GET", `/accounts/imports/${batch.id}`)).body
+    .data;
+  assert.deepEqual(
+    progress.accounts.map((a) => [a.email, a.status]),
+    [
+      ["alice@emulator.local", "CONNECTED"],
+      ["bob@emulator.local", "PENDING"],
+    ],
+  );
+  assert.deepEqual(progress.progress, {
+    total: 2,
+    connected: 1,
+    pending: 1,
+    failing: 0,
+  });
+
+  const [listed] = (await api("GET", "/accounts/imports")).body.data;
+  assert.equal(listed.id, batch.id);
+  assert.equal(listed.progress.connected, 1);
+
+  // Fresh links only for the mailbox still waiting
+  const links = await api("POST", `/accounts/imports/${batch.id}/links`);
+  assert.equal(links.status, 200);
+  assert.deepEqual(
+    links.body.data.map((l) => l.email),
+    ["bob@emulator.local"],
+  );
+});
+
+test("imports are validated and need accounts:write", async () => {
+  const viewer = await harness.signIn("viewer");
+  const denied = await viewer.api("POST", "/accounts/import", {
+    csv: "alice@emulator.local",
+  });
+  assert.equal(denied.status, 403);
+
+  const { api } = await harness.signIn("operator");
+  assert.equal((await api("POST", "/accounts/import", {})).status, 400);
+  assert.equal(
+    (await api("POST", "/accounts/import", { csv: "email,label\n" })).status,
+    400,
+  );
+
+  const tooMany = Array.from(
+    { length: accountImportService.maxRows + 1 },
+    (_, i) => `user${i}@emulator.local`,
+  );
+  const res = await api("POST", "/accounts/import", { accounts: tooMany });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /At most/);
+  assert.equal(harness.prisma.mailAccount.rows.length, 0);
+});
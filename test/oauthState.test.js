@@ -0,0 +1,177 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let microsoftAuthService;
+
+before(async () => {
+  harness = await startHarness();
+  microsoftAuthService = harness.require("services/microsoftAuth.service");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const cookieValue = (response, name) => {
+  const cookie = response.headers
+    .getSetCookie()
+    .find((c) => c.startsWith(`${name}=`));
+  return cookie ? cookie.split(";")[0].slice(name.length + 1) : null;
+};
+
+/**
+ * Start a "connect mailbox" flow from the dashboard
+ * @returns {object} - { url, browserKey, owner }
+ */
+async function startFlow(owner) {
+  owner = owner || (await harness.signIn("owner"));
+  const response = await fetch(`${harness.apiUrl}/api/accounts/oauth/url`, {
+    headers: { Authorization: `Bearer ${owner.token}` },
+  });
+  const body = await response.json();
+  return {
+    url: body.data.url,
+    browserKey: cookieValue(response, "mc_oauth"),
+    owner,
+  };
+}
+
+/**
+ * Sign in at the emulator as a mailbox
+ * @returns {object} - { code, state }
+ */
+async function authorize(url, email) {
+  const authorizeUrl = new URL(url);
+  authorizeUrl.searchParams.set("login_hint", email);
+  const response = await fetch(authorizeUrl, { redirect: "manual" });
+  const callback = new URL(response.headers.get("location"));
+  return {
+    code: callback.searchParams.get("code"),
+    state: callback.searchParams.get("state"),
+  };
+}
+
+/**
+ * Call the OAuth callback route
+ * @returns {URLSearchParams} - Query of the redirect to the frontend
+ */
+async function callback({ code, state }, browserKey) {
+  const query = new URLSearchParams({ code, state });
+  const response = await fetch(
+    `${harness.apiUrl}/api/auth/microsoft/callback?${query}`,
+    {
+      redirect: "manual",
+      headers: browserKey ? { Cookie: `mc_oauth=${browserKey}` } : {},
+    },
+  );
+  assert.equal(response.status, 302);
+  return new URL(response.headers.get("location")).searchParams;
+}
+
+test("a flow started in the dashboard connects the mailbox", async () => {
+  harness.emulator.addMailbox({ email: "carol@emulator.local" });
+  const { url, browserKey } = await startFlow();
+
+  const authUrl = new URL(url);
+  assert.equal(authUrl.searchParams.get("code_challenge_method"), "S256");
+  assert.ok(authUrl.searchParams.get("code_challenge"));
+
+  const result = await callback(
+    await authorize(url, "carol@emulator.local"),
+    browserKey,
+  );
+  assert.equal(result.get("success"), "true");
+  assert.equal(result.get("email"), "carol@emulator.local");
+
+  const account = await harness.prisma.mailAccount.findUnique({
+    where: { email: "carol@emulator.local" },
+  });
+  assert.equal(account.status, "CONNECTED");
+});
+
+test("a state works only once", async () => {
+  harness.emulator.addMailbox({ email: "carol@emulator.local" });
+  const { url, browserKey } = await startFlow();
+  const params = await authorize(url, "carol@emulator.local");
+
+  await callback(params, browserKey);
+  const replay = await callback(params, browserKey);
+  assert.equal(replay.get("reason"), "state");
+  assert.match(replay.get("error"), /expired or was already used/);
+});
+
+test("a crafted state is rejected before any code exchange", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const crafted = Buffer.from(
+    JSON.stringify({
+      accountId: account.id,
+      nonce: "x",
+      timestamp: Date.now(),
+    }),
+  ).toString("base64url");
+
+  const result = await callback({ code: "code-1", state: crafted }, "key");
+  assert.equal(result.get("reason"), "state");
+});
+
+test("a state expires", async () => {
+  harness.emulator.addMailbox({ email: "carol@emulator.local" });
+  const { url, browserKey } = await startFlow();
+  const params = await authorize(url, "carol@emulator.local");
+
+  for (const entry of harness.redis.values.values()) {
+    entry.expiresAt = Date.now() - 1;
+  }
+
+  const result = await callback(params, browserKey);
+  assert.equal(result.get("reason"), "state");
+});
+
+test("the callback must come back to the browser that started the flow", async () => {
+  harness.emulator.addMailbox({ email: "carol@emulator.local" });
+  const { url } = await startFlow();
+  const params = await authorize(url, "carol@emulator.local");
+
+  const result = await callback(params, "another-browser-key");
+  assert.equal(result.get("reason"), "state");
+  assert.match(result.get("error"), /different browser/);
+
+  assert.equal(
+    await harness.prisma.mailAccount.count({
+      where: { email: "carol@emulator.local" },
+    }),
+    0,
+  );
+});
+
+test("signing out of the dashboard voids flows it started", async () => {
+  harness.emulator.addMailbox({ email: "carol@emulator.local" });
+  const { url, browserKey, owner } = await startFlow();
+  const params = await authorize(url, "carol@emulator.local");
+
+  const sessionService = harness.require("services/session.service");
+  await sessionService.revokeAll(owner.user.id);
+
+  const result = await callback(params, browserKey);
+  assert.equal(result.get("reason"), "state");
+  assert.match(result.get("error"), /session that started this sign-in/);
+});
+
+test("the code exchange needs the PKCE verifier of the flow", async () => {
+  harness.emulator.addMailbox({ email: "carol@emulator.local" });
+  const { url } = await startFlow();
+  const { code } = await authorize(url, "carol@emulator.local");
+
+  await assert.rejects(
+    microsoftAuthService.exchangeCodeForTokens(code, "wrong-verifier"),
+    /Code_Verifier does not match/,
+  );
+});
+
+test("viewers cannot start a connect flow", async () => {
+  const { api } = await harness.signIn("viewer");
+  const res = await api("GET", "/auth/microsoft/connect");
+  assert.equal(res.status, 403);
+});
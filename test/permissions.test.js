@@ -0,0 +1,158 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+describe("permission matrix", () => {
+  test("every permission lists only known roles", () => {
+    const { ROLES, PERMISSIONS } = harness.require("config/permissions");
+    for (const roles of Object.values(PERMISSIONS)) {
+      assert.ok(roles.every((role) => ROLES.includes(role)));
+    }
+  });
+
+  test("viewers only read, operators cannot manage users or settings", () => {
+    const { can, permissionsFor } = harness.require("config/permissions");
+
+    assert.ok(permissionsFor("viewer").every((p) => p.endsWith(":read")));
+    assert.equal(can("operator", "jobs:run"), true);
+    assert.equal(can("operator", "accounts:delete"), false);
+    assert.equal(can("operator", "settings:write"), false);
+    assert.equal(can("operator", "users:manage"), false);
+    assert.equal(can("admin", "dashboard:read"), false);
+  });
+
+  test("authorize rejects unknown permissions when routes are defined", () => {
+    const { authorize } = harness.require("middleware/auth.middleware");
+    assert.throws(() => authorize("accounts:explode"), /Unknown permission/);
+  });
+});
+
+describe("route guards", () => {
+  test("a viewer can read but not run jobs or delete", async () => {
+    const { api } = await harness.signIn("viewer");
+    const { account } = await harness.connectMailbox("alice@example.com");
+
+    assert.equal((await api("GET", "/accounts")).status, 200);
+    assert.equal((await api("GET", "/logs")).status, 200);
+
+    const sync = await api("POST", `/accounts/${account.id}/sync`);
+    assert.equal(sync.status, 403);
+    assert.match(sync.body.error, /jobs:run/);
+    assert.equal((await api("DELETE", `/accounts/${account.id}`)).status, 403);
+    assert.equal((await api("DELETE", "/logs/cleanup")).status, 403);
+    assert.ok(
+      await harness.prisma.mailAccount.findUnique({
+        where: { id: account.id },
+      }),
+    );
+  });
+
+  test("an operator can toggle a mailbox but not delete it", async () => {
+    const { api } = await harness.signIn("operator");
+    const { account } = await harness.connectMailbox("alice@example.com");
+
+    const toggle = await api("PATCH", `/accounts/${account.id}`, {
+      isEnabled: false,
+    });
+    assert.equal(toggle.status, 200);
+    assert.equal((await api("DELETE", `/accounts/${account.id}`)).status, 403);
+  });
+
+  test("login and /me return the role's permissions", async () => {
+    const { api } = await harness.signIn("operator");
+    const me = await api("GET", "/auth/me");
+
+    assert.equal(me.status, 200);
+    assert.ok(me.body.data.permissions.includes("jobs:run"));
+    assert.ok(!me.body.data.permissions.includes("users:manage"));
+  });
+});
+
+describe("user management", () => {
+  test("only owners can list users", async () => {
+    const { api } = await harness.signIn("operator");
+    assert.equal((await api("GET", "/users")).status, 403);
+  });
+
+  test("an owner creates, updates and deletes a user", async () => {
+    const { api } = await harness.signIn("owner");
+
+    const created = await api("POST", "/users", {
+      email: "Support@Example.com",
+      name: "Support",
+      password: "correct-horse",
+      role: "viewer",
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.email, "support@example.com");
+    assert.equal(created.body.data.password, undefined);
+
+    const stored = await harness.prisma.adminUser.findUnique({
+      where: { id: created.body.data.id },
+    });
+    assert.notEqual(stored.password, "correct-horse");
+
+    const updated = await api("PATCH", `/users/${stored.id}`, {
+      role: "operator",
+    });
+    assert.equal(updated.body.data.role, "operator");
+
+    assert.equal((await api("DELETE", `/users/${stored.id}`)).status, 200);
+    const audit = await harness.prisma.auditLog.findMany({
+      where: { targetType: "user" },
+    });
+    assert.equal(audit.length, 3);
+  });
+
+  test("rejects bad input", async () => {
+    const { api } = await harness.signIn("owner");
+    const base = { email: "a@example.com", password: "long-enough" };
+
+    const cases = [
+      { ...base, role: "admin" },
+      { ...base, role: "viewer", password: "short" },
+      { ...base, role: "viewer", email: "not-an-email" },
+    ];
+    for (const body of cases) {
+      assert.equal((await api("POST", "/users", body)).status, 400);
+    }
+
+    await api("POST", "/users", { ...base, role: "viewer" });
+    assert.equal(
+      (await api("POST", "/users", { ...base, role: "viewer" })).status,
+      409,
+    );
+  });
+
+  test("owners cannot demote, deactivate or delete themselves", async () => {
+    const { user, api } = await harness.signIn("owner");
+
+    for (const body of [{ role: "viewer" }, { isActive: false }]) {
+      assert.equal((await api("PATCH", `/users/${user.id}`, body)).status, 400);
+    }
+    assert.equal((await api("DELETE", `/users/${user.id}`)).status, 400);
+
+    // Name and password changes are fine
+    const renamed = await api("PATCH", `/users/${user.id}`, { name: "Me" });
+    assert.equal(renamed.body.data.name, "Me");
+  });
+
+  test("a deactivated user is signed out", async () => {
+    const { api } = await harness.signIn("owner");
+    const viewer = await harness.signIn("viewer");
+
+    assert.equal((await viewer.api("GET", "/auth/me")).status, 200);
+    await api("PATCH", `/users/${viewer.user.id}`, { isActive: false });
+    assert.equal((await viewer.api("GET", "/auth/me")).status, 401);
+  });
+});
@@ -0,0 +1,198 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let reauthLinkService;
+let microsoftAuthService;
+
+before(async () => {
+  harness = await startHarness();
+  reauthLinkService = harness.require("services/reauthLink.service");
+  microsoftAuthService = harness.require("services/microsoftAuth.service");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const open = (url) => fetch(url).then(async (r) => [r.status, await r.text()]);
+
+const use = (url) => fetch(url, { method: "POST", redirect: "manual" });
+
+/**
+ * Use the link, sign in at the emulator and take the callback's state
+ * @returns {object} - { code, flow }
+ */
+async function signIn(linkUrl, loginHint) {
+  const used = await use(linkUrl);
+  const browserKey = used.headers
+    .getSetCookie()
+    .find((c) => c.startsWith("mc_oauth="))
+    .split(";")[0]
+    .slice("mc_oauth=".length);
+
+  const url = new URL(used.headers.get("location"));
+  if (loginHint) url.searchParams.set("login_hint", loginHint);
+  const response = await fetch(url, { redirect: "manual" });
+  const callback = new URL(response.headers.get("location"));
+
+  const { flow } = await microsoftAuthService.consumeState(
+    callback.searchParams.get("state"),
+    { browserKey },
+  );
+  return { code: callback.searchParams.get("code"), flow };
+}
+
+test("the emailed link opens a landing page without using the link", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const { url } = await reauthLinkService.create(account);
+
+  for (let i = 0; i < 2; i++) {
+    const [status, html] = await open(url);
+    assert.equal(status, 200);
+    assert.match(html, /alice@emulator\.local/);
+    assert.match(html, /method="POST"/);
+  }
+});
+
+test("using the link redirects to Microsoft sign-in once", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const { url } = await reauthLinkService.create(account);
+
+  const response = await use(url);
+  assert.equal(response.status, 303);
+  const location = new URL(response.headers.get("location"));
+  assert.equal(location.origin, harness.emulatorUrl);
+  assert.equal(location.searchParams.get("login_hint"), account.email);
+
+  const again = await use(url);
+  assert.equal(again.status, 410);
+  assert.match(await again.text(), /Already Used/);
+  const [status, html] = await open(url);
+  assert.equal(status, 410);
+  assert.match(html, /Already Used/);
+});
+
+test("expired, tampered and old account-id links show a friendly page", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const { url, token } = await reauthLinkService.create(account);
+
+  const [link] = harness.prisma.reauthLink.rows;
+  link.expiresAt = new Date(Date.now() - 1000);
+  const [expiredStatus, expiredHtml] = await open(url);
+  assert.equal(expiredStatus, 410);
+  assert.match(expiredHtml, /Link Expired/);
+
+  const tampered = `${harness.apiUrl}/api/accounts/reauth/${token.slice(0, -2)}xx`;
+  const [tamperedStatus, tamperedHtml] = await open(tampered);
+  assert.equal(tamperedStatus, 410);
+  assert.match(tamperedHtml, /Invalid Link/);
+
+  const legacy = `${harness.apiUrl}/api/accounts/reauth/${account.id}`;
+  assert.equal((await use(legacy)).status, 410);
+});
+
+test("links of deleted accounts are rejected", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  const { url } = await reauthLinkService.create(account);
+  await harness.prisma.mailAccount.delete({ where: { id: account.id } });
+
+  const [status, html] = await open(url);
+  assert.equal(status, 404);
+  assert.match(html, /Account Not Found/);
+});
+
+test("completing the flow as the expected mailbox reconnects it", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  await harness.prisma.mailAccount.update({
+    where: { id: account.id },
+    data: { status: "NEEDS_REAUTH" },
+  });
+  const { url } = await reauthLinkService.create(account);
+
+  const { code, flow } = await signIn(url);
+  const reconnected = await microsoftAuthService.completeOAuthFlow(code, flow);
+
+  assert.equal(reconnected.id, account.id);
+  assert.equal(reconnected.status, "CONNECTED");
+});
+
+test("signing in as another mailbox does not overwrite the tokens", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  await harness.connectMailbox("bob@emulator.local");
+  const before = await harness.prisma.mailToken.findUnique({
+    where: { accountId: account.id },
+  });
+  const { url } = await reauthLinkService.create(account);
+
+  const { code, flow } = await signIn(url, "bob@emulator.local");
+
+  await assert.rejects(
+    microsoftAuthService.completeOAuthFlow(code, flow),
+    /Signed in as bob@emulator\.local, but this account is alice@emulator\.local/,
+  );
+
+  const after = await harness.prisma.mailToken.findUnique({
+    where: { accountId: account.id },
+  });
+  assert.equal(after.accessToken, before.accessToken);
+  const unchanged = await harness.prisma.mailAccount.findUnique({
+    where: { id: account.id },
+  });
+  assert.equal(unchanged.email, "alice@emulator.local");
+});
+
+test("a pending account only connects as the mailbox it was created for", async () => {
+  harness.emulator.addMailbox({ email: "alice@emulator.local" });
+  harness.emulator.addMailbox({ email: "bob@emulator.local" });
+  const account = await harness.prisma.mailAccount.create({
+    data: { email: "Alice@Emulator.local", status: "PENDING" },
+  });
+
+  const other = await signIn(
+    (await reauthLinkService.create(account)).url,
+    "bob@emulator.local",
+  );
+  await assert.rejects(
+    microsoftAuthService.completeOAuthFlow(other.code, other.flow),
+    /Signed in as bob@emulator\.local, but this account is Alice@Emulator\.local/,
+  );
+  const unchanged = await harness.prisma.mailAccount.findUnique({
+    where: { id: account.id },
+  });
+  assert.equal(unchanged.email, "Alice@Emulator.local");
+  assert.equal(unchanged.msUserId, null);
+  assert.equal(unchanged.status, "PENDING");
+  assert.equal(harness.prisma.mailToken.rows.length, 0);
+
+  // The email is compared case-insensitively
+  const own = await signIn(
+    (await reauthLinkService.create(account)).url,
+    "alice@emulator.local",
+  );
+  const connected = await microsoftAuthService.completeOAuthFlow(
+    own.code,
+    own.flow,
+  );
+  assert.equal(connected.id, account.id);
+  assert.equal(connected.status, "CONNECTED");
+});
+
+test("the reauth notification carries a signed link, not the account id", async () => {
+  const forwarderService = harness.require("services/forwarder.service");
+  const smtp = mock.method(forwarderService, "sendViaSMTP", async () => true);
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+
+  await forwarderService.sendReauthNotification(
+    account.email,
+    account.id,
+    "InvalidAuthenticationToken",
+  );
+
+  const html = smtp.mock.calls[0].arguments[2];
+  const [, token] = html.match(/\/api\/accounts\/reauth\/([\w.-]+)/);
+  assert.notEqual(token, account.id);
+  assert.equal((await reauthLinkService.check(token)).account.id, account.id);
+  smtp.mock.restore();
+});
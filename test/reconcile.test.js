@@ -0,0 +1,185 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let syncService;
+let enqueueForward;
+let processReconcileSweep;
+let processAccountReconcile;
+
+const HOUR = 60 * 60 * 1000;
+
+before(async () => {
+  harness = await startHarness();
+  syncService = harness.require("services/sync.service");
+  ({ enqueueForward } = harness.require("queues/forward.queue"));
+  ({ processReconcileSweep, processAccountReconcile } = harness.require(
+    "queues/reconcile.processor",
+  ));
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const forwardJobs = () => harness.queue("webhook-forward").list();
+
+const setAccount = (id, data) =>
+  harness.prisma.mailAccount.update({ where: { id }, data });
+
+/**
+ * Connected account created a while ago, whose delta is initialized
+ * (mail received from now on is only found by a delta run)
+ */
+async function syncedAccount(email = "alice@emulator.local") {
+  const { account, mailbox } = await harness.connectMailbox(email);
+  await setAccount(account.id, {
+    createdAt: new Date(Date.now() - 7 * 24 * HOUR),
+  });
+  const first = await syncService.syncMailbox(account.id);
+  assert.deepEqual(first.errors, []);
+  return { account, mailbox };
+}
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+
+test("recovers a message without a log entry into the forward queue", async () => {
+  const { account, mailbox } = await syncedAccount();
+  const missed = harness.emulator.addMessage(mailbox, { subject: "Missed" });
+
+  const result = await syncService.reconcileMailbox(account.id);
+
+  assert.equal(result.checked, 1);
+  assert.equal(result.recovered, 1);
+  const [job] = forwardJobs();
+  assert.deepEqual(job.data, {
+    accountId: account.id,
+    accountEmail: "alice@emulator.local",
+    messageId: missed.id,
+  });
+  assert.equal(job.opts.jobId, `${account.id}:${missed.id}`);
+});
+
+test("messages already logged or queued are not recovered", async () => {
+  const { account, mailbox } = await syncedAccount();
+  const logged = harness.emulator.addMessage(mailbox, { subject: "Logged" });
+  const queued = harness.emulator.addMessage(mailbox, { subject: "Queued" });
+  await harness.prisma.mailMessageLog.create({
+    data: {
+      accountId: account.id,
+      graphMessageId: logged.id,
+      forwardStatus: "FORWARDED",
+    },
+  });
+  await enqueueForward({
+    accountId: account.id,
+    accountEmail: account.email,
+    messageId: queued.id,
+  });
+
+  const result = await syncService.reconcileMailbox(account.id);
+
+  assert.equal(result.checked, 2);
+  assert.equal(result.recovered, 0);
+  assert.deepEqual(
+    forwardJobs().map((j) => j.data.messageId),
+    [queued.id],
+  );
+});
+
+test("only messages within the lookback and since the account was added are recovered", async () => {
+  const { account, mailbox } = await syncedAccount();
+  const recent = harness.emulator.addMessage(mailbox, {
+    receivedDateTime: hoursAgo(2),
+  });
+  harness.emulator.addMessage(mailbox, { receivedDateTime: hoursAgo(25) });
+
+  const first = await syncService.reconcileMailbox(account.id);
+  assert.equal(first.checked, 2);
+  assert.equal(first.recovered, 1);
+  assert.deepEqual(
+    forwardJobs().map((j) => j.data.messageId),
+    [recent.id],
+  );
+
+  // Mail from before the account was added is not ours to forward
+  harness.queue("webhook-forward").clear();
+  await setAccount(account.id, { createdAt: new Date(Date.now() - HOUR) });
+  harness.emulator.addMessage(mailbox, { receivedDateTime: hoursAgo(2) });
+  const added = harness.emulator.addMessage(mailbox);
+
+  const second = await syncService.reconcileMailbox(account.id);
+  assert.equal(second.recovered, 1);
+  assert.deepEqual(
+    forwardJobs().map((j) => j.data.messageId),
+    [added.id],
+  );
+});
+
+test("accounts that are not connected are skipped", async () => {
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.addMessage(mailbox);
+  await setAccount(account.id, { status: "NEEDS_REAUTH" });
+
+  const result = await processAccountReconcile({
+    data: { accountId: account.id, reason: "missed notifications" },
+  });
+
+  assert.deepEqual(result, {
+    accountId: account.id,
+    skipped: true,
+    reason: "NEEDS_REAUTH",
+  });
+  assert.equal(forwardJobs().length, 0);
+});
+
+test("the sweep records its run in SystemLog", async () => {
+  const alice = await syncedAccount("alice@emulator.local");
+  const bob = await syncedAccount("bob@emulator.local");
+  const carol = await syncedAccount("carol@emulator.local");
+  harness.emulator.addMessage(alice.mailbox);
+  harness.emulator.addMessage(alice.mailbox);
+  harness.emulator.addMessage(bob.mailbox);
+  harness.emulator.addFailure(carol.mailbox, {
+    status: 403,
+    code: "ErrorAccessDenied",
+    message: "Access is denied.",
+    path: "/delta",
+    times: 0,
+  });
+
+  const run = await processReconcileSweep();
+
+  assert.deepEqual(run, {
+    accounts: 3,
+    checked: 3,
+    recovered: 3,
+    failed: 1,
+    recoveredByAccount: {
+      "alice@emulator.local": 2,
+      "bob@emulator.local": 1,
+    },
+  });
+  assert.equal(forwardJobs().length, 3);
+
+  const [entry] = harness.prisma.systemLog.rows;
+  assert.equal(entry.level, "warn");
+  assert.equal(entry.category, "sync");
+  assert.equal(
+    entry.message,
+    "Reconciliation recovered 3 missed message(s) across 3 accounts",
+  );
+  assert.deepEqual(entry.metadata, run);
+});
+
+test("a sweep that finds nothing is recorded as info", async () => {
+  await syncedAccount();
+
+  await processReconcileSweep();
+
+  const [entry] = harness.prisma.systemLog.rows;
+  assert.equal(entry.level, "info");
+  assert.equal(entry.metadata.recovered, 0);
+  assert.equal(entry.metadata.failed, 0);
+});
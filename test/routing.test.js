@@ -0,0 +1,201 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let syncService;
+let forwarderService;
+
+before(async () => {
+  harness = await startHarness();
+  syncService = harness.require("services/sync.service");
+  forwarderService = harness.require("services/forwarder.service");
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+/**
+ * Deliver one new message to a synced mailbox and process it
+ */
+async function receive({ account, mailbox }, fields = {}) {
+  await syncService.syncMailbox(account.id);
+  harness.emulator.addMessage(mailbox, {
+    subject: "Your code",
+    from: "noreply@shop.example",
+    ...fields,
+  });
+  await syncService.syncMailbox(account.id);
+  return harness.prisma.mailMessageLog.findFirst({
+    where: { accountId: account.id },
+  });
+}
+
+test("an account's forward address wins over its groups and the setting", async () => {
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Everything", action: "FORWARD" },
+  });
+  const alice = await harness.connectMailbox("alice@emulator.local");
+  const bob = await harness.connectMailbox("bob@emulator.local");
+  const { api } = await harness.signIn("owner");
+
+  const group = await api("POST", "/groups", {
+    name: "Customer A",
+    forwardToEmail: "team@customer-a.example",
+  });
+  await api("POST", `/groups/${group.body.data.id}/members`, {
+    accountIds: [alice.account.id, bob.account.id],
+  });
+  const res = await api("PATCH", `/accounts/${alice.account.id}/routing`, {
+    forwardToEmail: "alice@customer-a.example",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.effective.forwardTo, "alice@customer-a.example");
+  assert.equal(res.body.data.sources.forwardTo, "account");
+
+  const aliceLog = await receive(alice);
+  const bobLog = await receive(bob);
+  assert.deepEqual(alice.mailbox.sent[0].to, ["alice@customer-a.example"]);
+  assert.equal(aliceLog.forwardedTo, "alice@customer-a.example");
+  assert.deepEqual(bob.mailbox.sent[0].to, ["team@customer-a.example"]);
+  assert.equal(bobLog.forwardedTo, "team@customer-a.example");
+
+  // Clearing the override falls back to the group again
+  await api("PATCH", `/accounts/${alice.account.id}/routing`, {
+    forwardToEmail: "",
+  });
+  const routing = (await api("GET", `/accounts/${alice.account.id}/routing`))
+    .body.data;
+  assert.equal(routing.overrides.forwardToEmail, null);
+  assert.equal(routing.effective.forwardTo, "team@customer-a.example");
+  assert.equal(routing.sources.forwardTo, "group");
+});
+
+test("API events of an account go only to its own destination", async () => {
+  const own = await harness.prisma.apiDestination.create({
+    data: { name: "Customer A", url: "https://a.example/hook" },
+  });
+  // Subscribed to every event, but not for an account with its own target
+  await harness.prisma.apiDestination.create({
+    data: {
+      name: "Shared",
+      url: "https://shared.example/hook",
+      extractorNames: "steam",
+    },
+  });
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Codes", action: "API" },
+  });
+  const alice = await harness.connectMailbox("alice@emulator.local");
+  const { api } = await harness.signIn("owner");
+  await api("PATCH", `/accounts/${alice.account.id}/routing`, {
+    apiDestinationId: own.id,
+  });
+
+  const log = await receive(alice, {
+    subject: "Your Steam account: Access from new computer",
+    from: "noreply@steampowered.com",
+    body: "Dear alice123, here is the Steam Guard code you need: F4K3C",
+  });
+  assert.equal(log.forwardedTo, "Customer A");
+  assert.deepEqual(
+    harness.prisma.messageDelivery.rows.map((d) => d.destinationId),
+    [own.id],
+  );
+
+  // The destination cannot be deleted while the account uses it
+  const refused = await api("DELETE", `/destinations/${own.id}`);
+  assert.equal(refused.status, 409);
+});
+
+test("notifications go to the account's own recipients", async () => {
+  const smtp = mock.method(forwarderService, "sendViaSMTP", async () => true);
+  try {
+    const { account } = await harness.connectMailbox("alice@emulator.local");
+    const { api } = await harness.signIn("owner");
+    await api("PATCH", `/accounts/${account.id}/routing`, {
+      notifyEmails: "owner@customer-a.example; it@customer-a.example",
+    });
+
+    await forwarderService.sendReauthNotification(
+      account.email,
+      account.id,
+      "Token expired",
+    );
+    assert.deepEqual(smtp.mock.calls[0].arguments[0], [
+      "owner@customer-a.example",
+      "it@customer-a.example",
+      "dev@example.com",
+    ]);
+  } finally {
+    smtp.mock.restore();
+  }
+});
+
+test("an SMTP relay resolves routing once and logs who it was sent to", async () => {
+  const smtp = mock.method(forwarderService, "sendViaSMTP", async () => true);
+  const resolve = mock.method(forwarderService, "resolveRouting");
+  try {
+    await harness.prisma.forwardingRule.create({
+      data: { name: "Security", action: "SMTP" },
+    });
+    const alice = await harness.connectMailbox("alice@emulator.local");
+    await harness.prisma.mailAccount.update({
+      where: { id: alice.account.id },
+      data: { notifyEmails: "owner@customer-a.example" },
+    });
+
+    resolve.mock.resetCalls();
+    const log = await receive(alice, { subject: "Unusual sign-in activity" });
+
+    assert.equal(resolve.mock.callCount(), 1);
+    assert.deepEqual(smtp.mock.calls[0].arguments[0], [
+      "owner@customer-a.example",
+      "dev@example.com",
+    ]);
+    assert.equal(log.forwardedTo, "owner@customer-a.example, dev@example.com");
+  } finally {
+    smtp.mock.restore();
+    resolve.mock.restore();
+  }
+});
+
+test("routing overrides are validated, audited and need settings:write", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+
+  const operator = await harness.signIn("operator");
+  const denied = await operator.api(
+    "PATCH",
+    `/accounts/${account.id}/routing`,
+    { forwardToEmail: "a@customer.example" },
+  );
+  assert.equal(denied.status, 403);
+  const read = await operator.api("GET", `/accounts/${account.id}/routing`);
+  assert.equal(read.body.data.effective.forwardTo, "collector@example.com");
+  assert.equal(read.body.data.sources.forwardTo, "default");
+
+  const { api } = await harness.signIn("owner");
+  const path = `/accounts/${account.id}/routing`;
+  assert.equal(
+    (await api("PATCH", path, { forwardToEmail: "nope" })).status,
+    400,
+  );
+  assert.equal(
+    (await api("PATCH", path, { notifyEmails: "a@customer.example, nope" }))
+      .status,
+    400,
+  );
+  assert.equal(
+    (await api("PATCH", path, { apiDestinationId: "missing" })).status,
+    400,
+  );
+
+  await api("PATCH", path, { forwardToEmail: "a@customer.example" });
+  const [entry] = harness.prisma.auditLog.rows.filter(
+    (r) => r.action === "account.routing",
+  );
+  assert.deepEqual(entry.changes, {
+    forwardToEmail: { from: null, to: "a@customer.example" },
+  });
+});
@@ -0,0 +1,268 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const {
+  SignatureVerifier,
+  VerificationError,
+  MemoryNonceStore,
+  RedisNonceStore,
+  sign,
+  parseEvent,
+} = require("../src/sdk");
+const { createReceiverApp } = require("../receiver/app");
+
+const SECRET = "receiver-secret-0123456789";
+const NOW = 1700000000000;
+
+const nowSeconds = () => String(Math.floor(NOW / 1000));
+
+const signed = (body, timestamp = nowSeconds(), secret = SECRET) => ({
+  timestamp,
+  signature: sign(secret, timestamp, body),
+  body,
+});
+
+const verifier = (options = {}) =>
+  new SignatureVerifier({ secret: SECRET, now: () => NOW, ...options });
+
+const rejectsWith = (promise, code) =>
+  assert.rejects(
+    promise,
+    (error) => error instanceof VerificationError && error.code === code,
+  );
+
+const steamEvent = (overrides = {}) => ({
+  source: "mail-collector-graph",
+  fromAccount: "alice@example.com",
+  from: "NoReply@SteamPowered.com",
+  to: "alice@example.com",
+  subject: "Your Steam account: Access from new computer",
+  receivedDateTime: new Date(NOW).toISOString(),
+  internetMessageId: "<1@steampowered.com>",
+  graphMessageId: "msg-1",
+  username: "gamer42",
+  code: "F4K9Q",
+  extractor: "steam",
+  fields: { username: "gamer42", code: "F4K9Q" },
+  ...overrides,
+});
+
+describe("SignatureVerifier", () => {
+  test("accepts a signed request", async () => {
+    const body = JSON.stringify({ hello: "world" });
+    assert.equal(await verifier().verify(signed(body)), body);
+  });
+
+  test("accepts a Buffer body", async () => {
+    const request = signed("{}");
+    assert.equal(
+      await verifier().verify({ ...request, body: Buffer.from("{}") }),
+      "{}",
+    );
+  });
+
+  test("requires a secret", () => {
+    assert.throws(() => new SignatureVerifier({}), /secret is required/);
+  });
+
+  test("rejects an empty body", async () => {
+    await rejectsWith(verifier().verify(signed("")), "EMPTY_BODY");
+  });
+
+  test("rejects missing headers", async () => {
+    await rejectsWith(
+      verifier().verify({ ...signed("{}"), signature: undefined }),
+      "MISSING_SIGNATURE_HEADERS",
+    );
+    await rejectsWith(
+      verifier().verify({ ...signed("{}"), timestamp: "" }),
+      "MISSING_SIGNATURE_HEADERS",
+    );
+  });
+
+  test("rejects a wrong secret or a modified body", async () => {
+    await rejectsWith(
+      verifier().verify(signed("{}", nowSeconds(), "other-secret")),
+      "BAD_SIGNATURE",
+    );
+    await rejectsWith(
+      verifier().verify({ ...signed('{"code":"A"}'), body: '{"code":"B"}' }),
+      "BAD_SIGNATURE",
+    );
+  });
+
+  test("accepts timestamps up to 5 minutes old and 1 minute ahead", async () => {
+    const at = (offset) => String(Math.floor(NOW / 1000) + offset);
+
+    await verifier().verify(signed("{}", at(-300)));
+    await verifier().verify(signed("{}", at(60)));
+    await rejectsWith(
+      verifier().verify(signed("{}", at(-301))),
+      "BAD_TIMESTAMP",
+    );
+    await rejectsWith(verifier().verify(signed("{}", at(61))), "BAD_TIMESTAMP");
+    await rejectsWith(verifier().verify(signed("{}", "soon")), "BAD_TIMESTAMP");
+  });
+
+  test("rejects a replayed request", async () => {
+    const v = verifier();
+    const request = signed("{}");
+
+    await v.verify(request);
+    await rejectsWith(v.verify(request), "REPLAYED");
+
+    // A retry is signed again with a new timestamp
+    await v.verify(signed("{}", String(Number(nowSeconds()) + 1)));
+  });
+
+  test("a rejected request does not use up its nonce", async () => {
+    const v = verifier();
+    const request = signed("{}");
+
+    await rejectsWith(
+      v.verify({ ...request, signature: "0".repeat(64) }),
+      "BAD_SIGNATURE",
+    );
+    await v.verify(request);
+  });
+
+  test("verifyEvent parses the body", async () => {
+    const event = await verifier().verifyEvent(
+      signed(JSON.stringify(steamEvent())),
+    );
+    assert.equal(event.code, "F4K9Q");
+  });
+});
+
+describe("nonce stores", () => {
+  test("memory store forgets nonces after their TTL", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: NOW });
+    const store = new MemoryNonceStore();
+
+    assert.equal(await store.add("a", 1000), true);
+    assert.equal(await store.add("a", 1000), false);
+    t.mock.timers.tick(1000);
+    assert.equal(await store.add("a", 1000), true);
+  });
+
+  test("redis store uses SET NX with an expiry", async () => {
+    const calls = [];
+    const keys = new Set();
+    const redis = {
+      set: async (...args) => {
+        calls.push(args);
+        if (keys.has(args[0])) return null;
+        keys.add(args[0]);
+        return "OK";
+      },
+    };
+    const store = new RedisNonceStore(redis, { prefix: "test:" });
+
+    assert.equal(await store.add("a", 1500.5), true);
+    assert.equal(await store.add("a", 1500.5), false);
+    assert.deepEqual(calls[0], ["test:a", "1", "PX", 1501, "NX"]);
+  });
+});
+
+describe("parseEvent", () => {
+  test("normalizes the event", () => {
+    const event = parseEvent(JSON.stringify(steamEvent({ code: " F4K9Q " })));
+
+    assert.equal(event.from, "noreply@steampowered.com");
+    assert.equal(event.code, "F4K9Q");
+    assert.ok(event.receivedDateTime instanceof Date);
+    assert.equal(event.receivedDateTime.getTime(), NOW);
+    assert.deepEqual(event.fields, { username: "gamer42", code: "F4K9Q" });
+  });
+
+  test("fills missing values", () => {
+    const event = parseEvent({ fields: { code: "ABCDE" } });
+
+    assert.equal(event.subject, "");
+    assert.equal(event.code, "ABCDE");
+    assert.equal(event.username, "");
+    assert.equal(event.receivedDateTime, null);
+    assert.equal(event.graphMessageId, null);
+  });
+
+  test("rejects invalid JSON", () => {
+    for (const body of ["not json", "[1]", "null"]) {
+      assert.throws(
+        () => parseEvent(body),
+        (error) => error.code === "INVALID_JSON" && error.status === 400,
+      );
+    }
+  });
+});
+
+describe("reference receiver", () => {
+  async function startReceiver(t) {
+    const app = createReceiverApp({ secret: SECRET, log: () => {} });
+    const server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    t.after(() => server.close());
+
+    const url = `http://127.0.0.1:${server.address().port}/steam_inbound.php`;
+    const post = async (event, { secret = SECRET } = {}) => {
+      const body = JSON.stringify(event);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Timestamp": timestamp,
+          "X-Signature": sign(secret, timestamp, body),
+        },
+        body,
+      });
+      return { status: response.status, data: await response.json() };
+    };
+
+    return { app, post };
+  }
+
+  test("saves a Steam Guard code once", async (t) => {
+    const { app, post } = await startReceiver(t);
+    const event = steamEvent({ receivedDateTime: new Date().toISOString() });
+
+    assert.deepEqual((await post(event)).data, {
+      ok: true,
+      saved: true,
+      user: "gamer42",
+      code: "F4K9Q",
+    });
+    assert.deepEqual((await post({ ...event, graphMessageId: "msg-2" })).data, {
+      ok: true,
+      saved: false,
+      reason: "DUPLICATE_RECENT",
+    });
+    assert.equal(app.locals.codes.length, 1);
+  });
+
+  test("ignores mail that is not a Steam Guard code", async (t) => {
+    const { post } = await startReceiver(t);
+
+    const cases = [
+      [{ from: "news@example.com", subject: "Hello" }, "NOT_STEAM"],
+      [{ subject: "Steam sale" }, "SUBJECT_NOT_MATCH"],
+      [{ code: "", fields: {} }, "MISSING_USERNAME_OR_CODE"],
+    ];
+    for (const [overrides, reason] of cases) {
+      const { status, data } = await post(steamEvent(overrides));
+      assert.equal(status, 200);
+      assert.deepEqual(data, { ok: true, ignored: true, reason });
+    }
+  });
+
+  test("answers 401 to a bad signature", async (t) => {
+    const { app, post } = await startReceiver(t);
+
+    const { status, data } = await post(steamEvent(), {
+      secret: "wrong-secret-0123456789",
+    });
+
+    assert.equal(status, 401);
+    assert.deepEqual(data, { ok: false, err: "BAD_SIGNATURE" });
+    assert.equal(app.locals.codes.length, 0);
+  });
+});
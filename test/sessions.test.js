@@ -0,0 +1,306 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const PASSWORD = "correct-horse";
+const CHROME_UA =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
+
+/**
+ * Request with an optional refresh cookie and access token
+ * @returns {object} - { status, body, setCookie, refreshToken } (from Set-Cookie)
+ */
+async function call(method, path, { body, cookie, token, userAgent } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (cookie) headers.Cookie = `mc_refresh=${cookie}`;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (userAgent) headers["User-Agent"] = userAgent;
+
+  const response = await fetch(`${harness.apiUrl}/api${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const setCookie = response.headers
+    .getSetCookie()
+    .find((c) => c.startsWith("mc_refresh="));
+  return {
+    status: response.status,
+    body: await response.json(),
+    setCookie,
+    refreshToken: setCookie
+      ? decodeURIComponent(setCookie.split(";")[0].slice("mc_refresh=".length))
+      : undefined,
+  };
+}
+
+async function createUser(email = "owner@example.com") {
+  return harness.prisma.adminUser.create({
+    data: {
+      email,
+      password: await bcrypt.hash(PASSWORD, 4),
+      role: "owner",
+    },
+  });
+}
+
+const login = (email = "owner@example.com", userAgent = CHROME_UA) =>
+  call("POST", "/auth/login", {
+    body: { email, password: PASSWORD },
+    userAgent,
+  });
+
+describe("login", () => {
+  test("returns an access token and sets an httpOnly refresh cookie", async () => {
+    await createUser();
+    const res = await login();
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.token);
+    assert.match(res.setCookie, /HttpOnly/);
+    assert.match(res.setCookie, /Path=\/api\/auth/);
+    assert.match(res.setCookie, /SameSite=Strict/);
+
+    const me = await call("GET", "/auth/me", { token: res.body.data.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.email, "owner@example.com");
+  });
+
+  test("tokens without a session are rejected", async () => {
+    const user = await createUser();
+    const jwt = require("jsonwebtoken");
+    const token = jwt.sign({ userId: user.id }, "test-jwt-secret");
+
+    const res = await call("GET", "/auth/me", { token });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("refresh", () => {
+  test("rotates the refresh token and issues a new access token", async () => {
+    await createUser();
+    const first = await login();
+
+    const refreshed = await call("POST", "/auth/refresh", {
+      cookie: first.refreshToken,
+    });
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.data.token);
+    assert.ok(refreshed.refreshToken);
+    assert.notEqual(refreshed.refreshToken, first.refreshToken);
+
+    const again = await call("POST", "/auth/refresh", {
+      cookie: refreshed.refreshToken,
+    });
+    assert.equal(again.status, 200);
+  });
+
+  test("a replaced token sent again after the grace period revokes the session", async () => {
+    await createUser();
+    const first = await login();
+    const refreshed = await call("POST", "/auth/refresh", {
+      cookie: first.refreshToken,
+    });
+
+    // Move the rotation out of the grace period
+    const [session] = harness.prisma.adminSession.rows;
+    session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    const reused = await call("POST", "/auth/refresh", {
+      cookie: first.refreshToken,
+    });
+    assert.equal(reused.status, 401);
+    assert.equal(session.revokedReason, "token_reuse");
+
+    // The legitimate holder is signed out as well
+    const me = await call("GET", "/auth/me", {
+      token: refreshed.body.data.token,
+    });
+    assert.equal(me.status, 401);
+  });
+
+  test("a replaced token is accepted within the grace period", async () => {
+    await createUser();
+    const first = await login();
+    await call("POST", "/auth/refresh", { cookie: first.refreshToken });
+
+    const parallel = await call("POST", "/auth/refresh", {
+      cookie: first.refreshToken,
+    });
+    assert.equal(parallel.status, 200);
+  });
+
+  test("fails without a cookie or for a deactivated user", async () => {
+    const user = await createUser();
+    const first = await login();
+
+    assert.equal((await call("POST", "/auth/refresh")).status, 401);
+
+    await harness.prisma.adminUser.update({
+      where: { id: user.id },
+      data: { isActive: false },
+    });
+    const res = await call("POST", "/auth/refresh", {
+      cookie: first.refreshToken,
+    });
+    assert.equal(res.status, 401);
+    assert.match(res.setCookie, /mc_refresh=;/);
+  });
+});
+
+describe("sign out", () => {
+  test("logout ends the session of the cookie", async () => {
+    await createUser();
+    const session = await login();
+
+    const res = await call("POST", "/auth/logout", {
+      cookie: session.refreshToken,
+    });
+    assert.equal(res.status, 200);
+
+    const me = await call("GET", "/auth/me", {
+      token: session.body.data.token,
+    });
+    assert.equal(me.status, 401);
+    const refresh = await call("POST", "/auth/refresh", {
+      cookie: session.refreshToken,
+    });
+    assert.equal(refresh.status, 401);
+  });
+
+  test("lists active sessions with device, IP and the current one", async () => {
+    await createUser();
+    const laptop = await login();
+    await login(
+      "owner@example.com",
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
+    );
+
+    const res = await call("GET", "/auth/sessions", {
+      token: laptop.body.data.token,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 2);
+
+    const current = res.body.data.find((s) => s.current);
+    assert.equal(current.device, "Chrome on Windows");
+    assert.ok(current.ipAddress);
+    assert.ok(res.body.data.some((s) => s.device === "Safari on iOS"));
+  });
+
+  test("sign out everywhere ends every session of the user only", async () => {
+    await createUser();
+    await createUser("other@example.com");
+    const laptop = await login();
+    const phone = await login();
+    const other = await login("other@example.com");
+
+    const res = await call("POST", "/auth/sessions/revoke-all", {
+      token: laptop.body.data.token,
+    });
+    assert.equal(res.status, 200);
+
+    for (const session of [laptop, phone]) {
+      const me = await call("GET", "/auth/me", {
+        token: session.body.data.token,
+      });
+      assert.equal(me.status, 401);
+    }
+    const otherMe = await call("GET", "/auth/me", {
+      token: other.body.data.token,
+    });
+    assert.equal(otherMe.status, 200);
+
+    const [entry] = await harness.prisma.auditLog.findMany({
+      where: { action: "auth.sessions_revoke_all" },
+    });
+    assert.equal(entry.metadata.sessions, 2);
+  });
+
+  test("a single session can be signed out, but not another user's", async () => {
+    await createUser();
+    await createUser("other@example.com");
+    const laptop = await login();
+    const phone = await login();
+    const other = await login("other@example.com");
+
+    const sessions = harness.prisma.adminSession.rows;
+    const phoneSession = sessions.find((s) =>
+      phone.refreshToken.startsWith(`${s.id}.`),
+    );
+    const otherSession = sessions.find((s) =>
+      other.refreshToken.startsWith(`${s.id}.`),
+    );
+
+    const forbidden = await call(
+      "DELETE",
+      `/auth/sessions/${otherSession.id}`,
+      {
+        token: laptop.body.data.token,
+      },
+    );
+    assert.equal(forbidden.status, 404);
+
+    const res = await call("DELETE", `/auth/sessions/${phoneSession.id}`, {
+      token: laptop.body.data.token,
+    });
+    assert.equal(res.status, 200);
+
+    const phoneMe = await call("GET", "/auth/me", {
+      token: phone.body.data.token,
+    });
+    assert.equal(phoneMe.status, 401);
+    const laptopMe = await call("GET", "/auth/me", {
+      token: laptop.body.data.token,
+    });
+    assert.equal(laptopMe.status, 200);
+  });
+
+  test("changing the password signs out the other sessions", async () => {
+    await createUser();
+    const laptop = await login();
+    const phone = await login();
+
+    const res = await call("POST", "/auth/change-password", {
+      token: laptop.body.data.token,
+      body: { currentPassword: PASSWORD, newPassword: "new-password-123" },
+    });
+    assert.equal(res.status, 200);
+
+    const laptopMe = await call("GET", "/auth/me", {
+      token: laptop.body.data.token,
+    });
+    assert.equal(laptopMe.status, 200);
+    const phoneMe = await call("GET", "/auth/me", {
+      token: phone.body.data.token,
+    });
+    assert.equal(phoneMe.status, 401);
+  });
+
+  test("deactivating a user ends their sessions", async () => {
+    const { api } = await harness.signIn("owner");
+    const viewer = await harness.signIn("viewer");
+
+    const res = await api("PATCH", `/users/${viewer.user.id}`, {
+      isActive: false,
+    });
+    assert.equal(res.status, 200);
+
+    const [session] = await harness.prisma.adminSession.findMany({
+      where: { userId: viewer.user.id },
+    });
+    assert.equal(session.revokedReason, "user_update");
+  });
+});
@@ -0,0 +1,135 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { once } = require("events");
+const express = require("express");
+const { startHarness } = require("./helpers/harness");
+const { createReceiverApp } = require("../receiver/app");
+
+// What a receiver does: HMAC-SHA256 over "<timestamp>.<raw body>"
+const expectedSignature = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+let harness;
+let forwarderService;
+let destinationService;
+
+before(async () => {
+  harness = await startHarness();
+  forwarderService = harness.require("services/forwarder.service");
+  destinationService = harness.require("services/destination.service");
+});
+
+after(() => harness.close());
+
+test("signApiPayload signs with STEAM_API_SECRET", () => {
+  const body = JSON.stringify({ code: "F4K9Q", username: "gamer42" });
+
+  assert.equal(
+    forwarderService.signApiPayload("1700000000", body),
+    expectedSignature("test-steam-secret", "1700000000", body),
+  );
+});
+
+test("signature changes with the timestamp and the body", () => {
+  const body = JSON.stringify({ code: "F4K9Q" });
+  const signature = forwarderService.signApiPayload("1700000000", body);
+
+  assert.notEqual(
+    forwarderService.signApiPayload("1700000001", body),
+    signature,
+  );
+  assert.notEqual(
+    forwarderService.signApiPayload("1700000000", `${body} `),
+    signature,
+  );
+});
+
+test("signApiPayload uses an empty secret when none is set", (t) => {
+  const secret = process.env.STEAM_API_SECRET;
+  delete process.env.STEAM_API_SECRET;
+  t.after(() => {
+    process.env.STEAM_API_SECRET = secret;
+  });
+
+  assert.equal(
+    forwarderService.signApiPayload("1700000000", "{}"),
+    expectedSignature("", "1700000000", "{}"),
+  );
+});
+
+test("sent deliveries verify on the receiving side", async (t) => {
+  const received = [];
+  const receiver = express();
+  receiver.use(express.text({ type: "*/*" }));
+  receiver.post("/hook", (req, res) => {
+    received.push({ headers: req.headers, body: req.body });
+    res.send("ok");
+  });
+  const server = receiver.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+
+  const result = await destinationService.send(
+    {
+      name: "receiver",
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      plainSecret: "receiver-secret",
+    },
+    forwarderService.buildApiEvent({
+      fromAccount: "alice@emulator.local",
+      message: { id: "msg-1", subject: "Steam", from: null },
+      parsed: { extractor: "steam", fields: { code: "F4K9Q" } },
+    }),
+    "delivery-1",
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(received.length, 1);
+
+  const [{ headers, body }] = received;
+  assert.equal(headers["x-delivery-id"], "delivery-1");
+  assert.equal(
+    headers["x-signature"],
+    expectedSignature("receiver-secret", headers["x-timestamp"], body),
+  );
+  assert.equal(JSON.parse(body).code, "F4K9Q");
+});
+
+test("deliveries are accepted by the reference receiver", async (t) => {
+  const app = createReceiverApp({ secret: "receiver-secret", log: () => {} });
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+
+  const result = await destinationService.send(
+    {
+      name: "receiver",
+      url: `http://127.0.0.1:${server.address().port}/steam_inbound.php`,
+      plainSecret: "receiver-secret",
+    },
+    forwarderService.buildApiEvent({
+      fromAccount: "alice@emulator.local",
+      message: {
+        id: "msg-1",
+        subject: "Your Steam account: Access from new computer",
+        from: { emailAddress: { address: "noreply@steampowered.com" } },
+      },
+      parsed: {
+        extractor: "steam",
+        fields: { code: "F4K9Q", username: "gamer42" },
+      },
+    }),
+  );
+
+  assert.equal(result.success, true);
+  assert.deepEqual(JSON.parse(result.response), {
+    ok: true,
+    saved: true,
+    user: "gamer42",
+    code: "F4K9Q",
+  });
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+// One greeting per localized Steam Guard template
+const GREETINGS = {
+  en: "gamer42, It looks like you are trying to log in from a new device.",
+  ar: "gamer42, يبدو أنك تحاول تسجيل الدخول من جهاز جديد.",
+  fr: "gamer42, Il semblerait que vous essayiez de vous connecter.",
+  es: "gamer42, Parece que estás intentando iniciar sesión.",
+  it: "gamer42, Sembra che tu stia cercando di accedere.",
+  pt: "gamer42, Parece que você está tentando entrar.",
+  de: "gamer42, Es sieht so aus, als würden Sie sich anmelden.",
+  ru: "gamer42, Похоже, вы пытаетесь войти.",
+  ja: "gamer42, あなたが新しいデバイスからログインしようとしています。",
+  ko: "gamer42, 당신이 새 기기에서 로그인하려는 것 같습니다.",
+  zh: "gamer42, 看起来您正在从新设备登录。",
+  th: "gamer42, ดูเหมือนว่าคุณกำลังเข้าสู่ระบบ",
+  hi: "gamer42, आप एक नए डिवाइस से लॉग इन कर रहे हैं।",
+  pl: "gamer42, Wygląda na to, że logujesz się z nowego urządzenia.",
+  tr: "gamer42, Görünüşe göre yeni bir cihazdan giriş yapıyorsunuz.",
+  he: "gamer42, נראה שאתה מנסה להתחבר ממכשיר חדש.",
+  dear: "Dear gamer42,",
+};
+
+const CODE = "F4K9Q";
+
+let harness;
+let forwarderService;
+let steamExtractor;
+
+before(async () => {
+  harness = await startHarness();
+  forwarderService = harness.require("services/forwarder.service");
+  steamExtractor = harness.require("extractors/steam.extractor");
+});
+
+after(() => harness.close());
+
+test("every username pattern has a greeting", () => {
+  for (const pattern of steamExtractor.USERNAME_PATTERNS) {
+    assert.ok(
+      Object.values(GREETINGS).some((greeting) => pattern.test(greeting)),
+      `no greeting for ${pattern}`,
+    );
+  }
+});
+
+for (const [locale, greeting] of Object.entries(GREETINGS)) {
+  test(`extracts code and username (${locale}, text)`, () => {
+    const result = forwarderService.extractSteamCodeAndUsername({
+      subject: "Your Steam account: Access from new computer",
+      bodyType: "text",
+      body: `${greeting}\n\nSteam Guard code:\n\n${CODE}\n\nThe Steam Team`,
+    });
+
+    assert.equal(result.code, CODE);
+    assert.equal(result.username, "gamer42");
+    assert.equal(
+      result.subject,
+      "your steam account: access from new computer",
+    );
+  });
+
+  test(`extracts code and username (${locale}, html)`, () => {
+    const result = forwarderService.extractSteamCodeAndUsername({
+      subject: "Steam",
+      bodyType: "html",
+      body: `<html><body><p>${greeting}</p><div class="code"><b>${CODE}</b></div></body></html>`,
+    });
+
+    assert.equal(result.code, CODE);
+    assert.equal(result.username, "gamer42");
+  });
+}
+
+test("returns nulls when nothing matches", () => {
+  const result = forwarderService.extractSteamCodeAndUsername({
+    subject: "Newsletter",
+    bodyType: "text",
+    body: "hello there, nothing to see",
+  });
+
+  assert.equal(result.code, null);
+  assert.equal(result.username, null);
+});
@@ -0,0 +1,382 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let syncService;
+let forwarderService;
+
+before(async () => {
+  harness = await startHarness();
+  syncService = harness.require("services/sync.service");
+  forwarderService = harness.require("services/forwarder.service");
+
+  // Notifications go out over SMTP
+  mock.method(forwarderService, "sendReauthNotification", async () => true);
+  mock.method(forwarderService, "sendErrorNotificationToDev", async () => true);
+});
+
+after(() => harness.close());
+
+beforeEach(() => {
+  harness.reset();
+  forwarderService.sendReauthNotification.mock.resetCalls();
+  forwarderService.sendErrorNotificationToDev.mock.resetCalls();
+});
+
+/**
+ * Connected account whose first sync (delta initialization) already ran
+ */
+async function syncedAccount(email = "alice@emulator.local") {
+  const { account, mailbox } = await harness.connectMailbox(email);
+  const first = await syncService.syncMailbox(account.id);
+  assert.deepEqual(first.errors, []);
+  return { account, mailbox };
+}
+
+const getAccount = (id) =>
+  harness.prisma.mailAccount.findUnique({ where: { id } });
+
+test("forwards new messages matching a FORWARD rule", async () => {
+  const { account, mailbox } = await syncedAccount();
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Everything", action: "FORWARD" },
+  });
+  const message = harness.emulator.addMessage(mailbox, {
+    subject: "Invoice",
+    from: "billing@example.com",
+    body: "Total: 10",
+  });
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.equal(result.messagesFound, 1);
+  assert.equal(result.messagesForwarded, 1);
+  assert.deepEqual(result.errors, []);
+  assert.equal(mailbox.sent.length, 1);
+
+  const log = await harness.prisma.mailMessageLog.findFirst({
+    where: { graphMessageId: message.id },
+  });
+  assert.equal(log.forwardStatus, "FORWARDED");
+  assert.equal(log.internetMessageId, message.internetMessageId);
+  assert.equal((await getAccount(account.id)).forwardedCount, 1);
+});
+
+test("API messages count as forwarded only once delivered", async () => {
+  const destinationService = harness.require("services/destination.service");
+  const { account, mailbox } = await syncedAccount();
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Codes", action: "API" },
+  });
+  await harness.prisma.apiDestination.create({
+    data: {
+      name: "Codes",
+      url: "https://codes.example/hook",
+      extractorNames: "steam",
+    },
+  });
+  const receive = async () => {
+    harness.emulator.addMessage(mailbox, {
+      subject: "Your Steam account: Access from new computer",
+      from: "noreply@steampowered.com",
+      body: "Dear alice123, here is the Steam Guard code you need: F4K3C",
+    });
+    const result = await syncService.syncMailbox(account.id);
+    assert.equal(result.messagesQueued, 1);
+    assert.equal(result.messagesForwarded, 0);
+    const log = harness.prisma.mailMessageLog.rows.at(-1);
+    const delivery = harness.prisma.messageDelivery.rows.find(
+      (d) => d.messageLogId === log.id,
+    );
+    return { log, delivery };
+  };
+  const counters = async () => {
+    const { forwardedCount, failedForwardCount } = await getAccount(account.id);
+    return [forwardedCount, failedForwardCount];
+  };
+
+  const delivered = await receive();
+  assert.equal(delivered.log.forwardStatus, "PENDING");
+  assert.deepEqual(await counters(), [0, 0]);
+
+  delivered.delivery.status = "DELIVERED";
+  await destinationService.refreshMessageStatus(delivered.log.id);
+  assert.equal(delivered.log.forwardStatus, "FORWARDED");
+  assert.deepEqual(await counters(), [1, 0]);
+
+  // A dead-lettered delivery fails the message, a replay takes it back
+  const dead = await receive();
+  await destinationService.deadLetter(dead.delivery, "Gave up");
+  assert.equal(dead.log.forwardStatus, "FAILED");
+  assert.deepEqual(await counters(), [1, 1]);
+
+  await destinationService.replay([dead.delivery.id]);
+  assert.equal(dead.log.forwardStatus, "PENDING");
+  assert.deepEqual(await counters(), [1, 0]);
+
+  // A message that failed before its deliveries were queued waits for them
+  harness.emulator.addFailure(mailbox, {
+    status: 500,
+    code: "ErrorInternalServerError",
+    message: "Failed",
+    path: "/me/messages/",
+    method: "GET",
+    times: 0,
+  });
+  const message = harness.emulator.addMessage(mailbox, {
+    subject: "Your Steam account: Access from new computer",
+    from: "noreply@steampowered.com",
+    body: "Dear alice123, here is the Steam Guard code you need: R3TRY",
+  });
+  await syncService.syncMailbox(account.id);
+  const failed = harness.prisma.mailMessageLog.rows.find(
+    (l) => l.graphMessageId === message.id,
+  );
+  assert.equal(failed.forwardStatus, "FAILED");
+  assert.deepEqual(await counters(), [1, 1]);
+
+  mailbox.failures = [];
+  const retried = await syncService.retryMessage({
+    ...failed,
+    account: { email: account.email },
+  });
+  assert.equal(retried, true);
+  assert.equal(failed.forwardStatus, "PENDING");
+  assert.deepEqual(await counters(), [1, 0]);
+});
+
+test("deliveries of one message finishing together count it once", async () => {
+  const destinationService = harness.require("services/destination.service");
+  const { account, mailbox } = await syncedAccount();
+  await harness.prisma.forwardingRule.create({
+    data: { name: "Codes", action: "API" },
+  });
+  for (const name of ["Codes", "Backup"]) {
+    await harness.prisma.apiDestination.create({
+      data: {
+        name,
+        url: "https://codes.example/hook",
+        extractorNames: "steam",
+      },
+    });
+  }
+  harness.emulator.addMessage(mailbox, {
+    subject: "Your Steam account: Access from new computer",
+    from: "noreply@steampowered.com",
+    body: "Dear alice123, here is the Steam Guard code you need: F4K3C",
+  });
+  await syncService.syncMailbox(account.id);
+  const [log] = harness.prisma.mailMessageLog.rows;
+  const deliveries = harness.prisma.messageDelivery.rows;
+  assert.equal(deliveries.length, 2);
+
+  for (const delivery of deliveries) delivery.status = "DELIVERED";
+  await Promise.all(
+    deliveries.map(() => destinationService.refreshMessageStatus(log.id)),
+  );
+
+  assert.equal(log.forwardStatus, "FORWARDED");
+  assert.equal((await getAccount(account.id)).forwardedCount, 1);
+});
+
+test("watched folders must be well-known names or Graph folder IDs", async () => {
+  const { account, mailbox } = await syncedAccount();
+  const folder = harness.emulator.addFolder(mailbox, {
+    displayName: "Receipts",
+  });
+  folder.id = "AAMkAGI2TG93AAA/Receipts+1=="; // Graph IDs may contain / + =
+  const { api } = await harness.signIn("operator");
+  const path = `/accounts/${account.id}/folders`;
+
+  for (const folderId of ["Inbox')/messages?$top=1&('", "../me", "Receipts"]) {
+    assert.equal((await api("POST", path, { folderId })).status, 400);
+  }
+  const added = await api("POST", path, {
+    folderId: folder.id,
+    folderName: "Receipts",
+  });
+  assert.equal(added.status, 201);
+
+  await syncService.syncMailbox(account.id);
+  harness.emulator.addMessage(mailbox, { folder: folder.id });
+  const result = await syncService.syncMailbox(account.id);
+  assert.equal(result.messagesFound, 1);
+  assert.deepEqual(result.errors, []);
+});
+
+test("logs messages without a matching rule as skipped", async () => {
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.addMessage(mailbox, { subject: "Newsletter" });
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.equal(result.messagesSkipped, 1);
+  const [log] = await harness.prisma.mailMessageLog.findMany({});
+  assert.equal(log.forwardStatus, "SKIPPED");
+  assert.equal(log.error, "No matching rule");
+});
+
+test("does not sync accounts that are not connected", async () => {
+  const { account } = await harness.connectMailbox("alice@emulator.local");
+  await harness.prisma.mailAccount.update({
+    where: { id: account.id },
+    data: { status: "DISABLED" },
+  });
+
+  assert.deepEqual(await syncService.syncMailbox(account.id), {
+    skipped: true,
+    reason: "DISABLED",
+  });
+});
+
+test("401 from Graph marks the account NEEDS_REAUTH", async () => {
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.addFailure(mailbox, { preset: "401", path: "/delta" });
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.equal(result.errors.length, 1);
+  const updated = await getAccount(account.id);
+  assert.equal(updated.status, "NEEDS_REAUTH");
+  assert.equal(updated.errorCount, 1);
+  assert.equal(forwarderService.sendReauthNotification.mock.callCount(), 1);
+  assert.equal(forwarderService.sendErrorNotificationToDev.mock.callCount(), 0);
+});
+
+test("a revoked refresh token marks the account NEEDS_REAUTH", async () => {
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.expireTokens(mailbox, { revokeRefresh: true });
+  await harness.prisma.mailToken.update({
+    where: { accountId: account.id },
+    data: { expiresAt: new Date(Date.now() - 1000) },
+  });
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.match(result.errors[0].error, /Token refresh failed/);
+  const updated = await getAccount(account.id);
+  assert.equal(updated.status, "NEEDS_REAUTH");
+  assert.match(updated.lastError, /Token refresh failed/);
+  assert.equal(forwarderService.sendReauthNotification.mock.callCount(), 1);
+});
+
+test("other errors keep the status and notify the developer on the 1st and every 5th", async () => {
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.addFailure(mailbox, {
+    status: 403,
+    code: "ErrorAccessDenied",
+    message: "Access is denied.",
+    path: "/delta",
+    times: 0,
+  });
+
+  for (let i = 0; i < 5; i++) {
+    const result = await syncService.syncMailbox(account.id);
+    assert.equal(result.errors.length, 1);
+  }
+
+  const updated = await getAccount(account.id);
+  assert.equal(updated.status, "CONNECTED");
+  assert.equal(updated.errorCount, 5);
+  assert.equal(forwarderService.sendReauthNotification.mock.callCount(), 0);
+  assert.equal(forwarderService.sendErrorNotificationToDev.mock.callCount(), 2);
+
+  const folder = await harness.prisma.mailSyncState.findFirst({
+    where: { accountId: account.id },
+  });
+  assert.match(folder.lastError, /^Delta: /);
+});
+
+test("a successful sync clears the error state", async () => {
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.addFailure(mailbox, {
+    status: 403,
+    code: "ErrorAccessDenied",
+    path: "/delta",
+  });
+  await syncService.syncMailbox(account.id);
+
+  await syncService.syncMailbox(account.id);
+
+  const updated = await getAccount(account.id);
+  assert.equal(updated.errorCount, 0);
+  assert.equal(updated.lastError, null);
+});
+
+test("throttled requests are retried", async () => {
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.addMessage(mailbox, { subject: "Hello" });
+  harness.emulator.addFailure(mailbox, { preset: "429", path: "/delta" });
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.messagesFound, 1);
+});
+
+test("throttled requests wait for Retry-After when Redis is down", async (t) => {
+  const graphService = harness.require("services/graph.service");
+  const { account, mailbox } = await syncedAccount();
+  harness.emulator.addMessage(mailbox, { subject: "Hello" });
+  harness.emulator.addFailure(mailbox, { preset: "429", path: "/delta" });
+
+  const down = async () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+  t.mock.method(harness.redis, "takeGraphTokens", down);
+  t.mock.method(harness.redis, "pttl", down);
+  const sleep = t.mock.method(graphService, "sleep", async () => {});
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.messagesFound, 1);
+  assert.deepEqual(
+    sleep.mock.calls.map((c) => c.arguments[0]),
+    [2000],
+  );
+});
+
+test("a failing message is logged FAILED without failing the sync", async () => {
+  const { account, mailbox } = await syncedAccount();
+  const broken = harness.emulator.addMessage(mailbox, { subject: "Broken" });
+  harness.emulator.addMessage(mailbox, { subject: "Fine" });
+  harness.emulator.addFailure(mailbox, {
+    status: 403,
+    code: "ErrorAccessDenied",
+    message: "Access is denied.",
+    path: broken.id,
+  });
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.equal(result.messagesFound, 2);
+  assert.equal(result.messagesFailed, 1);
+  assert.equal(result.messagesSkipped, 1);
+  assert.deepEqual(result.errors, [
+    { messageId: broken.id, error: "Access is denied." },
+  ]);
+
+  const log = await harness.prisma.mailMessageLog.findFirst({
+    where: { graphMessageId: broken.id },
+  });
+  assert.equal(log.forwardStatus, "FAILED");
+  assert.equal(JSON.parse(log.error).code, "ErrorAccessDenied");
+
+  const updated = await getAccount(account.id);
+  assert.equal(updated.status, "CONNECTED");
+  assert.equal(updated.failedForwardCount, 1);
+});
+
+test("a message deleted before it is fetched is skipped", async () => {
+  const { account, mailbox } = await syncedAccount();
+  const message = harness.emulator.addMessage(mailbox, { subject: "Gone" });
+  harness.emulator.addFailure(mailbox, { preset: "404", path: message.id });
+
+  const result = await syncService.syncMailbox(account.id);
+
+  assert.equal(result.messagesSkipped, 1);
+  assert.equal(result.messagesFailed, 0);
+  assert.equal(await harness.prisma.mailMessageLog.count(), 0);
+});
@@ -0,0 +1,226 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const PASSWORD = "correct-horse";
+
+// Unauthenticated request (the login steps)
+async function post(path, body) {
+  const response = await fetch(`${harness.apiUrl}/api${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {}),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Owner with a known password and 2FA turned on
+ * @returns {object} - { user, secret, recoveryCodes }
+ */
+async function enrolledUser(email = "owner@example.com") {
+  const twoFactorService = harness.require("services/twoFactor.service");
+  const totp = harness.require("utils/totp");
+
+  const user = await harness.prisma.adminUser.create({
+    data: {
+      email,
+      password: await bcrypt.hash(PASSWORD, 4),
+      role: "owner",
+    },
+  });
+  const { secret } = await twoFactorService.beginSetup(user);
+  const pending = await harness.prisma.adminUser.findUnique({
+    where: { id: user.id },
+  });
+  const recoveryCodes = await twoFactorService.enable(
+    pending,
+    totp.generateCode(secret),
+  );
+
+  return { user, secret, recoveryCodes };
+}
+
+const login = (email = "owner@example.com") =>
+  post("/auth/login", { email, password: PASSWORD });
+
+describe("totp", () => {
+  test("matches the RFC 6238 SHA-1 test vectors", () => {
+    const totp = harness.require("utils/totp");
+    const secret = totp.base32Encode(Buffer.from("12345678901234567890"));
+
+    // RFC codes are 8 digits; the 6-digit code is their last 6
+    assert.equal(totp.generateCode(secret, totp.timeStep(59000)), "287082");
+    assert.equal(
+      totp.generateCode(secret, totp.timeStep(1111111109000)),
+      "081804",
+    );
+    assert.equal(
+      totp.generateCode(secret, totp.timeStep(1234567890000)),
+      "005924",
+    );
+  });
+
+  test("accepts one step of clock drift", () => {
+    const totp = harness.require("utils/totp");
+    const secret = totp.generateSecret();
+    const now = Date.now();
+    const step = totp.timeStep(now);
+
+    assert.equal(
+      totp.verifyCode(secret, totp.generateCode(secret, step - 1), { now }),
+      step - 1,
+    );
+    assert.equal(
+      totp.verifyCode(secret, totp.generateCode(secret, step - 3), { now }),
+      null,
+    );
+    assert.equal(totp.verifyCode(secret, "abc", { now }), null);
+  });
+});
+
+describe("login with 2FA", () => {
+  test("asks for a code and signs in with it", async () => {
+    const totp = harness.require("utils/totp");
+    const { secret } = await enrolledUser();
+
+    const first = await login();
+    assert.equal(first.body.data.twoFactorRequired, true);
+    assert.equal(first.body.data.token, undefined);
+
+    const second = await post("/auth/login/2fa", {
+      challengeToken: first.body.data.challengeToken,
+      code: totp.generateCode(secret, totp.timeStep() + 1),
+    });
+    assert.equal(second.status, 200);
+    assert.ok(second.body.data.token);
+  });
+
+  test("a code is accepted only once", async () => {
+    const totp = harness.require("utils/totp");
+    const { secret } = await enrolledUser();
+    const code = totp.generateCode(secret, totp.timeStep() + 1);
+
+    const { challengeToken } = (await login()).body.data;
+    const ok = await post("/auth/login/2fa", { challengeToken, code });
+    const replay = await post("/auth/login/2fa", { challengeToken, code });
+
+    assert.equal(ok.status, 200);
+    assert.equal(replay.status, 400);
+  });
+
+  test("recovery codes work once", async () => {
+    const { recoveryCodes } = await enrolledUser();
+    const { challengeToken } = (await login()).body.data;
+
+    const used = await post("/auth/login/2fa", {
+      challengeToken,
+      code: recoveryCodes[0].toUpperCase(),
+    });
+    assert.equal(used.status, 200);
+    assert.equal(used.body.data.recoveryCodesLeft, 9);
+
+    const again = await post("/auth/login/2fa", {
+      challengeToken,
+      code: recoveryCodes[0],
+    });
+    assert.equal(again.status, 400);
+
+    const [entry] = await harness.prisma.auditLog.findMany({
+      where: { action: "auth.recovery_code_used" },
+    });
+    assert.equal(entry.metadata.recoveryCodesLeft, 9);
+  });
+
+  test("locks after too many wrong codes", async (t) => {
+    const totp = harness.require("utils/totp");
+    const { secret } = await enrolledUser();
+    const { challengeToken } = (await login()).body.data;
+    t.mock.method(console, "warn", () => {});
+
+    for (let i = 0; i < 5; i++) {
+      await post("/auth/login/2fa", { challengeToken, code: "000000" });
+    }
+    const locked = await post("/auth/login/2fa", {
+      challengeToken,
+      code: totp.generateCode(secret, totp.timeStep() + 1),
+    });
+
+    assert.equal(locked.status, 429);
+  });
+
+  test("the challenge token is not a session", async () => {
+    await enrolledUser();
+    const { challengeToken } = (await login()).body.data;
+
+    const response = await fetch(`${harness.apiUrl}/api/auth/me`, {
+      headers: { Authorization: `Bearer ${challengeToken}` },
+    });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe("mandatory 2FA", () => {
+  test("users without 2FA enroll before their first session", async () => {
+    const totp = harness.require("utils/totp");
+    await harness.require("services/twoFactor.service").setRequired(true);
+    await harness.prisma.adminUser.create({
+      data: {
+        email: "viewer@example.com",
+        password: await bcrypt.hash(PASSWORD, 4),
+        role: "viewer",
+      },
+    });
+
+    const first = await login("viewer@example.com");
+    const { challengeToken } = first.body.data;
+    assert.equal(first.body.data.twoFactorSetupRequired, true);
+
+    const setup = await post("/auth/2fa/setup", { challengeToken });
+    const enabled = await post("/auth/2fa/enable", {
+      challengeToken,
+      code: totp.generateCode(setup.body.data.secret),
+    });
+
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.data.recoveryCodes.length, 10);
+    assert.ok(enabled.body.data.token);
+  });
+
+  test("an owner must enable 2FA before requiring it", async () => {
+    const { api } = await harness.signIn("owner");
+
+    const response = await api("POST", "/dashboard/config/security", {
+      require2fa: true,
+    });
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("2FA management", () => {
+  test("owners can reset another user's 2FA", async () => {
+    const { user } = await enrolledUser("operator@example.com");
+    const { api } = await harness.signIn("owner");
+
+    const response = await api("POST", `/users/${user.id}/2fa/reset`);
+    assert.equal(response.status, 200);
+
+    const reset = await harness.prisma.adminUser.findUnique({
+      where: { id: user.id },
+    });
+    assert.equal(reset.twoFactorEnabledAt, null);
+    assert.equal(reset.twoFactorSecret, null);
+    assert.ok((await login("operator@example.com")).body.data.token);
+  });
+});
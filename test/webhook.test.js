@@ -0,0 +1,323 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+let enqueueNotification;
+let handleLifecycleNotification;
+let webhookService;
+let enqueueAccountReconcile;
+
+before(async () => {
+  harness = await startHarness();
+  ({ enqueueNotification, handleLifecycleNotification } = harness.require(
+    "routes/webhooks.routes",
+  ));
+  webhookService = harness.require("services/webhook.service");
+  ({ enqueueAccountReconcile } = harness.require("queues/reconcile.queue"));
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.reset());
+
+const forwardJobs = () => harness.queue("webhook-forward").list();
+
+/**
+ * Connected account with a stored Inbox subscription
+ */
+async function subscribedAccount(email = "alice@emulator.local") {
+  const { account } = await harness.connectMailbox(email);
+  const subscription = await harness.prisma.webhookSubscription.create({
+    data: {
+      accountId: account.id,
+      folderId: "Inbox",
+      subscriptionId: `sub-${account.id}`,
+      resource: "me/mailFolders('Inbox')/messages",
+      changeType: "created",
+      notificationUrl: `${harness.apiUrl}/api/webhooks/mail`,
+      expiresAt: new Date(Date.now() + 3600000),
+      clientState: "secret-state",
+    },
+  });
+  return { account, subscription };
+}
+
+const notification = (subscription, overrides = {}) => ({
+  subscriptionId: subscription.subscriptionId,
+  clientState: subscription.clientState,
+  changeType: "created",
+  resource: `Users/u1/Messages/msg-1`,
+  resourceData: { id: "msg-1" },
+  ...overrides,
+});
+
+test("echoes the validation token", async () => {
+  const response = await axios.post(
+    `${harness.apiUrl}/api/webhooks/mail?validationToken=abc%20123`,
+  );
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers["content-type"], /^text\/plain/);
+  assert.equal(response.data, "abc 123");
+});
+
+test("queues a forward job for a valid notification", async () => {
+  const { account, subscription } = await subscribedAccount();
+
+  await enqueueNotification(notification(subscription));
+
+  const jobs = forwardJobs();
+  assert.equal(jobs.length, 1);
+  assert.deepEqual(jobs[0].data, {
+    accountId: account.id,
+    accountEmail: "alice@emulator.local",
+    messageId: "msg-1",
+  });
+  assert.equal(jobs[0].opts.jobId, `${account.id}:msg-1`);
+});
+
+test("takes the message ID from the resource path", async () => {
+  const { subscription } = await subscribedAccount();
+
+  await enqueueNotification(
+    notification(subscription, {
+      resource: "Users/u1/messages/msg-2",
+      resourceData: undefined,
+    }),
+  );
+
+  assert.equal(forwardJobs()[0].data.messageId, "msg-2");
+});
+
+test("queues a message once for repeated notifications", async () => {
+  const { subscription } = await subscribedAccount();
+
+  await enqueueNotification(notification(subscription));
+  await enqueueNotification(notification(subscription));
+
+  assert.equal(forwardJobs().length, 1);
+});
+
+test("ignores a notification with the wrong clientState", async () => {
+  const { subscription } = await subscribedAccount();
+
+  await enqueueNotification(
+    notification(subscription, { clientState: "forged" }),
+  );
+
+  assert.equal(forwardJobs().length, 0);
+});
+
+test("ignores an unknown subscription", async () => {
+  await subscribedAccount();
+
+  await enqueueNotification({
+    subscriptionId: "sub-unknown",
+    clientState: "secret-state",
+    resourceData: { id: "msg-1" },
+  });
+
+  assert.equal(forwardJobs().length, 0);
+});
+
+test("ignores accounts that are not active", async () => {
+  const { account, subscription } = await subscribedAccount();
+
+  for (const data of [{ status: "NEEDS_REAUTH" }, { isEnabled: false }]) {
+    await harness.prisma.mailAccount.update({
+      where: { id: account.id },
+      data: { status: "CONNECTED", isEnabled: true, ...data },
+    });
+    await enqueueNotification(notification(subscription));
+  }
+
+  assert.equal(forwardJobs().length, 0);
+});
+
+test("ignores a notification without a message ID", async () => {
+  const { subscription } = await subscribedAccount();
+
+  await enqueueNotification(
+    notification(subscription, {
+      resource: "Users/u1/mailFolders('Inbox')",
+      resourceData: undefined,
+    }),
+  );
+
+  assert.equal(forwardJobs().length, 0);
+});
+
+/**
+ * Account with an Inbox subscription created through the emulator, which
+ * sends lifecycle events to /api/webhooks/lifecycle
+ */
+async function emulatedSubscription(email = "bob@emulator.local") {
+  const { account } = await harness.connectMailbox(email);
+  const created = await webhookService.createSubscription(account.id, "Inbox");
+  return { account, subscriptionId: created.id };
+}
+
+/**
+ * Have the emulator send a lifecycle event and wait until it is recorded
+ */
+async function fireLifecycle(subscriptionId, lifecycleEvent) {
+  const response = await axios.post(
+    `${harness.emulatorUrl}/_emulator/subscriptions/${subscriptionId}/lifecycle`,
+    { lifecycleEvent },
+  );
+  assert.equal(response.status, 200);
+  return harness.waitFor(() =>
+    harness.prisma.systemLog.rows.find(
+      (l) => l.metadata.lifecycleEvent === lifecycleEvent,
+    ),
+  );
+}
+
+const subscriptionJobs = () => harness.queue("mail-sync").list();
+const reconcileJobs = () => harness.queue("mail-reconcile").list();
+
+test("reauthorizationRequired queues a renewal of the folder subscription", async () => {
+  const { account, subscriptionId } = await emulatedSubscription();
+
+  const entry = await fireLifecycle(subscriptionId, "reauthorizationRequired");
+
+  const [job] = subscriptionJobs();
+  assert.equal(job.name, "webhook:renew-subscription");
+  assert.deepEqual(job.data, {
+    accountId: account.id,
+    email: "bob@emulator.local",
+    folderId: "Inbox",
+  });
+  assert.equal(job.opts.jobId, `webhook:renew:${account.id}:Inbox`);
+  assert.equal(job.opts.removeOnFail, true);
+
+  assert.equal(entry.level, "info");
+  assert.equal(entry.category, "webhook");
+  assert.equal(entry.accountId, account.id);
+  assert.equal(
+    entry.message,
+    "Lifecycle event reauthorizationRequired (renew)",
+  );
+  assert.equal(entry.metadata.subscriptionId, subscriptionId);
+  assert.equal(entry.metadata.folderId, "Inbox");
+});
+
+test("subscriptionRemoved queues a new subscription for the folder", async () => {
+  const { account, subscriptionId } = await emulatedSubscription();
+
+  const entry = await fireLifecycle(subscriptionId, "subscriptionRemoved");
+
+  const [job] = subscriptionJobs();
+  assert.equal(job.name, "webhook:create-subscription");
+  assert.equal(job.opts.jobId, `webhook:create:${account.id}:Inbox`);
+  assert.equal(entry.level, "warn");
+  assert.equal(entry.metadata.action, "recreate");
+});
+
+test("missed queues one catch-up of the account", async () => {
+  const { account, subscriptionId } = await emulatedSubscription();
+
+  await fireLifecycle(subscriptionId, "missed");
+  await enqueueAccountReconcile(account.id, "again");
+
+  const jobs = reconcileJobs();
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].name, "mail:reconcile-account");
+  assert.equal(jobs[0].data.accountId, account.id);
+  assert.equal(jobs[0].opts.removeOnFail, true);
+  assert.equal(subscriptionJobs().length, 0);
+});
+
+test("lifecycle events of inactive accounts are recorded but queue nothing", async () => {
+  const { account, subscriptionId } = await emulatedSubscription();
+  await harness.prisma.mailAccount.update({
+    where: { id: account.id },
+    data: { status: "NEEDS_REAUTH" },
+  });
+
+  const entry = await fireLifecycle(subscriptionId, "subscriptionRemoved");
+
+  assert.equal(entry.metadata.action, "ignored");
+  assert.equal(entry.metadata.accountStatus, "NEEDS_REAUTH");
+  assert.equal(subscriptionJobs().length, 0);
+});
+
+test("a lifecycle event with the wrong clientState is ignored", async () => {
+  const { account, subscriptionId } = await emulatedSubscription();
+  const { clientState } = await harness.prisma.webhookSubscription.findUnique({
+    where: { subscriptionId },
+  });
+  const event = (overrides) => ({
+    subscriptionId,
+    clientState,
+    lifecycleEvent: "reauthorizationRequired",
+    ...overrides,
+  });
+
+  // Entries are handled in order: once the valid one is recorded, the
+  // forged ones have been handled too
+  const response = await axios.post(
+    `${harness.apiUrl}/api/webhooks/lifecycle`,
+    {
+      value: [
+        event({ clientState: "forged", lifecycleEvent: "subscriptionRemoved" }),
+        event({ clientState: "forged", lifecycleEvent: "missed" }),
+        event(),
+      ],
+    },
+  );
+  assert.equal(response.status, 202);
+  await harness.waitFor(() => harness.prisma.systemLog.rows.length > 0);
+
+  assert.equal(harness.prisma.systemLog.rows.length, 1);
+  assert.deepEqual(
+    subscriptionJobs().map((j) => j.opts.jobId),
+    [`webhook:renew:${account.id}:Inbox`],
+  );
+  assert.equal(reconcileJobs().length, 0);
+});
+
+test("lifecycle events that fail validation are not recorded", async () => {
+  const { subscription } = await subscribedAccount();
+
+  for (let i = 0; i < 3; i++) {
+    await handleLifecycleNotification({
+      subscriptionId: subscription.subscriptionId,
+      clientState: "forged",
+      lifecycleEvent: "subscriptionRemoved",
+    });
+    await handleLifecycleNotification({
+      subscriptionId: `sub-unknown-${i}`,
+      clientState: "secret-state",
+      lifecycleEvent: "missed",
+    });
+  }
+
+  assert.equal(harness.prisma.systemLog.rows.length, 0);
+  assert.equal(harness.queue("mail-sync").list().length, 0);
+  assert.equal(harness.queue("mail-reconcile").list().length, 0);
+});
+
+test("a message delivered after subscribing reaches the forward queue", async () => {
+  const { account } = await harness.connectMailbox("bob@emulator.local");
+
+  // The emulator validates the notification URL against the webhook route
+  const created = await webhookService.createSubscription(account.id, "Inbox");
+  assert.ok(created.id);
+
+  const response = await axios.post(
+    `${harness.emulatorUrl}/_emulator/mailboxes/bob@emulator.local/messages`,
+    { subject: "Hello", from: "friend@example.com", body: "Hi Bob" },
+  );
+  const [delivered] = response.data.data.notifications;
+  assert.equal(delivered.status, 202);
+
+  const [job] = await harness.waitFor(() => {
+    const jobs = forwardJobs();
+    return jobs.length > 0 && jobs;
+  });
+  assert.equal(job.data.accountId, account.id);
+  assert.equal(job.data.messageId, response.data.data.id);
+});